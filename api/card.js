@@ -1,38 +1,28 @@
 // Vercel Serverless Function: POST /api/card
+// Web Payments SDK のトークンをお客様（customerId）のカードとして保存する（Cards API）
+// X-Customer-Token ヘッダーで確認した電話番号のお客様にだけ保存できる
 
-// BigInt を JSON にシリアライズするため（Square SDK のレスポンス対策）
-BigInt.prototype.toJSON = function () {
-  return this.toString();
-};
-
-const retry = require('async-retry');
 const { validateCreateCardPayload } = require('../server/schema');
-const { SquareError, client: square } = require('../server/square');
-
-function readBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', (chunk) => {
-      body += chunk;
-    });
-    req.on('end', () => resolve(body));
-    req.on('error', reject);
-  });
-}
-
-async function getParsedBody(req) {
-  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
-    return req.body;
-  }
-  const raw = await readBody(req);
-  return JSON.parse(raw || '{}');
-}
+const { getParsedBody } = require('../server/http');
+const {
+  CustomerError,
+  getOwnCustomer,
+  summarizeCard,
+} = require('../server/customers');
+const {
+  VerificationError,
+  requireCustomerPhone,
+} = require('../server/verification');
+const { client: square, sendSquareError } = require('../server/square-rest');
 
 module.exports = async function handler(req, res) {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, X-Customer-Token',
+  );
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -52,42 +42,32 @@ module.exports = async function handler(req, res) {
     return;
   }
 
-  console.log('Body:', payload);
-
   if (!validateCreateCardPayload(payload)) {
     res.status(400).json({ error: 'Bad Request' });
     return;
   }
 
   try {
-    await retry(async (bail) => {
-      try {
-        const cardReq = {
-          idempotencyKey: payload.idempotencyKey,
-          sourceId: payload.sourceId,
-          card: { customerId: payload.customerId },
-        };
-        if (payload.verificationToken)
-          cardReq.verificationToken = payload.verificationToken;
-
-        const { result, statusCode } =
-          await square.cardsApi.createCard(cardReq);
+    // 存在しないお客様・確認した電話番号以外のお客様へのカード保存は Square より先に CUSTOMER_NOT_FOUND で断る
+    await getOwnCustomer(square, payload.customerId, requireCustomerPhone(req));
 
-        result.card.expMonth = result.card.expMonth.toString();
-        result.card.expYear = result.card.expYear.toString();
-        result.card.version = result.card.version.toString();
+    const card_body = {
+      idempotency_key: payload.idempotencyKey,
+      source_id: payload.sourceId,
+      card: { customer_id: payload.customerId },
+    };
+    if (payload.verificationToken)
+      card_body.verification_token = payload.verificationToken;
 
-        res.status(statusCode).json({ success: true, card: result.card });
-      } catch (ex) {
-        if (ex instanceof SquareError) bail(ex);
-        else throw ex;
-      }
-    });
+    const data = await square.post('/v2/cards', card_body);
+    res.status(200).json({ success: true, card: summarizeCard(data.card) });
   } catch (ex) {
-    if (ex instanceof SquareError && ex.errors) {
-      res.status(400).json({ errors: ex.errors });
-    } else {
-      res.status(500).json({ error: 'Internal Server Error' });
+    if (ex instanceof CustomerError || ex instanceof VerificationError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
     }
+    sendSquareError(res, ex);
   }
 };
@@ -0,0 +1,133 @@
+// Vercel Serverless Function: POST /api/cart/price
+// カートの明細（商品・数量・オプション）から、キャンペーンの割引と消費税を含めた合計をサーバーで計算する
+// promoCodes のクーポンと自動適用のキャンペーンを反映し、/api/payment で請求される金額と同じになる（注文は作成しない）
+// quoteToken（署名付きの見積もり、既定 15 分有効）を /api/payment・/api/terminal-checkout に送ると、この金額で注文する
+// お一人様の回数制限があるキャンペーンは X-Customer-Token ヘッダーで確認した電話番号で数える
+
+const { validateCartPricePayload } = require('../../server/schema');
+const { getParsedBody } = require('../../server/http');
+const {
+  LocationError,
+  checkMenu,
+  resolveLocation,
+} = require('../../server/locations');
+const {
+  PricingError,
+  fetchModifierLists,
+  fetchVariationPrices,
+  priceOrder,
+} = require('../../server/pricing');
+const {
+  PromotionError,
+  customerKeyOf,
+  evaluatePromotions,
+} = require('../../server/promotions');
+const { issueQuote } = require('../../server/quotes');
+const { getTaxOptions } = require('../../server/tax');
+const {
+  VerificationError,
+  optionalCustomerPhone,
+} = require('../../server/verification');
+const { client: square, sendSquareError } = require('../../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, X-Customer-Token',
+  );
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await getParsedBody(req);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!validateCartPricePayload(payload)) {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const location = resolveLocation({
+      slug: payload.location,
+      locationId: payload.locationId,
+    });
+    // 明細がなければ /api/payment と違い商品名だけの注文にはしない
+    if (!payload.line_items?.length && !payload.catalog_object_id) {
+      res.status(400).json({ error: 'line_items is required' });
+      return;
+    }
+    const customerKey = customerKeyOf(optionalCustomerPhone(req));
+    const priced = await priceOrder(payload, {
+      lookupPrices: (ids) => fetchVariationPrices(square, ids),
+      lookupModifiers: (ids) => fetchModifierLists(square, ids),
+      applyPromotions: (lines) =>
+        evaluatePromotions(lines, {
+          codes: payload.promoCodes,
+          location,
+          customerKey,
+          square,
+        }),
+      tax: getTaxOptions(location.tax || {}),
+    });
+    await checkMenu(location, priced.line_items);
+    const quote = issueQuote(payload, priced, { location });
+
+    res.status(200).json({
+      currency: 'JPY',
+      lines: priced.line_items.map((item, index) => ({
+        catalogObjectId: item.catalog_object_id,
+        quantity: Number(item.quantity),
+        modifiers: (item.modifiers || []).map((m) => m.catalog_object_id),
+        amount: priced.lineAmounts[index],
+        discount: priced.lineDiscounts[index],
+      })),
+      promotions: priced.promotions.map(({ id, name, code, amount }) => ({
+        id,
+        name,
+        code,
+        amount,
+      })),
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      tax: priced.tax,
+      total: priced.amount,
+      quoteToken: quote.token,
+      expiresAt: quote.expiresAt,
+    });
+  } catch (ex) {
+    if (
+      ex instanceof PricingError ||
+      ex instanceof PromotionError ||
+      ex instanceof LocationError ||
+      ex instanceof VerificationError
+    ) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
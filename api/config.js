@@ -1,5 +1,11 @@
 // Vercel Serverless Function: GET /api/config
 // Square の環境・アプリID・ロケーションID・Square.js URL を返す（本番/サンドボックス切り替え用）
+// 画面の合計表示をサーバーの計算と一致させるため、消費税の設定も返す
+// ?location=shibuya で店舗（server/locations.js）を選ぶと、その店舗のロケーションID・税設定を返す
+
+const { getQueryParam } = require('../server/http');
+const { LocationError, resolveLocation } = require('../server/locations');
+const { TAX_RATES, getTaxOptions } = require('../server/tax');
 
 const is_sandbox = process.env.SQUARE_ENVIRONMENT === 'sandbox';
 
@@ -8,8 +14,8 @@ const application_id =
   process.env.APPLICATION_ID ||
   (is_sandbox ? 'sandbox-sq0idb-oKEv1VNR-uF3ECUHWG5WCA' : '');
 
-const location_id =
-  process.env.LOCATION_ID || (is_sandbox ? 'LSB41KX7QNYRJ' : '');
+// LOCATION_ID も店舗の登録もないサンドボックスでは既定のロケーション
+const sandbox_location_id = is_sandbox ? 'LSB41KX7QNYRJ' : '';
 
 const square_js_url = is_sandbox
   ? 'https://sandbox.web.squarecdn.com/v1/square.js'
@@ -31,10 +37,21 @@ module.exports = async function handler(req, res) {
     return;
   }
 
+  let location;
+  try {
+    location = resolveLocation({ slug: getQueryParam(req, 'location') });
+  } catch (ex) {
+    if (!(ex instanceof LocationError)) throw ex;
+    res.status(ex.status).json({ error: ex.message, code: ex.code });
+    return;
+  }
+
   res.status(200).json({
     squareEnvironment: is_sandbox ? 'sandbox' : 'production',
     applicationId: application_id,
-    locationId: location_id,
+    locationId: location.locationId || sandbox_location_id,
+    location: { slug: location.slug, name: location.name },
     squareJsUrl: square_js_url,
+    tax: { rates: TAX_RATES, ...getTaxOptions(location.tax || {}) },
   });
 };
@@ -0,0 +1,84 @@
+// Vercel Serverless Function: /api/customers
+// どちらも X-Customer-Token ヘッダー（/api/verification で確認した電話番号）が必要
+// GET: 確認した電話番号で顧客ディレクトリから常連のお客様を探す
+// POST: { givenName, familyName, email, idempotencyKey } で確認した電話番号のお客様を登録（既にいればその方を返す）
+// 返すのは本人が見分けられる程度の情報（伏せたお名前・電話番号の下4桁・伏せたメールアドレス）だけ
+
+const { validateCustomerPayload } = require('../server/schema');
+const { getParsedBody } = require('../server/http');
+const {
+  CustomerError,
+  createCustomer,
+  searchCustomers,
+  summarizeCustomer,
+} = require('../server/customers');
+const {
+  VerificationError,
+  requireCustomerPhone,
+} = require('../server/verification');
+const { client: square, sendSquareError } = require('../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, X-Customer-Token',
+  );
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const phone = requireCustomerPhone(req);
+
+    if (req.method === 'POST') {
+      let payload;
+      try {
+        payload = await getParsedBody(req);
+      } catch {
+        res.status(400).json({ error: 'Bad Request' });
+        return;
+      }
+
+      if (!validateCustomerPayload(payload)) {
+        res.status(400).json({ error: 'Bad Request' });
+        return;
+      }
+
+      const { customer, created } = await createCustomer(square, {
+        ...payload,
+        phone,
+      });
+      res
+        .status(created ? 201 : 200)
+        .json({ customer: summarizeCustomer(customer), created });
+      return;
+    }
+
+    const customers = await searchCustomers(square, { phone });
+    res.status(200).json({ customers: customers.map(summarizeCustomer) });
+  } catch (ex) {
+    if (ex instanceof CustomerError || ex instanceof VerificationError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
@@ -0,0 +1,73 @@
+// Vercel Serverless Function: GET /api/customers/:id/cards
+// お客様の登録済みカード（無効にしたものを除く）を返す。キオスクは電話番号で見つけたお客様のカードで支払う
+// X-Customer-Token ヘッダーで確認した電話番号のお客様でなければ CUSTOMER_NOT_FOUND で断る
+
+const { getPathParam } = require('../../../server/http');
+const {
+  CustomerError,
+  getOwnCustomer,
+  listCards,
+  summarizeCard,
+  summarizeCustomer,
+} = require('../../../server/customers');
+const {
+  VerificationError,
+  requireCustomerPhone,
+} = require('../../../server/verification');
+const {
+  client: square,
+  sendSquareError,
+} = require('../../../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, X-Customer-Token',
+  );
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const customer_id = getPathParam(req, 'id');
+  if (!customer_id) {
+    res.status(400).json({ error: 'customer id is required' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const customer = await getOwnCustomer(
+      square,
+      customer_id,
+      requireCustomerPhone(req),
+    );
+    const cards = await listCards(square, customer_id);
+    res.status(200).json({
+      customer: summarizeCustomer(customer),
+      cards: cards.map(summarizeCard),
+    });
+  } catch (ex) {
+    if (ex instanceof CustomerError || ex instanceof VerificationError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
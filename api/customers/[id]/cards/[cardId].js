@@ -0,0 +1,60 @@
+// Vercel Serverless Function: DELETE /api/customers/:id/cards/:cardId（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// お客様の登録済みカードを無効にする（Square のカードは削除できないため Disable Card を使う）
+
+const { getPathParam } = require('../../../../server/http');
+const {
+  CustomerError,
+  disableCard,
+  summarizeCard,
+} = require('../../../../server/customers');
+const { requireStaff } = require('../../../../server/staff');
+const {
+  client: square,
+  sendSquareError,
+} = require('../../../../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'DELETE') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  const customer_id = getPathParam(req, 'id');
+  const card_id = getPathParam(req, 'cardId');
+  if (!customer_id || !card_id) {
+    res.status(400).json({ error: 'customer id and card id are required' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const card = await disableCard(square, customer_id, card_id);
+    console.log('Card disabled:', card.id);
+    res.status(200).json({ card: summarizeCard(card) });
+  } catch (ex) {
+    if (ex instanceof CustomerError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
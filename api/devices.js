@@ -0,0 +1,91 @@
+// Vercel Serverless Function: /api/devices（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// GET: ロケーションのターミナル用デバイスコードとペアリング状態、レジごとのターミナル
+// POST: { register } でレジ用のデバイスコードを作成（ターミナルでそのコードを入力してサインインするとペアリング完了）
+// 店舗は ?location=shibuya（または ?locationId=）で選ぶ
+
+const { validateDeviceCodePayload } = require('../server/schema');
+const { getParsedBody } = require('../server/http');
+const {
+  DeviceError,
+  createDeviceCode,
+  defaultDeviceId,
+  listDeviceCodes,
+  pairedRegisters,
+  summarizeDeviceCode,
+} = require('../server/devices');
+const { requireLocation } = require('../server/locations');
+const { requireStaff } = require('../server/staff');
+const { client: square, sendSquareError } = require('../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  const location = requireLocation(req, res);
+  if (!location) return;
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    if (req.method === 'POST') {
+      let payload;
+      try {
+        payload = await getParsedBody(req);
+      } catch {
+        res.status(400).json({ error: 'Bad Request' });
+        return;
+      }
+
+      if (!validateDeviceCodePayload(payload)) {
+        res.status(400).json({ error: 'Bad Request' });
+        return;
+      }
+
+      const deviceCode = await createDeviceCode(square, {
+        locationId: location.locationId,
+        register: payload.register.trim(),
+      });
+      console.log('Device code created:', deviceCode.register, deviceCode.id);
+      res.status(200).json({ deviceCode });
+      return;
+    }
+
+    const codes = await listDeviceCodes(square, location.locationId);
+    res.status(200).json({
+      // レジを指定しないチェックアウトの送信先（設定の device_id）
+      defaultDeviceId: defaultDeviceId(location),
+      registers: [...pairedRegisters(codes).values()].map((code) => ({
+        register: code.name,
+        deviceId: code.device_id,
+        pairedAt: code.paired_at || null,
+      })),
+      deviceCodes: codes.map(summarizeDeviceCode),
+    });
+  } catch (ex) {
+    if (ex instanceof DeviceError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
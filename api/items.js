@@ -1,27 +1,40 @@
 // Vercel Serverless Function: GET /api/items
-// Square Catalog API を fetch で呼び出し、商品（ITEM）一覧を返す
+// Square Catalog API を全ページ取得し、メニュー（商品・バリエーション・オプション・画像・カテゴリ）を返す
+// kiosk.html と card-charge.html はこの正規化済みの形をそのまま描画する
+// メニューはサーバー側でキャッシュし（server/catalog-cache.js）、ETag が一致すれば 304 を返す
+// 在庫（Inventory API と当日の手動売り切れ）は店舗ごとに数秒だけキャッシュし、バリエーションごとに付ける
+// ETag はメニューと在庫の両方から作るため、売り切れになれば 304 ではなく新しいメニューを返す
+// ?location=shibuya（または ?locationId=）で、その店舗で販売する商品と店舗の在庫に絞る
 
 BigInt.prototype.toJSON = function () {
   return this.toString();
 };
 
-const config = require('../server/config');
+const { etagOf, getCatalogCache } = require('../server/catalog-cache');
+const { getQueryParam } = require('../server/http');
+const { applyStock, getStockSnapshot } = require('../server/inventory');
+const {
+  LocationError,
+  filterMenu,
+  resolveLocation,
+} = require('../server/locations');
+const { client: square, sendSquareError } = require('../server/square-rest');
 
-const SQUARE_ACCESS_TOKEN =
-  process.env.SQUARE_ACCESS_TOKEN || config.SQUARE_ACCESS_TOKEN;
-
-const SQUARE_BASE_URL =
-  process.env.SQUARE_ENVIRONMENT === 'sandbox'
-    ? 'https://connect.squareupsandbox.com'
-    : 'https://connect.squareup.com';
-
-const SQUARE_API_VERSION = '2024-11-20';
+// If-None-Match は複数の ETag や W/ 付きで届くことがある
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header
+    .split(',')
+    .some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
 
 module.exports = async function handler(req, res) {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -33,34 +46,56 @@ module.exports = async function handler(req, res) {
     return;
   }
 
-  if (!SQUARE_ACCESS_TOKEN) {
+  if (!square.isConfigured()) {
     console.error('SQUARE_ACCESS_TOKEN is not set.');
     res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
     return;
   }
 
   try {
-    const url = `${SQUARE_BASE_URL}/v2/catalog/list?types=ITEM`;
-    const square_res = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Square-Version': SQUARE_API_VERSION,
-        Authorization: `Bearer ${SQUARE_ACCESS_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
+    const location = resolveLocation({
+      slug: getQueryParam(req, 'location'),
+      locationId: getQueryParam(req, 'locationId'),
     });
-
-    const data = await square_res.json();
-
-    if (!square_res.ok) {
-      console.error('Square Catalog API error:', square_res.status, data);
-      res.status(500).json(data);
+    const cached = await getCatalogCache().get();
+    const { fetchedAt, stale } = cached;
+    let menu = filterMenu(cached.menu, location);
+    let stock = null;
+    try {
+      stock = await getStockSnapshot(
+        square,
+        menu.items.flatMap((item) => item.variations.map((v) => v.id)),
+        { locationId: location.locationId },
+      );
+      menu = applyStock(menu, stock);
+    } catch (ex) {
+      // 在庫が取れなくてもメニューは出す（注文時に payment.js が再確認する）
+      console.error('Failed to load inventory counts:', ex.message);
+    }
+    // 店舗の絞り込みと在庫もレスポンスに含まれるので ETag に入れる
+    const etag = etagOf({
+      menu: cached.etag,
+      location: location.slug,
+      stock: stock && [...stock],
+    });
+    res.setHeader('ETag', etag);
+    // ブラウザにも毎回 ETag で再検証させる
+    res.setHeader('Cache-Control', 'no-cache');
+    if (matchesEtag(req.headers['if-none-match'], etag)) {
+      res.status(304).end();
       return;
     }
-
-    res.status(200).json(data);
+    res.status(200).json({
+      ...menu,
+      updatedAt: new Date(fetchedAt).toISOString(),
+      // Square に接続できず、前回取得したメニューを返している
+      stale,
+    });
   } catch (ex) {
-    console.error('Square Catalog API error:', ex);
-    res.status(500).json({ error: 'Internal Server Error' });
+    if (ex instanceof LocationError) {
+      res.status(ex.status).json({ error: ex.message, code: ex.code });
+      return;
+    }
+    sendSquareError(res, ex);
   }
 };
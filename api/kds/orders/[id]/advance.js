@@ -0,0 +1,74 @@
+// Vercel Serverless: POST /api/kds/orders/:id/advance（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// PICKUP フルフィルメントを 1 段階進める（受付 → 調理中 → 受け渡し待ち → お渡し済み）
+// body の version が注文の現在の version と違えば更新せず VERSION_MISMATCH（409）を返す
+
+const { validateKdsAdvancePayload } = require('../../../../server/schema');
+const { getParsedBody, getPathParam } = require('../../../../server/http');
+const { KdsError, advanceKitchenOrder } = require('../../../../server/kds');
+const {
+  SquareApiError,
+  client: square,
+  sendSquareError,
+} = require('../../../../server/square-rest');
+const { requireStaff } = require('../../../../server/staff');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  let payload;
+  try {
+    payload = await getParsedBody(req);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  const order_id = getPathParam(req, 'id');
+  if (!order_id || !validateKdsAdvancePayload(payload)) {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const order = await advanceKitchenOrder(square, order_id, {
+      version: payload.version,
+    });
+    console.log('KDS advanced:', order_id, order.state);
+    res.status(200).json({ order });
+  } catch (ex) {
+    if (ex instanceof KdsError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    if (ex instanceof SquareApiError && ex.status === 404) {
+      res.status(404).json({
+        error: '注文が見つかりません',
+        code: 'ORDER_NOT_FOUND',
+      });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
@@ -0,0 +1,62 @@
+// Vercel Serverless: GET /api/kds/orders[?location=|locationId=&since=&wait=]（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// キッチンディスプレイ（/kds）用に、支払い済みでお渡し前の PICKUP 注文を古い順に返す
+// since に前回の version を付けると、注文が変わるか wait 秒経つまで応答を待つ（ロングポーリング）
+
+const { getQueryParam } = require('../../../server/http');
+const { requireLocation } = require('../../../server/locations');
+const {
+  fetchKitchenOrders,
+  waitForKitchenOrders,
+} = require('../../../server/kds');
+const {
+  client: square,
+  sendSquareError,
+} = require('../../../server/square-rest');
+const { requireStaff } = require('../../../server/staff');
+
+// Vercel の関数の実行時間（vercel.json の maxDuration）より短くする
+const MAX_WAIT_SECONDS = 25;
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  const location = requireLocation(req, res);
+  if (!location) return;
+  const location_id = location.locationId;
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  const wait = Math.min(
+    Math.max(Number(getQueryParam(req, 'wait')) || 0, 0),
+    MAX_WAIT_SECONDS,
+  );
+
+  try {
+    const result = await waitForKitchenOrders(
+      () => fetchKitchenOrders(square, location_id),
+      { since: getQueryParam(req, 'since'), waitMs: wait * 1000 },
+    );
+    res.status(200).json(result);
+  } catch (ex) {
+    sendSquareError(res, ex);
+  }
+};
@@ -0,0 +1,63 @@
+// Vercel Serverless Function: GET /api/loyalty
+// ポイントプログラム（特典の一覧）と、X-Customer-Token ヘッダーで確認した電話番号のポイント残高を返す
+// プログラムがなければ program: null、会員でない・確認していなければ account: null（初回のお支払いで自動登録される）
+const {
+  LoyaltyError,
+  findAccount,
+  getProgram,
+  summarizeAccount,
+  summarizeProgram,
+} = require('../server/loyalty');
+const {
+  VerificationError,
+  optionalCustomerPhone,
+} = require('../server/verification');
+const { client: square, sendSquareError } = require('../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, X-Customer-Token',
+  );
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const phone = optionalCustomerPhone(req);
+    const program = await getProgram(square);
+    if (!program) {
+      res.status(200).json({ program: null, account: null });
+      return;
+    }
+    const account = phone ? await findAccount(square, phone) : null;
+    res.status(200).json({
+      program: summarizeProgram(program),
+      account: account ? summarizeAccount(account) : null,
+    });
+  } catch (ex) {
+    if (ex instanceof LoyaltyError || ex instanceof VerificationError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
@@ -0,0 +1,53 @@
+// Vercel Serverless: GET /api/orders/:id/status
+// お客様向けの注文状況（PICKUP フルフィルメントの状態）を返す。/order/:id ページがポーリングする
+
+const { getPathParam } = require('../../../server/http');
+const { getOrder, summarizeOrderStatus } = require('../../../server/orders');
+const {
+  SquareApiError,
+  client: square,
+  sendSquareError,
+} = require('../../../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const order_id = getPathParam(req, 'id');
+  if (!order_id) {
+    res.status(400).json({ error: 'order id is required' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const order = await getOrder(square, order_id);
+    res.status(200).json(summarizeOrderStatus(order));
+  } catch (ex) {
+    if (ex instanceof SquareApiError && ex.status === 404) {
+      res.status(404).json({
+        error: 'ご注文が見つかりません',
+        code: 'ORDER_NOT_FOUND',
+      });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
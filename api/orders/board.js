@@ -0,0 +1,39 @@
+// Vercel Serverless: GET /api/orders/board[?location=|locationId=]
+// 呼び出しボード（/board）用に、調理中とお渡し準備完了の注文の番号と名前を返す
+
+const { requireLocation } = require('../../server/locations');
+const { fetchPickupBoard } = require('../../server/orders');
+const { client: square, sendSquareError } = require('../../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const location = requireLocation(req, res);
+  if (!location) return;
+  const location_id = location.locationId;
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    res.status(200).json(await fetchPickupBoard(square, location_id));
+  } catch (ex) {
+    sendSquareError(res, ex);
+  }
+};
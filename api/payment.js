@@ -1,51 +1,66 @@
 // Vercel Serverless Function: POST /api/payment
 // 【注文作成 → 決済】の2段階フローで、Order と Payment を紐付け KDS/POS に表示させる
-// Square REST API を直接 fetch で呼び出し（SDK はサーバーレスでハングするため未使用）
+// Square REST API は server/square-rest 経由で呼び出し（SDK はサーバーレスでハングするため未使用）
+// loyaltyPhone があればお支払い後にポイントを付与し、rewardTierId の特典は請求前に注文の割引にする
+// ポイントの付与・特典の利用・残高の表示は、X-Customer-Token ヘッダーで loyaltyPhone を確認したご本人だけ
+// キャンペーン（promoCodes のクーポンと自動適用のもの）は注文の明細ごとの割引として Order に載せる
+// /api/cart/price の quoteToken があれば、明細と金額はクライアントの値ではなく見積もりから取る
+// 登録済みカード（customerId）での支払いは X-Customer-Token ヘッダーで確認したご本人だけ
 
 BigInt.prototype.toJSON = function () {
   return this.toString();
 };
 
 const { validatePaymentPayload } = require('../server/schema');
-const config = require('../server/config');
-
-const SQUARE_ACCESS_TOKEN =
-  process.env.SQUARE_ACCESS_TOKEN || config.SQUARE_ACCESS_TOKEN;
-
-const SQUARE_BASE_URL =
-  process.env.SQUARE_ENVIRONMENT === 'sandbox'
-    ? 'https://connect.squareupsandbox.com'
-    : 'https://connect.squareup.com';
-
-const SQUARE_API_VERSION = '2024-11-20';
-const SQUARE_REQUEST_TIMEOUT_MS = 20000;
-
-const crypto = require('crypto');
-
-function readBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', (chunk) => {
-      body += chunk;
-    });
-    req.on('end', () => resolve(body));
-    req.on('error', reject);
-  });
-}
-
-async function getParsedBody(req) {
-  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
-    return req.body;
-  }
-  const raw = await readBody(req);
-  return JSON.parse(raw || '{}');
-}
+const { getParsedBody } = require('../server/http');
+const { PricingError } = require('../server/pricing');
+const { createCheckoutOrder } = require('../server/checkout');
+const {
+  deriveIdempotencyKey,
+  fingerprint,
+  getIdempotencyStore,
+} = require('../server/idempotency');
+const {
+  CustomerError,
+  getOwnCustomer,
+  normalizePhone,
+} = require('../server/customers');
+const { InventoryError } = require('../server/inventory');
+const { LocationError, resolveLocation } = require('../server/locations');
+const {
+  LoyaltyError,
+  accruePoints,
+  applyReward,
+  releaseReward,
+} = require('../server/loyalty');
+const { cancelUnpaidOrder, getOrder } = require('../server/orders');
+const { PickupSlotError } = require('../server/pickup-slots');
+const {
+  PromotionError,
+  customerKeyOf,
+  recordRedemptions,
+} = require('../server/promotions');
+const { QuoteError } = require('../server/quotes');
+const { StoreHoursError } = require('../server/store-hours');
+const {
+  VerificationError,
+  optionalCustomerPhone,
+  requireCustomerPhone,
+} = require('../server/verification');
+const {
+  SquareApiError,
+  client: square,
+  sendSquareError,
+} = require('../server/square-rest');
 
 module.exports = async function handler(req, res) {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, X-Customer-Token',
+  );
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -65,14 +80,24 @@ module.exports = async function handler(req, res) {
     return;
   }
 
-  console.log('Body:', payload);
-
   if (!validatePaymentPayload(payload)) {
     res.status(400).json({ error: 'Bad Request' });
     return;
   }
 
-  if (!SQUARE_ACCESS_TOKEN) {
+  // ポイントの電話番号は請求前に確かめる（お支払い後の付与で失敗しないように）
+  if (
+    (payload.loyaltyPhone && !normalizePhone(payload.loyaltyPhone)) ||
+    (payload.rewardTierId && !payload.loyaltyPhone)
+  ) {
+    res.status(400).json({
+      error: 'ポイントの電話番号を正しく入力してください',
+      code: 'INVALID_PHONE',
+    });
+    return;
+  }
+
+  if (!square.isConfigured()) {
     console.error('SQUARE_ACCESS_TOKEN is not set.');
     res.status(500).json({
       error: 'SQUARE_ACCESS_TOKEN not configured',
@@ -81,182 +106,234 @@ module.exports = async function handler(req, res) {
     return;
   }
 
-  const amount_num = payload.amount != null ? Number(payload.amount) : 940;
-  const location_id = process.env.LOCATION_ID || payload.locationId;
-  const catalog_object_id = payload.catalog_object_id
-    ? String(payload.catalog_object_id).trim()
-    : null;
+  // 店舗（payload.location の slug と locationId）。食い違えば LOCATION_MISMATCH で断り、
+  // 注文と決済を必ず同じロケーションで作成する
+  let location;
+  try {
+    location = resolveLocation({
+      slug: payload.location,
+      locationId: payload.locationId,
+    });
+  } catch (ex) {
+    if (!(ex instanceof LocationError)) throw ex;
+    res
+      .status(ex.status)
+      .json({ error: ex.message, code: ex.code, ...ex.detail });
+    return;
+  }
+  const location_id = location.locationId;
   const product_name = (payload.productName || 'バインミー').slice(0, 200);
-  const pickup_display_name = (payload.customerName || 'Customer').slice(
-    0,
-    100,
-  );
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(
-    () => controller.abort(),
-    SQUARE_REQUEST_TIMEOUT_MS,
-  );
 
-  const square_headers = {
-    'Square-Version': SQUARE_API_VERSION,
-    Authorization: `Bearer ${SQUARE_ACCESS_TOKEN}`,
-    'Content-Type': 'application/json',
-  };
+  // 同じ idempotencyKey での再送（504 後のリトライなど）は最初の結果を返す
+  const idempotency = getIdempotencyStore();
+  const record_key = `payment:${payload.idempotencyKey}`;
+  const request_fingerprint = fingerprint(payload);
 
   try {
-    // ========== 1. 注文の作成 (Orders API) → KDS/POS に表示される Order を生成 ==========
-    const order_idempotency_key = crypto.randomUUID();
-    let order_line_items;
-
-    if (Array.isArray(payload.line_items) && payload.line_items.length > 0) {
-      order_line_items = payload.line_items.map((item) => {
-        const id_from_item =
-          item.catalog_object_id ||
-          item.catalogObjectId ||
-          item.variationId ||
-          item.variation_id;
-
-        const quantity = String(item.quantity != null ? item.quantity : '1');
-
-        // カタログID/バリエーションIDがある場合は ID のみで作成（Ad-hocにならないようにする）
-        if (id_from_item) {
-          return {
-            catalog_object_id: String(id_from_item),
-            quantity,
-          };
-        }
-
-        // ID がない場合のみ、フォールバックとして name + base_price_money を使う
-        return {
-          name: (item.name || product_name).slice(0, 512),
-          quantity,
-          base_price_money: {
-            amount: Number(item.base_price_money?.amount ?? amount_num),
-            currency: item.base_price_money?.currency || 'JPY',
-          },
-        };
-      });
-    } else if (catalog_object_id) {
-      order_line_items = [{ catalog_object_id, quantity: '1' }];
-    } else {
-      order_line_items = [
-        {
-          name: product_name,
-          quantity: '1',
-          base_price_money: { amount: amount_num, currency: 'JPY' },
-        },
-      ];
+    // 登録済みカードは、確認した電話番号のお客様のものでなければ請求しない
+    if (payload.customerId) {
+      await getOwnCustomer(
+        square,
+        payload.customerId,
+        requireCustomerPhone(req),
+      );
     }
 
-    const order_body = {
-      idempotency_key: order_idempotency_key,
-      order: {
-        location_id,
-        line_items: order_line_items,
-        fulfillments: [
-          {
-            type: 'PICKUP',
-            state: 'PROPOSED',
-            pickup_details: {
-              recipient: {
-                display_name: pickup_display_name,
-              },
-              pickup_at: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
-            },
-          },
-        ],
-      },
-    };
-
-    const order_res = await fetch(`${SQUARE_BASE_URL}/v2/orders`, {
-      method: 'POST',
-      headers: square_headers,
-      body: JSON.stringify(order_body),
-      signal: controller.signal,
-    });
-    const order_data = await order_res.json();
+    // お一人様の回数制限があるキャンペーンは、確認コードで確かめた電話番号で数える
+    const verified_phone = optionalCustomerPhone(req);
+    const customerKey = customerKeyOf(verified_phone);
+
+    // ポイントは確認コードで確かめた電話番号にだけ付与する（他人の番号を会員登録させない）
+    if (
+      payload.loyaltyPhone &&
+      verified_phone !== normalizePhone(payload.loyaltyPhone)
+    ) {
+      throw new VerificationError(
+        'CUSTOMER_VERIFICATION_REQUIRED',
+        'ポイントを使うには電話番号の確認が必要です',
+        { status: 401 },
+      );
+    }
 
-    if (!order_res.ok) {
-      clearTimeout(timeoutId);
-      const err_body = order_data.errors
-        ? { errors: order_data.errors }
-        : { error: order_data.message || 'Order creation failed' };
-      res.status(order_res.status).json(err_body);
+    const record = await idempotency.get(record_key);
+    if (record && record.fingerprint !== request_fingerprint) {
+      res.status(422).json({
+        error: '同じ idempotencyKey で異なる注文が送信されました',
+        code: 'IDEMPOTENCY_KEY_REUSED',
+      });
       return;
     }
-
-    const order_id = order_data.order?.id;
-    if (!order_id) {
-      clearTimeout(timeoutId);
-      res
-        .status(500)
-        .json({ error: 'Order created but no order id in response' });
+    if (record?.response) {
+      res.status(200).json(record.response);
       return;
     }
 
-    // ========== 2. 決済の作成 (Payments API) → order_id で Order と紐付け KDS/POS に反映 ==========
-    const payment_body = {
-      idempotency_key: payload.idempotencyKey,
-      location_id: payload.locationId,
-      source_id: payload.sourceId,
-      amount_money: { amount: amount_num, currency: 'JPY' },
-      order_id,
-    };
+    let order = record?.orderId ? await getOrder(square, record.orderId) : null;
+
+    if (!order) {
+      // 営業中か・見積もり（quoteToken）・金額の算出・店舗のメニュー・在庫・お受け取り時間・呼び出し番号を確かめて
+      // 注文を作成する（server/checkout.js。/api/terminal-checkout と同じ）。クライアントの amount は照合にのみ使う。
+      // 回数制限のあるキャンペーンは、確認した電話番号のお客様を注文に付けて Square に数えてもらう
+      order = await createCheckoutOrder(square, payload, {
+        location,
+        squareKey: (scope) =>
+          deriveIdempotencyKey(scope, payload.idempotencyKey),
+        customerKey,
+        verifiedPhone: verified_phone,
+        customerId: payload.customerId || null,
+      });
+      await idempotency.set(record_key, {
+        fingerprint: request_fingerprint,
+        orderId: order.id,
+      });
+    }
 
-    if (payload.customerId) payment_body.customer_id = payload.customerId;
-    if (payload.verificationToken)
-      payment_body.verification_token = payload.verificationToken;
+    const order_id = order.id;
+
+    // 前回の試行で決済済みなら Order の tenders に載っているので、新たに請求しない
+    const tender = (order.tenders || []).find((t) => t.payment_id || t.id);
+
+    // ========== 1.5 特典の利用 (Loyalty API) → 割引を Order に付けてから請求する ==========
+    // 再送で特典が付いていれば付け直さない。キーに Order の version を含めるため、
+    // カードが拒否されて特典を取り消した後の再試行では新しい特典になる
+    let issued_reward = null;
+    if (payload.rewardTierId && !tender && !order.rewards?.length) {
+      ({ reward: issued_reward } = await applyReward(square, {
+        phone: verified_phone,
+        rewardTierId: payload.rewardTierId,
+        orderId: order_id,
+        idempotencyKey: deriveIdempotencyKey(
+          'reward',
+          `${payload.idempotencyKey}:${order.version}`,
+        ),
+      }));
+      order = await getOrder(square, order_id);
+    }
+    const order_total = Number(order.total_money?.amount);
 
-    if (payload.customerName || payload.productName) {
-      const customer_name = (payload.customerName || '（未入力）').slice(
-        0,
-        100,
+    // ========== 2. 決済の作成 (Payments API) → order_id で Order と紐付け KDS/POS に反映 ==========
+    let payment_response;
+    if (tender) {
+      const { payment } = await square.get(
+        `/v2/payments/${encodeURIComponent(tender.payment_id || tender.id)}`,
       );
-      const customer_notes = (payload.customerNotes || '').trim().slice(0, 200);
-      const note = customer_notes
-        ? `${product_name} / ${customer_name} / ${customer_notes}`
-        : `${product_name} / ${customer_name}`;
-      payment_body.note = note.slice(0, 500);
+      payment_response = payment;
+    } else {
+      const payment_body = {
+        idempotency_key: payload.idempotencyKey,
+        location_id,
+        source_id: payload.sourceId,
+        amount_money: { amount: order_total, currency: 'JPY' },
+        order_id,
+      };
+
+      if (payload.customerId) payment_body.customer_id = payload.customerId;
+      if (payload.verificationToken)
+        payment_body.verification_token = payload.verificationToken;
+
+      if (payload.customerName || payload.productName) {
+        const customer_name = (payload.customerName || '（未入力）').slice(
+          0,
+          100,
+        );
+        const customer_notes = (payload.customerNotes || '')
+          .trim()
+          .slice(0, 200);
+        const note = customer_notes
+          ? `${product_name} / ${customer_name} / ${customer_notes}`
+          : `${product_name} / ${customer_name}`;
+        payment_body.note = note.slice(0, 500);
+      }
+
+      let payment_data;
+      try {
+        payment_data = await square.post('/v2/payments', payment_body);
+      } catch (ex) {
+        // 拒否されたら特典を取り消してポイントを戻す（タイムアウトは決済済みかもしれないので残す）
+        if (issued_reward && ex instanceof SquareApiError && !ex.timedOut) {
+          await releaseReward(square, issued_reward.id).catch((release_ex) =>
+            console.error('Failed to release reward:', release_ex.message),
+          );
+        }
+        // カードが拒否された注文は取り消してお受け取り枠を空ける（5xx は同じキーで再送されるので残す）
+        if (ex instanceof SquareApiError && !ex.timedOut && ex.status < 500) {
+          await cancelUnpaidOrder(square, order_id).catch((cancel_ex) =>
+            console.error('Failed to cancel unpaid order:', cancel_ex.message),
+          );
+        }
+        throw ex;
+      }
+      payment_response = payment_data.payment;
     }
 
-    const payment_res = await fetch(`${SQUARE_BASE_URL}/v2/payments`, {
-      method: 'POST',
-      headers: square_headers,
-      body: JSON.stringify(payment_body),
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-
-    const payment_data = await payment_res.json();
+    // キャンペーンの利用回数を記録（再送で同じ注文を記録しても 1 回）
+    try {
+      await recordRedemptions(order, customerKey, { square });
+    } catch (ex) {
+      console.error('Failed to record promotion redemptions:', ex.message);
+    }
 
-    if (!payment_res.ok) {
-      const err_body = payment_data.errors
-        ? { errors: payment_data.errors }
-        : { error: payment_data.message || 'Payment failed' };
-      res.status(payment_res.status).json(err_body);
-      return;
+    // ========== 3. ポイントの付与 (Loyalty API) → 失敗してもお支払いは成功として返す ==========
+    let loyalty = null;
+    if (payload.loyaltyPhone) {
+      try {
+        loyalty = await accruePoints(square, {
+          phone: verified_phone,
+          orderId: order_id,
+          locationId: location_id,
+          idempotencyKey: deriveIdempotencyKey(
+            'loyalty',
+            payload.idempotencyKey,
+          ),
+        });
+      } catch (ex) {
+        console.error('Failed to accrue loyalty points:', ex.message);
+      }
+      if (loyalty) {
+        loyalty.reward =
+          (order.discounts || []).find((d) => d.reward_ids?.length)?.name ||
+          null;
+      }
     }
 
-    const payment_response = payment_data.payment;
-    res.status(200).json({
+    const response = {
       success: true,
       payment: {
         id: payment_response.id,
         status: payment_response.status,
         receiptUrl: payment_response.receipt_url,
         orderId: payment_response.order_id,
+        pickupNumber: order.reference_id || null,
       },
+      loyalty,
+    };
+    await idempotency.set(record_key, {
+      fingerprint: request_fingerprint,
+      orderId: order_id,
+      response,
     });
+    res.status(200).json(response);
   } catch (ex) {
-    clearTimeout(timeoutId);
-    if (ex.name === 'AbortError') {
-      res.status(504).json({
-        error: '通信がタイムアウトしました。しばらくして再度お試しください！',
-      });
+    if (
+      ex instanceof PricingError ||
+      ex instanceof InventoryError ||
+      ex instanceof PickupSlotError ||
+      ex instanceof StoreHoursError ||
+      ex instanceof PromotionError ||
+      ex instanceof QuoteError ||
+      ex instanceof LocationError ||
+      ex instanceof LoyaltyError ||
+      ex instanceof CustomerError ||
+      ex instanceof VerificationError
+    ) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
       return;
     }
-    console.error('Square API error:', ex);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendSquareError(res, ex, {
+      timeoutMessage:
+        '通信がタイムアウトしました。しばらくして再度お試しください！',
+    });
   }
 };
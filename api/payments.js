@@ -0,0 +1,57 @@
+// Vercel Serverless Function: GET /api/payments（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// 返金画面用に直近の決済と返金可能額を返す
+// 店舗は ?location=shibuya（または ?locationId=）で選ぶ。locationId のない 1 店舗構成ではすべての決済
+
+const { getQueryParam } = require('../server/http');
+const { requireLocation } = require('../server/locations');
+const { summarizePayment } = require('../server/refunds');
+const { requireStaff } = require('../server/staff');
+const { client: square, sendSquareError } = require('../server/square-rest');
+
+const DEFAULT_LIMIT = 30;
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  const location = requireLocation(req, res, { needsLocationId: false });
+  if (!location) return;
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  const limit = Math.min(
+    Number(getQueryParam(req, 'limit')) || DEFAULT_LIMIT,
+    100,
+  );
+  const params = new URLSearchParams({
+    sort_order: 'DESC',
+    limit: String(limit),
+  });
+  if (location.locationId) params.set('location_id', location.locationId);
+
+  try {
+    const data = await square.get(`/v2/payments?${params}`);
+    res.status(200).json({
+      payments: (data.payments || []).map(summarizePayment),
+    });
+  } catch (ex) {
+    sendSquareError(res, ex);
+  }
+};
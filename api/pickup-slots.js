@@ -0,0 +1,45 @@
+// Vercel Serverless: GET /api/pickup-slots[?location=|locationId=]
+// 注文ページのお受け取り時間の選択肢（営業時間内の枠と残りの受付数）を返す
+// 決済時には payment.js / terminal-checkout.js が同じ条件で枠を再確認する
+
+const { requireLocation } = require('../server/locations');
+const { getPickupSlots, slotSettings } = require('../server/pickup-slots');
+const { client: square, sendSquareError } = require('../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const location = requireLocation(req, res);
+  if (!location) return;
+  const location_id = location.locationId;
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    res.status(200).json(
+      await getPickupSlots(square, {
+        locationId: location_id,
+        settings: slotSettings(location),
+      }),
+    );
+  } catch (ex) {
+    sendSquareError(res, ex);
+  }
+};
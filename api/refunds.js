@@ -0,0 +1,79 @@
+// Vercel Serverless Function: POST /api/refunds（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// api/payment.js が返す決済 ID または注文 ID を指定して、全額または一部を返金する
+
+const { validateRefundPayload } = require('../server/schema');
+const { getParsedBody } = require('../server/http');
+const { RefundError, createRefund } = require('../server/refunds');
+const { requireStaff } = require('../server/staff');
+const { client: square, sendSquareError } = require('../server/square-rest');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  let payload;
+  try {
+    payload = await getParsedBody(req);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (
+    !validateRefundPayload(payload) ||
+    !(payload.paymentId || payload.orderId) ||
+    !payload.reason.trim()
+  ) {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  try {
+    const refund = await createRefund(square, {
+      paymentId: payload.paymentId,
+      orderId: payload.orderId,
+      amount: payload.amount,
+      reason: payload.reason.trim().slice(0, 192),
+      idempotencyKey: payload.idempotencyKey,
+    });
+
+    console.log('Refund created:', refund.id, refund.status);
+    res.status(200).json({
+      success: true,
+      refund: {
+        id: refund.id,
+        status: refund.status,
+        amount: Number(refund.amount_money?.amount),
+        paymentId: refund.payment_id,
+        orderId: refund.order_id,
+      },
+    });
+  } catch (ex) {
+    if (ex instanceof RefundError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
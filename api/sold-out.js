@@ -0,0 +1,90 @@
+// Vercel Serverless Function: /api/sold-out（スタッフ専用・X-Staff-Pin ヘッダー必須）
+// GET: 本日手動で売り切れにしたバリエーション ID の一覧
+// POST: { variationIds, soldOut } で売り切れの設定・解除（日付が変わると自動で解除）
+// 売り切れは店舗ごと（?location=shibuya または ?locationId=）。Square のバリエーションに保存する
+
+const { validateSoldOutPayload } = require('../server/schema');
+const { getParsedBody } = require('../server/http');
+const {
+  InventoryError,
+  businessDate,
+  getSoldOutStore,
+  invalidateStockSnapshots,
+} = require('../server/inventory');
+const { requireLocation } = require('../server/locations');
+const { client: square, sendSquareError } = require('../server/square-rest');
+const { requireStaff } = require('../server/staff');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (!(await requireStaff(req, res))) return;
+
+  const location = requireLocation(req, res);
+  if (!location) return;
+
+  const store = getSoldOutStore();
+  const date = businessDate();
+  const context = { square, locationId: location.locationId };
+
+  try {
+    if (req.method === 'POST') {
+      let payload;
+      try {
+        payload = await getParsedBody(req);
+      } catch {
+        res.status(400).json({ error: 'Bad Request' });
+        return;
+      }
+
+      if (
+        !validateSoldOutPayload(payload) ||
+        payload.variationIds.length === 0 ||
+        payload.variationIds.some((id) => !id.trim())
+      ) {
+        res.status(400).json({ error: 'Bad Request' });
+        return;
+      }
+
+      try {
+        for (const id of payload.variationIds) {
+          await store.set(date, id.trim(), payload.soldOut, context);
+        }
+      } finally {
+        // /api/items の在庫のキャッシュに売り切れをすぐ反映する
+        invalidateStockSnapshots();
+      }
+      console.log(
+        'Sold out updated:',
+        location.slug,
+        payload.variationIds,
+        payload.soldOut,
+      );
+    }
+
+    res
+      .status(200)
+      .json({ date, variationIds: await store.list(date, context) });
+  } catch (ex) {
+    if (ex instanceof InventoryError) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
+      return;
+    }
+    sendSquareError(res, ex);
+  }
+};
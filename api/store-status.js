@@ -0,0 +1,82 @@
+// Vercel Serverless Function: /api/store-status
+// GET: 営業中かどうか（営業時間・休業日・臨時休業・ラストオーダー、日本時間）と次の営業開始時刻
+// POST（スタッフ専用・X-Staff-Pin ヘッダー必須）: { closed, until?, message? } で臨時休業の設定・解除
+// 店舗は ?location=shibuya（または ?locationId=）で選ぶ。営業時間と臨時休業は店舗ごと
+// 臨時休業は Square のロケーションのカスタム属性に保存し、すべてのインスタンスで共有する
+
+const { validateStoreClosurePayload } = require('../server/schema');
+const { getParsedBody } = require('../server/http');
+const { requireLocation } = require('../server/locations');
+const { client: square, sendSquareError } = require('../server/square-rest');
+const { requireStaff } = require('../server/staff');
+const { getClosureStore, getStoreStatus } = require('../server/store-hours');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Staff-Pin');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  if (req.method === 'POST' && !(await requireStaff(req, res))) return;
+
+  // 臨時休業の設定には locationId が要る
+  const location = requireLocation(req, res, {
+    needsLocationId: req.method === 'POST',
+  });
+  if (!location) return;
+
+  if (req.method === 'POST') {
+    let payload;
+    try {
+      payload = await getParsedBody(req);
+    } catch {
+      res.status(400).json({ error: 'Bad Request' });
+      return;
+    }
+
+    if (
+      !validateStoreClosurePayload(payload) ||
+      (payload.until != null && Number.isNaN(Date.parse(payload.until)))
+    ) {
+      res.status(400).json({ error: 'Bad Request' });
+      return;
+    }
+
+    // until がなければスタッフが解除するまで休業
+    try {
+      await getClosureStore().set(
+        location.slug,
+        payload.closed
+          ? {
+              until: payload.until
+                ? new Date(payload.until).toISOString()
+                : null,
+              message: (payload.message || '').trim().slice(0, 100) || null,
+            }
+          : null,
+        { square, locationId: location.locationId },
+      );
+    } catch (ex) {
+      sendSquareError(res, ex);
+      return;
+    }
+    console.log('Store closure updated:', location.slug, payload);
+  }
+
+  try {
+    res.status(200).json(await getStoreStatus({ location, square }));
+  } catch (ex) {
+    sendSquareError(res, ex);
+  }
+};
@@ -1,46 +1,31 @@
 // Vercel Serverless: POST /api/terminal-checkout
 // 注文を作成し、Square Terminal にチェックアウトを送信（店頭でカード決済）
+// 注文は payment.js と同じく server/checkout.js で作る（quoteToken があればその見積もりの明細と金額で）
 
 BigInt.prototype.toJSON = function () {
   return this.toString();
 };
 
-const { validatePaymentPayload } = require('../server/schema');
-const config = require('../server/config');
-
-const SQUARE_ACCESS_TOKEN =
-  process.env.SQUARE_ACCESS_TOKEN || config.SQUARE_ACCESS_TOKEN;
-const SQUARE_TERMINAL_DEVICE_ID =
-  process.env.SQUARE_TERMINAL_DEVICE_ID || '';
-
-const SQUARE_BASE_URL =
-  process.env.SQUARE_ENVIRONMENT === 'sandbox'
-    ? 'https://connect.squareupsandbox.com'
-    : 'https://connect.squareup.com';
-
-const SQUARE_API_VERSION = '2024-11-20';
-const SQUARE_REQUEST_TIMEOUT_MS = 20000;
-
 const crypto = require('crypto');
 
-function readBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', (chunk) => {
-      body += chunk;
-    });
-    req.on('end', () => resolve(body));
-    req.on('error', reject);
-  });
-}
-
-async function getParsedBody(req) {
-  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
-    return req.body;
-  }
-  const raw = await readBody(req);
-  return JSON.parse(raw || '{}');
-}
+const { validateTerminalCheckoutPayload } = require('../server/schema');
+const { getParsedBody } = require('../server/http');
+const { PricingError } = require('../server/pricing');
+const { createCheckoutOrder } = require('../server/checkout');
+const {
+  deriveIdempotencyKey,
+  fingerprint,
+  getIdempotencyStore,
+} = require('../server/idempotency');
+const { DeviceError, resolveTerminal } = require('../server/devices');
+const { InventoryError } = require('../server/inventory');
+const { LocationError, resolveLocation } = require('../server/locations');
+const { getOrder } = require('../server/orders');
+const { PickupSlotError } = require('../server/pickup-slots');
+const { PromotionError } = require('../server/promotions');
+const { QuoteError } = require('../server/quotes');
+const { StoreHoursError } = require('../server/store-hours');
+const { client: square, sendSquareError } = require('../server/square-rest');
 
 module.exports = async function handler(req, res) {
   res.setHeader('Content-Type', 'application/json');
@@ -66,125 +51,89 @@ module.exports = async function handler(req, res) {
     return;
   }
 
-  // ターミナル用: sourceId は不要。amount, locationId は必須
-  if (
-    payload.amount == null ||
-    !payload.locationId
-  ) {
-    res.status(400).json({ error: 'Bad Request', detail: 'amount and locationId are required' });
+  // ターミナル用: sourceId は不要。locationId は必須、金額はサーバーで算出
+  if (!validateTerminalCheckoutPayload(payload)) {
+    res.status(400).json({ error: 'Bad Request' });
     return;
   }
 
-  if (!SQUARE_ACCESS_TOKEN) {
+  if (!square.isConfigured()) {
     res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
     return;
   }
 
-  if (!SQUARE_TERMINAL_DEVICE_ID) {
-    res.status(500).json({
-      error: 'SQUARE_TERMINAL_DEVICE_ID not configured',
-      hint: 'Vercel / .env.sandbox に SQUARE_TERMINAL_DEVICE_ID（ターミナル端末の device_id）を設定してください。',
+  // 店舗（payment.js と同じ）
+  let location;
+  try {
+    location = resolveLocation({
+      slug: payload.location,
+      locationId: payload.locationId,
     });
+  } catch (ex) {
+    if (!(ex instanceof LocationError)) throw ex;
+    res
+      .status(ex.status)
+      .json({ error: ex.message, code: ex.code, ...ex.detail });
     return;
   }
-
-  const amount_num = Number(payload.amount) || 940;
-  const location_id = process.env.LOCATION_ID || payload.locationId;
-  const catalog_object_id = payload.catalog_object_id
-    ? String(payload.catalog_object_id).trim()
-    : null;
   const product_name = (payload.productName || 'バインミー').slice(0, 200);
-  const pickup_display_name = (payload.customerName || 'Customer').slice(0, 100);
 
-  const square_headers = {
-    'Square-Version': SQUARE_API_VERSION,
-    Authorization: `Bearer ${SQUARE_ACCESS_TOKEN}`,
-    'Content-Type': 'application/json',
-  };
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), SQUARE_REQUEST_TIMEOUT_MS);
+  // idempotencyKey があれば再送時に同じ注文・チェックアウトを返す（payment.js と同じ）
+  const client_key = payload.idempotencyKey;
+  const idempotency = getIdempotencyStore();
+  const record_key = `terminal:${client_key}`;
+  const request_fingerprint = fingerprint(payload);
+  const square_key = (scope) =>
+    client_key
+      ? deriveIdempotencyKey(scope, client_key)
+      : crypto.randomUUID().slice(0, 45);
 
   try {
-    // 1. 注文作成（payment.js と同じ）
-    const order_idempotency_key = crypto.randomUUID();
-    let order_line_items;
-
-    if (Array.isArray(payload.line_items) && payload.line_items.length > 0) {
-      order_line_items = payload.line_items.map((item) => {
-        const id_from_item =
-          item.catalog_object_id ||
-          item.catalogObjectId ||
-          item.variationId ||
-          item.variation_id;
-        const quantity = String(item.quantity != null ? item.quantity : '1');
-        if (id_from_item) {
-          return { catalog_object_id: String(id_from_item), quantity };
-        }
-        return {
-          name: (item.name || product_name).slice(0, 512),
-          quantity,
-          base_price_money: {
-            amount: Number(item.base_price_money?.amount ?? amount_num),
-            currency: item.base_price_money?.currency || 'JPY',
-          },
-        };
+    const record = client_key ? await idempotency.get(record_key) : undefined;
+    if (record && record.fingerprint !== request_fingerprint) {
+      res.status(422).json({
+        error: '同じ idempotencyKey で異なる注文が送信されました',
+        code: 'IDEMPOTENCY_KEY_REUSED',
       });
-    } else if (catalog_object_id) {
-      order_line_items = [{ catalog_object_id, quantity: '1' }];
-    } else {
-      order_line_items = [
-        {
-          name: product_name,
-          quantity: '1',
-          base_price_money: { amount: amount_num, currency: 'JPY' },
-        },
-      ];
+      return;
     }
-
-    const order_body = {
-      idempotency_key: order_idempotency_key,
-      order: {
-        location_id,
-        line_items: order_line_items,
-        fulfillments: [
-          {
-            type: 'PICKUP',
-            state: 'PROPOSED',
-            pickup_details: {
-              recipient: { display_name: pickup_display_name },
-              pickup_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
-            },
-          },
-        ],
-      },
-    };
-
-    const order_res = await fetch(`${SQUARE_BASE_URL}/v2/orders`, {
-      method: 'POST',
-      headers: square_headers,
-      body: JSON.stringify(order_body),
-      signal: controller.signal,
-    });
-    const order_data = await order_res.json();
-
-    if (!order_res.ok) {
-      clearTimeout(timeoutId);
-      res
-        .status(order_res.status)
-        .json(order_data.errors ? { errors: order_data.errors } : { error: order_data.message || 'Order creation failed' });
+    if (record?.response) {
+      res.status(200).json(record.response);
       return;
     }
 
-    const order_id = order_data.order?.id;
-    if (!order_id) {
-      clearTimeout(timeoutId);
-      res.status(500).json({ error: 'Order created but no order id in response' });
+    // 送信先のターミナル: payload.register（キオスク画面・レジ）にペアリングした端末、
+    // なければ店舗の terminalDeviceId・SQUARE_TERMINAL_DEVICE_ID（server/devices.js）
+    const device_id = await resolveTerminal(square, location, payload.register);
+    if (!device_id) {
+      res.status(500).json({
+        error: 'SQUARE_TERMINAL_DEVICE_ID not configured',
+        hint: 'スタッフ用のターミナル登録（/staff/devices.html）でペアリングするか、Vercel / .env.sandbox に SQUARE_TERMINAL_DEVICE_ID（ターミナル端末の device_id）を設定してください。',
+      });
       return;
     }
 
+    let order = record?.orderId ? await getOrder(square, record.orderId) : null;
+
+    if (!order) {
+      // 注文の作成（server/checkout.js。payment.js と同じ）。ターミナルではお客様が分からないため、
+      // 回数制限のあるキャンペーンは使えない
+      order = await createCheckoutOrder(square, payload, {
+        location,
+        squareKey: square_key,
+      });
+      if (client_key) {
+        await idempotency.set(record_key, {
+          fingerprint: request_fingerprint,
+          orderId: order.id,
+        });
+      }
+    }
+
+    const order_id = order.id;
+    const order_total = Number(order.total_money?.amount);
+
     // 2. Terminal Checkout 作成（ターミナルに送信）
-    const checkout_idempotency = crypto.randomUUID().slice(0, 64);
     const customer_name = (payload.customerName || '（未入力）').slice(0, 100);
     const customer_notes = (payload.customerNotes || '').trim().slice(0, 200);
     const note = customer_notes
@@ -192,52 +141,59 @@ module.exports = async function handler(req, res) {
       : `${product_name} / ${customer_name}`;
 
     const checkout_body = {
-      idempotency_key: checkout_idempotency,
+      idempotency_key: square_key('checkout'),
       checkout: {
-        amount_money: { amount: amount_num, currency: 'JPY' },
+        amount_money: { amount: order_total, currency: 'JPY' },
         order_id,
-        reference_id: order_id.slice(-8),
+        // ターミナルの画面と Dashboard に呼び出し番号を出す
+        reference_id: order.reference_id || order_id.slice(-8),
         note: note.slice(0, 500),
         device_options: {
-          device_id: SQUARE_TERMINAL_DEVICE_ID,
+          device_id,
           show_itemized_cart: true,
         },
       },
     };
 
-    const term_res = await fetch(`${SQUARE_BASE_URL}/v2/terminals/checkouts`, {
-      method: 'POST',
-      headers: square_headers,
-      body: JSON.stringify(checkout_body),
-      signal: controller.signal,
-    });
-    clearTimeout(timeoutId);
-
-    const term_data = await term_res.json();
-
-    if (!term_res.ok) {
-      res
-        .status(term_res.status)
-        .json(term_data.errors ? { errors: term_data.errors } : { error: term_data.message || 'Terminal checkout failed' });
-      return;
-    }
+    const term_data = await square.post(
+      '/v2/terminals/checkouts',
+      checkout_body,
+    );
 
     const checkout_id = term_data.checkout?.id;
     const status = term_data.checkout?.status || 'PENDING';
 
-    res.status(200).json({
+    const response = {
       success: true,
       checkoutId: checkout_id,
       orderId: order_id,
+      pickupNumber: order.reference_id || null,
       status,
-    });
+    };
+    if (client_key) {
+      await idempotency.set(record_key, {
+        fingerprint: request_fingerprint,
+        orderId: order_id,
+        response,
+      });
+    }
+    res.status(200).json(response);
   } catch (ex) {
-    clearTimeout(timeoutId);
-    if (ex.name === 'AbortError') {
-      res.status(504).json({ error: 'Request timed out' });
+    if (
+      ex instanceof PricingError ||
+      ex instanceof InventoryError ||
+      ex instanceof PickupSlotError ||
+      ex instanceof StoreHoursError ||
+      ex instanceof PromotionError ||
+      ex instanceof QuoteError ||
+      ex instanceof LocationError ||
+      ex instanceof DeviceError
+    ) {
+      res
+        .status(ex.status)
+        .json({ error: ex.message, code: ex.code, ...ex.detail });
       return;
     }
-    console.error('Terminal checkout error:', ex);
-    res.status(500).json({ error: 'Internal Server Error' });
+    sendSquareError(res, ex);
   }
 };
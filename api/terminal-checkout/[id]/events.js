@@ -0,0 +1,87 @@
+// Vercel Serverless: GET /api/terminal-checkout/:id/events（Server-Sent Events）
+// ターミナルチェックアウトの状態を、変わるたびに status イベント（terminal-checkout-status と同じ形）で送る
+// Webhook（terminal.checkout.updated）が届けばすぐに、届かなければ間隔を延ばしながらのポーリングで検知する（server/terminal-events.js）
+// COMPLETED・CANCELED を送ったら終了（ページ側で閉じる）。関数の実行時間（vercel.json の maxDuration）より前にいったん切り、EventSource の再接続で続ける
+// 始まった後に監視が失敗したら error イベントを送って終了する（ページはポーリングに切り替える）
+
+const { getPathParam } = require('../../../server/http');
+const logger = require('../../../server/logger');
+const {
+  client: square,
+  sendSquareError,
+} = require('../../../server/square-rest');
+const { watchCheckout } = require('../../../server/terminal-events');
+
+const STREAM_SECONDS = 25;
+// 切断後に EventSource が再接続するまでの時間
+const RETRY_MS = 1000;
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const checkout_id = getPathParam(req, 'id');
+
+  if (!square.isConfigured()) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  // 最初の状態が取れてからストリームを始める（存在しないチェックアウトは JSON のエラー）
+  let streaming = false;
+  const sendStatus = (summary) => {
+    if (!streaming) {
+      streaming = true;
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      // プロキシにバッファさせない
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.status(200);
+      res.write(`retry: ${RETRY_MS}\n\n`);
+    }
+    res.write(`event: status\ndata: ${JSON.stringify(summary)}\n\n`);
+  };
+
+  // ブラウザが閉じたら監視をやめる（keep-alive のソケットは閉じないのでレスポンスの close を見る）
+  const closed = new AbortController();
+  const abort = () => closed.abort();
+  res.on('close', abort);
+
+  try {
+    await watchCheckout(square, checkout_id, {
+      onChange: sendStatus,
+      signal: closed.signal,
+      durationMs: STREAM_SECONDS * 1000,
+    });
+  } catch (ex) {
+    if (!streaming) {
+      res.setHeader('Content-Type', 'application/json');
+      sendSquareError(res, ex);
+      return;
+    }
+    logger.error('Terminal checkout stream failed:', ex);
+    if (!closed.signal.aborted) {
+      res.write(
+        `event: error\ndata: ${JSON.stringify({
+          error: 'ターミナルの状態を取得できませんでした',
+        })}\n\n`,
+      );
+    }
+  } finally {
+    res.off('close', abort);
+  }
+  res.end();
+};
@@ -0,0 +1,103 @@
+// Vercel Serverless: POST /api/terminal-checkout/cancel
+// ターミナルチェックアウトを取り消し、未払いのまま残る注文（PROPOSED）もキャンセルする
+
+const { validateTerminalCancelPayload } = require('../../server/schema');
+const { getParsedBody } = require('../../server/http');
+const { cancelUnpaidOrder } = require('../../server/orders');
+const {
+  SquareApiError,
+  client: square,
+  sendSquareError,
+} = require('../../server/square-rest');
+
+async function getCheckout(checkout_id) {
+  const { checkout } = await square.get(
+    `/v2/terminals/checkouts/${encodeURIComponent(checkout_id)}`,
+  );
+  return checkout;
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await getParsedBody(req);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!validateTerminalCancelPayload(payload)) {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!square.isConfigured()) {
+    res.status(500).json({ error: 'SQUARE_ACCESS_TOKEN not configured' });
+    return;
+  }
+
+  const checkout_id = payload.checkoutId;
+
+  try {
+    let checkout;
+    try {
+      const data = await square.post(
+        `/v2/terminals/checkouts/${encodeURIComponent(checkout_id)}/cancel`,
+      );
+      checkout = data.checkout;
+    } catch (ex) {
+      // Square refuses to cancel a finished checkout; the customer may have
+      // paid just before the cancel arrived, so report that instead
+      if (!(ex instanceof SquareApiError) || ex.status !== 400) throw ex;
+      checkout = await getCheckout(checkout_id);
+      if (checkout?.status === 'COMPLETED') {
+        res.status(409).json({
+          error: 'すでにお支払いが完了しています',
+          code: 'CHECKOUT_COMPLETED',
+          status: checkout.status,
+          orderId: checkout.order_id,
+          paymentIds: checkout.payment_ids || [],
+        });
+        return;
+      }
+      if (checkout?.status !== 'CANCELED') throw ex;
+    }
+
+    // The order comes from Square, not the client, so only ours is canceled
+    let order_canceled = false;
+    if (checkout?.order_id) {
+      try {
+        order_canceled = Boolean(
+          await cancelUnpaidOrder(square, checkout.order_id),
+        );
+      } catch (ex) {
+        // the checkout is already canceled; a leftover order is only cosmetic
+        console.error('Failed to cancel order', checkout.order_id, ex);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      status: checkout?.status,
+      orderId: checkout?.order_id,
+      orderCanceled: order_canceled,
+    });
+  } catch (ex) {
+    sendSquareError(res, ex);
+  }
+};
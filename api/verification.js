@@ -0,0 +1,65 @@
+// Vercel Serverless Function: POST /api/verification
+// { phone } の電話番号に 6 桁の確認コードを SMS で送り、署名付きの challenge を返す
+// 登録済みカードやポイントを使う前に、お客様がその電話番号の持ち主か確かめる（server/verification.js）
+
+const { validateVerificationPayload } = require('../server/schema');
+const { getClientAddress, getParsedBody } = require('../server/http');
+const {
+  VerificationError,
+  startVerification,
+} = require('../server/verification');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await getParsedBody(req);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!validateVerificationPayload(payload)) {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  try {
+    res.status(200).json(
+      await startVerification(payload.phone, {
+        client: getClientAddress(req),
+      }),
+    );
+  } catch (ex) {
+    if (!(ex instanceof VerificationError)) {
+      console.error('Failed to send verification code:', ex.message);
+      res.status(503).json({
+        error:
+          '確認コードを送信できませんでした。しばらくして再度お試しください',
+        code: 'VERIFICATION_UNAVAILABLE',
+      });
+      return;
+    }
+    if (ex.detail.retryAfter) {
+      res.setHeader('Retry-After', String(ex.detail.retryAfter));
+    }
+    res
+      .status(ex.status)
+      .json({ error: ex.message, code: ex.code, ...ex.detail });
+  }
+};
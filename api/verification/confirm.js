@@ -0,0 +1,55 @@
+// Vercel Serverless Function: POST /api/verification/confirm
+// { challenge, code } が正しければ customerToken を返す。以降は X-Customer-Token ヘッダーで送ると
+// その電話番号のお客様情報・登録済みカード・ポイントが使える（有効期限つき）
+
+const { validateVerificationConfirmPayload } = require('../../server/schema');
+const { getParsedBody } = require('../../server/http');
+const {
+  VerificationError,
+  confirmVerification,
+} = require('../../server/verification');
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  let payload;
+  try {
+    payload = await getParsedBody(req);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  if (!validateVerificationConfirmPayload(payload)) {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  try {
+    res
+      .status(200)
+      .json(await confirmVerification(payload.challenge, payload.code));
+  } catch (ex) {
+    if (!(ex instanceof VerificationError)) throw ex;
+    if (ex.detail.retryAfter) {
+      res.setHeader('Retry-After', String(ex.detail.retryAfter));
+    }
+    res
+      .status(ex.status)
+      .json({ error: ex.message, code: ex.code, ...ex.detail });
+  }
+};
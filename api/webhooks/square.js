@@ -0,0 +1,82 @@
+// Vercel Serverless: POST /api/webhooks/square
+// Square の Webhook を受信し、署名を検証してイベントをハンドラに渡す
+
+const { readBody } = require('../../server/http');
+// catalog.version.updated でメニューのキャッシュを破棄するハンドラを登録
+require('../../server/catalog-cache');
+// 注文・決済の更新で KDS のロングポーリングを起こすハンドラを登録
+require('../../server/kds');
+// terminal.checkout.updated でターミナルチェックアウトの SSE（watchCheckout）に状態を届けるハンドラを登録
+require('../../server/terminal-events');
+const logger = require('../../server/logger');
+const {
+  getWebhookOptions,
+  isValidSignature,
+  isReplay,
+  dispatchWebhookEvent,
+} = require('../../server/webhooks');
+
+// Square signs the URL it posted to, so behind a proxy set SQUARE_WEBHOOK_URL
+function notificationUrl(req, configured) {
+  if (configured) return configured;
+  const proto = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}${req.url}`;
+}
+
+module.exports = async function handler(req, res) {
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const options = getWebhookOptions();
+  if (!options.signatureKey) {
+    res
+      .status(500)
+      .json({ error: 'SQUARE_WEBHOOK_SIGNATURE_KEY not configured' });
+    return;
+  }
+
+  // The signature covers the exact bytes Square sent, so read the raw stream
+  // rather than Vercel's parsed req.body
+  const body = await readBody(req);
+  const signature = req.headers['x-square-hmacsha256-signature'];
+  if (
+    !isValidSignature({
+      body,
+      signature,
+      signatureKey: options.signatureKey,
+      notificationUrl: notificationUrl(req, options.notificationUrl),
+    })
+  ) {
+    res.status(401).json({ error: 'Invalid signature' });
+    return;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(body);
+  } catch {
+    res.status(400).json({ error: 'Bad Request' });
+    return;
+  }
+
+  // Acknowledge replays so Square stops redelivering them
+  if (isReplay(event, options)) {
+    logger.debug('Ignoring replayed webhook event', event.event_id);
+    res.status(200).json({ received: true, duplicate: true });
+    return;
+  }
+
+  try {
+    await dispatchWebhookEvent(event);
+    res.status(200).json({ received: true });
+  } catch (ex) {
+    // A non-2xx response makes Square retry the delivery later
+    logger.error(`Webhook handler failed for ${event.type}:`, ex);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
@@ -7,13 +7,115 @@ const listen = require('test-listen');
 // node-fetch brings window.fetch to Node.js
 const fetch = require('node-fetch');
 
+// run api/*.js handlers against the in-process fake Square API
+process.env.SQUARE_BASE_URL = 'fake';
+// long enough for a busy machine running every test file at once
+process.env.SQUARE_TIMEOUT_MS = '3000';
+process.env.SQUARE_TERMINAL_DEVICE_ID = 'fake-device';
+process.env.SQUARE_WEBHOOK_SIGNATURE_KEY = 'webhook-key';
+process.env.STAFF_PIN = '2580';
+process.env.SQUARE_WEBHOOK_URL = 'https://example.com/api/webhooks/square';
+// pickup slots around the clock, so the tests do not depend on the time of day
+process.env.BUSINESS_HOURS = '00:00-24:00';
+process.env.PICKUP_DAYS_AHEAD = '1';
+process.env.PICKUP_SLOT_CAPACITY = '1';
+// promotions that need a code, so the other tests pay list prices
+process.env.PROMOTIONS = JSON.stringify([
+  {
+    id: 'lunch-set',
+    name: 'ランチセット',
+    type: 'BUNDLE',
+    code: 'SET',
+    groups: [
+      ['VAR_CLASSIC', 'VAR_CHICKEN'],
+      ['VAR_COFFEE_HOT', 'VAR_COFFEE_ICED'],
+    ],
+    price: 1300,
+  },
+  {
+    id: 'welcome',
+    name: '初回 200円引き',
+    type: 'FIXED_AMOUNT',
+    amount: 200,
+    code: 'WELCOME',
+    perCustomerLimit: 1,
+  },
+]);
+// two stands; requests that name no stand (or LOCATION) go to the first
+process.env.LOCATIONS = JSON.stringify({
+  main: { name: '本店', locationId: 'LOCATION' },
+  shibuya: {
+    name: '渋谷店',
+    locationId: 'LOCATION_SHIBUYA',
+    terminalDeviceId: 'fake-device-shibuya',
+    menu: { categoryIds: ['CAT_DRINK'] },
+    tax: { pricing: 'inclusive' },
+  },
+});
+const { sharedFakeSquare, TIMEOUT_NONCE } = require('./server/fake-square');
+const { onWebhookEvent, signPayload } = require('./server/webhooks');
+const {
+  createMemoryStore,
+  deriveIdempotencyKey,
+  getIdempotencyStore,
+  setIdempotencyStore,
+} = require('./server/idempotency');
+const { createAttemptLimiter } = require('./server/rate-limit');
+const { getStaffPinLimiter, setStaffPinLimiter } = require('./server/staff');
+const { setCodeSender } = require('./server/verification');
+
 const main = require('.');
+const fake = sharedFakeSquare();
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: 'post',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { res, data: await res.json() };
+}
+
+// codes texted by /api/verification, by phone number
+const texted = new Map();
+setCodeSender(async (phone, code) => {
+  texted.set(phone, code);
+});
+
+// the X-Customer-Token header for a phone number verified by its code
+async function verifyPhone(url, phone, e164) {
+  const sent = await postJson(`${url}/api/verification`, { phone });
+  const confirmed = await postJson(`${url}/api/verification/confirm`, {
+    challenge: sent.data.challenge,
+    code: texted.get(e164),
+  });
+  return { 'X-Customer-Token': confirmed.data.customerToken };
+}
+
+// orders in the shared fake for one line; other tests run concurrently
+function countOrders(catalogObjectId, quantity) {
+  return [...fake.state.orders.values()].filter((order) =>
+    order.line_items.some(
+      (line) =>
+        line.catalog_object_id === catalogObjectId &&
+        line.quantity === String(quantity),
+    ),
+  ).length;
+}
 
 // serveStatic
 [
   ['/', /Quickstart/],
   ['/index.html', /sandbox\.web\.squarecdn/],
   ['/favicon.ico', /.+/],
+  ['/order/ORDER_ID', /ご注文の状況/],
+  ['/board', /お呼び出し中/],
+  ['/kds', /キッチンディスプレイ/],
+  ['/staff/devices.html', /ターミナル登録/],
+  ['/l/shibuya/kiosk', /キオスク/],
+  ['/l/shibuya/checkout', /ご注文/],
+  ['/l/shibuya/board', /お呼び出し中/],
+  ['/l/shibuya/kds', /キッチンディスプレイ/],
 ].forEach(([path, re]) => {
   test(`serves ${path}`, async (t) => {
     const service = micro(main);
@@ -28,7 +130,8 @@ const main = require('.');
   });
 });
 
-// createPayment
+// /payment and /card are rewritten to api/payment.js and api/card.js, as on
+// Vercel
 test('createPayment errors with invalid payload', async (t) => {
   const service = micro(main);
   const url = await listen(service);
@@ -47,7 +150,6 @@ test('createPayment errors with invalid payload', async (t) => {
   service.close(t.falsy);
 });
 
-// storeCard
 test('storeCard errors with invalid payload', async (t) => {
   const service = micro(main);
   const url = await listen(service);
@@ -65,3 +167,1460 @@ test('storeCard errors with invalid payload', async (t) => {
 
   service.close(t.falsy);
 });
+
+test('takes payments on /payment with the same handler as Vercel', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { res, data } = await postJson(`${url}/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-legacy-payment',
+    amount: 4536,
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_ICED', quantity: 7 }],
+  });
+
+  t.true(res.ok);
+  // api/payment.js creates an Order for the payment
+  t.is(countOrders('VAR_COFFEE_ICED', 7), 1);
+  t.is(fake.state.payments.get(data.payment.id).order_id, data.payment.orderId);
+
+  const missing = await fetch(`${url}/api/nothing-here`);
+  t.is(missing.status, 404);
+
+  service.close(t.falsy);
+});
+
+// api/items
+test('returns the catalog as a menu', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const res = await fetch(`${url}/api/items`);
+  t.true(res.ok);
+
+  const menu = await res.json();
+  const classic = menu.items.find((item) => item.id === 'ITEM_CLASSIC');
+  t.is(classic.categoryName, 'バインミー');
+  t.truthy(classic.imageUrl);
+  t.is(classic.variations[0].price, 940);
+  t.is(classic.variations[0].stock.quantity, 40);
+  const tofu = menu.items.find((item) => item.id === 'ITEM_TOFU');
+  t.true(tofu.variations[0].stock.lowStock);
+  t.deepEqual(
+    classic.modifierLists.map((list) => [list.id, list.selectionType]),
+    [
+      ['MODS_TOPPING', 'MULTIPLE'],
+      ['MODS_CHILI', 'SINGLE'],
+    ],
+  );
+  t.deepEqual(
+    menu.categories.map((category) => category.id),
+    ['CAT_BANHMI', 'CAT_DRINK'],
+  );
+
+  service.close(t.falsy);
+});
+
+test.serial('revalidates the cached menu with its ETag', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const first = await fetch(`${url}/api/items`);
+  const etag = first.headers.get('etag');
+  t.truthy(etag);
+
+  const cached = await fetch(`${url}/api/items`, {
+    headers: { 'If-None-Match': etag },
+  });
+  t.is(cached.status, 304);
+
+  // a catalog change shows up once Square announces the new version
+  const drinks = fake.state.catalog.find((obj) => obj.id === 'CAT_DRINK');
+  const name = drinks.category_data.name;
+  drinks.category_data.name = 'ソフトドリンク';
+  t.teardown(() => {
+    drinks.category_data.name = name;
+  });
+  const event = {
+    event_id: 'catalog-updated-event',
+    type: 'catalog.version.updated',
+    created_at: new Date().toISOString(),
+    data: { id: 'MERCHANT' },
+  };
+  t.is((await postWebhook(url, event)).status, 200);
+  const updated = await fetch(`${url}/api/items`, {
+    headers: { 'If-None-Match': etag },
+  });
+  t.is(updated.status, 200);
+  const menu = await updated.json();
+  t.is(menu.categories[1].name, 'ソフトドリンク');
+  t.false(menu.stale);
+
+  // Square being down serves the last good menu instead of an error
+  const event2 = { ...event, event_id: 'catalog-updated-event-2' };
+  t.is((await postWebhook(url, event2)).status, 200);
+  fake.failNext('GET', '/v2/catalog/list', 500);
+  fake.failNext('GET', '/v2/catalog/list', 500);
+  fake.failNext('GET', '/v2/catalog/list', 500);
+  const stale = await (await fetch(`${url}/api/items`)).json();
+  t.true(stale.stale);
+  t.is(stale.categories[1].name, 'ソフトドリンク');
+
+  service.close(t.falsy);
+});
+
+// api/payment
+test.serial('refuses orders for more than is in stock', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  fake.state.inventory.set('VAR_COFFEE_ICED', 1);
+  t.teardown(() => fake.state.inventory.delete('VAR_COFFEE_ICED'));
+
+  const { res, data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-sold-out',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_ICED', quantity: 2 }],
+  });
+
+  t.is(res.status, 409);
+  t.is(data.code, 'SOLD_OUT');
+  t.regex(data.error, /ベトナムコーヒー（アイス）（残り1個）/);
+  t.deepEqual(data.lines[0].available, 1);
+  t.is(countOrders('VAR_COFFEE_ICED', 2), 0);
+
+  service.close(t.falsy);
+});
+
+test.serial('lets staff mark an item sold out for the day', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const toggle = (soldOut, pin = '2580') =>
+    postJson(
+      `${url}/api/sold-out`,
+      { variationIds: ['VAR_COFFEE_HOT'], soldOut },
+      { 'X-Staff-Pin': pin },
+    );
+  const coffeeVariation = () =>
+    fake.state.catalog.find((obj) => obj.id === 'ITEM_COFFEE').item_data
+      .variations[0];
+  t.teardown(() => {
+    delete coffeeVariation().item_variation_data.location_overrides;
+  });
+
+  const before = await fetch(`${url}/api/items`);
+  t.is((await toggle(true, '0000')).res.status, 401);
+  const { res, data } = await toggle(true);
+  t.true(res.ok);
+  t.deepEqual(data.variationIds, ['VAR_COFFEE_HOT']);
+
+  // the ETag covers the stock, so the kiosk's copy is not revalidated
+  const after = await fetch(`${url}/api/items`, {
+    headers: { 'If-None-Match': before.headers.get('etag') },
+  });
+  t.is(after.status, 200);
+  const menu = await after.json();
+  const coffee = menu.items.find((item) => item.id === 'ITEM_COFFEE');
+  t.true(coffee.variations[0].stock.soldOut);
+  t.false(coffee.soldOut);
+
+  const payment = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-manual-sold-out',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 1 }],
+  });
+  t.is(payment.res.status, 409);
+  t.is(payment.data.code, 'SOLD_OUT');
+
+  // kept on the variation in Square for the main stand only
+  t.like(coffeeVariation().item_variation_data.location_overrides, [
+    { location_id: 'LOCATION', sold_out: true },
+  ]);
+  t.is(coffeeVariation().item_variation_data.location_overrides.length, 1);
+  const shibuya = await fetch(`${url}/api/sold-out?location=shibuya`, {
+    headers: { 'X-Staff-Pin': '2580' },
+  });
+  t.deepEqual((await shibuya.json()).variationIds, []);
+
+  t.deepEqual((await toggle(false)).data.variationIds, []);
+
+  service.close(t.falsy);
+});
+
+test('creates an order and a payment for the server-side total', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { res, data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-payment',
+    amount: 2030,
+    customerName: 'グエン',
+    diningOption: 'TAKEOUT',
+    line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 2 }],
+  });
+
+  t.true(res.ok);
+  t.is(data.payment.status, 'COMPLETED');
+  const order = fake.state.orders.get(data.payment.orderId);
+  t.is(order.total_money.amount, 2030);
+  t.is(order.taxes[0].percentage, '8');
+  t.regex(data.payment.pickupNumber, /^A-\d{3}$/);
+  t.is(order.reference_id, data.payment.pickupNumber);
+  t.is(
+    order.fulfillments[0].pickup_details.recipient.display_name,
+    `${data.payment.pickupNumber} グエン`,
+  );
+  t.is(order.fulfillments[0].pickup_details.schedule_type, 'ASAP');
+  t.is(fake.state.payments.get(data.payment.id).amount_money.amount, 2030);
+
+  service.close(t.falsy);
+});
+
+test('tracks a paid order on its status page and the board', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-order-status',
+    customerName: 'ミン',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 3 }],
+  });
+  const { orderId } = data.payment;
+
+  const res = await fetch(`${url}/api/orders/${orderId}/status`);
+  t.true(res.ok);
+  const status = await res.json();
+  t.is(status.status, 'received');
+  t.is(status.pickupNumber, data.payment.pickupNumber);
+  t.is(status.pickupName, 'ミン');
+  t.is(status.lineItems[0].quantity, 3);
+
+  const missing = await fetch(`${url}/api/orders/NOPE/status`);
+  t.is(missing.status, 404);
+  t.is((await missing.json()).code, 'ORDER_NOT_FOUND');
+
+  fake.state.orders.get(orderId).fulfillments[0].state = 'PREPARED';
+  const board = await (
+    await fetch(`${url}/api/orders/board?locationId=LOCATION`)
+  ).json();
+  t.true(
+    board.ready.some((entry) => entry.pickupNumber === status.pickupNumber),
+  );
+  t.false(
+    board.preparing.some((entry) => entry.pickupNumber === status.pickupNumber),
+  );
+
+  service.close(t.falsy);
+});
+
+test.serial('bumps paid orders on the kitchen display', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const staff = { 'X-Staff-Pin': '2580' };
+  const kdsUrl = `${url}/api/kds/orders?locationId=LOCATION`;
+  const { data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-kds',
+    customerNotes: '氷少なめ',
+    diningOption: 'EAT_IN',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 4 }],
+  });
+  const { orderId } = data.payment;
+
+  t.is((await fetch(kdsUrl)).status, 401);
+  const list = await (await fetch(kdsUrl, { headers: staff })).json();
+  const ticket = list.orders.find((order) => order.id === orderId);
+  t.is(ticket.state, 'PROPOSED');
+  t.is(ticket.note, 'イートイン / 氷少なめ');
+
+  // a long poll from the current version answers once the ticket moves
+  const waiting = fetch(
+    `${kdsUrl}&wait=10&since=${encodeURIComponent(list.version)}`,
+    { headers: staff },
+  ).then((res) => res.json());
+  const bump = (version) =>
+    postJson(`${url}/api/kds/orders/${orderId}/advance`, { version }, staff);
+  const first = await bump(ticket.version);
+  t.true(first.res.ok);
+  t.is(first.data.order.state, 'RESERVED');
+  const changed = await waiting;
+  t.not(changed.version, list.version);
+  t.is(changed.orders.find((order) => order.id === orderId).state, 'RESERVED');
+
+  const stale = await bump(ticket.version);
+  t.is(stale.res.status, 409);
+  t.is(stale.data.code, 'VERSION_MISMATCH');
+  t.is(stale.data.order.state, 'RESERVED');
+
+  service.close(t.falsy);
+});
+
+test.serial('takes orders for a chosen pickup slot', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const res = await fetch(`${url}/api/pickup-slots?locationId=LOCATION`);
+  t.true(res.ok);
+  const { slots } = await res.json();
+  // the last slot is tomorrow night, so nobody has taken it yet
+  const slot = slots[slots.length - 1];
+  t.like(slot, { remaining: 1, available: true });
+
+  const order = (idempotencyKey, pickupAt) =>
+    postJson(`${url}/api/payment`, {
+      locationId: 'LOCATION',
+      sourceId: 'cnon:card-nonce-ok',
+      idempotencyKey,
+      customerName: 'ホア',
+      pickupAt,
+      line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 5 }],
+    });
+  // a declined card gives the place back
+  const declined = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-declined',
+    idempotencyKey: 'e2e-slot-declined',
+    customerName: 'ホア',
+    pickupAt: slot.startAt,
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 5 }],
+  });
+  t.is(declined.res.status, 402);
+
+  const { res: paid, data } = await order('e2e-slot', slot.startAt);
+  t.true(paid.ok);
+  const details = fake.state.orders.get(data.payment.orderId).fulfillments[0]
+    .pickup_details;
+  t.like(details, {
+    schedule_type: 'SCHEDULED',
+    pickup_at: slot.startAt,
+    prep_time_duration: 'PT10M',
+    pickup_window_duration: 'PT15M',
+  });
+
+  const status = await (
+    await fetch(`${url}/api/orders/${data.payment.orderId}/status`)
+  ).json();
+  t.is(status.pickupAt, slot.startAt);
+
+  const full = await order('e2e-slot-full', slot.startAt);
+  t.is(full.res.status, 409);
+  t.is(full.data.code, 'PICKUP_SLOT_FULL');
+
+  const between = new Date(Date.parse(slot.startAt) + 60 * 1000);
+  const unaligned = await order('e2e-slot-unaligned', between.toISOString());
+  t.is(unaligned.res.status, 400);
+  t.is(unaligned.data.code, 'PICKUP_SLOT_UNAVAILABLE');
+
+  service.close(t.falsy);
+});
+
+test.serial('refuses orders while the store is closed', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const staff = { 'X-Staff-Pin': '2580' };
+  const statusUrl = `${url}/api/store-status`;
+  t.teardown(() => fake.state.locationAttributes.clear());
+
+  const status = await (await fetch(statusUrl)).json();
+  t.like(status, { open: true, reason: 'open', nextOpenAt: null });
+  t.deepEqual(status.hours, [{ open: '00:00', close: '24:00' }]);
+
+  t.is((await postJson(statusUrl, { closed: true })).res.status, 401);
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const closed = await postJson(
+    statusUrl,
+    { closed: true, until, message: '臨時休業中です' },
+    staff,
+  );
+  t.true(closed.res.ok);
+  t.like(closed.data, {
+    open: false,
+    reason: 'temporary_closure',
+    message: '臨時休業中です',
+    nextOpenAt: until,
+  });
+
+  const order = { locationId: 'LOCATION', amount: 1040 };
+  const line_items = [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 6 }];
+  const payment = await postJson(`${url}/api/payment`, {
+    ...order,
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-closed',
+    line_items,
+  });
+  t.is(payment.res.status, 409);
+  t.like(payment.data, { code: 'STORE_CLOSED', nextOpenAt: until });
+  const terminal = await postJson(`${url}/api/terminal-checkout`, {
+    ...order,
+    idempotencyKey: 'e2e-closed-terminal',
+    line_items,
+  });
+  t.is(terminal.res.status, 409);
+  t.is(terminal.data.code, 'STORE_CLOSED');
+  t.is(countOrders('VAR_COFFEE_HOT', 6), 0);
+
+  const reopened = await postJson(statusUrl, { closed: false }, staff);
+  t.true(reopened.data.open);
+
+  service.close(t.falsy);
+});
+
+test('charges modifiers as part of the line', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { res, data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-modifiers',
+    amount: 2570,
+    line_items: [
+      {
+        catalog_object_id: 'VAR_CHICKEN',
+        quantity: 2,
+        modifiers: [
+          { catalog_object_id: 'MOD_EXTRA_PATE' },
+          { catalog_object_id: 'MOD_NO_CHILI' },
+        ],
+      },
+    ],
+  });
+
+  t.true(res.ok);
+  const order = fake.state.orders.get(data.payment.orderId);
+  t.deepEqual(
+    order.line_items[0].modifiers.map((m) => m.catalog_object_id),
+    ['MOD_EXTRA_PATE', 'MOD_NO_CHILI'],
+  );
+  t.is(order.total_money.amount, 2570);
+
+  const invalid = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-invalid-modifier',
+    line_items: [
+      {
+        catalog_object_id: 'VAR_TOFU',
+        quantity: 1,
+        modifiers: ['MOD_EXTRA_PATE'],
+      },
+    ],
+  });
+  t.is(invalid.res.status, 400);
+  t.is(invalid.data.code, 'INVALID_MODIFIER');
+
+  service.close(t.falsy);
+});
+
+test.serial('rejects a tampered amount before creating an order', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const orders = fake.state.orders.size;
+  const { res, data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-tampered',
+    amount: 1,
+    catalog_object_id: 'VAR_CLASSIC',
+  });
+
+  t.is(res.status, 400);
+  t.is(data.code, 'AMOUNT_MISMATCH');
+  t.is(fake.state.orders.size, orders);
+
+  service.close(t.falsy);
+});
+
+test('passes card declines through', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { res, data } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-declined',
+    idempotencyKey: 'e2e-declined',
+    catalog_object_id: 'VAR_CLASSIC',
+  });
+
+  t.is(res.status, 402);
+  t.is(data.errors[0].code, 'CARD_DECLINED');
+  // the order nobody paid for is canceled
+  const key = deriveIdempotencyKey('order', 'e2e-declined');
+  const order = [...fake.state.orders.values()].find(
+    (o) => o.metadata?.idempotency_key === key,
+  );
+  t.is(order.state, 'CANCELED');
+
+  service.close(t.falsy);
+});
+
+test('answers 504 when Square does not respond in time', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { res } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: TIMEOUT_NONCE,
+    idempotencyKey: 'e2e-timeout',
+    catalog_object_id: 'VAR_CLASSIC',
+  });
+
+  t.is(res.status, 504);
+
+  service.close(t.falsy);
+});
+
+test.serial('retries when Square is briefly unavailable', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  fake.failNext('POST', '/v2/orders', 503);
+  const { res } = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-retry',
+    catalog_object_id: 'VAR_TOFU',
+  });
+
+  t.true(res.ok);
+
+  service.close(t.falsy);
+});
+
+// api/refunds
+test('lets a regular verify their phone and pay with a saved card', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+
+  // nothing under a phone number without its code
+  const anonymous = await fetch(`${url}/api/customers?phone=08022223333`);
+  t.is(anonymous.status, 401);
+  t.is((await anonymous.json()).code, 'CUSTOMER_VERIFICATION_REQUIRED');
+  const wrongCode = await postJson(`${url}/api/verification/confirm`, {
+    challenge: (
+      await postJson(`${url}/api/verification`, {
+        phone: '080-2222-3333',
+      })
+    ).data.challenge,
+    code: 'nope',
+  });
+  t.is(wrongCode.data.code, 'INVALID_CODE');
+
+  const verified = await verifyPhone(url, '080-2222-3333', '+818022223333');
+  const registered = await postJson(
+    `${url}/api/customers`,
+    { givenName: 'ラン', familyName: 'チャン', idempotencyKey: 'e2e-customer' },
+    verified,
+  );
+  t.is(registered.res.status, 201);
+  t.like(registered.data.customer, { name: 'チ• ラ•', phoneLast4: '3333' });
+  const customerId = registered.data.customer.id;
+
+  const stored = await postJson(
+    `${url}/card`,
+    {
+      locationId: 'LOCATION',
+      sourceId: 'cnon:card-nonce-ok',
+      customerId,
+      idempotencyKey: 'e2e-store-card',
+    },
+    verified,
+  );
+  t.true(stored.res.ok);
+  t.like(stored.data.card, { brand: 'VISA', last4: '1111', enabled: true });
+  const unknown = await postJson(
+    `${url}/card`,
+    {
+      locationId: 'LOCATION',
+      sourceId: 'cnon:card-nonce-ok',
+      customerId: 'NOBODY',
+      idempotencyKey: 'e2e-store-card-unknown',
+    },
+    verified,
+  );
+  t.is(unknown.data.code, 'CUSTOMER_NOT_FOUND');
+
+  // the kiosk: verified phone number → customer → saved cards
+  const found = await fetch(`${url}/api/customers`, { headers: verified });
+  const { customers } = await found.json();
+  t.deepEqual(
+    customers.map((customer) => [customer.id, customer.phoneLast4]),
+    [[customerId, '3333']],
+  );
+  const listed = await fetch(`${url}/api/customers/${customerId}/cards`, {
+    headers: verified,
+  });
+  const { cards } = await listed.json();
+  t.deepEqual(
+    cards.map((card) => card.id),
+    [stored.data.card.id],
+  );
+
+  // someone else's verified number neither sees nor charges the cards
+  const other = await verifyPhone(url, '080-2222-4444', '+818022224444');
+  const theirs = await fetch(`${url}/api/customers/${customerId}/cards`, {
+    headers: other,
+  });
+  t.is(theirs.status, 404);
+  const cardPayment = {
+    locationId: 'LOCATION',
+    sourceId: cards[0].id,
+    customerId,
+    idempotencyKey: 'e2e-card-on-file',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 3 }],
+  };
+  t.is(
+    (await postJson(`${url}/api/payment`, cardPayment)).data.code,
+    'CUSTOMER_VERIFICATION_REQUIRED',
+  );
+  t.is(
+    (await postJson(`${url}/api/payment`, cardPayment, other)).data.code,
+    'CUSTOMER_NOT_FOUND',
+  );
+
+  const paid = await postJson(`${url}/api/payment`, cardPayment, verified);
+  t.true(paid.res.ok);
+  t.is(fake.state.payments.get(paid.data.payment.id).customer_id, customerId);
+
+  // only staff disable cards; a disabled card is gone from the kiosk
+  const cardUrl = `${url}/api/customers/${customerId}/cards/${cards[0].id}`;
+  t.is((await fetch(cardUrl, { method: 'delete' })).status, 401);
+  const disabled = await fetch(cardUrl, {
+    method: 'delete',
+    headers: { 'X-Staff-Pin': '2580' },
+  });
+  t.false((await disabled.json()).card.enabled);
+  const after = await fetch(`${url}/api/customers/${customerId}/cards`, {
+    headers: verified,
+  });
+  t.deepEqual((await after.json()).cards, []);
+
+  service.close(t.falsy);
+});
+
+test('prices a cart with a promo code and charges the same', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const cart = {
+    locationId: 'LOCATION',
+    line_items: [
+      { catalog_object_id: 'VAR_CLASSIC', quantity: 2 },
+      { catalog_object_id: 'VAR_COFFEE_ICED', quantity: 1 },
+    ],
+  };
+
+  const unknown = await postJson(`${url}/api/cart/price`, {
+    ...cart,
+    promoCodes: ['NOPE'],
+  });
+  t.is(unknown.res.status, 400);
+  t.is(unknown.data.code, 'INVALID_PROMO_CODE');
+
+  // a classic and the iced coffee make a ¥1,300 set, saving ¥240
+  const { data: quote } = await postJson(`${url}/api/cart/price`, {
+    ...cart,
+    promoCodes: ['set'],
+  });
+  t.like(quote, { subtotal: 2480, discount: 240, tax: 179, total: 2419 });
+  t.deepEqual(
+    quote.lines.map((line) => [line.catalogObjectId, line.discount]),
+    [
+      ['VAR_CLASSIC', 146],
+      ['VAR_COFFEE_ICED', 94],
+    ],
+  );
+  t.deepEqual(quote.promotions, [
+    { id: 'lunch-set', name: 'ランチセット', code: 'SET', amount: 240 },
+  ]);
+
+  // a page showing the list price (¥2,678) is charged the set price
+  const paid = await postJson(`${url}/api/payment`, {
+    ...cart,
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-promo-set',
+    amount: 2678,
+    promoCodes: ['SET'],
+  });
+  t.true(paid.res.ok);
+  const order = fake.state.orders.get(paid.data.payment.orderId);
+  t.is(order.total_money.amount, 2419);
+  t.deepEqual(
+    order.discounts.map((discount) => [discount.name, discount.applied_money]),
+    [
+      ['ランチセット', { amount: 146, currency: 'JPY' }],
+      ['ランチセット', { amount: 94, currency: 'JPY' }],
+    ],
+  );
+  t.is(fake.state.payments.get(paid.data.payment.id).amount_money.amount, 2419);
+
+  service.close(t.falsy);
+});
+
+test('counts a once-per-customer coupon against the verified phone', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const cart = {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_CHICKEN', quantity: 4 }],
+    promoCodes: ['WELCOME'],
+  };
+
+  // a typed-in phone number or customer id no longer counts as a customer
+  const typed = await postJson(`${url}/api/cart/price`, {
+    ...cart,
+    loyaltyPhone: '070-6666-0001',
+  });
+  t.is(typed.res.status, 400);
+  const anonymous = await postJson(`${url}/api/cart/price`, cart);
+  t.is(anonymous.data.code, 'PROMO_NEEDS_CUSTOMER');
+
+  const verified = await verifyPhone(url, '070-6666-0001', '+817066660001');
+  const { data: quote } = await postJson(
+    `${url}/api/cart/price`,
+    cart,
+    verified,
+  );
+  t.is(quote.discount, 200);
+
+  // the paid order is tied to a customer with the phone number, which is
+  // what every instance counts the coupon against
+  const paid = await postJson(
+    `${url}/api/payment`,
+    {
+      ...cart,
+      sourceId: 'cnon:card-nonce-ok',
+      idempotencyKey: 'e2e-welcome-1',
+      customerName: 'ホア',
+    },
+    verified,
+  );
+  t.true(paid.res.ok);
+  const order = fake.state.orders.get(paid.data.payment.orderId);
+  t.is(
+    fake.state.customers.get(order.customer_id).phone_number,
+    '+817066660001',
+  );
+  t.deepEqual(
+    order.discounts.map((discount) => discount.metadata.promotion_id),
+    ['welcome'],
+  );
+
+  const again = await postJson(
+    `${url}/api/payment`,
+    {
+      ...cart,
+      sourceId: 'cnon:card-nonce-ok',
+      idempotencyKey: 'e2e-welcome-2',
+    },
+    verified,
+  );
+  t.is(again.res.status, 409);
+  t.is(again.data.code, 'PROMO_LIMIT_REACHED');
+
+  service.close(t.falsy);
+});
+
+test.serial('rounds tax per line half up as Square does', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const cart = {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: 3 }],
+    diningOption: 'TAKEOUT',
+  };
+  // 8% of ¥2,670 is ¥213.6
+  const { data: quote } = await postJson(`${url}/api/cart/price`, cart);
+  t.like(quote, { subtotal: 2670, tax: 214, total: 2884 });
+  const paid = await postJson(`${url}/api/payment`, {
+    ...cart,
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-tax-rounding',
+    amount: 2884,
+  });
+  t.true(paid.res.ok);
+  const order = fake.state.orders.get(paid.data.payment.orderId);
+  t.is(order.total_money.amount, 2884);
+  t.is(fake.state.payments.get(paid.data.payment.id).amount_money.amount, 2884);
+
+  // a Square total that disagrees with ours: cancel instead of charging
+  const payments = fake.state.payments.size;
+  fake.state.taxRounding = 'floor';
+  try {
+    const { res, data } = await postJson(`${url}/api/payment`, {
+      ...cart,
+      sourceId: 'cnon:card-nonce-ok',
+      idempotencyKey: 'e2e-tax-floor',
+      amount: 2884,
+    });
+    t.is(res.status, 409);
+    t.like(data, {
+      code: 'ORDER_TOTAL_MISMATCH',
+      expected: 2884,
+      orderTotal: 2883,
+    });
+  } finally {
+    fake.state.taxRounding = 'round';
+  }
+  t.is(fake.state.payments.size, payments);
+  const canceled = [...fake.state.orders.values()].filter(
+    (order) =>
+      order.state === 'CANCELED' &&
+      order.line_items[0].catalog_object_id === 'VAR_TOFU',
+  );
+  t.is(canceled.length, 1);
+
+  service.close(t.falsy);
+});
+
+test('charges the quoted cart when given its token', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { data: quote } = await postJson(`${url}/api/cart/price`, {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: 3 }],
+    diningOption: 'EAT_IN',
+  });
+  // ¥2,670 + 10% for eating in
+  t.like(quote, { subtotal: 2670, discount: 0, tax: 267, total: 2937 });
+  t.true(Date.parse(quote.expiresAt) > Date.now());
+
+  const [body, signature] = quote.quoteToken.split('.');
+  const tampered = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-quote-tampered',
+    quoteToken: `${body}x.${signature}`,
+  });
+  t.is(tampered.res.status, 400);
+  t.is(tampered.data.code, 'INVALID_QUOTE');
+
+  const elsewhere = await postJson(`${url}/api/payment`, {
+    location: 'shibuya',
+    locationId: 'LOCATION_SHIBUYA',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-quote-shibuya',
+    quoteToken: quote.quoteToken,
+  });
+  t.is(elsewhere.data.code, 'QUOTE_LOCATION_MISMATCH');
+
+  // no line items or amount: both come from the quote
+  const paid = await postJson(`${url}/api/payment`, {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-quote-paid',
+    quoteToken: quote.quoteToken,
+  });
+  t.true(paid.res.ok);
+  const order = fake.state.orders.get(paid.data.payment.orderId);
+  t.like(order.line_items[0], { catalog_object_id: 'VAR_TOFU', quantity: '3' });
+  t.regex(order.fulfillments[0].pickup_details.note, /イートイン/);
+  t.is(fake.state.payments.get(paid.data.payment.id).amount_money.amount, 2937);
+
+  const terminal = await postJson(`${url}/api/terminal-checkout`, {
+    locationId: 'LOCATION',
+    quoteToken: quote.quoteToken,
+  });
+  t.true(terminal.res.ok);
+  t.is(
+    fake.state.checkouts.get(terminal.data.checkoutId).amount_money.amount,
+    2937,
+  );
+
+  service.close(t.falsy);
+});
+
+test('accrues points by phone and takes a reward off the next order', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const phone = '070-5555-0001';
+  const verified = await verifyPhone(url, phone, '+817055550001');
+
+  const before = await fetch(`${url}/api/loyalty`, { headers: verified });
+  const { program, account } = await before.json();
+  t.deepEqual(
+    program.rewardTiers.map((tier) => [tier.id, tier.points]),
+    [
+      ['TIER_FREE_DRINK', 10],
+      ['TIER_300_OFF', 30],
+    ],
+  );
+  t.is(account, null);
+
+  // an unverified number is turned away before the card is charged, so
+  // nobody can enrol someone else's phone
+  const firstPayment = {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-loyalty-1',
+    loyaltyPhone: phone,
+    line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 2 }],
+  };
+  const payments = fake.state.payments.size;
+  const typed = await postJson(`${url}/api/payment`, firstPayment);
+  t.is(typed.res.status, 401);
+  t.is(typed.data.code, 'CUSTOMER_VERIFICATION_REQUIRED');
+  t.is(fake.state.payments.size, payments);
+
+  // ¥1,880 before tax → 18 points, enrolling the phone number
+  const first = await postJson(`${url}/api/payment`, firstPayment, verified);
+  t.deepEqual(first.data.loyalty, {
+    balance: 18,
+    pointsEarned: 18,
+    enrolled: true,
+    terminology: 'ポイント',
+    reward: null,
+  });
+
+  const unverified = await fetch(`${url}/api/loyalty?phone=${phone}`);
+  t.is((await unverified.json()).account, null);
+
+  // the coffee is free, so ¥940 + 8% is charged and earns 9 points; only
+  // the owner of the number spends its points
+  const rewardPayment = {
+    locationId: 'LOCATION',
+    sourceId: 'cnon:card-nonce-ok',
+    idempotencyKey: 'e2e-loyalty-2',
+    loyaltyPhone: phone,
+    rewardTierId: 'TIER_FREE_DRINK',
+    line_items: [
+      { catalog_object_id: 'VAR_CLASSIC', quantity: 1 },
+      { catalog_object_id: 'VAR_COFFEE_HOT', quantity: 1 },
+    ],
+  };
+  const stranger = await postJson(`${url}/api/payment`, rewardPayment, {
+    'X-Customer-Token': (
+      await verifyPhone(url, '070-5555-0002', '+817055550002')
+    )['X-Customer-Token'],
+  });
+  t.is(stranger.res.status, 401);
+  t.is(stranger.data.code, 'CUSTOMER_VERIFICATION_REQUIRED');
+  const second = await postJson(`${url}/api/payment`, rewardPayment, verified);
+  t.true(second.res.ok);
+  t.is(
+    fake.state.payments.get(second.data.payment.id).amount_money.amount,
+    1015,
+  );
+  t.like(second.data.loyalty, {
+    balance: 17,
+    pointsEarned: 9,
+    enrolled: false,
+    reward: 'ドリンク1杯無料',
+  });
+
+  const tooDear = await postJson(
+    `${url}/api/payment`,
+    {
+      locationId: 'LOCATION',
+      sourceId: 'cnon:card-nonce-ok',
+      idempotencyKey: 'e2e-loyalty-3',
+      loyaltyPhone: phone,
+      rewardTierId: 'TIER_300_OFF',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 1 }],
+    },
+    verified,
+  );
+  t.is(tooDear.res.status, 409);
+  t.like(tooDear.data, {
+    code: 'INSUFFICIENT_POINTS',
+    balance: 17,
+    points: 30,
+  });
+
+  const badPhone = await postJson(
+    `${url}/api/payment`,
+    {
+      locationId: 'LOCATION',
+      sourceId: 'cnon:card-nonce-ok',
+      idempotencyKey: 'e2e-loyalty-4',
+      loyaltyPhone: '123',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 1 }],
+    },
+    verified,
+  );
+  t.is(badPhone.data.code, 'INVALID_PHONE');
+
+  service.close(t.falsy);
+});
+
+test('refunds part of a payment for staff only', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { data: paid } = await postJson(`${url}/api/payment`, {
+    sourceId: 'cnon:card-nonce-ok',
+    locationId: 'LOCATION',
+    idempotencyKey: 'refund-test-payment',
+    line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: 1 }],
+  });
+  const refund = {
+    paymentId: paid.payment.id,
+    amount: 500,
+    reason: '商品違い',
+    idempotencyKey: 'refund-test-refund',
+  };
+
+  const denied = await postJson(`${url}/api/refunds`, refund, {
+    'X-Staff-Pin': '0000',
+  });
+  t.is(denied.res.status, 401);
+
+  const { res, data } = await postJson(`${url}/api/refunds`, refund, {
+    'X-Staff-Pin': '2580',
+  });
+  t.true(res.ok);
+  t.is(data.refund.amount, 500);
+  t.is(data.refund.orderId, paid.payment.orderId);
+
+  const list = await fetch(`${url}/api/payments`, {
+    headers: { 'X-Staff-Pin': '2580' },
+  });
+  const { payments } = await list.json();
+  const listed = payments.find((p) => p.id === paid.payment.id);
+  t.is(listed.refundableAmount, 961 - 500);
+
+  // each stand lists its own payments
+  const elsewhere = await fetch(`${url}/api/payments?location=shibuya`, {
+    headers: { 'X-Staff-Pin': '2580' },
+  });
+  t.false(
+    (await elsewhere.json()).payments.some((p) => p.id === paid.payment.id),
+  );
+
+  service.close(t.falsy);
+});
+
+test.serial(
+  'locks out a client that keeps guessing the staff PIN',
+  async (t) => {
+    // its own limiter, so the other tests from 127.0.0.1 are not locked out
+    const limiter = getStaffPinLimiter();
+    setStaffPinLimiter(createAttemptLimiter());
+    t.teardown(() => setStaffPinLimiter(limiter));
+    const service = micro(main);
+    const url = await listen(service);
+    const payments = (pin, headers = {}) =>
+      fetch(`${url}/api/payments`, {
+        headers: { 'X-Staff-Pin': pin, ...headers },
+      });
+
+    for (const pin of ['0000', '1111', '2222', '3333']) {
+      t.is((await payments(pin)).status, 401);
+    }
+    t.is((await payments('4444')).status, 401);
+    const locked = await payments('2580');
+    t.is(locked.status, 429);
+    t.is((await locked.json()).code, 'STAFF_PIN_LOCKED');
+    t.truthy(locked.headers.get('retry-after'));
+    // a made-up X-Forwarded-For is not a new client
+    const spoofed = await payments('2580', {
+      'X-Forwarded-For': '203.0.113.9',
+    });
+    t.is(spoofed.status, 429);
+
+    service.close(t.falsy);
+  },
+);
+
+// api/terminal-checkout
+test('sends a checkout to the terminal and reports its progress', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { res, data } = await postJson(`${url}/api/terminal-checkout`, {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_ICED', quantity: 1 }],
+    diningOption: 'EAT_IN',
+  });
+  t.true(res.ok);
+  const checkout = fake.state.checkouts.get(data.checkoutId);
+  t.is(checkout.amount_money.amount, 660);
+  t.regex(data.pickupNumber, /^A-\d{3}$/);
+  t.is(checkout.reference_id, data.pickupNumber);
+
+  const statusUrl = `${url}/api/terminal-checkout-status?checkout_id=${data.checkoutId}`;
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    statuses.push((await (await fetch(statusUrl)).json()).status);
+  }
+  t.deepEqual(statuses, ['PENDING', 'IN_PROGRESS', 'COMPLETED']);
+
+  service.close(t.falsy);
+});
+
+test("pairs terminals and sends checkouts to the register's one", async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const staff = { 'X-Staff-Pin': '2580' };
+  const devicesUrl = `${url}/api/devices?locationId=LOCATION`;
+
+  t.is((await fetch(devicesUrl)).status, 401);
+  const created = await postJson(devicesUrl, { register: 'lunch-2' }, staff);
+  t.true(created.res.ok);
+  const { deviceCode } = created.data;
+  t.like(deviceCode, { register: 'lunch-2', status: 'UNPAIRED' });
+  t.truthy(deviceCode.code);
+
+  const checkout = (register, quantity) =>
+    postJson(`${url}/api/terminal-checkout`, {
+      locationId: 'LOCATION',
+      register,
+      line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity }],
+    });
+  const unpaired = await checkout('lunch-2', 11);
+  t.is(unpaired.res.status, 409);
+  t.like(unpaired.data, { code: 'REGISTER_NOT_PAIRED', register: 'lunch-2' });
+  t.is(countOrders('VAR_COFFEE_HOT', 11), 0);
+
+  fake.pairDeviceCode(deviceCode.id, 'fake-device-lunch-2');
+  const list = await (await fetch(devicesUrl, { headers: staff })).json();
+  t.is(list.defaultDeviceId, 'fake-device');
+  t.like(
+    list.registers.find((entry) => entry.register === 'lunch-2'),
+    { deviceId: 'fake-device-lunch-2' },
+  );
+  t.like(
+    list.deviceCodes.find((code) => code.id === deviceCode.id),
+    { status: 'PAIRED', code: null, deviceId: 'fake-device-lunch-2' },
+  );
+
+  const paired = await checkout('lunch-2', 12);
+  t.true(paired.res.ok);
+  t.is(
+    fake.state.checkouts.get(paired.data.checkoutId).device_options.device_id,
+    'fake-device-lunch-2',
+  );
+  // checkouts without a register still go to SQUARE_TERMINAL_DEVICE_ID
+  const counter = await checkout(undefined, 13);
+  t.is(
+    fake.state.checkouts.get(counter.data.checkoutId).device_options.device_id,
+    'fake-device',
+  );
+
+  service.close(t.falsy);
+});
+
+test('keeps each stand to its own location, menu and terminal', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+
+  const config = await (
+    await fetch(`${url}/api/config?location=shibuya`)
+  ).json();
+  t.is(config.locationId, 'LOCATION_SHIBUYA');
+  t.deepEqual(config.location, { slug: 'shibuya', name: '渋谷店' });
+  t.is(config.tax.pricing, 'inclusive');
+  const unknown = await fetch(`${url}/api/config?location=ginza`);
+  t.is(unknown.status, 404);
+  t.is((await unknown.json()).code, 'UNKNOWN_LOCATION');
+
+  const menu = await (await fetch(`${url}/api/items?location=shibuya`)).json();
+  t.deepEqual(
+    menu.items.map((item) => item.id),
+    ['ITEM_COFFEE'],
+  );
+  t.deepEqual(
+    menu.categories.map((category) => category.id),
+    ['CAT_DRINK'],
+  );
+
+  const order = (body) =>
+    postJson(`${url}/api/payment`, {
+      location: 'shibuya',
+      locationId: 'LOCATION_SHIBUYA',
+      sourceId: 'cnon:card-nonce-ok',
+      ...body,
+    });
+  const { res, data } = await order({
+    idempotencyKey: 'e2e-shibuya',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_ICED', quantity: 8 }],
+  });
+  t.true(res.ok);
+  const placed = fake.state.orders.get(data.payment.orderId);
+  t.is(placed.location_id, 'LOCATION_SHIBUYA');
+  t.is(
+    fake.state.payments.get(data.payment.id).location_id,
+    placed.location_id,
+  );
+  // prices include tax at this stand
+  t.is(placed.total_money.amount, 600 * 8);
+
+  const mismatch = await order({
+    locationId: 'LOCATION',
+    idempotencyKey: 'e2e-shibuya-mismatch',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_ICED', quantity: 9 }],
+  });
+  t.is(mismatch.res.status, 400);
+  t.like(mismatch.data, {
+    code: 'LOCATION_MISMATCH',
+    locationId: 'LOCATION_SHIBUYA',
+  });
+  const offMenu = await order({
+    idempotencyKey: 'e2e-shibuya-off-menu',
+    line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 9 }],
+  });
+  t.is(offMenu.res.status, 409);
+  t.is(offMenu.data.code, 'NOT_ON_MENU');
+  t.is(countOrders('VAR_COFFEE_ICED', 9) + countOrders('VAR_CLASSIC', 9), 0);
+
+  const terminal = await postJson(`${url}/api/terminal-checkout`, {
+    location: 'shibuya',
+    locationId: 'LOCATION_SHIBUYA',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 8 }],
+  });
+  t.true(terminal.res.ok);
+  t.like(fake.state.checkouts.get(terminal.data.checkoutId), {
+    device_options: { device_id: 'fake-device-shibuya' },
+    location_id: 'LOCATION_SHIBUYA',
+  });
+
+  service.close(t.falsy);
+});
+
+// api/webhooks/square
+function postWebhook(url, event, signature) {
+  const body = JSON.stringify(event);
+  return fetch(`${url}/api/webhooks/square`, {
+    method: 'post',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-square-hmacsha256-signature':
+        signature ??
+        signPayload(process.env.SQUARE_WEBHOOK_URL, body, 'webhook-key'),
+    },
+    body,
+  });
+}
+
+test('dispatches signed webhook events once', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const received = [];
+  t.teardown(
+    onWebhookEvent('terminal.checkout.updated', (event) => {
+      received.push(event.event_id);
+    }),
+  );
+  const event = {
+    event_id: 'server-test-event',
+    type: 'terminal.checkout.updated',
+    created_at: new Date().toISOString(),
+    data: { id: 'CHECKOUT' },
+  };
+
+  t.is((await postWebhook(url, event)).status, 200);
+  const replay = await postWebhook(url, event);
+  t.true((await replay.json()).duplicate);
+  t.deepEqual(received, ['server-test-event']);
+
+  service.close(t.falsy);
+});
+
+test('rejects webhooks with a bad signature', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+
+  const res = await postWebhook(
+    url,
+    { event_id: 'forged', type: 'payment.updated' },
+    'forged',
+  );
+  t.is(res.status, 401);
+
+  service.close(t.falsy);
+});
+
+test('streams terminal checkout status as server-sent events', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { data } = await postJson(`${url}/api/terminal-checkout`, {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_ICED', quantity: 14 }],
+  });
+  const eventsUrl = `${url}/api/terminal-checkout/${data.checkoutId}/events`;
+
+  const missing = await fetch(`${url}/api/terminal-checkout/NOPE/events`);
+  t.is(missing.status, 404);
+
+  const res = await fetch(eventsUrl);
+  t.is(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+  const statuses = [];
+  let buffer = '';
+  for await (const chunk of res.body) {
+    buffer += chunk.toString();
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const match = /^event: status\ndata: (.*)$/m.exec(block);
+      if (!match) continue;
+      const summary = JSON.parse(match[1]);
+      statuses.push(summary.status);
+      // the terminal reports the payment; no need to wait for the next poll
+      if (summary.status === 'PENDING') {
+        await postWebhook(url, {
+          event_id: `server-test-${data.checkoutId}`,
+          type: 'terminal.checkout.updated',
+          created_at: new Date().toISOString(),
+          data: {
+            type: 'checkout',
+            id: data.checkoutId,
+            object: {
+              checkout: {
+                ...fake.state.checkouts.get(data.checkoutId),
+                status: 'COMPLETED',
+              },
+            },
+          },
+        });
+      } else {
+        t.like(summary, {
+          orderId: data.orderId,
+          pickupNumber: data.pickupNumber,
+        });
+      }
+    }
+  }
+  // the stream ends once the status is final
+  t.deepEqual(statuses, ['PENDING', 'COMPLETED']);
+
+  service.close(t.falsy);
+});
+
+test('cancels a terminal checkout and its unpaid order', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { data } = await postJson(`${url}/api/terminal-checkout`, {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 1 }],
+  });
+
+  const { res, data: canceled } = await postJson(
+    `${url}/api/terminal-checkout/cancel`,
+    { checkoutId: data.checkoutId },
+  );
+
+  t.true(res.ok);
+  t.is(canceled.status, 'CANCELED');
+  t.true(canceled.orderCanceled);
+  t.is(fake.state.orders.get(data.orderId).state, 'CANCELED');
+
+  service.close(t.falsy);
+});
+
+test('reports a checkout that was paid before it could be canceled', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const { data } = await postJson(`${url}/api/terminal-checkout`, {
+    locationId: 'LOCATION',
+    line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 1 }],
+  });
+  fake.setCheckoutStatus(data.checkoutId, 'COMPLETED');
+
+  const { res, data: result } = await postJson(
+    `${url}/api/terminal-checkout/cancel`,
+    { checkoutId: data.checkoutId },
+  );
+
+  t.is(res.status, 409);
+  t.is(result.code, 'CHECKOUT_COMPLETED');
+  t.is(fake.state.orders.get(data.orderId).state, 'OPEN');
+
+  service.close(t.falsy);
+});
+
+// idempotency
+test('returns the first result when a payment is retried', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const payload = {
+    sourceId: 'cnon:card-nonce-ok',
+    locationId: 'LOCATION',
+    idempotencyKey: 'retried-payment',
+    line_items: [{ catalog_object_id: 'VAR_CHICKEN', quantity: 1 }],
+  };
+  const first = await postJson(`${url}/api/payment`, payload);
+  const second = await postJson(`${url}/api/payment`, {
+    ...payload,
+    sourceId: 'cnon:another-token',
+  });
+
+  t.deepEqual(second.data, first.data);
+  t.is(countOrders('VAR_CHICKEN', 1), 1);
+
+  const changed = await postJson(`${url}/api/payment`, {
+    ...payload,
+    diningOption: 'EAT_IN',
+  });
+  t.is(changed.res.status, 422);
+  t.is(changed.data.code, 'IDEMPOTENCY_KEY_REUSED');
+
+  service.close(t.falsy);
+});
+
+test.serial(
+  'returns the first order to a retry on another instance',
+  async (t) => {
+    const service = micro(main);
+    const url = await listen(service);
+    const payload = {
+      sourceId: 'cnon:card-nonce-ok',
+      locationId: 'LOCATION',
+      idempotencyKey: 'retried-elsewhere',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 5 }],
+    };
+    const first = await postJson(`${url}/api/payment`, payload);
+    t.true(first.res.ok);
+
+    // another instance remembers nothing, draws the next pickup number and
+    // builds a different order body, which Square refuses to replay
+    const original = getIdempotencyStore();
+    setIdempotencyStore(createMemoryStore());
+    t.teardown(() => setIdempotencyStore(original));
+    const second = await postJson(`${url}/api/payment`, payload);
+
+    t.true(second.res.ok);
+    t.deepEqual(second.data.payment, first.data.payment);
+    t.is(countOrders('VAR_CLASSIC', 5), 1);
+
+    service.close(t.falsy);
+  },
+);
+
+test('reuses the order when a timed out payment is retried', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const payload = {
+    sourceId: TIMEOUT_NONCE,
+    locationId: 'LOCATION',
+    idempotencyKey: 'timed-out-payment',
+    line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: 2 }],
+  };
+
+  const timedOut = await postJson(`${url}/api/payment`, payload);
+  t.is(timedOut.res.status, 504);
+
+  const { res, data } = await postJson(`${url}/api/payment`, {
+    ...payload,
+    sourceId: 'cnon:card-nonce-ok',
+  });
+  t.true(res.ok);
+  t.is(countOrders('VAR_TOFU', 2), 1);
+  t.is(
+    fake.state.payments.get(data.payment.id).amount_money.amount,
+    fake.state.orders.get(data.payment.orderId).total_money.amount,
+  );
+
+  service.close(t.falsy);
+});
+
+test('returns the same terminal checkout for a repeated key', async (t) => {
+  const service = micro(main);
+  const url = await listen(service);
+  const payload = {
+    locationId: 'LOCATION',
+    idempotencyKey: 'repeated-terminal',
+    line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: 1 }],
+  };
+
+  const first = await postJson(`${url}/api/terminal-checkout`, payload);
+  const second = await postJson(`${url}/api/terminal-checkout`, payload);
+
+  t.is(second.data.checkoutId, first.data.checkoutId);
+  t.is(second.data.orderId, first.data.orderId);
+
+  service.close(t.falsy);
+});
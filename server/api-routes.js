@@ -0,0 +1,142 @@
+// api-routes serves the Vercel functions under api/ from the local micro
+// server the way Vercel does: one route per file (api/kds/orders/index.js →
+// /api/kds/orders), [name] segments as dynamic parameters in req.query, and
+// the rewrites from vercel.json. Whatever is not a function falls through to
+// the static files.
+// https://vercel.com/docs/functions/runtimes/node-js
+
+const fs = require('fs');
+const path = require('path');
+
+const { createRequest, extendResponse } = require('./vercel-shim');
+
+// '/api/orders/:id/status' → [{ text: 'api' }, …, { param: 'id' }, …]
+function compilePattern(source) {
+  return source
+    .split('/')
+    .filter(Boolean)
+    .map((segment) =>
+      segment.startsWith(':') ? { param: segment.slice(1) } : { text: segment },
+    );
+}
+
+// The parameters of pathname if it matches the pattern, otherwise null
+function matchPattern(segments, pathname) {
+  const parts = pathname.split('/').filter(Boolean);
+  if (parts.length !== segments.length) return null;
+  const params = {};
+  for (const [index, segment] of segments.entries()) {
+    if (segment.param) {
+      try {
+        params[segment.param] = decodeURIComponent(parts[index]);
+      } catch {
+        return null;
+      }
+    } else if (segment.text !== parts[index]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Vercel skips files and directories starting with _ or .
+function listFunctionFiles(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !/^[_.]/.test(entry.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listFunctionFiles(file);
+      return entry.name.endsWith('.js') ? [file] : [];
+    });
+}
+
+// api/orders/[id]/status.js → /api/orders/:id/status
+function routePath(apiDir, file) {
+  const segments = path
+    .relative(apiDir, file)
+    .replace(/\.js$/, '')
+    .split(path.sep)
+    .map((segment) => segment.replace(/^\[(\w+)\]$/, ':$1'));
+  if (segments[segments.length - 1] === 'index') segments.pop();
+  return ['', path.basename(apiDir), ...segments].join('/');
+}
+
+// Every function under apiDir, static segments ahead of dynamic ones so
+// /api/orders/board wins over /api/orders/:id
+function discoverRoutes(apiDir) {
+  return listFunctionFiles(apiDir)
+    .map((file) => {
+      const source = routePath(apiDir, file);
+      const segments = compilePattern(source);
+      const rank = segments.map((segment) => (segment.param ? 1 : 0)).join('');
+      return { path: source, file, segments, rank };
+    })
+    .sort((a, b) => a.rank.localeCompare(b.rank));
+}
+
+function matchRoute(routes, pathname) {
+  for (const route of routes) {
+    const params = matchPattern(route.segments, pathname);
+    if (params) return { route, params };
+  }
+  return null;
+}
+
+// The rewrites in vercel.json; none if the file is missing
+function readRewrites(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8')).rewrites || [];
+}
+
+// Where the first matching rewrite sends pathname, with the parameters it
+// captured, or null
+function applyRewrites(rewrites, pathname) {
+  for (const { source, destination } of rewrites) {
+    const params = matchPattern(compilePattern(source), pathname);
+    if (params) {
+      return {
+        pathname: destination.replace(/:(\w+)/g, (placeholder, name) =>
+          name in params ? encodeURIComponent(params[name]) : placeholder,
+        ),
+        params,
+      };
+    }
+  }
+  return null;
+}
+
+// A micro handler that runs the function for the request with Vercel's
+// req/res helpers, or hands it to fallback
+function createApiRouter({ apiDir, rewrites = [], fallback }) {
+  const routes = discoverRoutes(apiDir);
+
+  return async function apiRouter(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let found = matchRoute(routes, url.pathname);
+    let rewritten = null;
+    if (!found) {
+      rewritten = applyRewrites(rewrites, url.pathname);
+      found = rewritten && matchRoute(routes, rewritten.pathname);
+    }
+    if (!found) return fallback(req, res);
+
+    const request = await createRequest(req, {
+      url: rewritten ? rewritten.pathname + url.search : req.url,
+      params: { ...rewritten?.params, ...found.params },
+    });
+    const exported = require(found.route.file);
+    const handler =
+      typeof exported === 'function' ? exported : exported.default;
+    await handler(request, extendResponse(res));
+  };
+}
+
+module.exports = {
+  discoverRoutes,
+  matchRoute,
+  readRewrites,
+  applyRewrites,
+  createApiRouter,
+};
@@ -0,0 +1,85 @@
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  applyRewrites,
+  discoverRoutes,
+  matchRoute,
+  readRewrites,
+} = require('./api-routes');
+
+const API_DIR = path.join(__dirname, '..', 'api');
+
+// an api/ tree of empty files; discovery does not load them
+function makeApiDir(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-routes-'));
+  t.teardown(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const file of files) {
+    const full = path.join(root, 'api', file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, '');
+  }
+  return path.join(root, 'api');
+}
+
+test('mounts every function under api/', (t) => {
+  const paths = discoverRoutes(API_DIR).map((route) => route.path);
+
+  t.true(paths.includes('/api/payment'));
+  t.true(paths.includes('/api/card'));
+  t.true(paths.includes('/api/webhooks/square'));
+  // index.js serves its directory
+  t.true(paths.includes('/api/kds/orders'));
+  t.true(paths.includes('/api/kds/orders/:id/advance'));
+  t.true(paths.includes('/api/terminal-checkout/:id/events'));
+});
+
+test('matches static segments before dynamic ones', (t) => {
+  const routes = discoverRoutes(
+    makeApiDir(t, [
+      'orders/[id].js',
+      'orders/board.js',
+      'orders/[id]/status.js',
+      '_lib/helpers.js',
+      'notes.txt',
+    ]),
+  );
+
+  t.deepEqual(
+    routes.map((route) => route.path),
+    ['/api/orders/board', '/api/orders/:id', '/api/orders/:id/status'],
+  );
+  t.is(matchRoute(routes, '/api/orders/board').route.path, '/api/orders/board');
+  t.deepEqual(matchRoute(routes, '/api/orders/ORDER%201').params, {
+    id: 'ORDER 1',
+  });
+  t.deepEqual(matchRoute(routes, '/api/orders/A/status/').params, {
+    id: 'A',
+  });
+  t.is(matchRoute(routes, '/api/orders/%E0%A4%A/status'), null);
+  t.is(matchRoute(routes, '/api/orders'), null);
+});
+
+test('follows the rewrites in vercel.json', (t) => {
+  const rewrites = readRewrites(path.join(__dirname, '..', 'vercel.json'));
+
+  t.deepEqual(applyRewrites(rewrites, '/payment'), {
+    pathname: '/api/payment',
+    params: {},
+  });
+  t.deepEqual(applyRewrites(rewrites, '/l/shibuya/kiosk'), {
+    pathname: '/examples/kiosk.html',
+    params: { slug: 'shibuya' },
+  });
+  t.deepEqual(
+    applyRewrites(
+      [{ source: '/o/:id', destination: '/api/orders/:id' }],
+      '/o/A%2FB',
+    ),
+    { pathname: '/api/orders/A%2FB', params: { id: 'A/B' } },
+  );
+  t.is(applyRewrites(rewrites, '/api/items'), null);
+  t.deepEqual(readRewrites(path.join(__dirname, 'missing.json')), []);
+});
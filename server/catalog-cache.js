@@ -0,0 +1,111 @@
+// catalog-cache keeps the last menu built from the Square catalog so page
+// loads do not each page through the Catalog API. Entries expire after a TTL,
+// are dropped on catalog.version.updated, and the last good menu is served
+// (marked stale) when Square cannot be reached.
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const logger = require('./logger');
+const { buildMenu, fetchCatalog } = require('./menu');
+const { client: square } = require('./square-rest');
+const { onWebhookEvent } = require('./webhooks');
+
+const DEFAULT_TTL_SECONDS = 300;
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function ttlMs() {
+  const seconds = Number(setting('CATALOG_CACHE_TTL_SECONDS'));
+  // 0 disables caching; anything unparsable falls back to the default
+  return (
+    (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_TTL_SECONDS) *
+    1000
+  );
+}
+
+function etagOf(menu) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(menu))
+    .digest('base64url');
+  return `"${hash.slice(0, 27)}"`;
+}
+
+// `load` resolves to the menu; `ttl` is a number or a function returning one
+function createCatalogCache({ load, ttl = ttlMs, now = Date.now }) {
+  let entry;
+  let pending;
+  // bumped by invalidate() so a load already in flight is not kept as fresh
+  let generation = 0;
+
+  function refresh() {
+    if (!pending) {
+      const started = generation;
+      pending = Promise.resolve()
+        .then(load)
+        .then((menu) => {
+          entry = {
+            menu,
+            etag: etagOf(menu),
+            fetchedAt: now(),
+            invalidated: started !== generation,
+          };
+          return entry;
+        })
+        .finally(() => {
+          pending = undefined;
+        });
+    }
+    return pending;
+  }
+
+  const result = ({ menu, etag, fetchedAt }, stale) => ({
+    menu,
+    etag,
+    fetchedAt,
+    stale,
+  });
+
+  return {
+    // Resolves to { menu, etag, fetchedAt, stale }
+    async get() {
+      const maxAge = typeof ttl === 'function' ? ttl() : ttl;
+      if (entry && !entry.invalidated && now() - entry.fetchedAt < maxAge) {
+        return result(entry, false);
+      }
+      try {
+        return result(await refresh(), false);
+      } catch (ex) {
+        if (!entry) throw ex;
+        logger.error('Serving stale menu: catalog refresh failed', ex.message);
+        return result(entry, true);
+      }
+    },
+    // Forces the next get() to reload; the old menu stays as the fallback
+    invalidate() {
+      generation += 1;
+      if (entry) entry = { ...entry, invalidated: true };
+    },
+  };
+}
+
+let shared;
+
+function getCatalogCache() {
+  if (!shared) {
+    shared = createCatalogCache({
+      load: async () => buildMenu(await fetchCatalog(square)),
+    });
+  }
+  return shared;
+}
+
+// Only this instance's cache is dropped; on serverless the TTL bounds the rest
+onWebhookEvent('catalog.version.updated', () => {
+  if (shared) shared.invalidate();
+});
+
+module.exports = { createCatalogCache, getCatalogCache, etagOf };
@@ -0,0 +1,100 @@
+const test = require('ava');
+
+const { createCatalogCache } = require('./catalog-cache');
+
+function setup({ ttl = 1000 } = {}) {
+  const clock = { now: 0 };
+  const loads = [];
+  let version = 0;
+  const cache = createCatalogCache({
+    ttl,
+    now: () => clock.now,
+    load: async () => {
+      loads.push(clock.now);
+      if (loads.failNext) {
+        loads.failNext = false;
+        throw new Error('Square unreachable');
+      }
+      version += 1;
+      return { items: [], version };
+    },
+  });
+  return { cache, clock, loads };
+}
+
+test('serves the cached menu until the TTL runs out', async (t) => {
+  const { cache, clock, loads } = setup();
+
+  const first = await cache.get();
+  clock.now = 999;
+  const second = await cache.get();
+  t.is(loads.length, 1);
+  t.is(second.etag, first.etag);
+
+  clock.now = 1000;
+  const third = await cache.get();
+  t.is(loads.length, 2);
+  t.is(third.menu.version, 2);
+  t.not(third.etag, first.etag);
+});
+
+test('loads the catalog once for concurrent requests', async (t) => {
+  const { cache, loads } = setup();
+
+  await Promise.all([cache.get(), cache.get(), cache.get()]);
+  t.is(loads.length, 1);
+});
+
+test('reloads after invalidate', async (t) => {
+  const { cache, loads } = setup();
+
+  await cache.get();
+  cache.invalidate();
+  const { menu } = await cache.get();
+  t.is(loads.length, 2);
+  t.is(menu.version, 2);
+});
+
+test('does not keep a load that was in flight during invalidate', async (t) => {
+  const { cache, loads } = setup();
+
+  const pending = cache.get();
+  cache.invalidate();
+  await pending;
+  await cache.get();
+  t.is(loads.length, 2);
+});
+
+test('serves the last good menu as stale when a reload fails', async (t) => {
+  const { cache, clock, loads } = setup();
+
+  const fresh = await cache.get();
+  t.false(fresh.stale);
+
+  clock.now = 5000;
+  loads.failNext = true;
+  const stale = await cache.get();
+  t.true(stale.stale);
+  t.is(stale.menu.version, 1);
+  t.is(stale.fetchedAt, 0);
+
+  // the next request tries Square again
+  const retried = await cache.get();
+  t.false(retried.stale);
+  t.is(retried.menu.version, 2);
+});
+
+test('fails when there is no menu to fall back on', async (t) => {
+  const { cache, loads } = setup();
+
+  loads.failNext = true;
+  await t.throwsAsync(cache.get(), { message: 'Square unreachable' });
+});
+
+test('a TTL of 0 always reloads', async (t) => {
+  const { cache, loads } = setup({ ttl: 0 });
+
+  await cache.get();
+  await cache.get();
+  t.is(loads.length, 2);
+});
@@ -0,0 +1,150 @@
+// checkout builds the Square order for a kiosk cart, the part /api/payment
+// and /api/terminal-checkout share: the store must be open, the cart is
+// priced from the catalog (or its quote), checked against the stand's menu
+// and stock, given a pickup time and number, and created once per key.
+// The handlers then charge it, by card or on a Square Terminal.
+
+const { createCustomer } = require('./customers');
+const { checkStock } = require('./inventory');
+const { checkMenu } = require('./locations');
+const { cancelUnpaidOrder, createOrderOnce } = require('./orders');
+const { nextPickupNumber } = require('./pickup-numbers');
+const { resolvePickup, slotSettings } = require('./pickup-slots');
+const {
+  PricingError,
+  fetchModifierLists,
+  fetchVariationPrices,
+  priceOrder,
+} = require('./pricing');
+const { evaluatePromotions, limitsPerCustomer } = require('./promotions');
+const { quotedPayload } = require('./quotes');
+const { assertStoreOpen } = require('./store-hours');
+const {
+  DINING_LABELS,
+  getTaxOptions,
+  normalizeDiningOption,
+} = require('./tax');
+
+// Creates the order for a checkout payload and resolves to it. squareKey
+// (scope → idempotency key) keys the Square calls, so a retry gets the first
+// order back. customerKey and verifiedPhone are the verified customer that
+// per-customer promotions count against (none on the terminal); customerId
+// puts a saved card's customer on the order.
+// Throws the StoreHoursError, QuoteError, PricingError, PromotionError,
+// LocationError, InventoryError or PickupSlotError that stopped it.
+async function createCheckoutOrder(
+  square,
+  payload,
+  {
+    location,
+    squareKey,
+    customerKey = null,
+    verifiedPhone = null,
+    customerId = null,
+  },
+) {
+  const locationId = location.locationId;
+  const productName = (payload.productName || 'バインミー').slice(0, 200);
+  const displayName = (payload.customerName || 'Customer').slice(0, 100);
+
+  await assertStoreOpen({ location, square });
+
+  // The quote's lines, dining option, promo codes and total, if there is one
+  const cart = quotedPayload(payload, location);
+
+  // The client's amount is only compared against the catalog's
+  const { line_items, taxes, discounts, promotions, amount } = await priceOrder(
+    cart,
+    {
+      defaultName: productName,
+      lookupPrices: (ids) => fetchVariationPrices(square, ids),
+      lookupModifiers: (ids) => fetchModifierLists(square, ids),
+      applyPromotions: (lines) =>
+        evaluatePromotions(lines, {
+          codes: cart.promoCodes,
+          location,
+          customerKey,
+          square,
+        }),
+      tax: getTaxOptions(location.tax || {}),
+    },
+  );
+
+  await checkMenu(location, line_items);
+  await checkStock(square, line_items, { locationId });
+
+  const pickup = await resolvePickup(square, payload.pickupAt, {
+    locationId,
+    settings: slotSettings(location),
+  });
+
+  // The pickup number (A-001, …) goes in reference_id and in front of the
+  // recipient's name, so the KDS and POS call the same number
+  const pickupNumber = await nextPickupNumber(square, { locationId });
+
+  // Square counts per-customer promotions by the order's customer_id, so
+  // the verified customer goes on the order (registered if they are new)
+  let orderCustomerId = customerId;
+  if (
+    !orderCustomerId &&
+    customerKey &&
+    limitsPerCustomer(promotions.map((promotion) => promotion.id))
+  ) {
+    ({
+      customer: { id: orderCustomerId },
+    } = await createCustomer(square, {
+      givenName: displayName,
+      phone: verifiedPhone,
+      idempotencyKey: squareKey('customer'),
+    }));
+  }
+
+  // Dining option and the customer's notes, shown on the KDS
+  const note = [
+    DINING_LABELS[normalizeDiningOption(cart.diningOption)],
+    (payload.customerNotes || '').trim().slice(0, 200),
+  ]
+    .filter(Boolean)
+    .join(' / ');
+
+  const order = await createOrderOnce(square, {
+    idempotency_key: squareKey('order'),
+    order: {
+      location_id: locationId,
+      reference_id: pickupNumber,
+      ...(orderCustomerId ? { customer_id: orderCustomerId } : {}),
+      line_items,
+      taxes,
+      ...(discounts.length > 0 ? { discounts } : {}),
+      fulfillments: [
+        {
+          type: 'PICKUP',
+          state: 'PROPOSED',
+          pickup_details: {
+            recipient: { display_name: `${pickupNumber} ${displayName}` },
+            note,
+            ...pickup,
+          },
+        },
+      ],
+    },
+  });
+  if (!order?.id) {
+    throw new Error('Order created but no order id in response');
+  }
+
+  // Square charges the total it calculates; when that is not what the
+  // customer was quoted, cancel the order rather than charge it
+  const orderTotal = Number(order.total_money?.amount ?? amount);
+  if (orderTotal !== amount) {
+    await cancelUnpaidOrder(square, order.id);
+    throw new PricingError(
+      'ORDER_TOTAL_MISMATCH',
+      'お会計の金額を確定できませんでした。スタッフにお声がけください',
+      { status: 409, expected: amount, orderTotal },
+    );
+  }
+  return order;
+}
+
+module.exports = { createCheckoutOrder };
@@ -0,0 +1,51 @@
+const test = require('ava');
+
+const { createCheckoutOrder } = require('./checkout');
+const { PricingError } = require('./pricing');
+const { setupFakeSquare } = require('./testing');
+
+const location = { slug: 'main', locationId: 'LOCATION', tax: null };
+
+const payload = {
+  locationId: 'LOCATION',
+  line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: 3 }],
+  diningOption: 'EAT_IN',
+  customerName: 'ホア',
+  customerNotes: ' パクチー抜き ',
+};
+
+test('creates the priced pickup order once per key', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const options = { location, squareKey: (scope) => `${scope}:checkout-1` };
+
+  const order = await createCheckoutOrder(square, payload, options);
+  // ¥2,670 + 10% for eating in
+  t.is(order.total_money.amount, 2937);
+  t.regex(order.reference_id, /^A-\d{3}$/);
+  const [{ pickup_details: details }] = order.fulfillments;
+  t.is(details.recipient.display_name, `${order.reference_id} ホア`);
+  t.is(details.note, 'イートイン / パクチー抜き');
+  t.is(details.schedule_type, 'ASAP');
+
+  const retried = await createCheckoutOrder(square, payload, options);
+  t.is(retried.id, order.id);
+});
+
+test('cancels an order whose Square total differs from the quote', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  fake.state.taxRounding = 'floor';
+
+  const error = await t.throwsAsync(
+    createCheckoutOrder(
+      square,
+      { ...payload, diningOption: 'TAKEOUT' },
+      { location, squareKey: (scope) => `${scope}:checkout-2` },
+    ),
+    { instanceOf: PricingError },
+  );
+  // 8% of ¥2,670 is ¥213.6
+  t.like(error, { code: 'ORDER_TOTAL_MISMATCH', status: 409 });
+  t.deepEqual(error.detail, { expected: 2884, orderTotal: 2883 });
+  const [order] = fake.state.orders.values();
+  t.is(order.state, 'CANCELED');
+});
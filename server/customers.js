@@ -0,0 +1,254 @@
+// customers keeps regulars in the Square customer directory so they can pay
+// with a card they saved before. Customers are found by phone number (what
+// the kiosk asks for) or email; Square stores the cards, each tied to one
+// customer. What goes back to the browser is cut down to what a customer
+// needs to recognise themselves and their cards.
+// https://developer.squareup.com/docs/customers-api/what-it-does
+// https://developer.squareup.com/docs/cards-api/overview
+
+const { SquareApiError } = require('./square-rest');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SEARCH_LIMIT = 10;
+
+class CustomerError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'CustomerError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// '090-1234-5678' → '+819012345678'; numbers without a country code are
+// Japanese. null if it does not look like a phone number.
+function normalizePhone(input) {
+  if (typeof input !== 'string') return null;
+  const trimmed = input.trim();
+  const digits = trimmed.replace(/[\s\-()]/g, '');
+  let e164;
+  if (/^\+\d+$/.test(digits)) e164 = digits;
+  else if (/^0\d+$/.test(digits)) e164 = `+81${digits.slice(1)}`;
+  else return null;
+  return e164.length >= 11 && e164.length <= 16 ? e164 : null;
+}
+
+function normalizeEmail(input) {
+  if (typeof input !== 'string') return null;
+  const email = input.trim().toLowerCase();
+  return EMAIL_PATTERN.test(email) ? email : null;
+}
+
+// 'nguyen@example.com' → 'n•••@example.com'
+function maskEmail(email) {
+  if (!email) return null;
+  const [name, domain] = email.split('@');
+  return `${name.slice(0, 1)}•••@${domain}`;
+}
+
+// 'チャン ラン' → 'チ• ラ•'
+function maskName(...parts) {
+  const masked = parts
+    .filter(Boolean)
+    .flatMap((part) => part.trim().split(/\s+/))
+    .filter(Boolean)
+    .map((word) => `${[...word][0]}•`);
+  return masked.length > 0 ? masked.join(' ') : null;
+}
+
+// What the customer endpoints send for a customer
+function summarizeCustomer(customer) {
+  return {
+    id: customer.id,
+    name: maskName(customer.family_name, customer.given_name),
+    phoneLast4: customer.phone_number ? customer.phone_number.slice(-4) : null,
+    email: maskEmail(customer.email_address),
+    createdAt: customer.created_at,
+  };
+}
+
+// What the card endpoints send for a card on file
+function summarizeCard(card) {
+  return {
+    id: card.id,
+    brand: card.card_brand,
+    last4: card.last_4,
+    expMonth: card.exp_month,
+    expYear: card.exp_year,
+    cardholderName: maskName(card.cardholder_name),
+    enabled: card.enabled !== false,
+  };
+}
+
+function searchFilter({ phone, email }) {
+  if (phone != null) {
+    const phone_number = normalizePhone(phone);
+    if (!phone_number) {
+      throw new CustomerError(
+        'INVALID_PHONE',
+        '電話番号の形式が正しくありません',
+      );
+    }
+    return { phone_number: { exact: phone_number } };
+  }
+  if (email != null) {
+    const email_address = normalizeEmail(email);
+    if (!email_address) {
+      throw new CustomerError(
+        'INVALID_EMAIL',
+        'メールアドレスの形式が正しくありません',
+      );
+    }
+    return { email_address: { exact: email_address } };
+  }
+  throw new CustomerError(
+    'MISSING_QUERY',
+    '電話番号かメールアドレスを指定してください',
+  );
+}
+
+// Customers with exactly this phone number (or email), oldest first
+async function searchCustomers(square, { phone, email } = {}) {
+  const { customers = [] } = await square.post('/v2/customers/search', {
+    limit: SEARCH_LIMIT,
+    query: {
+      filter: searchFilter({ phone, email }),
+      sort: { field: 'CREATED_AT', order: 'ASC' },
+    },
+  });
+  return customers;
+}
+
+// Registers a customer, or returns the one already registered with the same
+// phone number (or email when there is no phone), so regulars are not
+// duplicated. { customer, created }
+async function createCustomer(
+  square,
+  { givenName, familyName, phone, email, idempotencyKey },
+) {
+  const given_name = (givenName || '').trim().slice(0, 100);
+  const family_name = (familyName || '').trim().slice(0, 100);
+  if (!given_name && !family_name) {
+    throw new CustomerError('MISSING_NAME', 'お名前を入力してください');
+  }
+  const phone_number = phone ? normalizePhone(phone) : null;
+  if (phone && !phone_number) {
+    throw new CustomerError(
+      'INVALID_PHONE',
+      '電話番号の形式が正しくありません',
+    );
+  }
+  const email_address = email ? normalizeEmail(email) : null;
+  if (email && !email_address) {
+    throw new CustomerError(
+      'INVALID_EMAIL',
+      'メールアドレスの形式が正しくありません',
+    );
+  }
+  if (!phone_number && !email_address) {
+    throw new CustomerError(
+      'MISSING_CONTACT',
+      '電話番号かメールアドレスを入力してください',
+    );
+  }
+
+  const [existing] = await searchCustomers(
+    square,
+    phone_number ? { phone: phone_number } : { email: email_address },
+  );
+  if (existing) return { customer: existing, created: false };
+
+  const { customer } = await square.post('/v2/customers', {
+    idempotency_key: idempotencyKey,
+    ...(given_name ? { given_name } : {}),
+    ...(family_name ? { family_name } : {}),
+    ...(phone_number ? { phone_number } : {}),
+    ...(email_address ? { email_address } : {}),
+  });
+  return { customer, created: true };
+}
+
+async function getCustomer(square, customerId) {
+  try {
+    const { customer } = await square.get(
+      `/v2/customers/${encodeURIComponent(customerId)}`,
+    );
+    return customer;
+  } catch (ex) {
+    if (ex instanceof SquareApiError && ex.status === 404) {
+      throw new CustomerError(
+        'CUSTOMER_NOT_FOUND',
+        'お客様情報が見つかりません',
+        { status: 404 },
+      );
+    }
+    throw ex;
+  }
+}
+
+// The customer, if they are the owner of the verified phone number (see
+// ./verification); anyone else's customer id is answered as not found
+async function getOwnCustomer(square, customerId, phone) {
+  const customer = await getCustomer(square, customerId);
+  if (!phone || customer.phone_number !== phone) {
+    throw new CustomerError(
+      'CUSTOMER_NOT_FOUND',
+      'お客様情報が見つかりません',
+      { status: 404 },
+    );
+  }
+  return customer;
+}
+
+// The customer's cards that can still be charged
+async function listCards(square, customerId) {
+  const cards = [];
+  let cursor;
+  do {
+    const query = new URLSearchParams({
+      customer_id: customerId,
+      ...(cursor ? { cursor } : {}),
+    });
+    const page = await square.get(`/v2/cards?${query}`);
+    cards.push(...(page.cards || []));
+    cursor = page.cursor;
+  } while (cursor);
+  return cards.filter(
+    (card) => card.enabled !== false && card.customer_id === customerId,
+  );
+}
+
+// Disables one of the customer's cards; Square cards cannot be deleted
+async function disableCard(square, customerId, cardId) {
+  let card = null;
+  try {
+    ({ card } = await square.get(`/v2/cards/${encodeURIComponent(cardId)}`));
+  } catch (ex) {
+    if (!(ex instanceof SquareApiError && ex.status === 404)) throw ex;
+  }
+  if (!card || card.customer_id !== customerId) {
+    throw new CustomerError('CARD_NOT_FOUND', 'カードが見つかりません', {
+      status: 404,
+    });
+  }
+  if (card.enabled === false) return card;
+  ({ card } = await square.post(
+    `/v2/cards/${encodeURIComponent(cardId)}/disable`,
+  ));
+  return card;
+}
+
+module.exports = {
+  CustomerError,
+  normalizePhone,
+  normalizeEmail,
+  summarizeCustomer,
+  summarizeCard,
+  searchCustomers,
+  createCustomer,
+  getCustomer,
+  getOwnCustomer,
+  listCards,
+  disableCard,
+};
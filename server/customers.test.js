@@ -0,0 +1,141 @@
+const test = require('ava');
+
+const {
+  CustomerError,
+  createCustomer,
+  disableCard,
+  getOwnCustomer,
+  listCards,
+  normalizePhone,
+  searchCustomers,
+  summarizeCustomer,
+} = require('./customers');
+const { setupFakeSquare } = require('./testing');
+
+async function saveCard(square, customerId, key) {
+  const { card } = await square.post('/v2/cards', {
+    idempotency_key: key,
+    source_id: 'cnon:card-nonce-ok',
+    card: { customer_id: customerId },
+  });
+  return card;
+}
+
+test('normalizes Japanese phone numbers', (t) => {
+  t.is(normalizePhone('090-1234-5678'), '+819012345678');
+  t.is(normalizePhone(' 03 (1234) 5678 '), '+81312345678');
+  t.is(normalizePhone('+1 415 555 0100'), '+14155550100');
+  t.is(normalizePhone('1234'), null);
+  t.is(normalizePhone('090-1234-abcd'), null);
+});
+
+test('registers a customer once per phone number', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+
+  const first = await createCustomer(square, {
+    givenName: 'ミン',
+    familyName: 'グエン',
+    phone: '090-1234-5678',
+    email: 'Minh@Example.com',
+    idempotencyKey: 'customer-1',
+  });
+  t.true(first.created);
+  t.like(fake.state.customers.get(first.customer.id), {
+    phone_number: '+819012345678',
+    email_address: 'minh@example.com',
+  });
+  t.deepEqual(summarizeCustomer(first.customer), {
+    id: first.customer.id,
+    name: 'グ• ミ•',
+    phoneLast4: '5678',
+    email: 'm•••@example.com',
+    createdAt: first.customer.created_at,
+  });
+
+  const again = await createCustomer(square, {
+    givenName: 'ミン',
+    phone: '09012345678',
+    idempotencyKey: 'customer-2',
+  });
+  t.false(again.created);
+  t.is(again.customer.id, first.customer.id);
+
+  const missing = await t.throwsAsync(
+    createCustomer(square, { givenName: 'ホア', idempotencyKey: 'customer-3' }),
+    { instanceOf: CustomerError },
+  );
+  t.is(missing.code, 'MISSING_CONTACT');
+});
+
+test('finds customers by phone or email', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const { customer } = await createCustomer(square, {
+    familyName: 'グエン',
+    phone: '090-1234-5678',
+    email: 'minh@example.com',
+    idempotencyKey: 'customer-1',
+  });
+
+  const byPhone = await searchCustomers(square, { phone: '090 1234 5678' });
+  t.deepEqual(
+    byPhone.map((found) => found.id),
+    [customer.id],
+  );
+  const byEmail = await searchCustomers(square, { email: 'MINH@example.com' });
+  t.is(byEmail[0].id, customer.id);
+  t.deepEqual(await searchCustomers(square, { phone: '080-0000-0000' }), []);
+
+  const invalid = await t.throwsAsync(searchCustomers(square, { phone: 'x' }), {
+    instanceOf: CustomerError,
+  });
+  t.is(invalid.code, 'INVALID_PHONE');
+  t.is(
+    (await t.throwsAsync(searchCustomers(square, {}))).code,
+    'MISSING_QUERY',
+  );
+});
+
+test('returns a customer only to the owner of their phone number', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const { customer } = await createCustomer(square, {
+    familyName: 'グエン',
+    phone: '090-1234-5678',
+    idempotencyKey: 'customer-1',
+  });
+
+  t.is(
+    (await getOwnCustomer(square, customer.id, '+819012345678')).id,
+    customer.id,
+  );
+  for (const phone of ['+819099999999', null]) {
+    const other = await t.throwsAsync(
+      getOwnCustomer(square, customer.id, phone),
+      { instanceOf: CustomerError },
+    );
+    t.like(other, { code: 'CUSTOMER_NOT_FOUND', status: 404 });
+  }
+});
+
+test("lists and disables only the customer's own cards", async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const kept = await saveCard(square, 'CUSTOMER', 'card-1');
+  const removed = await saveCard(square, 'CUSTOMER', 'card-2');
+  const other = await saveCard(square, 'OTHER', 'card-3');
+
+  await disableCard(square, 'CUSTOMER', removed.id);
+  t.deepEqual(
+    (await listCards(square, 'CUSTOMER')).map((card) => card.id),
+    [kept.id],
+  );
+
+  const notTheirs = await t.throwsAsync(
+    disableCard(square, 'CUSTOMER', other.id),
+    { instanceOf: CustomerError },
+  );
+  t.is(notTheirs.code, 'CARD_NOT_FOUND');
+  t.is(notTheirs.status, 404);
+  t.is(
+    (await t.throwsAsync(disableCard(square, 'CUSTOMER', 'ccof_GONE'))).code,
+    'CARD_NOT_FOUND',
+  );
+});
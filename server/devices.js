@@ -0,0 +1,134 @@
+// devices pairs Square Terminals with the app through the Devices API and
+// maps each register (a kiosk screen or a counter) to its terminal. Staff
+// create a device code named after the register and sign the terminal in
+// with it; once Square reports the code PAIRED, checkouts sent for that
+// register go to the terminal. Square keeps the codes, so every instance
+// sees the same pairings.
+// https://developer.squareup.com/docs/devices-api/overview
+
+const crypto = require('crypto');
+
+const config = require('./config');
+
+const PRODUCT_TYPE = 'TERMINAL_API';
+const REGISTER_PATTERN = /^[\w-]{1,40}$/;
+
+class DeviceError extends Error {
+  constructor(code, message, { status = 409, ...detail } = {}) {
+    super(message);
+    this.name = 'DeviceError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+// What GET /api/devices shows for one device code
+function summarizeDeviceCode(deviceCode) {
+  return {
+    id: deviceCode.id,
+    register: deviceCode.name || null,
+    // entered on the terminal; only useful until it pairs
+    code: deviceCode.status === 'UNPAIRED' ? deviceCode.code : null,
+    status: deviceCode.status,
+    deviceId: deviceCode.device_id || null,
+    pairBy: deviceCode.pair_by || null,
+    pairedAt: deviceCode.paired_at || null,
+    createdAt: deviceCode.created_at,
+  };
+}
+
+function validRegister(register) {
+  return typeof register === 'string' && REGISTER_PATTERN.test(register);
+}
+
+// A code the terminal signs in with; it expires at pair_by (about 5 minutes)
+async function createDeviceCode(square, { locationId, register }) {
+  if (!validRegister(register)) {
+    throw new DeviceError(
+      'INVALID_REGISTER',
+      'レジ名は英数字・-・_ の 40 文字以内で入力してください',
+      { status: 400 },
+    );
+  }
+  const { device_code } = await square.post('/v2/devices/codes', {
+    idempotency_key: crypto.randomUUID(),
+    device_code: {
+      name: register,
+      product_type: PRODUCT_TYPE,
+      location_id: locationId,
+    },
+  });
+  return summarizeDeviceCode(device_code);
+}
+
+// Terminal API device codes of a location, newest first
+async function listDeviceCodes(square, locationId) {
+  const codes = [];
+  let cursor;
+  do {
+    const query = new URLSearchParams({
+      location_id: locationId,
+      product_type: PRODUCT_TYPE,
+      ...(cursor ? { cursor } : {}),
+    });
+    const page = await square.get(`/v2/devices/codes?${query}`);
+    codes.push(...(page.device_codes || []));
+    cursor = page.cursor;
+  } while (cursor);
+  return codes.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// register → its paired device code; pairing a register again replaces its
+// terminal
+function pairedRegisters(codes) {
+  const registers = new Map();
+  const paired = codes
+    .filter((code) => code.status === 'PAIRED' && code.name && code.device_id)
+    .sort((a, b) => (a.paired_at || '').localeCompare(b.paired_at || ''));
+  for (const code of paired) registers.set(code.name, code);
+  return registers;
+}
+
+// The terminal set in the settings (the stand's or SQUARE_TERMINAL_DEVICE_ID)
+function defaultDeviceId(location = {}) {
+  return (
+    location.terminalDeviceId || setting('SQUARE_TERMINAL_DEVICE_ID') || null
+  );
+}
+
+// The terminal a checkout from `register` goes to. Without a register it is
+// the one in the settings, or the only paired one; null if there is none.
+async function resolveTerminal(square, location, register) {
+  const fallback = defaultDeviceId(location);
+  if (!register && (fallback || !location.locationId)) return fallback;
+  const registers = pairedRegisters(
+    await listDeviceCodes(square, location.locationId),
+  );
+  if (!register) {
+    return registers.size === 1 ? [...registers.values()][0].device_id : null;
+  }
+  const deviceId = registers.get(register)?.device_id;
+  if (!deviceId) {
+    throw new DeviceError(
+      'REGISTER_NOT_PAIRED',
+      `レジ「${register}」にはターミナルが登録されていません`,
+      { register },
+    );
+  }
+  return deviceId;
+}
+
+module.exports = {
+  DeviceError,
+  summarizeDeviceCode,
+  createDeviceCode,
+  listDeviceCodes,
+  pairedRegisters,
+  defaultDeviceId,
+  resolveTerminal,
+};
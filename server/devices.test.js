@@ -0,0 +1,113 @@
+const test = require('ava');
+
+const {
+  DeviceError,
+  createDeviceCode,
+  listDeviceCodes,
+  pairedRegisters,
+  resolveTerminal,
+} = require('./devices');
+const { setupFakeSquare } = require('./testing');
+
+const LOCATION = { slug: 'main', locationId: 'LOCATION' };
+
+test('creates device codes for registers to pair', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+
+  const deviceCode = await createDeviceCode(square, {
+    locationId: 'LOCATION',
+    register: 'register-1',
+  });
+  t.like(deviceCode, { register: 'register-1', status: 'UNPAIRED' });
+  t.regex(deviceCode.code, /^\w{6}$/);
+  t.like(fake.state.deviceCodes.get(deviceCode.id), {
+    name: 'register-1',
+    product_type: 'TERMINAL_API',
+    location_id: 'LOCATION',
+  });
+
+  const invalid = await t.throwsAsync(
+    createDeviceCode(square, { locationId: 'LOCATION', register: 'レジ 1' }),
+    { instanceOf: DeviceError },
+  );
+  t.is(invalid.code, 'INVALID_REGISTER');
+  t.is(invalid.status, 400);
+});
+
+test('lists every page of device codes for the location', async (t) => {
+  const { square } = await setupFakeSquare(t, { pageSize: 2 });
+  for (const [locationId, register] of [
+    ['LOCATION', 'register-1'],
+    ['LOCATION', 'register-2'],
+    ['LOCATION', 'kiosk-1'],
+    ['LOCATION_SHIBUYA', 'register-1'],
+  ]) {
+    await createDeviceCode(square, { locationId, register });
+  }
+
+  const codes = await listDeviceCodes(square, 'LOCATION');
+  t.deepEqual(codes.map((code) => code.name).sort(), [
+    'kiosk-1',
+    'register-1',
+    'register-2',
+  ]);
+});
+
+test('maps each register to the terminal paired last', (t) => {
+  const registers = pairedRegisters([
+    { name: 'register-1', status: 'UNPAIRED' },
+    {
+      name: 'register-1',
+      status: 'PAIRED',
+      device_id: 'device:new',
+      paired_at: '2024-05-02T01:00:00Z',
+    },
+    {
+      name: 'register-1',
+      status: 'PAIRED',
+      device_id: 'device:old',
+      paired_at: '2024-05-01T01:00:00Z',
+    },
+    { name: 'register-2', status: 'EXPIRED' },
+  ]);
+
+  t.deepEqual([...registers.keys()], ['register-1']);
+  t.is(registers.get('register-1').device_id, 'device:new');
+});
+
+test('sends checkouts to the terminal of the register', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const first = await createDeviceCode(square, {
+    locationId: 'LOCATION',
+    register: 'register-1',
+  });
+  const second = await createDeviceCode(square, {
+    locationId: 'LOCATION',
+    register: 'register-2',
+  });
+
+  // nothing set up and nothing paired
+  t.is(await resolveTerminal(square, LOCATION), null);
+  const unpaired = await t.throwsAsync(
+    resolveTerminal(square, LOCATION, 'register-1'),
+    { instanceOf: DeviceError },
+  );
+  t.is(unpaired.code, 'REGISTER_NOT_PAIRED');
+  t.is(unpaired.status, 409);
+
+  fake.pairDeviceCode(first.id, 'device:one');
+  t.is(await resolveTerminal(square, LOCATION, 'register-1'), 'device:one');
+  // the only paired terminal takes checkouts without a register
+  t.is(await resolveTerminal(square, LOCATION), 'device:one');
+
+  fake.pairDeviceCode(second.id, 'device:two');
+  t.is(await resolveTerminal(square, LOCATION, 'register-2'), 'device:two');
+  t.is(await resolveTerminal(square, LOCATION), null);
+  t.is(
+    await resolveTerminal(square, {
+      ...LOCATION,
+      terminalDeviceId: 'device:counter',
+    }),
+    'device:counter',
+  );
+});
@@ -0,0 +1,1552 @@
+// fake-square is an in-process stand-in for the Square REST API endpoints
+// this app uses. It keeps state in memory so the order → payment and terminal
+// flows can run offline and in tests. Select it with SQUARE_BASE_URL=fake.
+
+const crypto = require('crypto');
+const micro = require('micro');
+const { json, send } = require('micro');
+const { router, get, post, put, del } = require('microrouter');
+
+const logger = require('./logger');
+
+// Square sandbox test nonces https://developer.squareup.com/docs/devtools/sandbox/payments
+const DECLINES = {
+  'cnon:card-nonce-declined': ['CARD_DECLINED', 'Card declined.'],
+  'cnon:card-nonce-rejected-cvv': [
+    'CVV_FAILURE',
+    'Card verification code check failed.',
+  ],
+  'cnon:card-nonce-rejected-postalcode': [
+    'ADDRESS_VERIFICATION_FAILURE',
+    'Postal code check failed.',
+  ],
+};
+// never answered within the client's timeout
+const TIMEOUT_NONCE = 'cnon:fake-timeout';
+
+const SEED_CATALOG = [
+  category('CAT_BANHMI', 'バインミー', 1),
+  category('CAT_DRINK', 'ドリンク', 2),
+  image('IMG_CLASSIC', 'https://example.com/images/banhmi-classic.jpg'),
+  modifierList('MODS_TOPPING', 'トッピング', 'MULTIPLE', [
+    ['MOD_EXTRA_PAKUCHI', 'パクチー増量', 100],
+    ['MOD_EXTRA_PATE', 'パテ増量', 150],
+  ]),
+  modifierList('MODS_CHILI', '辛さ', 'SINGLE', [
+    ['MOD_NO_CHILI', 'チリ抜き', 0],
+    ['MOD_EXTRA_CHILI', '辛め', 0],
+  ]),
+  item(
+    'ITEM_CLASSIC',
+    'バインミー クラシック',
+    [['VAR_CLASSIC', 'レギュラー', 940]],
+    {
+      categoryId: 'CAT_BANHMI',
+      imageId: 'IMG_CLASSIC',
+      modifierListIds: ['MODS_TOPPING', 'MODS_CHILI'],
+    },
+  ),
+  item(
+    'ITEM_CHICKEN',
+    'レモングラスチキン',
+    [['VAR_CHICKEN', 'レギュラー', 1040]],
+    {
+      categoryId: 'CAT_BANHMI',
+      modifierListIds: ['MODS_TOPPING', 'MODS_CHILI'],
+    },
+  ),
+  item('ITEM_TOFU', 'ベジ 厚揚げ', [['VAR_TOFU', 'レギュラー', 890]], {
+    categoryId: 'CAT_BANHMI',
+    modifierListIds: ['MODS_CHILI'],
+  }),
+  item(
+    'ITEM_COFFEE',
+    'ベトナムコーヒー',
+    [
+      ['VAR_COFFEE_HOT', 'ホット', 550],
+      ['VAR_COFFEE_ICED', 'アイス', 600],
+    ],
+    { categoryId: 'CAT_DRINK' },
+  ),
+];
+
+// IN_STOCK counts; variations not listed do not track inventory
+const SEED_INVENTORY = { VAR_CLASSIC: 40, VAR_CHICKEN: 30, VAR_TOFU: 3 };
+
+// 1 point per ¥100 before tax; a category reward takes one unit of the
+// dearest matching line off
+const SEED_LOYALTY_PROGRAM = {
+  id: 'LOYALTY_PROGRAM',
+  status: 'ACTIVE',
+  terminology: { one: 'ポイント', other: 'ポイント' },
+  accrual_rules: [
+    {
+      accrual_type: 'SPEND',
+      points: 1,
+      spend_data: {
+        amount_money: { amount: 100, currency: 'JPY' },
+        tax_mode: 'BEFORE_TAX',
+      },
+    },
+  ],
+  reward_tiers: [
+    {
+      id: 'TIER_FREE_DRINK',
+      name: 'ドリンク1杯無料',
+      points: 10,
+      definition: {
+        scope: 'CATEGORY',
+        discount_type: 'FIXED_PERCENTAGE',
+        percentage_discount: '100',
+        catalog_object_ids: ['CAT_DRINK'],
+      },
+    },
+    {
+      id: 'TIER_300_OFF',
+      name: '300円引き',
+      points: 30,
+      definition: {
+        scope: 'ORDER',
+        discount_type: 'FIXED_AMOUNT',
+        fixed_discount_money: { amount: 300, currency: 'JPY' },
+      },
+    },
+  ],
+};
+
+// The merchant's locations: the default stand and a second one
+const SEED_LOCATIONS = [
+  { id: 'LOCATION', name: 'バインミー本店', status: 'ACTIVE' },
+  { id: 'LOCATION_SHIBUYA', name: '渋谷店', status: 'ACTIVE' },
+];
+
+// Terminal checkouts move one step each time they are read
+const CHECKOUT_PROGRESSION = {
+  PENDING: 'IN_PROGRESS',
+  IN_PROGRESS: 'COMPLETED',
+  CANCEL_REQUESTED: 'CANCELED',
+};
+
+function category(id, name, ordinal) {
+  return {
+    type: 'CATEGORY',
+    id,
+    version: 1,
+    is_deleted: false,
+    category_data: { name, ordinal },
+  };
+}
+
+function image(id, url) {
+  return {
+    type: 'IMAGE',
+    id,
+    version: 1,
+    is_deleted: false,
+    image_data: { url },
+  };
+}
+
+function modifierList(id, name, selection_type, modifiers) {
+  return {
+    type: 'MODIFIER_LIST',
+    id,
+    version: 1,
+    is_deleted: false,
+    modifier_list_data: {
+      name,
+      selection_type,
+      modifiers: modifiers.map(([modifier_id, modifier_name, amount]) => ({
+        type: 'MODIFIER',
+        id: modifier_id,
+        version: 1,
+        is_deleted: false,
+        modifier_data: {
+          name: modifier_name,
+          price_money: { amount, currency: 'JPY' },
+          modifier_list_id: id,
+        },
+      })),
+    },
+  };
+}
+
+function item(
+  id,
+  name,
+  variations,
+  { categoryId, imageId, modifierListIds = [] } = {},
+) {
+  return {
+    type: 'ITEM',
+    id,
+    version: 1,
+    is_deleted: false,
+    item_data: {
+      name,
+      ...(categoryId ? { categories: [{ id: categoryId }] } : {}),
+      ...(imageId ? { image_ids: [imageId] } : {}),
+      modifier_list_info: modifierListIds.map((modifier_list_id) => ({
+        modifier_list_id,
+        enabled: true,
+      })),
+      variations: variations.map(([variation_id, variation_name, amount]) => ({
+        type: 'ITEM_VARIATION',
+        id: variation_id,
+        version: 1,
+        is_deleted: false,
+        item_variation_data: {
+          item_id: id,
+          name: variation_name,
+          pricing_type: 'FIXED_PRICING',
+          price_money: { amount, currency: 'JPY' },
+        },
+      })),
+    },
+  };
+}
+
+function newId() {
+  return crypto.randomUUID().replace(/-/g, '').slice(0, 22).toUpperCase();
+}
+
+function money(amount) {
+  return { amount, currency: 'JPY' };
+}
+
+function squareError(
+  res,
+  status,
+  code,
+  detail,
+  category = 'INVALID_REQUEST_ERROR',
+) {
+  send(res, status, { errors: [{ category, code, detail }] });
+}
+
+function createFakeSquare({
+  catalog = SEED_CATALOG,
+  inventory = SEED_INVENTORY,
+  pageSize = 100,
+  hangMs = 30000,
+  loyaltyProgram = SEED_LOYALTY_PROGRAM,
+  locations = SEED_LOCATIONS,
+} = {}) {
+  const state = {};
+  const failures = [];
+  let server;
+  let url;
+
+  function reset() {
+    state.catalog = structuredClone(catalog);
+    state.inventory = new Map(Object.entries(inventory));
+    state.orders = new Map();
+    state.payments = new Map();
+    state.refunds = new Map();
+    state.checkouts = new Map();
+    state.cards = new Map();
+    state.customers = new Map();
+    state.loyaltyAccounts = new Map();
+    state.loyaltyRewards = new Map();
+    state.deviceCodes = new Map();
+    state.locations = structuredClone(locations);
+    // location custom attributes: definitions by key, values by location + key
+    state.locationAttributeDefinitions = new Map();
+    state.locationAttributes = new Map();
+    // idempotency_key → response body, per endpoint
+    state.idempotency = new Map();
+    // how percentage taxes are rounded (a Math function name); tests change
+    // it to play a Square total that disagrees with the server's
+    state.taxRounding = 'round';
+    failures.length = 0;
+  }
+  reset();
+
+  function catalogObjects() {
+    return state.catalog.flatMap((obj) => {
+      if (obj.type === 'ITEM') return [obj, ...obj.item_data.variations];
+      if (obj.type === 'MODIFIER_LIST') {
+        return [obj, ...obj.modifier_list_data.modifiers];
+      }
+      return [obj];
+    });
+  }
+
+  function findObject(id) {
+    return catalogObjects().find((obj) => obj.id === id);
+  }
+
+  // Replays the stored response for a repeated idempotency key. Like Square,
+  // a key sent again with a different body is refused with
+  // IDEMPOTENCY_KEY_REUSED instead of replayed.
+  function idempotent(scope, body, create) {
+    const key = body.idempotency_key;
+    const cacheKey = `${scope}:${key}`;
+    const request = JSON.stringify(body);
+    if (key && state.idempotency.has(cacheKey)) {
+      const stored = state.idempotency.get(cacheKey);
+      if (stored.request !== request) {
+        return {
+          status: 400,
+          body: {
+            errors: [
+              {
+                category: 'INVALID_REQUEST_ERROR',
+                code: 'IDEMPOTENCY_KEY_REUSED',
+                detail: 'The idempotency key was used for a different request',
+              },
+            ],
+          },
+        };
+      }
+      return stored.result;
+    }
+    const result = create();
+    if (key && result.status < 400) {
+      state.idempotency.set(cacheKey, { request, result });
+    }
+    return result;
+  }
+
+  function priceLine(line) {
+    const quantity = Number(line.quantity);
+    if (line.catalog_object_id) {
+      const variation = findObject(line.catalog_object_id);
+      if (!variation || variation.type !== 'ITEM_VARIATION') return null;
+      const parent = findObject(variation.item_variation_data.item_id);
+      const modifiers = (line.modifiers || []).map((m) =>
+        findObject(m.catalog_object_id),
+      );
+      if (modifiers.some((m) => m?.type !== 'MODIFIER')) return null;
+      const unit =
+        variation.item_variation_data.price_money.amount +
+        modifiers.reduce(
+          (sum, m) => sum + (m.modifier_data.price_money?.amount || 0),
+          0,
+        );
+      return {
+        uid: newId(),
+        catalog_object_id: variation.id,
+        name: parent?.item_data.name,
+        variation_name: variation.item_variation_data.name,
+        quantity: String(quantity),
+        ...(line.note ? { note: line.note } : {}),
+        ...(line.applied_discounts
+          ? { applied_discounts: line.applied_discounts }
+          : {}),
+        ...(modifiers.length > 0
+          ? {
+              modifiers: modifiers.map((m) => ({
+                uid: newId(),
+                catalog_object_id: m.id,
+                name: m.modifier_data.name,
+                quantity: '1',
+                base_price_money: m.modifier_data.price_money,
+              })),
+            }
+          : {}),
+        base_price_money: variation.item_variation_data.price_money,
+        gross_sales_money: money(unit * quantity),
+      };
+    }
+    return {
+      uid: newId(),
+      name: line.name,
+      quantity: String(quantity),
+      ...(line.note ? { note: line.note } : {}),
+      ...(line.applied_discounts
+        ? { applied_discounts: line.applied_discounts }
+        : {}),
+      base_price_money: line.base_price_money,
+      gross_sales_money: money(line.base_price_money.amount * quantity),
+    };
+  }
+
+  // Discounts come off before tax. Order-wide ones are split over the lines
+  // by what is left of each; line ones apply to the lines that name them.
+  function applyDiscounts(order) {
+    if (!order.discounts) return;
+    for (const line of order.line_items) line.total_discount_money = money(0);
+    const remaining = (line) =>
+      line.gross_sales_money.amount - line.total_discount_money.amount;
+    let total_discount = 0;
+    for (const discount of order.discounts) {
+      const lines =
+        discount.scope === 'LINE_ITEM'
+          ? order.line_items.filter((line) =>
+              (line.applied_discounts || []).some(
+                (applied) => applied.discount_uid === discount.uid,
+              ),
+            )
+          : order.line_items;
+      const base = lines.reduce((sum, line) => sum + remaining(line), 0);
+      const amount = Math.min(
+        base,
+        discount.type === 'FIXED_PERCENTAGE'
+          ? Math.round((base * Number(discount.percentage)) / 100)
+          : discount.amount_money.amount,
+      );
+      discount.applied_money = money(amount);
+      let left = amount;
+      lines.forEach((line, index) => {
+        const share =
+          index === lines.length - 1
+            ? left
+            : base && Math.round((amount * remaining(line)) / base);
+        line.total_discount_money = money(
+          line.total_discount_money.amount + share,
+        );
+        left -= share;
+      });
+      total_discount += amount;
+    }
+    order.total_discount_money = money(total_discount);
+  }
+
+  // Square applies percentage taxes per line item, rounding half up
+  function applyTaxes(order) {
+    applyDiscounts(order);
+    const round = Math[state.taxRounding];
+    let total_tax = 0;
+    let total = 0;
+    for (const line of order.line_items) {
+      const gross =
+        line.gross_sales_money.amount -
+        (line.total_discount_money?.amount || 0);
+      let line_tax = 0;
+      let additive = 0;
+      for (const tax of order.taxes || []) {
+        const pct = Number(tax.percentage);
+        if (tax.type === 'INCLUSIVE') {
+          line_tax += round((gross * pct) / (100 + pct));
+        } else {
+          const amount = round((gross * pct) / 100);
+          line_tax += amount;
+          additive += amount;
+        }
+      }
+      line.total_tax_money = money(line_tax);
+      line.total_money = money(gross + additive);
+      total_tax += line_tax;
+      total += gross + additive;
+    }
+    order.total_tax_money = money(total_tax);
+    order.total_money = money(total);
+  }
+
+  // The discount a reward tier puts on an order, or null if nothing in the
+  // order qualifies. Item and category rewards take one unit off.
+  function rewardDiscount(order, tier, reward_id) {
+    const { definition } = tier;
+    const discount = { uid: newId(), name: tier.name, reward_ids: [reward_id] };
+    if (definition.scope === 'ORDER') {
+      return definition.discount_type === 'FIXED_PERCENTAGE'
+        ? {
+            ...discount,
+            type: 'FIXED_PERCENTAGE',
+            percentage: definition.percentage_discount,
+            scope: 'ORDER',
+          }
+        : {
+            ...discount,
+            type: 'FIXED_AMOUNT',
+            amount_money: definition.fixed_discount_money,
+            scope: 'ORDER',
+          };
+    }
+    const qualifies = (line) => {
+      const variation = line.catalog_object_id
+        ? findObject(line.catalog_object_id)
+        : null;
+      if (!variation) return false;
+      if (definition.scope === 'ITEM_VARIATION') {
+        return definition.catalog_object_ids.includes(variation.id);
+      }
+      const parent = findObject(variation.item_variation_data.item_id);
+      return (parent?.item_data.categories || []).some((c) =>
+        definition.catalog_object_ids.includes(c.id),
+      );
+    };
+    const [line] = order.line_items
+      .filter(qualifies)
+      .sort((a, b) => b.base_price_money.amount - a.base_price_money.amount);
+    if (!line) return null;
+    const unit = line.base_price_money.amount;
+    const amount =
+      definition.discount_type === 'FIXED_PERCENTAGE'
+        ? Math.round((unit * Number(definition.percentage_discount)) / 100)
+        : Math.min(unit, definition.fixed_discount_money.amount);
+    line.applied_discounts = [
+      ...(line.applied_discounts || []),
+      { uid: newId(), discount_uid: discount.uid },
+    ];
+    return {
+      ...discount,
+      type: 'FIXED_AMOUNT',
+      amount_money: money(amount),
+      scope: 'LINE_ITEM',
+    };
+  }
+
+  function repriceOrder(order) {
+    applyTaxes(order);
+    order.net_amount_due_money = money(
+      order.total_money.amount - paidAmount(order),
+    );
+    order.version += 1;
+    order.updated_at = new Date().toISOString();
+  }
+
+  function paidAmount(order) {
+    return [...state.payments.values()]
+      .filter((p) => p.order_id === order.id && p.status === 'COMPLETED')
+      .reduce((sum, p) => sum + p.amount_money.amount, 0);
+  }
+
+  function recordPayment(body, extra = {}) {
+    const now = new Date().toISOString();
+    const payment = {
+      id: newId(),
+      status: 'COMPLETED',
+      amount_money: money(Number(body.amount_money.amount)),
+      location_id: body.location_id,
+      order_id: body.order_id,
+      customer_id: body.customer_id,
+      note: body.note,
+      source_type: 'CARD',
+      receipt_url: `https://squareupsandbox.com/receipt/preview/${newId()}`,
+      created_at: now,
+      updated_at: now,
+      ...extra,
+    };
+    state.payments.set(payment.id, payment);
+    const order = state.orders.get(payment.order_id);
+    if (order) {
+      order.tenders = [
+        ...(order.tenders || []),
+        {
+          id: payment.id,
+          payment_id: payment.id,
+          amount_money: payment.amount_money,
+        },
+      ];
+      order.net_amount_due_money = money(
+        order.total_money.amount - paidAmount(order),
+      );
+      order.updated_at = now;
+      // rewards on an order are redeemed once it is paid
+      if (order.net_amount_due_money.amount <= 0) {
+        for (const { id } of order.rewards || []) {
+          const reward = state.loyaltyRewards.get(id);
+          if (reward) {
+            reward.status = 'REDEEMED';
+            reward.redeemed_at = now;
+          }
+        }
+      }
+    }
+    return payment;
+  }
+
+  // GET advances the status so polling sees PENDING → IN_PROGRESS → COMPLETED
+  function advanceCheckout(
+    checkout,
+    status = CHECKOUT_PROGRESSION[checkout.status],
+  ) {
+    if (!status) return;
+    checkout.status = status;
+    checkout.updated_at = new Date().toISOString();
+    if (status === 'COMPLETED' && checkout.payment_ids.length === 0) {
+      const payment = recordPayment({
+        amount_money: checkout.amount_money,
+        order_id: checkout.order_id,
+        location_id: checkout.location_id,
+        note: checkout.note,
+      });
+      checkout.payment_ids.push(payment.id);
+    }
+  }
+
+  function pairDeviceCode(deviceCode, deviceId = `device:${newId()}`) {
+    const now = new Date().toISOString();
+    Object.assign(deviceCode, {
+      status: 'PAIRED',
+      device_id: deviceId,
+      paired_at: now,
+      status_changed_at: now,
+    });
+  }
+
+  const routes = router(
+    // ---- fault injection ----
+    async (req, res) => {
+      const index = failures.findIndex(
+        (f) => f.method === req.method && req.url.startsWith(f.path),
+      );
+      if (index === -1) return undefined;
+      const [failure] = failures.splice(index, 1);
+      return squareError(
+        res,
+        failure.status,
+        failure.code,
+        'Injected failure',
+        'API_ERROR',
+      );
+    },
+
+    // ---- catalog ----
+    get('/v2/catalog/list', (req, res) => {
+      const types = (req.query.types || '').split(',').filter(Boolean);
+      const objects = state.catalog.filter(
+        (obj) => types.length === 0 || types.includes(obj.type),
+      );
+      const start = Number(req.query.cursor || 0);
+      const page = objects.slice(start, start + pageSize);
+      const next = start + pageSize;
+      send(res, 200, {
+        objects: page,
+        ...(next < objects.length ? { cursor: String(next) } : {}),
+      });
+    }),
+    post('/v2/catalog/batch-retrieve', async (req, res) => {
+      const { object_ids = [], include_related_objects } = await json(req);
+      const objects = object_ids.map(findObject).filter(Boolean);
+      // one level deep like Square: a variation's item, an item's lists etc.
+      const related_ids = new Set(
+        include_related_objects
+          ? objects.flatMap((obj) => [
+              obj.item_variation_data?.item_id,
+              ...(obj.item_data?.categories || []).map((c) => c.id),
+              ...(obj.item_data?.image_ids || []),
+              ...(obj.item_data?.modifier_list_info || []).map(
+                (info) => info.modifier_list_id,
+              ),
+            ])
+          : [],
+      );
+      send(res, 200, {
+        objects,
+        ...(include_related_objects
+          ? {
+              related_objects: [...related_ids]
+                .filter(Boolean)
+                .map(findObject)
+                .filter(Boolean),
+            }
+          : {}),
+      });
+    }),
+    // replaces an existing object in place; the version sent must be current
+    post('/v2/catalog/object', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('catalog', body, () => {
+        const { object } = body;
+        const current = object && findObject(object.id);
+        if (!current) {
+          return {
+            status: 404,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'NOT_FOUND',
+                  detail: 'Unknown catalog object',
+                },
+              ],
+            },
+          };
+        }
+        if (object.version !== current.version) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'VERSION_MISMATCH',
+                  detail: 'Object version does not match',
+                },
+              ],
+            },
+          };
+        }
+        const updated = {
+          ...object,
+          version: current.version + 1,
+          updated_at: new Date().toISOString(),
+        };
+        const siblings =
+          current.type === 'ITEM_VARIATION'
+            ? findObject(current.item_variation_data.item_id).item_data
+                .variations
+            : state.catalog;
+        siblings[siblings.indexOf(current)] = updated;
+        return {
+          status: 200,
+          body: { catalog_object: updated, id_mappings: [] },
+        };
+      });
+      send(res, result.status, result.body);
+    }),
+
+    // ---- inventory ----
+    post('/v2/inventory/counts/batch-retrieve', async (req, res) => {
+      const { catalog_object_ids = [], location_ids } = await json(req);
+      const location_id = location_ids?.[0] || 'LOCATION';
+      send(res, 200, {
+        counts: catalog_object_ids
+          .filter((id) => state.inventory.has(id))
+          .map((id) => ({
+            catalog_object_id: id,
+            catalog_object_type: 'ITEM_VARIATION',
+            state: 'IN_STOCK',
+            location_id,
+            quantity: String(state.inventory.get(id)),
+            calculated_at: new Date().toISOString(),
+          })),
+      });
+    }),
+
+    // ---- orders ----
+    post('/v2/orders', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('orders', body, () => {
+        const line_items = (body.order?.line_items || []).map(priceLine);
+        if (line_items.length === 0 || line_items.includes(null)) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'NOT_FOUND',
+                  detail: 'Unknown catalog object',
+                },
+              ],
+            },
+          };
+        }
+        const now = new Date().toISOString();
+        const order = {
+          ...body.order,
+          id: newId(),
+          state: 'OPEN',
+          version: 1,
+          line_items,
+          fulfillments: (body.order.fulfillments || []).map((f) => ({
+            uid: newId(),
+            ...f,
+          })),
+          created_at: now,
+          updated_at: now,
+        };
+        applyTaxes(order);
+        order.net_amount_due_money = order.total_money;
+        state.orders.set(order.id, order);
+        return { status: 200, body: { order } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/orders/:id', (req, res) => {
+      const order = state.orders.get(req.params.id);
+      if (!order) return squareError(res, 404, 'NOT_FOUND', 'Order not found');
+      return send(res, 200, { order });
+    }),
+    post('/v2/orders/search', async (req, res) => {
+      const {
+        location_ids = [],
+        query = {},
+        limit = 500,
+        cursor,
+      } = await json(req);
+      const states = query.filter?.state_filter?.states;
+      const customer_ids = query.filter?.customer_filter?.customer_ids;
+      const fulfillment_filter = query.filter?.fulfillment_filter;
+      const created_after =
+        query.filter?.date_time_filter?.created_at?.start_at;
+      const matchesFulfillment = (f) =>
+        (!fulfillment_filter.fulfillment_types ||
+          fulfillment_filter.fulfillment_types.includes(f.type)) &&
+        (!fulfillment_filter.fulfillment_states ||
+          fulfillment_filter.fulfillment_states.includes(f.state));
+      const field = (query.sort?.sort_field || 'CREATED_AT').toLowerCase();
+      const direction = query.sort?.sort_order === 'DESC' ? -1 : 1;
+      const orders = [...state.orders.values()]
+        .filter(
+          (order) =>
+            location_ids.includes(order.location_id) &&
+            (!states || states.includes(order.state)) &&
+            (!customer_ids || customer_ids.includes(order.customer_id)) &&
+            (!created_after || order.created_at >= created_after) &&
+            (!fulfillment_filter ||
+              (order.fulfillments || []).some(matchesFulfillment)),
+        )
+        .sort(
+          (a, b) =>
+            direction * String(a[field]).localeCompare(String(b[field])),
+        );
+      const start = Number(cursor || 0);
+      const next = start + limit;
+      send(res, 200, {
+        orders: orders.slice(start, next),
+        ...(next < orders.length ? { cursor: String(next) } : {}),
+      });
+    }),
+    put('/v2/orders/:id', async (req, res) => {
+      const body = await json(req);
+      const order = state.orders.get(req.params.id);
+      if (!order) return squareError(res, 404, 'NOT_FOUND', 'Order not found');
+      if (body.order?.version !== order.version) {
+        return squareError(
+          res,
+          400,
+          'VERSION_MISMATCH',
+          'Order version mismatch',
+        );
+      }
+      const { fulfillments, ...changes } = body.order;
+      delete changes.version;
+      Object.assign(order, changes);
+      for (const change of fulfillments || []) {
+        const fulfillment = order.fulfillments.find(
+          (f) => f.uid === change.uid,
+        );
+        if (fulfillment) Object.assign(fulfillment, change);
+      }
+      order.version += 1;
+      order.updated_at = new Date().toISOString();
+      return send(res, 200, { order });
+    }),
+
+    // ---- payments ----
+    post('/v2/payments', async (req, res) => {
+      const body = await json(req);
+      if (body.source_id === TIMEOUT_NONCE) {
+        await new Promise((resolve) => setTimeout(resolve, hangMs).unref());
+      }
+      const result = idempotent('payments', body, () => {
+        const decline = DECLINES[body.source_id];
+        if (decline) {
+          return {
+            status: 402,
+            body: {
+              errors: [
+                {
+                  category: 'PAYMENT_METHOD_ERROR',
+                  code: decline[0],
+                  detail: decline[1],
+                },
+              ],
+            },
+          };
+        }
+        // a card on file pays only for the customer it belongs to
+        if (body.source_id?.startsWith('ccof_')) {
+          const card = state.cards.get(body.source_id);
+          if (!card?.enabled || card.customer_id !== body.customer_id) {
+            return {
+              status: 400,
+              body: {
+                errors: [
+                  {
+                    category: 'INVALID_REQUEST_ERROR',
+                    code: 'INVALID_CARD',
+                    detail: 'The card on file cannot be charged',
+                  },
+                ],
+              },
+            };
+          }
+        }
+        const order = body.order_id && state.orders.get(body.order_id);
+        if (body.order_id && !order) {
+          return {
+            status: 404,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'NOT_FOUND',
+                  detail: 'Order not found',
+                },
+              ],
+            },
+          };
+        }
+        if (
+          order &&
+          Number(body.amount_money?.amount) !==
+            order.net_amount_due_money.amount
+        ) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'PAYMENT_AMOUNT_MISMATCH',
+                  detail: 'Payment amount does not match the order total',
+                },
+              ],
+            },
+          };
+        }
+        return { status: 200, body: { payment: recordPayment(body) } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/payments/:id', (req, res) => {
+      const payment = state.payments.get(req.params.id);
+      if (!payment)
+        return squareError(res, 404, 'NOT_FOUND', 'Payment not found');
+      return send(res, 200, { payment });
+    }),
+    get('/v2/payments', (req, res) => {
+      const payments = [...state.payments.values()]
+        .filter(
+          (payment) =>
+            !req.query.location_id ||
+            payment.location_id === req.query.location_id,
+        )
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      send(res, 200, {
+        payments: payments.slice(0, Number(req.query.limit) || undefined),
+      });
+    }),
+
+    // ---- refunds ----
+    post('/v2/refunds', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('refunds', body, () => {
+        const payment = state.payments.get(body.payment_id);
+        if (!payment) {
+          return {
+            status: 404,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'NOT_FOUND',
+                  detail: 'Payment not found',
+                },
+              ],
+            },
+          };
+        }
+        const amount = Number(body.amount_money?.amount);
+        const refunded = payment.refunded_money?.amount || 0;
+        if (!(amount > 0) || amount > payment.amount_money.amount - refunded) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'REFUND_AMOUNT_INVALID',
+                  detail:
+                    'The requested refund amount exceeds the amount available to refund',
+                },
+              ],
+            },
+          };
+        }
+        const now = new Date().toISOString();
+        const refund = {
+          id: `${payment.id}_${newId()}`,
+          status: 'COMPLETED',
+          amount_money: money(amount),
+          payment_id: payment.id,
+          order_id: payment.order_id,
+          location_id: payment.location_id,
+          reason: body.reason,
+          created_at: now,
+          updated_at: now,
+        };
+        state.refunds.set(refund.id, refund);
+        payment.refunded_money = money(refunded + amount);
+        payment.refund_ids = [...(payment.refund_ids || []), refund.id];
+        payment.updated_at = now;
+        return { status: 200, body: { refund } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/refunds/:id', (req, res) => {
+      const refund = state.refunds.get(req.params.id);
+      if (!refund)
+        return squareError(res, 404, 'NOT_FOUND', 'Refund not found');
+      return send(res, 200, { refund });
+    }),
+
+    // ---- terminal checkouts ----
+    post('/v2/terminals/checkouts', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('checkouts', body, () => {
+        const now = new Date().toISOString();
+        const order = state.orders.get(body.checkout?.order_id);
+        const checkout = {
+          ...body.checkout,
+          id: newId(),
+          status: 'PENDING',
+          location_id: order?.location_id,
+          payment_ids: [],
+          created_at: now,
+          updated_at: now,
+        };
+        state.checkouts.set(checkout.id, checkout);
+        return { status: 200, body: { checkout } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/terminals/checkouts/:id', (req, res) => {
+      const checkout = state.checkouts.get(req.params.id);
+      if (!checkout)
+        return squareError(res, 404, 'NOT_FOUND', 'Checkout not found');
+      const snapshot = structuredClone(checkout);
+      advanceCheckout(checkout);
+      return send(res, 200, { checkout: snapshot });
+    }),
+    post('/v2/terminals/checkouts/:id/cancel', (req, res) => {
+      const checkout = state.checkouts.get(req.params.id);
+      if (!checkout)
+        return squareError(res, 404, 'NOT_FOUND', 'Checkout not found');
+      if (checkout.status === 'COMPLETED') {
+        return squareError(
+          res,
+          400,
+          'BAD_REQUEST',
+          'Checkout already completed',
+        );
+      }
+      advanceCheckout(checkout, 'CANCELED');
+      return send(res, 200, { checkout });
+    }),
+
+    // ---- customers ----
+    post('/v2/customers', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('customers', body, () => {
+        const fields = [
+          'given_name',
+          'family_name',
+          'company_name',
+          'email_address',
+          'phone_number',
+        ];
+        if (!fields.some((field) => body[field])) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'BAD_REQUEST',
+                  detail: `At least one of ${fields.join(', ')} is required`,
+                },
+              ],
+            },
+          };
+        }
+        const now = new Date().toISOString();
+        const customer = {
+          id: newId(),
+          ...Object.fromEntries(
+            fields.filter((field) => body[field]).map((f) => [f, body[f]]),
+          ),
+          created_at: now,
+          updated_at: now,
+          version: 0,
+        };
+        state.customers.set(customer.id, customer);
+        return { status: 200, body: { customer } };
+      });
+      send(res, result.status, result.body);
+    }),
+    post('/v2/customers/search', async (req, res) => {
+      const body = await json(req);
+      const filter = body.query?.filter || {};
+      const customers = [...state.customers.values()]
+        .filter(
+          (customer) =>
+            (!filter.phone_number ||
+              customer.phone_number === filter.phone_number.exact) &&
+            (!filter.email_address ||
+              customer.email_address === filter.email_address.exact),
+        )
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .slice(0, body.limit || 100);
+      send(res, 200, customers.length ? { customers } : {});
+    }),
+    get('/v2/customers/:id', (req, res) => {
+      const customer = state.customers.get(req.params.id);
+      if (!customer)
+        return squareError(res, 404, 'NOT_FOUND', 'Customer not found');
+      return send(res, 200, { customer });
+    }),
+
+    // ---- loyalty ----
+    get('/v2/loyalty/programs/main', (req, res) => {
+      if (!loyaltyProgram) {
+        return squareError(res, 404, 'NOT_FOUND', 'No loyalty program');
+      }
+      return send(res, 200, { program: loyaltyProgram });
+    }),
+    post('/v2/loyalty/accounts/search', async (req, res) => {
+      const { query = {} } = await json(req);
+      const phones = (query.mappings || []).map((m) => m.phone_number);
+      const loyalty_accounts = [...state.loyaltyAccounts.values()].filter(
+        (account) =>
+          phones.includes(account.mapping.phone_number) ||
+          (query.customer_ids || []).includes(account.customer_id),
+      );
+      send(res, 200, loyalty_accounts.length ? { loyalty_accounts } : {});
+    }),
+    post('/v2/loyalty/accounts', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('loyaltyAccounts', body, () => {
+        const phone_number = body.loyalty_account?.mapping?.phone_number;
+        const taken = [...state.loyaltyAccounts.values()].some(
+          (account) => account.mapping.phone_number === phone_number,
+        );
+        if (!phone_number || taken) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'BAD_REQUEST',
+                  detail: taken
+                    ? 'A loyalty account with this phone number already exists'
+                    : 'mapping.phone_number is required',
+                },
+              ],
+            },
+          };
+        }
+        const now = new Date().toISOString();
+        const loyalty_account = {
+          id: newId(),
+          program_id: body.loyalty_account.program_id,
+          balance: 0,
+          lifetime_points: 0,
+          mapping: { id: newId(), phone_number, created_at: now },
+          created_at: now,
+          updated_at: now,
+        };
+        state.loyaltyAccounts.set(loyalty_account.id, loyalty_account);
+        return { status: 200, body: { loyalty_account } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/loyalty/accounts/:id', (req, res) => {
+      const loyalty_account = state.loyaltyAccounts.get(req.params.id);
+      if (!loyalty_account) {
+        return squareError(res, 404, 'NOT_FOUND', 'Loyalty account not found');
+      }
+      return send(res, 200, { loyalty_account });
+    }),
+    post('/v2/loyalty/accounts/:id/accumulate', async (req, res) => {
+      const body = await json(req);
+      const account = state.loyaltyAccounts.get(req.params.id);
+      if (!account) {
+        return squareError(res, 404, 'NOT_FOUND', 'Loyalty account not found');
+      }
+      const result = idempotent('accumulate', body, () => {
+        const order = state.orders.get(body.accumulate_points?.order_id);
+        const fail = (detail) => ({
+          status: 400,
+          body: {
+            errors: [
+              {
+                category: 'INVALID_REQUEST_ERROR',
+                code: 'BAD_REQUEST',
+                detail,
+              },
+            ],
+          },
+        });
+        if (!order) return fail('Order not found');
+        if (order.net_amount_due_money.amount > 0) {
+          return fail('The order is not paid');
+        }
+        if (order.loyalty_points_accumulated) {
+          return fail('Points were already accumulated for the order');
+        }
+        const [rule] = loyaltyProgram.accrual_rules;
+        const points =
+          Math.floor(
+            (order.total_money.amount - order.total_tax_money.amount) /
+              rule.spend_data.amount_money.amount,
+          ) * rule.points;
+        order.loyalty_points_accumulated = true;
+        account.balance += points;
+        account.lifetime_points += points;
+        account.updated_at = new Date().toISOString();
+        return {
+          status: 200,
+          body: {
+            events: [
+              {
+                id: newId(),
+                type: 'ACCUMULATE_POINTS',
+                loyalty_account_id: account.id,
+                accumulate_points: {
+                  loyalty_program_id: loyaltyProgram.id,
+                  points,
+                  order_id: order.id,
+                },
+                location_id: body.location_id,
+                created_at: account.updated_at,
+              },
+            ],
+          },
+        };
+      });
+      return send(res, result.status, result.body);
+    }),
+    post('/v2/loyalty/rewards', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('rewards', body, () => {
+        const fail = (status, code, detail) => ({
+          status,
+          body: {
+            errors: [{ category: 'INVALID_REQUEST_ERROR', code, detail }],
+          },
+        });
+        const account = state.loyaltyAccounts.get(
+          body.reward?.loyalty_account_id,
+        );
+        const tier = loyaltyProgram?.reward_tiers.find(
+          (t) => t.id === body.reward?.reward_tier_id,
+        );
+        if (!account || !tier) {
+          return fail(404, 'NOT_FOUND', 'Account or reward tier not found');
+        }
+        if (account.balance < tier.points) {
+          return fail(400, 'BAD_REQUEST', 'Insufficient points');
+        }
+        const order = body.reward.order_id
+          ? state.orders.get(body.reward.order_id)
+          : null;
+        if (body.reward.order_id && !order) {
+          return fail(404, 'NOT_FOUND', 'Order not found');
+        }
+        if (order && order.state !== 'OPEN') {
+          return fail(400, 'BAD_REQUEST', 'The order is not open');
+        }
+        const reward = {
+          id: newId(),
+          status: 'ISSUED',
+          loyalty_account_id: account.id,
+          reward_tier_id: tier.id,
+          points: tier.points,
+          ...(order ? { order_id: order.id } : {}),
+          created_at: new Date().toISOString(),
+        };
+        if (order) {
+          const discount = rewardDiscount(order, tier, reward.id);
+          if (!discount) {
+            return fail(
+              400,
+              'BAD_REQUEST',
+              'Nothing in the order qualifies for the reward',
+            );
+          }
+          order.discounts = [...(order.discounts || []), discount];
+          order.rewards = [
+            ...(order.rewards || []),
+            { id: reward.id, reward_tier_id: tier.id },
+          ];
+          repriceOrder(order);
+        }
+        // the points are locked until the reward is redeemed or deleted
+        account.balance -= tier.points;
+        state.loyaltyRewards.set(reward.id, reward);
+        return { status: 200, body: { reward } };
+      });
+      send(res, result.status, result.body);
+    }),
+    del('/v2/loyalty/rewards/:id', (req, res) => {
+      const reward = state.loyaltyRewards.get(req.params.id);
+      if (!reward) {
+        return squareError(res, 404, 'NOT_FOUND', 'Reward not found');
+      }
+      if (reward.status !== 'ISSUED') {
+        return squareError(res, 400, 'BAD_REQUEST', 'Reward was redeemed');
+      }
+      const order = state.orders.get(reward.order_id);
+      if (order) {
+        const removed = order.discounts.filter((d) =>
+          d.reward_ids?.includes(reward.id),
+        );
+        const uids = new Set(removed.map((d) => d.uid));
+        order.discounts = order.discounts.filter((d) => !uids.has(d.uid));
+        order.rewards = order.rewards.filter((r) => r.id !== reward.id);
+        for (const line of order.line_items) {
+          if (line.applied_discounts) {
+            line.applied_discounts = line.applied_discounts.filter(
+              (applied) => !uids.has(applied.discount_uid),
+            );
+          }
+        }
+        repriceOrder(order);
+      }
+      state.loyaltyAccounts.get(reward.loyalty_account_id).balance +=
+        reward.points;
+      state.loyaltyRewards.delete(reward.id);
+      return send(res, 200, {});
+    }),
+
+    // ---- locations ----
+    get('/v2/locations', (req, res) => {
+      send(res, 200, { locations: state.locations });
+    }),
+
+    // ---- location custom attributes ----
+    post('/v2/locations/custom-attribute-definitions', async (req, res) => {
+      const body = await json(req);
+      const definition = body.custom_attribute_definition;
+      if (state.locationAttributeDefinitions.has(definition.key)) {
+        return squareError(
+          res,
+          409,
+          'CONFLICT',
+          'A custom attribute definition with this key already exists',
+        );
+      }
+      const created = { ...definition, version: 1 };
+      state.locationAttributeDefinitions.set(definition.key, created);
+      return send(res, 200, { custom_attribute_definition: created });
+    }),
+    post('/v2/locations/:id/custom-attributes/:key', async (req, res) => {
+      const body = await json(req);
+      const { id, key } = req.params;
+      if (!state.locationAttributeDefinitions.has(key)) {
+        return squareError(
+          res,
+          404,
+          'NOT_FOUND',
+          'Custom attribute definition not found',
+        );
+      }
+      const previous = state.locationAttributes.get(`${id}:${key}`);
+      const { version } = body.custom_attribute;
+      if (version != null && version !== previous?.version) {
+        return squareError(
+          res,
+          400,
+          'VERSION_MISMATCH',
+          'Custom attribute version mismatch',
+        );
+      }
+      const custom_attribute = {
+        key,
+        value: body.custom_attribute.value,
+        version: (previous?.version || 0) + 1,
+        updated_at: new Date().toISOString(),
+      };
+      state.locationAttributes.set(`${id}:${key}`, custom_attribute);
+      return send(res, 200, { custom_attribute });
+    }),
+    get('/v2/locations/:id/custom-attributes/:key', (req, res) => {
+      const custom_attribute = state.locationAttributes.get(
+        `${req.params.id}:${req.params.key}`,
+      );
+      if (!custom_attribute) {
+        return squareError(res, 404, 'NOT_FOUND', 'Custom attribute not found');
+      }
+      return send(res, 200, { custom_attribute });
+    }),
+    del('/v2/locations/:id/custom-attributes/:key', (req, res) => {
+      if (
+        !state.locationAttributes.delete(`${req.params.id}:${req.params.key}`)
+      ) {
+        return squareError(res, 404, 'NOT_FOUND', 'Custom attribute not found');
+      }
+      return send(res, 200, {});
+    }),
+
+    // ---- cards ----
+    post('/v2/cards', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('cards', body, () => {
+        if (DECLINES[body.source_id]) {
+          const [code, detail] = DECLINES[body.source_id];
+          return {
+            status: 402,
+            body: {
+              errors: [{ category: 'PAYMENT_METHOD_ERROR', code, detail }],
+            },
+          };
+        }
+        const card = {
+          id: `ccof_${newId()}`,
+          card_brand: 'VISA',
+          last_4: '1111',
+          exp_month: 12,
+          exp_year: new Date().getFullYear() + 3,
+          enabled: true,
+          customer_id: body.card?.customer_id,
+          version: 1,
+        };
+        state.cards.set(card.id, card);
+        return { status: 200, body: { card } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/cards', (req, res) => {
+      const cards = [...state.cards.values()].filter(
+        (card) =>
+          !req.query.customer_id || card.customer_id === req.query.customer_id,
+      );
+      send(res, 200, { cards });
+    }),
+    get('/v2/cards/:id', (req, res) => {
+      const card = state.cards.get(req.params.id);
+      if (!card) return squareError(res, 404, 'NOT_FOUND', 'Card not found');
+      return send(res, 200, { card });
+    }),
+    post('/v2/cards/:id/disable', (req, res) => {
+      const card = state.cards.get(req.params.id);
+      if (!card) return squareError(res, 404, 'NOT_FOUND', 'Card not found');
+      card.enabled = false;
+      return send(res, 200, { card });
+    }),
+
+    // ---- devices ----
+    post('/v2/devices/codes', async (req, res) => {
+      const body = await json(req);
+      const result = idempotent('deviceCodes', body, () => {
+        if (!body.device_code?.location_id) {
+          return {
+            status: 400,
+            body: {
+              errors: [
+                {
+                  category: 'INVALID_REQUEST_ERROR',
+                  code: 'MISSING_REQUIRED_PARAMETER',
+                  detail: 'Missing required parameter location_id',
+                },
+              ],
+            },
+          };
+        }
+        const now = new Date();
+        const device_code = {
+          ...body.device_code,
+          id: newId(),
+          code: newId().slice(0, 6),
+          status: 'UNPAIRED',
+          pair_by: new Date(now.getTime() + 5 * 60 * 1000).toISOString(),
+          created_at: now.toISOString(),
+          status_changed_at: now.toISOString(),
+        };
+        state.deviceCodes.set(device_code.id, device_code);
+        return { status: 200, body: { device_code } };
+      });
+      send(res, result.status, result.body);
+    }),
+    get('/v2/devices/codes', (req, res) => {
+      const { location_id, product_type, status } = req.query;
+      const codes = [...state.deviceCodes.values()].filter(
+        (code) =>
+          (!location_id || code.location_id === location_id) &&
+          (!product_type || code.product_type === product_type) &&
+          (!status || status.split(',').includes(code.status)),
+      );
+      const start = Number(req.query.cursor || 0);
+      const next = start + pageSize;
+      send(res, 200, {
+        device_codes: codes.slice(start, next),
+        ...(next < codes.length ? { cursor: String(next) } : {}),
+      });
+    }),
+    get('/v2/devices/codes/:id', (req, res) => {
+      const device_code = state.deviceCodes.get(req.params.id);
+      if (!device_code)
+        return squareError(res, 404, 'NOT_FOUND', 'Device code not found');
+      return send(res, 200, { device_code });
+    }),
+
+    // ---- controls for demos: change a terminal checkout by hand ----
+    post('/_fake/terminals/checkouts/:id/status', async (req, res) => {
+      const { status } = await json(req);
+      const checkout = state.checkouts.get(req.params.id);
+      if (!checkout)
+        return squareError(res, 404, 'NOT_FOUND', 'Checkout not found');
+      advanceCheckout(checkout, status);
+      return send(res, 200, { checkout });
+    }),
+
+    // a terminal signing in with the code, e.g. { "device_id": "…" }
+    post('/_fake/devices/codes/:id/pair', async (req, res) => {
+      const { device_id } = await json(req);
+      const device_code = state.deviceCodes.get(req.params.id);
+      if (!device_code)
+        return squareError(res, 404, 'NOT_FOUND', 'Device code not found');
+      pairDeviceCode(device_code, device_id);
+      return send(res, 200, { device_code });
+    }),
+
+    (req, res) =>
+      squareError(
+        res,
+        404,
+        'NOT_FOUND',
+        `${req.method} ${req.url} is not faked`,
+      ),
+  );
+
+  return {
+    state,
+    reset,
+    // makes the next matching call fail, e.g. failNext('POST', '/v2/orders', 503)
+    failNext(method, path, status, code = 'SERVICE_UNAVAILABLE') {
+      failures.push({ method, path, status, code });
+    },
+    setCheckoutStatus(id, status) {
+      advanceCheckout(state.checkouts.get(id), status);
+    },
+    pairDeviceCode(id, deviceId) {
+      pairDeviceCode(state.deviceCodes.get(id), deviceId);
+    },
+    handler: routes,
+    // concurrent first calls share one server
+    url() {
+      if (!url) {
+        server = micro(routes);
+        url = new Promise((resolve) =>
+          server.listen(0, '127.0.0.1', resolve),
+        ).then(() => {
+          server.unref();
+          const address = `http://127.0.0.1:${server.address().port}`;
+          logger.info(`Fake Square API listening on ${address}`);
+          return address;
+        });
+      }
+      return url;
+    },
+    close() {
+      if (server) server.close();
+      server = undefined;
+      url = undefined;
+    },
+  };
+}
+
+let shared;
+
+// the instance SQUARE_BASE_URL=fake points at
+function sharedFakeSquare() {
+  if (!shared) shared = createFakeSquare();
+  return shared;
+}
+
+module.exports = {
+  SEED_CATALOG,
+  SEED_INVENTORY,
+  SEED_LOYALTY_PROGRAM,
+  TIMEOUT_NONCE,
+  createFakeSquare,
+  sharedFakeSquare,
+};
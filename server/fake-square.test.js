@@ -0,0 +1,183 @@
+const test = require('ava');
+
+const { TIMEOUT_NONCE } = require('./fake-square');
+const { setupFakeSquare } = require('./testing');
+
+async function createOrder(square, key = 'order-key') {
+  const { order } = await square.post('/v2/orders', {
+    idempotency_key: key,
+    order: {
+      location_id: 'LOCATION',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '2' }],
+      taxes: [
+        { uid: 'tax', percentage: '8', type: 'ADDITIVE', scope: 'ORDER' },
+      ],
+    },
+  });
+  return order;
+}
+
+test('lists the catalog page by page', async (t) => {
+  const { square } = await setupFakeSquare(t, { pageSize: 3 });
+
+  const first = await square.get('/v2/catalog/list?types=ITEM');
+  t.is(first.objects.length, 3);
+  t.truthy(first.cursor);
+
+  const second = await square.get(
+    `/v2/catalog/list?types=ITEM&cursor=${first.cursor}`,
+  );
+  t.is(second.objects.length, 1);
+  t.falsy(second.cursor);
+});
+
+test('prices orders from the catalog including taxes', async (t) => {
+  const { square } = await setupFakeSquare(t);
+
+  const order = await createOrder(square);
+
+  t.is(order.line_items[0].name, 'バインミー クラシック');
+  t.is(order.total_tax_money.amount, 150);
+  t.is(order.total_money.amount, 2030);
+});
+
+test('replays orders for a repeated idempotency key', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+
+  const first = await createOrder(square, 'same');
+  const second = await createOrder(square, 'same');
+
+  t.is(first.id, second.id);
+  t.is(fake.state.orders.size, 1);
+
+  // like Square, a different body under the same key is refused
+  const reused = await t.throwsAsync(
+    square.post('/v2/orders', {
+      idempotency_key: 'same',
+      order: {
+        location_id: 'LOCATION',
+        line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '3' }],
+      },
+    }),
+  );
+  t.is(reused.status, 400);
+  t.is(reused.errors[0].code, 'IDEMPOTENCY_KEY_REUSED');
+  t.is(fake.state.orders.size, 1);
+});
+
+test('takes payments for the order total only', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const order = await createOrder(square);
+
+  const error = await t.throwsAsync(
+    square.post('/v2/payments', {
+      idempotency_key: 'p1',
+      source_id: 'cnon:card-nonce-ok',
+      amount_money: { amount: 1, currency: 'JPY' },
+      order_id: order.id,
+    }),
+  );
+  t.is(error.errors[0].code, 'PAYMENT_AMOUNT_MISMATCH');
+
+  const { payment } = await square.post('/v2/payments', {
+    idempotency_key: 'p2',
+    source_id: 'cnon:card-nonce-ok',
+    amount_money: { amount: 2030, currency: 'JPY' },
+    order_id: order.id,
+  });
+  t.is(payment.status, 'COMPLETED');
+  const { order: paid } = await square.get(`/v2/orders/${order.id}`);
+  t.is(paid.net_amount_due_money.amount, 0);
+});
+
+test('declines the sandbox decline nonce', async (t) => {
+  const { square } = await setupFakeSquare(t);
+
+  const error = await t.throwsAsync(
+    square.post('/v2/payments', {
+      idempotency_key: 'p1',
+      source_id: 'cnon:card-nonce-declined',
+      amount_money: { amount: 940, currency: 'JPY' },
+    }),
+  );
+  t.is(error.status, 402);
+  t.is(error.errors[0].code, 'CARD_DECLINED');
+});
+
+test('hangs on the timeout nonce', async (t) => {
+  const { square } = await setupFakeSquare(t, { hangMs: 500 });
+
+  const error = await t.throwsAsync(
+    square.post(
+      '/v2/payments',
+      {
+        idempotency_key: 'p1',
+        source_id: TIMEOUT_NONCE,
+        amount_money: { amount: 940, currency: 'JPY' },
+      },
+      { timeoutMs: 50 },
+    ),
+  );
+  t.true(error.timedOut);
+});
+
+test('injects failures', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  fake.failNext('GET', '/v2/catalog/list', 503);
+
+  const error = await t.throwsAsync(square.get('/v2/catalog/list'));
+  t.is(error.status, 503);
+  t.truthy(await square.get('/v2/catalog/list'));
+});
+
+test('moves terminal checkouts along as they are polled', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const order = await createOrder(square);
+  const { checkout } = await square.post('/v2/terminals/checkouts', {
+    idempotency_key: 'c1',
+    checkout: {
+      order_id: order.id,
+      amount_money: order.total_money,
+      device_options: { device_id: 'fake-device' },
+    },
+  });
+  const poll = async () =>
+    (await square.get(`/v2/terminals/checkouts/${checkout.id}`)).checkout;
+
+  t.is((await poll()).status, 'PENDING');
+  t.is((await poll()).status, 'IN_PROGRESS');
+  const completed = await poll();
+  t.is(completed.status, 'COMPLETED');
+  t.is(completed.payment_ids.length, 1);
+  t.is(fake.state.payments.get(completed.payment_ids[0]).order_id, order.id);
+});
+
+test('cancels terminal checkouts', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const { checkout } = await square.post('/v2/terminals/checkouts', {
+    idempotency_key: 'c1',
+    checkout: { amount_money: { amount: 940, currency: 'JPY' } },
+  });
+
+  fake.setCheckoutStatus(checkout.id, 'CANCELED');
+
+  const { checkout: canceled } = await square.get(
+    `/v2/terminals/checkouts/${checkout.id}`,
+  );
+  t.is(canceled.status, 'CANCELED');
+});
+
+test('stores and disables cards', async (t) => {
+  const { square } = await setupFakeSquare(t);
+
+  const { card } = await square.post('/v2/cards', {
+    idempotency_key: 'k1',
+    source_id: 'cnon:card-nonce-ok',
+    card: { customer_id: 'CUSTOMER' },
+  });
+  await square.post(`/v2/cards/${card.id}/disable`);
+
+  const { cards } = await square.get('/v2/cards?customer_id=CUSTOMER');
+  t.is(cards.length, 1);
+  t.false(cards[0].enabled);
+});
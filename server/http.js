@@ -0,0 +1,64 @@
+// http holds request helpers shared by the api/*.js handlers
+
+const config = require('./config');
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Vercel parses JSON bodies for us; micro and plain node do not
+async function getParsedBody(req) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  const raw = await readBody(req);
+  return JSON.parse(raw || '{}');
+}
+
+// req.query on Vercel, the query string elsewhere
+function getQueryParam(req, name) {
+  if (req.query && req.query[name] != null) return req.query[name];
+  return req.url
+    ? new URL(req.url, 'http://localhost').searchParams.get(name)
+    : null;
+}
+
+// Dynamic path segments arrive in req.query, on Vercel and from server.js
+// (api/orders/[id]/status.js → req.query.id)
+function getPathParam(req, name) {
+  return req.query?.[name] ?? null;
+}
+
+// X-Forwarded-For is only as good as the proxy that appends to it: TRUST_PROXY
+// says one sits in front (on by default on Vercel, which sets the header)
+function trustsProxy() {
+  const value = process.env.TRUST_PROXY || config.TRUST_PROXY;
+  return value ? value === 'true' : Boolean(process.env.VERCEL);
+}
+
+// The caller's address, for rate limits. Clients can send X-Forwarded-For
+// themselves, so it is read only behind a trusted proxy, and then only the
+// last hop, which that proxy appended; otherwise the socket's address.
+function getClientAddress(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (trustsProxy() && typeof forwarded === 'string') {
+    const hop = forwarded.split(',').at(-1).trim();
+    if (hop) return hop;
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+module.exports = {
+  readBody,
+  getParsedBody,
+  getQueryParam,
+  getPathParam,
+  getClientAddress,
+};
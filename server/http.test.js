@@ -0,0 +1,57 @@
+const test = require('ava');
+const { Readable } = require('stream');
+
+const http = require('./http');
+
+function fakeRequest(body, props = {}) {
+  return Object.assign(Readable.from([body]), props);
+}
+
+test('getParsedBody parses a streamed JSON body', async (t) => {
+  t.deepEqual(await http.getParsedBody(fakeRequest('{"a":1}')), { a: 1 });
+});
+
+test('getParsedBody returns an already parsed body', async (t) => {
+  t.deepEqual(await http.getParsedBody({ body: { a: 1 } }), { a: 1 });
+});
+
+test('getParsedBody rejects invalid JSON', async (t) => {
+  await t.throwsAsync(http.getParsedBody(fakeRequest('{')));
+});
+
+test('getQueryParam reads req.query or the url', (t) => {
+  t.is(http.getQueryParam({ query: { id: 'a' } }, 'id'), 'a');
+  t.is(http.getQueryParam({ url: '/x?id=b' }, 'id'), 'b');
+  t.is(http.getQueryParam({ url: '/x' }, 'id'), null);
+});
+
+test('getClientAddress ignores X-Forwarded-For without a trusted proxy', (t) => {
+  t.is(
+    http.getClientAddress({
+      headers: { 'x-forwarded-for': '203.0.113.7' },
+      socket: { remoteAddress: '198.51.100.2' },
+    }),
+    '198.51.100.2',
+  );
+  t.is(
+    http.getClientAddress({ headers: {}, socket: { remoteAddress: '::1' } }),
+    '::1',
+  );
+});
+
+test.serial('getClientAddress takes the hop a trusted proxy appended', (t) => {
+  process.env.TRUST_PROXY = 'true';
+  t.teardown(() => delete process.env.TRUST_PROXY);
+  // the client made up the first hop; the proxy appended the last
+  t.is(
+    http.getClientAddress({
+      headers: { 'x-forwarded-for': '10.9.9.9, 203.0.113.7' },
+      socket: { remoteAddress: '10.0.0.1' },
+    }),
+    '203.0.113.7',
+  );
+  t.is(
+    http.getClientAddress({ headers: {}, socket: { remoteAddress: '::1' } }),
+    '::1',
+  );
+});
@@ -0,0 +1,85 @@
+// idempotency derives Square idempotency keys from the key the client sends
+// and remembers what a request already created, so a retry after a timeout
+// returns the first result instead of creating a second order.
+
+const crypto = require('crypto');
+
+// Square caps idempotency keys at 45 characters for some endpoints
+const MAX_KEY_LENGTH = 45;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Same client key and scope → same Square key, on every server instance
+function deriveIdempotencyKey(scope, clientKey) {
+  return crypto
+    .createHash('sha256')
+    .update(`${scope}:${clientKey}`)
+    .digest('base64url')
+    .slice(0, MAX_KEY_LENGTH);
+}
+
+// Fingerprint of the parts of a request that decide what gets charged
+function fingerprint(payload) {
+  const {
+    line_items,
+    catalog_object_id,
+    amount,
+    diningOption,
+    rewardTierId,
+    promoCodes,
+    quoteToken,
+  } = payload;
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        line_items,
+        catalog_object_id,
+        amount,
+        diningOption,
+        rewardTierId,
+        promoCodes,
+        quoteToken,
+      ]),
+    )
+    .digest('base64url');
+}
+
+// Records live in memory, so on serverless each instance has its own. Across
+// instances the derived Square keys de-duplicate payments, and orders are
+// found again by their key (see createOrderOnce in ./orders).
+function createMemoryStore({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  const records = new Map();
+  return {
+    async get(key) {
+      const record = records.get(key);
+      if (!record) return undefined;
+      if (record.expiresAt < Date.now()) {
+        records.delete(key);
+        return undefined;
+      }
+      return record.value;
+    },
+    async set(key, value) {
+      records.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+function getIdempotencyStore() {
+  return store;
+}
+
+// Swap in a shared store (anything with async get/set) for multi-instance use
+function setIdempotencyStore(next) {
+  store = next;
+}
+
+module.exports = {
+  deriveIdempotencyKey,
+  fingerprint,
+  createMemoryStore,
+  getIdempotencyStore,
+  setIdempotencyStore,
+};
@@ -0,0 +1,35 @@
+const test = require('ava');
+
+const {
+  deriveIdempotencyKey,
+  fingerprint,
+  createMemoryStore,
+} = require('./idempotency');
+
+test('derives stable, short keys per scope', (t) => {
+  const key = deriveIdempotencyKey('order', 'client-key');
+
+  t.is(key, deriveIdempotencyKey('order', 'client-key'));
+  t.not(key, deriveIdempotencyKey('checkout', 'client-key'));
+  t.true(key.length <= 45);
+});
+
+test('fingerprints only what decides the charge', (t) => {
+  const cart = { line_items: [{ catalog_object_id: 'A', quantity: 1 }] };
+
+  t.is(
+    fingerprint({ ...cart, sourceId: 'first' }),
+    fingerprint({ ...cart, sourceId: 'second' }),
+  );
+  t.not(fingerprint(cart), fingerprint({ ...cart, diningOption: 'EAT_IN' }));
+  t.not(fingerprint(cart), fingerprint({ ...cart, rewardTierId: 'TIER' }));
+  t.not(fingerprint(cart), fingerprint({ ...cart, promoCodes: ['OPEN100'] }));
+  t.not(fingerprint(cart), fingerprint({ ...cart, quoteToken: 'token' }));
+});
+
+test('the memory store forgets records after their TTL', async (t) => {
+  const store = createMemoryStore({ ttlMs: -1 });
+  await store.set('key', { orderId: 'ORDER' });
+
+  t.is(await store.get('key'), undefined);
+});
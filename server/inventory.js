@@ -0,0 +1,420 @@
+// inventory reads stock counts from the Square Inventory API, adds the
+// variations staff marked sold out for the day, and refuses orders for more
+// than is left.
+// https://developer.squareup.com/docs/inventory-api/what-it-does
+
+const crypto = require('crypto');
+
+const { getCatalogCache } = require('./catalog-cache');
+const config = require('./config');
+const { SquareApiError } = require('./square-rest');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const DEFAULT_STOCK_CACHE_TTL_SECONDS = 10;
+const TIME_ZONE = 'Asia/Tokyo';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_VERSION_ATTEMPTS = 3;
+
+class InventoryError extends Error {
+  constructor(code, message, { status = 409, ...detail } = {}) {
+    super(message);
+    this.name = 'InventoryError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function lowStockThreshold() {
+  const value = Number(setting('LOW_STOCK_THRESHOLD'));
+  return Number.isFinite(value) && value >= 0
+    ? value
+    : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+function stockCacheTtlMs() {
+  const seconds = Number(setting('STOCK_CACHE_TTL_SECONDS'));
+  // 0 disables caching; anything unparsable falls back to the default
+  return (
+    (Number.isFinite(seconds) && seconds >= 0
+      ? seconds
+      : DEFAULT_STOCK_CACHE_TTL_SECONDS) * 1000
+  );
+}
+
+// The shop's calendar day (YYYY-MM-DD); manual sold-outs end with it
+function businessDate(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(now);
+}
+
+// Like the idempotency store, records live in memory per instance
+// (SOLD_OUT_STORE=memory, for development and tests)
+function createMemorySoldOutStore() {
+  let day;
+  let ids = new Map();
+  const forDay = (date, locationId) => {
+    if (date !== day) {
+      day = date;
+      ids = new Map();
+    }
+    if (!ids.has(locationId)) ids.set(locationId, new Set());
+    return ids.get(locationId);
+  };
+  return {
+    async list(date, { locationId } = {}) {
+      return [...forDay(date, locationId)];
+    },
+    async set(date, variationId, soldOut, { locationId } = {}) {
+      if (soldOut) forDay(date, locationId).add(variationId);
+      else forDay(date, locationId).delete(variationId);
+    },
+  };
+}
+
+// Midnight in Japan at the start of a business day
+function startOfBusinessDate(date) {
+  return new Date(`${date}T00:00:00+09:00`).getTime();
+}
+
+function isVersionMismatch(ex) {
+  return (
+    ex instanceof SquareApiError &&
+    ex.errors.some((error) => error.code === 'VERSION_MISMATCH')
+  );
+}
+
+// Keeps the flag on the variation in Square (location_overrides[].sold_out),
+// where the Dashboard and POS show it too and every instance reads it.
+// Staff sold-outs end with the business day through sold_out_valid_until;
+// one marked in the Dashboard without an end counts until it is cleared.
+function createSquareSoldOutStore() {
+  async function retrieveVariations(square, variationIds) {
+    const { objects = [] } = await square.post('/v2/catalog/batch-retrieve', {
+      object_ids: variationIds,
+    });
+    return objects.filter((obj) => obj.type === 'ITEM_VARIATION');
+  }
+
+  async function listVariations(square) {
+    const variations = [];
+    let cursor;
+    do {
+      const params = new URLSearchParams({ types: 'ITEM' });
+      if (cursor) params.set('cursor', cursor);
+      const data = await square.get(`/v2/catalog/list?${params}`);
+      for (const obj of data.objects || []) {
+        variations.push(...(obj.item_data?.variations || []));
+      }
+      cursor = data.cursor;
+    } while (cursor);
+    return variations;
+  }
+
+  function markedOn(variation, locationId, date) {
+    const override = (
+      variation.item_variation_data?.location_overrides || []
+    ).find((entry) => entry.location_id === locationId);
+    if (override?.sold_out !== true) return false;
+    const until = override.sold_out_valid_until;
+    return !until || Date.parse(until) > startOfBusinessDate(date);
+  }
+
+  // The variation with this location's override replaced
+  function withOverride(variation, locationId, soldOut, date) {
+    const data = variation.item_variation_data;
+    const overrides = data.location_overrides || [];
+    const override = {
+      ...overrides.find((entry) => entry.location_id === locationId),
+      location_id: locationId,
+      sold_out: soldOut,
+    };
+    if (soldOut) {
+      override.sold_out_valid_until = new Date(
+        startOfBusinessDate(date) + DAY_MS,
+      ).toISOString();
+    } else {
+      delete override.sold_out_valid_until;
+    }
+    return {
+      ...variation,
+      item_variation_data: {
+        ...data,
+        location_overrides: [
+          ...overrides.filter((entry) => entry.location_id !== locationId),
+          override,
+        ],
+      },
+    };
+  }
+
+  return {
+    async list(date, { square, locationId, variationIds } = {}) {
+      // Square keeps sold-outs per location
+      if (!square || !locationId) return [];
+      const variations = variationIds
+        ? variationIds.length > 0
+          ? await retrieveVariations(square, variationIds)
+          : []
+        : await listVariations(square);
+      return variations
+        .filter((variation) => markedOn(variation, locationId, date))
+        .map((variation) => variation.id);
+    },
+    async set(date, variationId, soldOut, { square, locationId } = {}) {
+      if (!square || !locationId) {
+        throw new Error('The Square sold-out store needs a location');
+      }
+      // The upsert carries the version read, so a concurrent edit (another
+      // location's toggle, a price change in the Dashboard) is not
+      // overwritten; read it again and reapply this location's override.
+      for (let attempt = 1; ; attempt++) {
+        const [variation] = await retrieveVariations(square, [variationId]);
+        if (!variation) {
+          throw new InventoryError(
+            'UNKNOWN_VARIATION',
+            `商品が見つかりません: ${variationId}`,
+            { status: 404, variationId },
+          );
+        }
+        try {
+          await square.post('/v2/catalog/object', {
+            idempotency_key: crypto.randomUUID(),
+            object: {
+              ...withOverride(variation, locationId, soldOut, date),
+              version: variation.version,
+            },
+          });
+          return;
+        } catch (ex) {
+          if (attempt >= MAX_VERSION_ATTEMPTS || !isVersionMismatch(ex)) {
+            throw ex;
+          }
+        }
+      }
+    },
+  };
+}
+
+const STORES = {
+  memory: createMemorySoldOutStore,
+  square: createSquareSoldOutStore,
+};
+
+let soldOutStore;
+
+function getSoldOutStore() {
+  if (!soldOutStore) {
+    const kind = setting('SOLD_OUT_STORE') || 'square';
+    if (!STORES[kind]) {
+      throw new Error(`Unknown SOLD_OUT_STORE: ${kind}`);
+    }
+    soldOutStore = STORES[kind]();
+  }
+  return soldOutStore;
+}
+
+// Swap in another store (async list(date, context) / set(date, id, soldOut,
+// context), where context is { square, locationId })
+function setSoldOutStore(next) {
+  soldOutStore = next;
+}
+
+// Resolves to Map<variation id, IN_STOCK quantity> for variations that track
+// inventory; untracked variations are missing from the map
+async function fetchStockCounts(square, variationIds, locationId) {
+  const counts = new Map();
+  let cursor;
+  do {
+    const data = await square.post('/v2/inventory/counts/batch-retrieve', {
+      catalog_object_ids: variationIds,
+      ...(locationId ? { location_ids: [locationId] } : {}),
+      states: ['IN_STOCK'],
+      ...(cursor ? { cursor } : {}),
+    });
+    for (const count of data.counts || []) {
+      const id = count.catalog_object_id;
+      counts.set(id, (counts.get(id) || 0) + Number(count.quantity || 0));
+    }
+    cursor = data.cursor;
+  } while (cursor);
+  return counts;
+}
+
+// Resolves to Map<variation id, { quantity, soldOut, lowStock, manual }>.
+// quantity is null when the variation does not track inventory.
+async function getStock(
+  square,
+  variationIds,
+  { locationId, now = new Date() } = {},
+) {
+  const ids = [...new Set(variationIds)];
+  const [counts, manual] = await Promise.all([
+    ids.length > 0 ? fetchStockCounts(square, ids, locationId) : new Map(),
+    getSoldOutStore().list(businessDate(now), {
+      square,
+      locationId,
+      variationIds: ids,
+    }),
+  ]);
+  const threshold = lowStockThreshold();
+  return new Map(
+    ids.map((id) => {
+      const quantity = counts.has(id) ? Math.max(counts.get(id), 0) : null;
+      const marked = manual.includes(id);
+      return [
+        id,
+        {
+          quantity,
+          soldOut: marked || quantity === 0,
+          lowStock: !marked && quantity != null && quantity <= threshold,
+          manual: marked,
+        },
+      ];
+    }),
+  );
+}
+
+// Stock shown on menus, kept for a few seconds per location so page loads
+// and ETag revalidations do not each read the Inventory API and the sold-out
+// store. Orders are checked against getStock, never against this.
+const stockSnapshots = new Map();
+
+async function getStockSnapshot(
+  square,
+  variationIds,
+  { locationId, now = Date.now() } = {},
+) {
+  const ids = [...new Set(variationIds)].sort().join(',');
+  const cached = stockSnapshots.get(locationId);
+  if (cached && cached.ids === ids && cached.expiresAt > now) {
+    return cached.stock;
+  }
+  const stock = await getStock(square, variationIds, {
+    locationId,
+    now: new Date(now),
+  });
+  stockSnapshots.set(locationId, {
+    ids,
+    stock,
+    expiresAt: now + stockCacheTtlMs(),
+  });
+  return stock;
+}
+
+// Drops this instance's snapshots when staff change a sold-out; other
+// instances catch up when theirs expire
+function invalidateStockSnapshots() {
+  stockSnapshots.clear();
+}
+
+// Display names ("商品（バリエーション）") for variations in a menu
+function variationNames(menu) {
+  const names = new Map();
+  for (const item of menu.items) {
+    for (const variation of item.variations) {
+      names.set(
+        variation.id,
+        item.variations.length > 1 && variation.name
+          ? `${item.name}（${variation.name}）`
+          : item.name,
+      );
+    }
+  }
+  return names;
+}
+
+async function cachedVariationNames() {
+  const { menu } = await getCatalogCache().get();
+  return variationNames(menu);
+}
+
+// Adds `stock` to every variation of a menu.buildMenu result and `soldOut`
+// to items whose variations are all sold out
+function applyStock(menu, stock) {
+  return {
+    ...menu,
+    items: menu.items.map((item) => {
+      const variations = item.variations.map((variation) => {
+        const entry = stock.get(variation.id);
+        return entry
+          ? {
+              ...variation,
+              stock: {
+                quantity: entry.quantity,
+                soldOut: entry.soldOut,
+                lowStock: entry.lowStock,
+              },
+            }
+          : variation;
+      });
+      return {
+        ...item,
+        variations,
+        soldOut: variations.every((variation) => variation.stock?.soldOut),
+      };
+    }),
+  };
+}
+
+// Throws SOLD_OUT when Square order line items ask for more than is left.
+// Lines with the same variation (e.g. different modifiers) are added up.
+// lookupNames() → Map<id, name> is only called to word the error.
+async function checkStock(
+  square,
+  lineItems,
+  { locationId, lookupNames = cachedVariationNames } = {},
+) {
+  const requested = new Map();
+  for (const line of lineItems) {
+    if (!line.catalog_object_id) continue;
+    const id = line.catalog_object_id;
+    requested.set(id, (requested.get(id) || 0) + Number(line.quantity));
+  }
+  if (requested.size === 0) return;
+
+  const stock = await getStock(square, [...requested.keys()], { locationId });
+  const lines = [];
+  for (const [id, quantity] of requested) {
+    const entry = stock.get(id);
+    const available = entry.manual ? 0 : entry.quantity;
+    if (available != null && quantity > available) {
+      lines.push({ catalogObjectId: id, requested: quantity, available });
+    }
+  }
+  if (lines.length > 0) {
+    const names = await lookupNames().catch(() => new Map());
+    lines.forEach((line) => {
+      line.name = names.get(line.catalogObjectId) || null;
+    });
+    const labels = lines.map(
+      (line) =>
+        `${line.name || line.catalogObjectId}` +
+        (line.available > 0 ? `（残り${line.available}個）` : ''),
+    );
+    throw new InventoryError(
+      'SOLD_OUT',
+      `売り切れの商品があります: ${labels.join('、')}`,
+      { lines },
+    );
+  }
+}
+
+module.exports = {
+  InventoryError,
+  businessDate,
+  createMemorySoldOutStore,
+  createSquareSoldOutStore,
+  getSoldOutStore,
+  setSoldOutStore,
+  fetchStockCounts,
+  getStock,
+  getStockSnapshot,
+  invalidateStockSnapshots,
+  variationNames,
+  applyStock,
+  checkStock,
+};
@@ -0,0 +1,261 @@
+const test = require('ava');
+
+const {
+  InventoryError,
+  applyStock,
+  businessDate,
+  checkStock,
+  createMemorySoldOutStore,
+  createSquareSoldOutStore,
+  getSoldOutStore,
+  getStock,
+  getStockSnapshot,
+  invalidateStockSnapshots,
+  setSoldOutStore,
+  variationNames,
+} = require('./inventory');
+const { setupFakeSquare } = require('./testing');
+
+const lookupNames = async () =>
+  new Map([
+    ['VAR_TOFU', 'ベジ 厚揚げ'],
+    ['VAR_CLASSIC', 'バインミー クラシック'],
+  ]);
+
+test('businessDate uses the Japanese calendar day', (t) => {
+  t.is(businessDate(new Date('2024-06-01T14:59:00Z')), '2024-06-01');
+  t.is(businessDate(new Date('2024-06-01T15:00:00Z')), '2024-06-02');
+});
+
+test('the memory store forgets sold-outs from earlier days', async (t) => {
+  const store = createMemorySoldOutStore();
+  await store.set('2024-06-01', 'VAR_TOFU', true);
+  t.deepEqual(await store.list('2024-06-01'), ['VAR_TOFU']);
+  t.deepEqual(await store.list('2024-06-02'), []);
+});
+
+test('the Square store keeps sold-outs on the variation per location', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const store = createSquareSoldOutStore();
+  const main = { square, locationId: 'LOCATION' };
+  const shibuya = { square, locationId: 'LOCATION_SHIBUYA' };
+  const today = '2024-06-01';
+
+  await store.set(today, 'VAR_TOFU', true, main);
+  await store.set(today, 'VAR_CLASSIC', true, shibuya);
+  const tofuOverrides = () =>
+    fake.state.catalog.find((obj) => obj.id === 'ITEM_TOFU').item_data
+      .variations[0].item_variation_data.location_overrides;
+  t.deepEqual(tofuOverrides(), [
+    {
+      location_id: 'LOCATION',
+      sold_out: true,
+      sold_out_valid_until: '2024-06-01T15:00:00.000Z',
+    },
+  ]);
+  t.deepEqual(await store.list(today, main), ['VAR_TOFU']);
+  t.deepEqual(
+    await store.list(today, { ...main, variationIds: ['VAR_CLASSIC'] }),
+    [],
+  );
+  t.deepEqual(await store.list(today, shibuya), ['VAR_CLASSIC']);
+  // Square keeps the flag, but it ran out with the day it was set on
+  t.deepEqual(await store.list('2024-06-02', main), []);
+
+  await store.set(today, 'VAR_TOFU', false, main);
+  t.deepEqual(await store.list(today, main), []);
+  t.deepEqual(tofuOverrides(), [{ location_id: 'LOCATION', sold_out: false }]);
+  await t.throwsAsync(store.set(today, 'VAR_NONE', true, main), {
+    instanceOf: InventoryError,
+    code: 'UNKNOWN_VARIATION',
+  });
+
+  // marked in the Dashboard with no end: sold out until cleared
+  tofuOverrides()[0].sold_out = true;
+  t.deepEqual(await store.list('2024-06-02', main), ['VAR_TOFU']);
+});
+
+test('the Square store rereads a variation that changed under it', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const tofu = () =>
+    fake.state.catalog.find((obj) => obj.id === 'ITEM_TOFU').item_data
+      .variations[0];
+  let raced = false;
+  // another stand marks the variation between the read and the upsert
+  const racing = {
+    ...square,
+    async post(path, body) {
+      if (path === '/v2/catalog/object' && !raced) {
+        raced = true;
+        await square.post('/v2/catalog/object', {
+          idempotency_key: 'other-stand',
+          object: {
+            ...tofu(),
+            item_variation_data: {
+              ...tofu().item_variation_data,
+              location_overrides: [
+                { location_id: 'LOCATION_SHIBUYA', sold_out: true },
+              ],
+            },
+          },
+        });
+      }
+      return square.post(path, body);
+    },
+  };
+
+  await createSquareSoldOutStore().set('2024-06-01', 'VAR_TOFU', true, {
+    square: racing,
+    locationId: 'LOCATION',
+  });
+  t.true(raced);
+  t.deepEqual(
+    tofu().item_variation_data.location_overrides.map(
+      (entry) => entry.location_id,
+    ),
+    ['LOCATION_SHIBUYA', 'LOCATION'],
+  );
+});
+
+test('getStock reports counts, low stock and untracked variations', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const stock = await getStock(
+    square,
+    ['VAR_CLASSIC', 'VAR_TOFU', 'VAR_COFFEE_HOT'],
+    { locationId: 'LOCATION' },
+  );
+
+  t.deepEqual(stock.get('VAR_CLASSIC'), {
+    quantity: 40,
+    soldOut: false,
+    lowStock: false,
+    manual: false,
+  });
+  t.true(stock.get('VAR_TOFU').lowStock);
+  t.is(stock.get('VAR_COFFEE_HOT').quantity, null);
+  t.false(stock.get('VAR_COFFEE_HOT').soldOut);
+});
+
+test('menu stock is kept briefly per location', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const options = { locationId: 'LOCATION_SNAPSHOT', now: 0 };
+  const first = await getStockSnapshot(square, ['VAR_TOFU'], options);
+  t.is(first.get('VAR_TOFU').quantity, 3);
+
+  fake.state.inventory.set('VAR_TOFU', 0);
+  t.is(await getStockSnapshot(square, ['VAR_TOFU'], options), first);
+  const expired = await getStockSnapshot(square, ['VAR_TOFU'], {
+    ...options,
+    now: 10000,
+  });
+  t.true(expired.get('VAR_TOFU').soldOut);
+
+  fake.state.inventory.set('VAR_TOFU', 2);
+  invalidateStockSnapshots();
+  const fresh = await getStockSnapshot(square, ['VAR_TOFU'], options);
+  t.is(fresh.get('VAR_TOFU').quantity, 2);
+});
+
+test('applyStock marks items whose variations are all sold out', (t) => {
+  const menu = {
+    categories: [],
+    taxes: [],
+    items: [
+      {
+        id: 'ITEM_COFFEE',
+        name: 'ベトナムコーヒー',
+        variations: [
+          { id: 'HOT', name: 'ホット', price: 550 },
+          { id: 'ICED', name: 'アイス', price: 600 },
+        ],
+      },
+    ],
+  };
+  const soldOut = { quantity: 0, soldOut: true, lowStock: false };
+  const inStock = { quantity: 9, soldOut: false, lowStock: false };
+
+  const partly = applyStock(
+    menu,
+    new Map([
+      ['HOT', soldOut],
+      ['ICED', inStock],
+    ]),
+  );
+  t.false(partly.items[0].soldOut);
+  t.true(partly.items[0].variations[0].stock.soldOut);
+
+  const all = applyStock(
+    menu,
+    new Map([
+      ['HOT', soldOut],
+      ['ICED', soldOut],
+    ]),
+  );
+  t.true(all.items[0].soldOut);
+  t.deepEqual(
+    [...variationNames(menu).values()],
+    ['ベトナムコーヒー（ホット）', 'ベトナムコーヒー（アイス）'],
+  );
+});
+
+test('checkStock adds up lines for the same variation', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const error = await t.throwsAsync(
+    checkStock(
+      square,
+      [
+        { catalog_object_id: 'VAR_TOFU', quantity: '2' },
+        { catalog_object_id: 'VAR_TOFU', quantity: '2', modifiers: [] },
+        { catalog_object_id: 'VAR_CLASSIC', quantity: '2' },
+      ],
+      { locationId: 'LOCATION', lookupNames },
+    ),
+    { instanceOf: InventoryError },
+  );
+
+  t.is(error.code, 'SOLD_OUT');
+  t.is(error.status, 409);
+  t.deepEqual(error.detail.lines, [
+    {
+      catalogObjectId: 'VAR_TOFU',
+      requested: 4,
+      available: 3,
+      name: 'ベジ 厚揚げ',
+    },
+  ]);
+  t.regex(error.message, /ベジ 厚揚げ（残り3個）/);
+});
+
+test('checkStock allows untracked variations and ad-hoc lines', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  await t.notThrowsAsync(
+    checkStock(
+      square,
+      [
+        { catalog_object_id: 'VAR_COFFEE_HOT', quantity: '99' },
+        { name: '特製', quantity: '1' },
+      ],
+      { lookupNames },
+    ),
+  );
+});
+
+test.serial('staff sold-outs apply to the current day', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const previous = getSoldOutStore();
+  setSoldOutStore(createMemorySoldOutStore());
+  t.teardown(() => setSoldOutStore(previous));
+  await getSoldOutStore().set(businessDate(), 'VAR_CLASSIC', true);
+
+  const stock = await getStock(square, ['VAR_CLASSIC']);
+  t.true(stock.get('VAR_CLASSIC').soldOut);
+  t.true(stock.get('VAR_CLASSIC').manual);
+
+  const error = await t.throwsAsync(
+    checkStock(square, [{ catalog_object_id: 'VAR_CLASSIC', quantity: '1' }], {
+      lookupNames,
+    }),
+  );
+  t.is(error.detail.lines[0].available, 0);
+  t.is(error.message, '売り切れの商品があります: バインミー クラシック');
+});
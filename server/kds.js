@@ -0,0 +1,179 @@
+// kds backs the built-in kitchen display: the paid, open PICKUP orders staff
+// still have to make or hand over, and the bump action that moves each one
+// RESERVED → PREPARED → COMPLETED.
+// https://developer.squareup.com/docs/orders-api/fulfillments
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const { etagOf } = require('./catalog-cache');
+const {
+  getOrder,
+  pickupFulfillment,
+  pickupName,
+  pickupNumber,
+  pickupStatus,
+  scheduledPickupAt,
+  searchOpenPickupOrders,
+} = require('./orders');
+const { SquareApiError } = require('./square-rest');
+const { onWebhookEvent } = require('./webhooks');
+
+const DEFAULT_POLL_MS = 3000;
+
+// PROPOSED orders are new tickets; the first bump starts cooking
+const NEXT_STATE = {
+  PROPOSED: 'RESERVED',
+  RESERVED: 'PREPARED',
+  PREPARED: 'COMPLETED',
+};
+
+class KdsError extends Error {
+  constructor(code, message, { status = 409, ...detail } = {}) {
+    super(message);
+    this.name = 'KdsError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Wakes long-polling /api/kds/orders requests on this instance
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+function notifyKitchen() {
+  changes.emit('change');
+}
+
+// Orders paid or bumped elsewhere (Square POS, another instance)
+['order.fulfillment.updated', 'payment.updated'].forEach((type) =>
+  onWebhookEvent(type, notifyKitchen),
+);
+
+// One ticket on the kitchen display
+function summarizeKitchenOrder(order) {
+  const fulfillment = pickupFulfillment(order);
+  return {
+    id: order.id,
+    version: order.version,
+    pickupNumber: pickupNumber(order),
+    pickupName: pickupName(order),
+    state: fulfillment?.state || null,
+    note: fulfillment?.pickup_details?.note || null,
+    createdAt: order.created_at,
+    // set when the customer chose a pickup slot
+    scheduledAt: scheduledPickupAt(order),
+    lineItems: (order.line_items || []).map((line) => ({
+      name: line.name,
+      variationName: line.variation_name,
+      quantity: Number(line.quantity),
+      modifiers: (line.modifiers || []).map((m) => m.name),
+      note: line.note || null,
+    })),
+  };
+}
+
+// Paid tickets still in the kitchen, oldest first
+async function fetchKitchenOrders(square, locationId) {
+  const orders = await searchOpenPickupOrders(square, locationId, {
+    limit: 200,
+  });
+  return orders
+    .filter((order) => pickupStatus(order).status !== 'awaiting_payment')
+    .map(summarizeKitchenOrder);
+}
+
+function nextChange(timeoutMs) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      changes.off('change', done);
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    changes.on('change', done);
+  });
+}
+
+// Long polling: resolves with { orders, version } as soon as the orders differ
+// from the version the display already has, or with the current ones after
+// waitMs. Square is also re-read every pollMs, since webhooks and bumps may
+// reach another instance.
+async function waitForKitchenOrders(
+  load,
+  { since, waitMs = 0, pollMs = DEFAULT_POLL_MS } = {},
+) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const orders = await load();
+    const version = etagOf(orders);
+    const remaining = deadline - Date.now();
+    if (!since || version !== since || remaining <= 0) {
+      return { orders, version };
+    }
+    await nextChange(Math.min(pollMs, remaining));
+  }
+}
+
+function isVersionMismatch(ex) {
+  return (
+    ex instanceof SquareApiError &&
+    ex.errors.some((error) => error.code === 'VERSION_MISMATCH')
+  );
+}
+
+// Moves the PICKUP fulfillment one step. `version` is the order version the
+// display showed; if the order changed since (e.g. bumped on another screen)
+// nothing is updated and VERSION_MISMATCH carries the current ticket.
+async function advanceKitchenOrder(square, orderId, { version } = {}) {
+  const order = await getOrder(square, orderId);
+  const fulfillment = pickupFulfillment(order);
+  if (!fulfillment) {
+    throw new KdsError('NOT_PICKUP', '受け取りの注文ではありません', {
+      status: 400,
+    });
+  }
+  const stale = (current) =>
+    new KdsError('VERSION_MISMATCH', '別の画面で更新されています', {
+      order: summarizeKitchenOrder(current),
+    });
+  if (version != null && version !== order.version) throw stale(order);
+
+  const next = NEXT_STATE[fulfillment.state];
+  if (order.state !== 'OPEN' || !next) {
+    throw new KdsError('NOT_ADVANCEABLE', 'この注文は進められません', {
+      order: summarizeKitchenOrder(order),
+    });
+  }
+
+  try {
+    const { order: updated } = await square.put(
+      `/v2/orders/${encodeURIComponent(orderId)}`,
+      {
+        idempotency_key: crypto.randomUUID(),
+        order: {
+          location_id: order.location_id,
+          version: order.version,
+          // a handed-over order is done
+          ...(next === 'COMPLETED' ? { state: 'COMPLETED' } : {}),
+          fulfillments: [{ uid: fulfillment.uid, state: next }],
+        },
+      },
+    );
+    notifyKitchen();
+    return summarizeKitchenOrder(updated);
+  } catch (ex) {
+    if (isVersionMismatch(ex)) throw stale(await getOrder(square, orderId));
+    throw ex;
+  }
+}
+
+module.exports = {
+  KdsError,
+  notifyKitchen,
+  summarizeKitchenOrder,
+  fetchKitchenOrders,
+  waitForKitchenOrders,
+  advanceKitchenOrder,
+};
@@ -0,0 +1,153 @@
+const test = require('ava');
+
+const {
+  KdsError,
+  advanceKitchenOrder,
+  fetchKitchenOrders,
+  notifyKitchen,
+  waitForKitchenOrders,
+} = require('./kds');
+const { setupFakeSquare } = require('./testing');
+
+async function setup(t) {
+  const { fake, square } = await setupFakeSquare(t);
+
+  async function createOrder(key, { paid = true } = {}) {
+    const { order } = await square.post('/v2/orders', {
+      idempotency_key: key,
+      order: {
+        location_id: 'LOCATION',
+        reference_id: key,
+        line_items: [
+          {
+            catalog_object_id: 'VAR_CHICKEN',
+            quantity: '2',
+            note: 'パン軽め',
+            modifiers: [{ catalog_object_id: 'MOD_NO_CHILI' }],
+          },
+        ],
+        fulfillments: [
+          {
+            type: 'PICKUP',
+            state: 'PROPOSED',
+            pickup_details: {
+              recipient: { display_name: `${key} Lan` },
+              note: 'イートイン / 辛さ控えめ',
+            },
+          },
+        ],
+      },
+    });
+    if (paid) {
+      await square.post('/v2/payments', {
+        idempotency_key: `pay-${key}`,
+        source_id: 'cnon:card-nonce-ok',
+        amount_money: order.total_money,
+        order_id: order.id,
+      });
+    }
+    return (await square.get(`/v2/orders/${order.id}`)).order;
+  }
+
+  return { fake, square, createOrder };
+}
+
+test('lists paid tickets with what to make', async (t) => {
+  const { square, createOrder } = await setup(t);
+  const order = await createOrder('A-001');
+  await createOrder('A-002', { paid: false });
+
+  const orders = await fetchKitchenOrders(square, 'LOCATION');
+
+  t.is(orders.length, 1);
+  t.like(orders[0], {
+    id: order.id,
+    version: order.version,
+    pickupNumber: 'A-001',
+    pickupName: 'Lan',
+    state: 'PROPOSED',
+    note: 'イートイン / 辛さ控えめ',
+  });
+  t.like(orders[0].lineItems[0], {
+    quantity: 2,
+    note: 'パン軽め',
+    modifiers: [order.line_items[0].modifiers[0].name],
+  });
+});
+
+test('bumps a ticket through to completed', async (t) => {
+  const { fake, square, createOrder } = await setup(t);
+  const order = await createOrder('A-001');
+
+  const states = [];
+  let version = order.version;
+  for (let i = 0; i < 3; i++) {
+    const ticket = await advanceKitchenOrder(square, order.id, { version });
+    states.push(ticket.state);
+    version = ticket.version;
+  }
+
+  t.deepEqual(states, ['RESERVED', 'PREPARED', 'COMPLETED']);
+  t.is(fake.state.orders.get(order.id).state, 'COMPLETED');
+  t.deepEqual(await fetchKitchenOrders(square, 'LOCATION'), []);
+  const done = await t.throwsAsync(advanceKitchenOrder(square, order.id), {
+    instanceOf: KdsError,
+  });
+  t.is(done.code, 'NOT_ADVANCEABLE');
+});
+
+test('refuses a bump from a stale display', async (t) => {
+  const { square, createOrder } = await setup(t);
+  const order = await createOrder('A-001');
+  await advanceKitchenOrder(square, order.id, { version: order.version });
+
+  const error = await t.throwsAsync(
+    advanceKitchenOrder(square, order.id, { version: order.version }),
+    { instanceOf: KdsError },
+  );
+
+  t.is(error.code, 'VERSION_MISMATCH');
+  t.is(error.status, 409);
+  t.is(error.detail.order.state, 'RESERVED');
+});
+
+test('answers at once when the display is behind', async (t) => {
+  let calls = 0;
+  const result = await waitForKitchenOrders(
+    async () => {
+      calls += 1;
+      return [{ id: 'ORDER' }];
+    },
+    { since: '"old"', waitMs: 10000 },
+  );
+  t.is(calls, 1);
+  t.deepEqual(result.orders, [{ id: 'ORDER' }]);
+});
+
+test('waits for a change before answering', async (t) => {
+  let orders = [];
+  const load = async () => orders;
+  const { version } = await waitForKitchenOrders(load);
+
+  const started = Date.now();
+  const waiting = waitForKitchenOrders(load, {
+    since: version,
+    waitMs: 10000,
+    pollMs: 10000,
+  });
+  setTimeout(() => {
+    orders = [{ id: 'ORDER' }];
+    notifyKitchen();
+  }, 50);
+  const result = await waiting;
+
+  t.deepEqual(result.orders, [{ id: 'ORDER' }]);
+  t.not(result.version, version);
+  t.true(Date.now() - started < 5000);
+
+  const idle = await waitForKitchenOrders(load, {
+    since: result.version,
+    waitMs: 100,
+  });
+  t.is(idle.version, result.version);
+});
@@ -0,0 +1,203 @@
+// locations is the registry of stands. Each entry maps the slug used in URLs
+// (/l/shibuya/kiosk, ?location=shibuya) to its Square location and to what
+// differs per stand: the terminal, the part of the catalog it sells, its
+// hours and its tax settings. Without LOCATIONS there is a single stand,
+// LOCATION_ID, set up by the plain settings.
+
+const fs = require('fs');
+
+const { getCatalogCache } = require('./catalog-cache');
+const config = require('./config');
+const { getQueryParam } = require('./http');
+const logger = require('./logger');
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const DEFAULT_SLUG = 'default';
+
+class LocationError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'LocationError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function idSet(ids) {
+  return new Set(Array.isArray(ids) ? ids.map(String) : []);
+}
+
+// One registry entry; settings left out fall back to the plain settings
+function buildLocation(slug, entry) {
+  return {
+    slug,
+    name: entry.name || slug,
+    locationId: entry.locationId,
+    terminalDeviceId: entry.terminalDeviceId || null,
+    // only these items, or the items in these categories, are sold here
+    menu: entry.menu
+      ? {
+          itemIds: idSet(entry.menu.itemIds),
+          categoryIds: idSet(entry.menu.categoryIds),
+        }
+      : null,
+    businessHours: entry.businessHours || null,
+    holidays: entry.holidays || null,
+    lastOrderMinutes: entry.lastOrderMinutes ?? null,
+    tax: entry.tax || null,
+  };
+}
+
+// LOCATIONS (JSON) or the LOCATIONS_FILE it is read from:
+// { "shibuya": { "name": "渋谷店", "locationId": "L…", … }, … }
+function readRegistry() {
+  const file = setting('LOCATIONS_FILE');
+  const text = setting('LOCATIONS') || (file && fs.readFileSync(file, 'utf8'));
+  return text || null;
+}
+
+let parsed = { text: null, locations: null };
+
+function parseRegistry(text) {
+  const entries = JSON.parse(text);
+  const locations = [];
+  for (const [slug, entry] of Object.entries(entries)) {
+    if (!SLUG_PATTERN.test(slug) || !entry?.locationId) {
+      logger.error(`Ignoring location "${slug}"`);
+      continue;
+    }
+    locations.push(buildLocation(slug, entry));
+  }
+  if (locations.length === 0) {
+    throw new Error('LOCATIONS has no usable location');
+  }
+  return locations;
+}
+
+// Every stand, the default one (used when a request names none) first
+function listLocations() {
+  const text = readRegistry();
+  if (!text) {
+    return [
+      buildLocation(DEFAULT_SLUG, {
+        locationId: setting('LOCATION_ID') || null,
+      }),
+    ];
+  }
+  if (parsed.text !== text) parsed = { text, locations: parseRegistry(text) };
+  return parsed.locations;
+}
+
+// A request may name the stand by slug, by Square location ID or both; they
+// have to agree, so an order and its payment never land at different
+// locations. Without a registry or LOCATION_ID any location ID is taken as is.
+function resolveLocation({ slug, locationId } = {}) {
+  const locations = listLocations();
+  let location;
+  if (slug) {
+    location = locations.find((candidate) => candidate.slug === slug);
+    if (!location) {
+      throw new LocationError(
+        'UNKNOWN_LOCATION',
+        `店舗「${slug}」は登録されていません`,
+        { status: 404 },
+      );
+    }
+  } else {
+    location =
+      (locationId &&
+        locations.find((candidate) => candidate.locationId === locationId)) ||
+      locations[0];
+  }
+  if (!locationId || location.locationId === locationId) return location;
+  if (!location.locationId) return { ...location, locationId };
+  throw new LocationError(
+    'LOCATION_MISMATCH',
+    'ご注文の店舗とお支払いの店舗が一致しません',
+    { locationId: location.locationId },
+  );
+}
+
+// Answers 400/404 and returns null unless ?location= (slug) or ?locationId=
+// names a known stand. Handlers that only need the stand's settings pass
+// { needsLocationId: false } to accept the default stand without an ID.
+function requireLocation(req, res, { needsLocationId = true } = {}) {
+  try {
+    const location = resolveLocation({
+      slug: getQueryParam(req, 'location'),
+      locationId: getQueryParam(req, 'locationId'),
+    });
+    if (location.locationId || !needsLocationId) return location;
+    res.status(400).json({ error: 'locationId is required' });
+  } catch (ex) {
+    if (!(ex instanceof LocationError)) throw ex;
+    res.status(ex.status).json({ error: ex.message, code: ex.code });
+  }
+  return null;
+}
+
+function sellsItem(location, item) {
+  const { menu } = location;
+  return (
+    !menu ||
+    menu.itemIds.has(item.id) ||
+    (item.categoryId != null && menu.categoryIds.has(item.categoryId))
+  );
+}
+
+// A menu.buildMenu result cut down to what the stand sells
+function filterMenu(menu, location) {
+  if (!location.menu) return menu;
+  const items = menu.items.filter((item) => sellsItem(location, item));
+  const used = new Set(items.map((item) => item.categoryId));
+  return {
+    ...menu,
+    categories: menu.categories.filter((category) => used.has(category.id)),
+    items,
+  };
+}
+
+async function cachedMenu() {
+  return (await getCatalogCache().get()).menu;
+}
+
+// Throws NOT_ON_MENU for catalog lines the stand does not sell
+async function checkMenu(location, lineItems, { loadMenu = cachedMenu } = {}) {
+  if (!location.menu) return;
+  const menu = await loadMenu();
+  const items = new Map();
+  for (const item of menu.items) {
+    for (const variation of item.variations) items.set(variation.id, item);
+  }
+  const lines = lineItems
+    .filter((line) => line.catalog_object_id)
+    .filter((line) => {
+      const item = items.get(line.catalog_object_id);
+      return !item || !sellsItem(location, item);
+    })
+    .map((line) => ({
+      catalogObjectId: line.catalog_object_id,
+      name: items.get(line.catalog_object_id)?.name || null,
+    }));
+  if (lines.length > 0) {
+    throw new LocationError(
+      'NOT_ON_MENU',
+      `${lines.map((line) => line.name || '商品').join('、')}はこの店舗では販売していません`,
+      { status: 409, lines },
+    );
+  }
+}
+
+module.exports = {
+  LocationError,
+  listLocations,
+  resolveLocation,
+  requireLocation,
+  filterMenu,
+  checkMenu,
+};
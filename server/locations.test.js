@@ -0,0 +1,150 @@
+const test = require('ava');
+
+process.env.LOCATIONS = JSON.stringify({
+  main: { name: '本店', locationId: 'L_MAIN' },
+  shibuya: {
+    name: '渋谷店',
+    locationId: 'L_SHIBUYA',
+    terminalDeviceId: 'DEVICE_SHIBUYA',
+    menu: { itemIds: ['ITEM_CLASSIC'], categoryIds: ['CAT_DRINK'] },
+    businessHours: '11:00-15:00',
+    tax: { pricing: 'inclusive' },
+  },
+  'Not A Slug': { locationId: 'L_BROKEN' },
+  nowhere: { name: 'ロケーションなし' },
+});
+
+const {
+  LocationError,
+  checkMenu,
+  filterMenu,
+  listLocations,
+  resolveLocation,
+} = require('./locations');
+
+const MENU = {
+  categories: [
+    { id: 'CAT_BANHMI', name: 'バインミー' },
+    { id: 'CAT_DRINK', name: 'ドリンク' },
+  ],
+  items: [
+    {
+      id: 'ITEM_CLASSIC',
+      name: 'クラシック',
+      categoryId: 'CAT_BANHMI',
+      variations: [{ id: 'VAR_CLASSIC' }],
+    },
+    {
+      id: 'ITEM_TOFU',
+      name: '豆腐',
+      categoryId: 'CAT_BANHMI',
+      variations: [{ id: 'VAR_TOFU' }],
+    },
+    {
+      id: 'ITEM_COFFEE',
+      name: 'ベトナムコーヒー',
+      categoryId: 'CAT_DRINK',
+      variations: [{ id: 'VAR_COFFEE_HOT' }, { id: 'VAR_COFFEE_ICED' }],
+    },
+  ],
+  taxes: [],
+};
+
+test('reads the registry and skips unusable entries', (t) => {
+  const locations = listLocations();
+
+  t.deepEqual(
+    locations.map((location) => location.slug),
+    ['main', 'shibuya'],
+  );
+  t.like(locations[1], {
+    name: '渋谷店',
+    locationId: 'L_SHIBUYA',
+    terminalDeviceId: 'DEVICE_SHIBUYA',
+    businessHours: '11:00-15:00',
+    tax: { pricing: 'inclusive' },
+  });
+  t.is(locations[0].menu, null);
+});
+
+test('resolves a stand by slug, location ID or neither', (t) => {
+  t.is(resolveLocation({ slug: 'shibuya' }).locationId, 'L_SHIBUYA');
+  t.is(resolveLocation({ locationId: 'L_SHIBUYA' }).slug, 'shibuya');
+  t.is(
+    resolveLocation({ slug: 'shibuya', locationId: 'L_SHIBUYA' }).slug,
+    'shibuya',
+  );
+  // the first entry is the default stand
+  t.is(resolveLocation().slug, 'main');
+});
+
+test('refuses unknown stands and mismatched location IDs', (t) => {
+  const unknown = t.throws(() => resolveLocation({ slug: 'ginza' }), {
+    instanceOf: LocationError,
+  });
+  t.is(unknown.code, 'UNKNOWN_LOCATION');
+  t.is(unknown.status, 404);
+
+  const mismatch = t.throws(
+    () => resolveLocation({ slug: 'shibuya', locationId: 'L_MAIN' }),
+    { instanceOf: LocationError },
+  );
+  t.is(mismatch.code, 'LOCATION_MISMATCH');
+  t.is(mismatch.status, 400);
+  t.is(mismatch.detail.locationId, 'L_SHIBUYA');
+
+  // an ID outside the registry falls back to the default stand, which differs
+  t.is(
+    t.throws(() => resolveLocation({ locationId: 'L_OTHER' })).code,
+    'LOCATION_MISMATCH',
+  );
+});
+
+test('cuts the menu down to what a stand sells', (t) => {
+  const shibuya = resolveLocation({ slug: 'shibuya' });
+  const menu = filterMenu(MENU, shibuya);
+
+  t.deepEqual(
+    menu.items.map((item) => item.id),
+    ['ITEM_CLASSIC', 'ITEM_COFFEE'],
+  );
+  t.is(menu.categories.length, 2);
+  t.is(filterMenu(MENU, resolveLocation({ slug: 'main' })), MENU);
+});
+
+test('refuses lines a stand does not sell', async (t) => {
+  const shibuya = resolveLocation({ slug: 'shibuya' });
+  const loadMenu = async () => MENU;
+
+  await t.notThrowsAsync(
+    checkMenu(
+      shibuya,
+      [
+        { catalog_object_id: 'VAR_CLASSIC', quantity: '1' },
+        { catalog_object_id: 'VAR_COFFEE_ICED', quantity: '1' },
+        // custom amounts are not on any menu
+        { name: 'おまかせ', quantity: '1' },
+      ],
+      { loadMenu },
+    ),
+  );
+
+  const error = await t.throwsAsync(
+    checkMenu(
+      shibuya,
+      [
+        { catalog_object_id: 'VAR_CLASSIC', quantity: '1' },
+        { catalog_object_id: 'VAR_TOFU', quantity: '2' },
+        { catalog_object_id: 'VAR_GONE', quantity: '1' },
+      ],
+      { loadMenu },
+    ),
+    { instanceOf: LocationError },
+  );
+  t.is(error.code, 'NOT_ON_MENU');
+  t.is(error.status, 409);
+  t.deepEqual(error.detail.lines, [
+    { catalogObjectId: 'VAR_TOFU', name: '豆腐' },
+    { catalogObjectId: 'VAR_GONE', name: null },
+  ]);
+});
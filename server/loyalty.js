@@ -0,0 +1,196 @@
+// loyalty gives regulars points in the seller's Square Loyalty program: an
+// account is found (or enrolled) by phone number, points accrue for each paid
+// order, and a reward tier the customer can afford is taken off the order as
+// a discount before it is charged. Stands without a program simply skip it.
+// https://developer.squareup.com/docs/loyalty-api/overview
+
+const { normalizePhone } = require('./customers');
+const { deriveIdempotencyKey } = require('./idempotency');
+const { SquareApiError } = require('./square-rest');
+
+const PROGRAM_TTL_MS = 5 * 60 * 1000;
+
+class LoyaltyError extends Error {
+  constructor(code, message, { status = 409, ...detail } = {}) {
+    super(message);
+    this.name = 'LoyaltyError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// square client → { program, fetchedAt }; the program rarely changes
+const programs = new WeakMap();
+
+// The seller's loyalty program, or null if there is none
+async function getProgram(square, { now = Date.now } = {}) {
+  const cached = programs.get(square);
+  if (cached && now() - cached.fetchedAt < PROGRAM_TTL_MS) {
+    return cached.program;
+  }
+  let program = null;
+  try {
+    ({ program } = await square.get('/v2/loyalty/programs/main'));
+  } catch (ex) {
+    if (!(ex instanceof SquareApiError && ex.status === 404)) throw ex;
+  }
+  if (program && program.status !== 'ACTIVE') program = null;
+  programs.set(square, { program, fetchedAt: now() });
+  return program;
+}
+
+// What the loyalty endpoints send for the program
+function summarizeProgram(program) {
+  return {
+    terminology: program.terminology?.other || 'ポイント',
+    rewardTiers: program.reward_tiers.map((tier) => ({
+      id: tier.id,
+      name: tier.name,
+      points: tier.points,
+    })),
+  };
+}
+
+function summarizeAccount(account) {
+  return {
+    id: account.id,
+    balance: account.balance,
+    lifetimePoints: account.lifetime_points,
+  };
+}
+
+function phoneNumber(phone) {
+  const phone_number = normalizePhone(phone);
+  if (!phone_number) {
+    throw new LoyaltyError(
+      'INVALID_PHONE',
+      '電話番号の形式が正しくありません',
+      {
+        status: 400,
+      },
+    );
+  }
+  return phone_number;
+}
+
+// The loyalty account for this phone number, or null
+async function findAccount(square, phone) {
+  const { loyalty_accounts = [] } = await square.post(
+    '/v2/loyalty/accounts/search',
+    { query: { mappings: [{ phone_number: phoneNumber(phone) }] }, limit: 1 },
+  );
+  return loyalty_accounts[0] || null;
+}
+
+// { account, enrolled }
+async function findOrEnrollAccount(square, program, phone, idempotencyKey) {
+  const existing = await findAccount(square, phone);
+  if (existing) return { account: existing, enrolled: false };
+  const { loyalty_account } = await square.post('/v2/loyalty/accounts', {
+    idempotency_key: idempotencyKey,
+    loyalty_account: {
+      program_id: program.id,
+      mapping: { phone_number: phoneNumber(phone) },
+    },
+  });
+  return { account: loyalty_account, enrolled: true };
+}
+
+// Takes the reward tier off the (open, unpaid) order and returns the reward.
+// Square locks the points until the order is paid or the reward deleted.
+async function applyReward(
+  square,
+  { phone, rewardTierId, orderId, idempotencyKey },
+) {
+  const program = await getProgram(square);
+  if (!program) {
+    throw new LoyaltyError(
+      'LOYALTY_NOT_AVAILABLE',
+      'ポイントプログラムがありません',
+    );
+  }
+  const tier = program.reward_tiers.find((t) => t.id === rewardTierId);
+  if (!tier) {
+    throw new LoyaltyError('UNKNOWN_REWARD', '特典が見つかりません', {
+      status: 400,
+    });
+  }
+  const account = await findAccount(square, phone);
+  if (!account) {
+    throw new LoyaltyError(
+      'LOYALTY_ACCOUNT_NOT_FOUND',
+      'ポイント会員が見つかりません',
+      { status: 404 },
+    );
+  }
+  if (account.balance < tier.points) {
+    throw new LoyaltyError(
+      'INSUFFICIENT_POINTS',
+      `${tier.name}には${tier.points}${summarizeProgram(program).terminology}必要です`,
+      { balance: account.balance, points: tier.points },
+    );
+  }
+  const { reward } = await square.post('/v2/loyalty/rewards', {
+    idempotency_key: idempotencyKey,
+    reward: {
+      loyalty_account_id: account.id,
+      reward_tier_id: tier.id,
+      order_id: orderId,
+    },
+  });
+  return { reward, tier };
+}
+
+// Gives the points back and takes the discount off the order again
+async function releaseReward(square, rewardId) {
+  await square.delete(`/v2/loyalty/rewards/${encodeURIComponent(rewardId)}`);
+}
+
+// Accrues points for a paid order, enrolling the phone number first if
+// needed. null if the seller has no program.
+async function accruePoints(
+  square,
+  { phone, orderId, locationId, idempotencyKey },
+) {
+  const program = await getProgram(square);
+  if (!program) return null;
+  const { account, enrolled } = await findOrEnrollAccount(
+    square,
+    program,
+    phone,
+    deriveIdempotencyKey('enroll', idempotencyKey),
+  );
+  const { events = [] } = await square.post(
+    `/v2/loyalty/accounts/${encodeURIComponent(account.id)}/accumulate`,
+    {
+      idempotency_key: deriveIdempotencyKey('accumulate', idempotencyKey),
+      accumulate_points: { order_id: orderId },
+      location_id: locationId,
+    },
+  );
+  const pointsEarned = events
+    .filter((event) => event.type === 'ACCUMULATE_POINTS')
+    .reduce((sum, event) => sum + event.accumulate_points.points, 0);
+  const { loyalty_account } = await square.get(
+    `/v2/loyalty/accounts/${encodeURIComponent(account.id)}`,
+  );
+  return {
+    balance: loyalty_account.balance,
+    pointsEarned,
+    enrolled,
+    terminology: summarizeProgram(program).terminology,
+  };
+}
+
+module.exports = {
+  LoyaltyError,
+  getProgram,
+  summarizeProgram,
+  summarizeAccount,
+  findAccount,
+  findOrEnrollAccount,
+  applyReward,
+  releaseReward,
+  accruePoints,
+};
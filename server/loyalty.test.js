@@ -0,0 +1,177 @@
+const test = require('ava');
+
+const {
+  LoyaltyError,
+  accruePoints,
+  applyReward,
+  getProgram,
+  releaseReward,
+  summarizeProgram,
+} = require('./loyalty');
+const { setupFakeSquare } = require('./testing');
+
+const PHONE = '090-1234-5678';
+const TAX = {
+  uid: 'consumption-tax',
+  name: '消費税（持ち帰り）',
+  percentage: '8',
+  type: 'ADDITIVE',
+  scope: 'ORDER',
+};
+
+async function createOrder(square, key, lines) {
+  const { order } = await square.post('/v2/orders', {
+    idempotency_key: key,
+    order: {
+      location_id: 'LOCATION',
+      line_items: Object.entries(lines).map(([id, quantity]) => ({
+        catalog_object_id: id,
+        quantity: String(quantity),
+      })),
+      taxes: [TAX],
+    },
+  });
+  return order;
+}
+
+async function pay(square, order) {
+  await square.post('/v2/payments', {
+    idempotency_key: `pay-${order.id}`,
+    source_id: 'cnon:card-nonce-ok',
+    amount_money: order.total_money,
+    order_id: order.id,
+  });
+}
+
+test('describes the program, or none', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  t.deepEqual(summarizeProgram(await getProgram(square)), {
+    terminology: 'ポイント',
+    rewardTiers: [
+      { id: 'TIER_FREE_DRINK', name: 'ドリンク1杯無料', points: 10 },
+      { id: 'TIER_300_OFF', name: '300円引き', points: 30 },
+    ],
+  });
+
+  const without = await setupFakeSquare(t, { loyaltyProgram: null });
+  t.is(await getProgram(without.square), null);
+  t.is(
+    await accruePoints(without.square, {
+      phone: PHONE,
+      orderId: 'ORDER',
+      locationId: 'LOCATION',
+      idempotencyKey: 'loyalty-1',
+    }),
+    null,
+  );
+});
+
+test('enrolls on the first order and accrues points before tax', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  // ¥2,430 before tax
+  const first = await createOrder(square, 'order-1', {
+    VAR_CLASSIC: 2,
+    VAR_COFFEE_HOT: 1,
+  });
+  await pay(square, first);
+
+  const accrue = {
+    phone: PHONE,
+    orderId: first.id,
+    locationId: 'LOCATION',
+    idempotencyKey: 'loyalty-1',
+  };
+  t.deepEqual(await accruePoints(square, accrue), {
+    balance: 24,
+    pointsEarned: 24,
+    enrolled: true,
+    terminology: 'ポイント',
+  });
+  // a retry does not add the points twice
+  t.like(await accruePoints(square, accrue), { balance: 24, enrolled: false });
+
+  const second = await createOrder(square, 'order-2', { VAR_TOFU: 1 });
+  await pay(square, second);
+  t.like(
+    await accruePoints(square, {
+      ...accrue,
+      orderId: second.id,
+      idempotencyKey: 'loyalty-2',
+    }),
+    { balance: 32, pointsEarned: 8, enrolled: false },
+  );
+  t.is(fake.state.loyaltyAccounts.size, 1);
+});
+
+test('takes a reward off the order and gives it back', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const paid = await createOrder(square, 'order-1', { VAR_CLASSIC: 2 });
+  await pay(square, paid);
+  await accruePoints(square, {
+    phone: PHONE,
+    orderId: paid.id,
+    locationId: 'LOCATION',
+    idempotencyKey: 'loyalty-1',
+  });
+
+  // ¥940 + ¥600 + 8%; the iced coffee is free
+  const order = await createOrder(square, 'order-2', {
+    VAR_CLASSIC: 1,
+    VAR_COFFEE_ICED: 1,
+  });
+  t.is(order.total_money.amount, 1663);
+  const { reward, tier } = await applyReward(square, {
+    phone: PHONE,
+    rewardTierId: 'TIER_FREE_DRINK',
+    orderId: order.id,
+    idempotencyKey: 'reward-1',
+  });
+  t.is(tier.name, 'ドリンク1杯無料');
+  t.like(fake.state.orders.get(order.id), {
+    total_money: { amount: 1015 },
+    total_discount_money: { amount: 600 },
+  });
+  t.is([...fake.state.loyaltyAccounts.values()][0].balance, 8);
+
+  const tooDear = await t.throwsAsync(
+    applyReward(square, {
+      phone: PHONE,
+      rewardTierId: 'TIER_300_OFF',
+      orderId: order.id,
+      idempotencyKey: 'reward-2',
+    }),
+    { instanceOf: LoyaltyError },
+  );
+  t.like(tooDear, {
+    code: 'INSUFFICIENT_POINTS',
+    status: 409,
+    detail: { balance: 8, points: 30 },
+  });
+
+  await releaseReward(square, reward.id);
+  t.like(fake.state.orders.get(order.id), {
+    total_money: { amount: 1663 },
+    total_discount_money: { amount: 0 },
+  });
+  t.is([...fake.state.loyaltyAccounts.values()][0].balance, 18);
+});
+
+test('refuses rewards for strangers and unknown tiers', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const order = await createOrder(square, 'order-1', { VAR_CLASSIC: 1 });
+  const reward = {
+    phone: '080-0000-0000',
+    rewardTierId: 'TIER_FREE_DRINK',
+    orderId: order.id,
+    idempotencyKey: 'reward-1',
+  };
+
+  await t.throwsAsync(applyReward(square, reward), {
+    instanceOf: LoyaltyError,
+    code: 'LOYALTY_ACCOUNT_NOT_FOUND',
+  });
+  await t.throwsAsync(
+    applyReward(square, { ...reward, rewardTierId: 'TIER_NOPE' }),
+    { instanceOf: LoyaltyError, code: 'UNKNOWN_REWARD' },
+  );
+});
@@ -0,0 +1,124 @@
+// menu reads the whole Square catalog and turns it into the menu model the
+// kiosk and card-charge pages render:
+// items → variations → modifier lists → image URL → category.
+
+const MENU_TYPES = ['ITEM', 'CATEGORY', 'MODIFIER_LIST', 'IMAGE', 'TAX'];
+
+// Follows `cursor` until Square has returned every page
+async function fetchCatalog(square, types = MENU_TYPES) {
+  const objects = [];
+  let cursor;
+  do {
+    const params = new URLSearchParams({ types: types.join(',') });
+    if (cursor) params.set('cursor', cursor);
+    const data = await square.get(`/v2/catalog/list?${params}`);
+    objects.push(...(data.objects || []));
+    cursor = data.cursor;
+  } while (cursor);
+  return objects;
+}
+
+// Same rule as pricing.fetchVariationPrices: only fixed JPY prices can be sold
+function fixedPrice(money, pricingType) {
+  if (pricingType === 'VARIABLE_PRICING') return null;
+  if (!money || money.currency !== 'JPY') return null;
+  return Number(money.amount);
+}
+
+function buildVariation(variation) {
+  const data = variation.item_variation_data || {};
+  const price = fixedPrice(data.price_money, data.pricing_type);
+  if (variation.is_deleted || price == null) return null;
+  return {
+    id: variation.id,
+    name: (data.name || '').trim(),
+    price,
+  };
+}
+
+function buildModifierList(list, info = {}) {
+  const data = list.modifier_list_data || {};
+  const modifiers = (data.modifiers || [])
+    .filter((modifier) => !modifier.is_deleted)
+    .map((modifier) => ({
+      id: modifier.id,
+      name: (modifier.modifier_data?.name || '').trim(),
+      price: Number(modifier.modifier_data?.price_money?.amount || 0),
+    }));
+  const selectionType =
+    data.selection_type === 'SINGLE' ? 'SINGLE' : 'MULTIPLE';
+  // Square uses -1 for "not set" on the per-item overrides
+  const override = (value) => (value == null || value < 0 ? undefined : value);
+  return {
+    id: list.id,
+    name: (data.name || '').trim(),
+    selectionType,
+    minSelected: override(info.min_selected_modifiers) ?? 0,
+    maxSelected:
+      override(info.max_selected_modifiers) ??
+      (selectionType === 'SINGLE' ? 1 : modifiers.length),
+    modifiers,
+  };
+}
+
+function buildMenu(objects) {
+  const byId = new Map();
+  for (const obj of objects) {
+    if (!obj.is_deleted) byId.set(obj.id, obj);
+  }
+  const ofType = (type) => [...byId.values()].filter((o) => o.type === type);
+
+  const categories = ofType('CATEGORY')
+    .map((obj) => ({
+      id: obj.id,
+      name: (obj.category_data?.name || '').trim(),
+      ordinal: obj.category_data?.ordinal ?? null,
+    }))
+    .sort((a, b) => (a.ordinal ?? Infinity) - (b.ordinal ?? Infinity));
+
+  const taxes = ofType('TAX').map((obj) => ({
+    id: obj.id,
+    name: obj.tax_data?.name,
+    percentage: obj.tax_data?.percentage,
+    inclusionType: obj.tax_data?.inclusion_type,
+  }));
+
+  const items = [];
+  for (const obj of ofType('ITEM')) {
+    const data = obj.item_data || {};
+    const variations = (data.variations || [])
+      .map(buildVariation)
+      .filter(Boolean);
+    if (variations.length === 0) continue;
+
+    // item_data.categories replaced category_id in newer API versions
+    const categoryId =
+      data.categories?.[0]?.id ||
+      data.category_id ||
+      data.reporting_category?.id;
+    const category = byId.get(categoryId);
+    const image = byId.get(data.image_ids?.[0]);
+
+    items.push({
+      id: obj.id,
+      name: (data.name || '商品').trim(),
+      description: data.description_plaintext || data.description || '',
+      categoryId: category ? category.id : null,
+      categoryName: category ? category.category_data?.name || '' : null,
+      imageUrl: image?.image_data?.url || null,
+      variations,
+      modifierLists: (data.modifier_list_info || [])
+        .filter(
+          (info) => info.enabled !== false && byId.has(info.modifier_list_id),
+        )
+        .map((info) =>
+          buildModifierList(byId.get(info.modifier_list_id), info),
+        ),
+      taxIds: data.tax_ids || [],
+    });
+  }
+
+  return { categories, items, taxes };
+}
+
+module.exports = { MENU_TYPES, fetchCatalog, buildModifierList, buildMenu };
@@ -0,0 +1,128 @@
+const test = require('ava');
+
+const { buildMenu, fetchCatalog } = require('./menu');
+const { setupFakeSquare } = require('./testing');
+
+test('fetchCatalog follows cursors to the last page', async (t) => {
+  const { fake, square } = await setupFakeSquare(t, { pageSize: 2 });
+
+  const objects = await fetchCatalog(square);
+
+  t.is(objects.length, fake.state.catalog.length);
+});
+
+test('buildMenu links items to categories, images and modifiers', (t) => {
+  const menu = buildMenu([
+    {
+      type: 'CATEGORY',
+      id: 'CAT',
+      category_data: { name: 'バインミー', ordinal: 1 },
+    },
+    { type: 'IMAGE', id: 'IMG', image_data: { url: 'https://img/1.jpg' } },
+    {
+      type: 'MODIFIER_LIST',
+      id: 'MODS',
+      modifier_list_data: {
+        name: 'トッピング',
+        selection_type: 'MULTIPLE',
+        modifiers: [
+          {
+            id: 'MOD_CILANTRO',
+            modifier_data: {
+              name: 'パクチー増量',
+              price_money: { amount: 100, currency: 'JPY' },
+            },
+          },
+        ],
+      },
+    },
+    {
+      type: 'TAX',
+      id: 'TAX',
+      tax_data: {
+        name: '消費税',
+        percentage: '10',
+        inclusion_type: 'ADDITIVE',
+      },
+    },
+    {
+      type: 'ITEM',
+      id: 'ITEM',
+      item_data: {
+        name: ' クラシック ',
+        categories: [{ id: 'CAT' }],
+        image_ids: ['IMG'],
+        modifier_list_info: [
+          { modifier_list_id: 'MODS', max_selected_modifiers: -1 },
+        ],
+        tax_ids: ['TAX'],
+        variations: [
+          {
+            id: 'VAR',
+            item_variation_data: {
+              name: 'レギュラー',
+              pricing_type: 'FIXED_PRICING',
+              price_money: { amount: 940, currency: 'JPY' },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  t.deepEqual(menu.categories, [{ id: 'CAT', name: 'バインミー', ordinal: 1 }]);
+  t.is(menu.taxes[0].percentage, '10');
+  const [item] = menu.items;
+  t.is(item.name, 'クラシック');
+  t.is(item.categoryName, 'バインミー');
+  t.is(item.imageUrl, 'https://img/1.jpg');
+  t.deepEqual(item.variations, [{ id: 'VAR', name: 'レギュラー', price: 940 }]);
+  t.deepEqual(item.modifierLists[0], {
+    id: 'MODS',
+    name: 'トッピング',
+    selectionType: 'MULTIPLE',
+    minSelected: 0,
+    maxSelected: 1,
+    modifiers: [{ id: 'MOD_CILANTRO', name: 'パクチー増量', price: 100 }],
+  });
+  t.deepEqual(item.taxIds, ['TAX']);
+});
+
+test('buildMenu leaves out deleted and variable-priced entries', (t) => {
+  const variation = (id, data) => ({
+    id,
+    item_variation_data: {
+      price_money: { amount: 500, currency: 'JPY' },
+      ...data,
+    },
+  });
+  const menu = buildMenu([
+    {
+      type: 'ITEM',
+      id: 'MARKET',
+      item_data: {
+        name: '時価',
+        variations: [variation('V1', { pricing_type: 'VARIABLE_PRICING' })],
+      },
+    },
+    {
+      type: 'ITEM',
+      id: 'GONE',
+      is_deleted: true,
+      item_data: { name: '終売', variations: [variation('V2')] },
+    },
+    {
+      type: 'ITEM',
+      id: 'MIXED',
+      item_data: {
+        name: 'ミックス',
+        variations: [variation('V3'), { ...variation('V4'), is_deleted: true }],
+      },
+    },
+  ]);
+
+  t.deepEqual(
+    menu.items.map((item) => [item.id, item.variations.length]),
+    [['MIXED', 1]],
+  );
+});
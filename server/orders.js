@@ -0,0 +1,239 @@
+// orders holds Orders API helpers shared by the api/*.js handlers
+
+const crypto = require('crypto');
+
+const { SquareApiError } = require('./square-rest');
+
+// How far back a retry looks for the order its first attempt created
+const RETRY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SEARCH_PAGE_SIZE = 100;
+
+async function getOrder(square, orderId) {
+  const { order } = await square.get(
+    `/v2/orders/${encodeURIComponent(orderId)}`,
+  );
+  return order;
+}
+
+// Cancels an order nobody paid for, e.g. after an abandoned terminal checkout,
+// so it does not linger as PROPOSED in the Dashboard and KDS.
+// Returns the updated order, or null when it was paid or is no longer open.
+async function cancelUnpaidOrder(square, orderId) {
+  const order = await getOrder(square, orderId);
+  if (order.state !== 'OPEN' || (order.tenders || []).length > 0) {
+    return null;
+  }
+  const { order: canceled } = await square.put(
+    `/v2/orders/${encodeURIComponent(orderId)}`,
+    {
+      idempotency_key: crypto.randomUUID(),
+      order: {
+        location_id: order.location_id,
+        version: order.version,
+        state: 'CANCELED',
+        fulfillments: (order.fulfillments || []).map((f) => ({
+          uid: f.uid,
+          state: 'CANCELED',
+        })),
+      },
+    },
+  );
+  return canceled;
+}
+
+// The order created with this idempotency key (kept in its metadata by
+// createOrderOnce) at the location within the last day, or null
+async function findOrderByIdempotencyKey(
+  square,
+  locationId,
+  idempotencyKey,
+  { now = Date.now() } = {},
+) {
+  let cursor;
+  do {
+    const page = await square.post('/v2/orders/search', {
+      location_ids: [locationId],
+      query: {
+        filter: {
+          date_time_filter: {
+            created_at: {
+              start_at: new Date(now - RETRY_WINDOW_MS).toISOString(),
+            },
+          },
+        },
+        sort: { sort_field: 'CREATED_AT', sort_order: 'DESC' },
+      },
+      limit: SEARCH_PAGE_SIZE,
+      ...(cursor ? { cursor } : {}),
+    });
+    const found = (page.orders || []).find(
+      (order) => order.metadata?.idempotency_key === idempotencyKey,
+    );
+    if (found) return found;
+    cursor = page.cursor;
+  } while (cursor);
+  return null;
+}
+
+// Creates the order in body, or returns the one an earlier attempt created
+// with the same idempotency key. Square replays a key only for the same
+// body, and a retry on another instance builds a different one (a new pickup
+// number, a later ASAP time), which Square refuses with
+// IDEMPOTENCY_KEY_REUSED; the retry then finds the first order by the key
+// kept in its metadata.
+async function createOrderOnce(square, body, options) {
+  const idempotency_key = body.idempotency_key;
+  try {
+    const { order } = await square.post('/v2/orders', {
+      ...body,
+      order: {
+        ...body.order,
+        metadata: { ...body.order.metadata, idempotency_key },
+      },
+    });
+    return order;
+  } catch (ex) {
+    if (
+      !(ex instanceof SquareApiError) ||
+      !ex.errors.some((error) => error.code === 'IDEMPOTENCY_KEY_REUSED')
+    ) {
+      throw ex;
+    }
+    const existing = await findOrderByIdempotencyKey(
+      square,
+      body.order.location_id,
+      idempotency_key,
+      options,
+    );
+    if (!existing) throw ex;
+    return existing;
+  }
+}
+
+// Customer-facing progress of a PICKUP order, keyed by fulfillment state
+const PICKUP_STATUSES = {
+  PROPOSED: { status: 'received', label: 'ご注文を受け付けました' },
+  RESERVED: { status: 'preparing', label: 'ただいま調理中です' },
+  PREPARED: { status: 'ready', label: 'お受け取りいただけます' },
+  COMPLETED: { status: 'picked_up', label: 'お渡し済みです' },
+  CANCELED: { status: 'canceled', label: 'ご注文はキャンセルされました' },
+  FAILED: { status: 'canceled', label: 'ご注文はキャンセルされました' },
+};
+const AWAITING_PAYMENT = { status: 'awaiting_payment', label: 'お支払い待ち' };
+
+function pickupFulfillment(order) {
+  return (order.fulfillments || []).find((f) => f.type === 'PICKUP');
+}
+
+// The number called out at the counter
+function pickupNumber(order) {
+  return order.reference_id || order.id.slice(-4).toUpperCase();
+}
+
+function pickupStatus(order) {
+  const fulfillment = pickupFulfillment(order);
+  if (order.state === 'CANCELED') return PICKUP_STATUSES.CANCELED;
+  // terminal checkouts create the order before the customer pays
+  if (
+    (order.tenders || []).length === 0 &&
+    (!fulfillment || fulfillment.state === 'PROPOSED')
+  ) {
+    return AWAITING_PAYMENT;
+  }
+  if (order.state === 'COMPLETED') return PICKUP_STATUSES.COMPLETED;
+  return PICKUP_STATUSES[fulfillment?.state] || PICKUP_STATUSES.PROPOSED;
+}
+
+// Display names start with the pickup number (for the Dashboard and KDS);
+// the pages show the number on its own
+function pickupName(order) {
+  const name =
+    pickupFulfillment(order)?.pickup_details?.recipient?.display_name;
+  if (!name) return null;
+  const prefix = `${order.reference_id} `;
+  return order.reference_id && name.startsWith(prefix)
+    ? name.slice(prefix.length)
+    : name;
+}
+
+function scheduledPickupAt(order) {
+  const details = pickupFulfillment(order)?.pickup_details;
+  return details?.schedule_type === 'SCHEDULED' ? details.pickup_at : null;
+}
+
+// What the /order/:id page shows; nothing about the payment itself
+function summarizeOrderStatus(order) {
+  return {
+    orderId: order.id,
+    ...pickupStatus(order),
+    pickupNumber: pickupNumber(order),
+    pickupName: pickupName(order),
+    // only for orders placed for a chosen time
+    pickupAt: scheduledPickupAt(order),
+    lineItems: (order.line_items || []).map((line) => ({
+      name: line.name,
+      variationName: line.variation_name,
+      quantity: Number(line.quantity),
+      modifiers: (line.modifiers || []).map((m) => m.name),
+    })),
+    updatedAt: order.updated_at,
+  };
+}
+
+// Open orders whose PICKUP fulfillment is not done yet, oldest first. Includes
+// terminal orders still waiting for payment; see pickupStatus.
+async function searchOpenPickupOrders(
+  square,
+  locationId,
+  { limit = 100 } = {},
+) {
+  const { orders = [] } = await square.post('/v2/orders/search', {
+    location_ids: [locationId],
+    query: {
+      filter: {
+        state_filter: { states: ['OPEN'] },
+        fulfillment_filter: {
+          fulfillment_types: ['PICKUP'],
+          fulfillment_states: ['PROPOSED', 'RESERVED', 'PREPARED'],
+        },
+      },
+      sort: { sort_field: 'CREATED_AT', sort_order: 'ASC' },
+    },
+    limit,
+  });
+  return orders;
+}
+
+// Paid, open PICKUP orders for a "now serving" board, oldest first
+async function fetchPickupBoard(square, locationId, options) {
+  const orders = await searchOpenPickupOrders(square, locationId, options);
+  const board = { preparing: [], ready: [] };
+  for (const order of orders) {
+    const { status } = pickupStatus(order);
+    const entry = {
+      pickupNumber: pickupNumber(order),
+      pickupName: pickupName(order),
+      updatedAt: order.updated_at,
+    };
+    if (status === 'ready') board.ready.push(entry);
+    else if (status === 'received' || status === 'preparing') {
+      board.preparing.push(entry);
+    }
+  }
+  return board;
+}
+
+module.exports = {
+  getOrder,
+  findOrderByIdempotencyKey,
+  createOrderOnce,
+  cancelUnpaidOrder,
+  pickupFulfillment,
+  pickupNumber,
+  pickupName,
+  scheduledPickupAt,
+  pickupStatus,
+  summarizeOrderStatus,
+  searchOpenPickupOrders,
+  fetchPickupBoard,
+};
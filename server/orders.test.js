@@ -0,0 +1,168 @@
+const test = require('ava');
+
+const {
+  cancelUnpaidOrder,
+  createOrderOnce,
+  fetchPickupBoard,
+  pickupStatus,
+  summarizeOrderStatus,
+} = require('./orders');
+const { setupFakeSquare } = require('./testing');
+
+async function setup(t) {
+  const { fake, square } = await setupFakeSquare(t);
+  const { order } = await square.post('/v2/orders', {
+    idempotency_key: 'order',
+    order: {
+      location_id: 'LOCATION',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '1' }],
+      fulfillments: [
+        {
+          type: 'PICKUP',
+          state: 'PROPOSED',
+          pickup_details: { recipient: { display_name: 'Lan' } },
+        },
+      ],
+    },
+  });
+  return { fake, square, order };
+}
+
+async function pay(square, order) {
+  await square.post('/v2/payments', {
+    idempotency_key: `pay-${order.id}`,
+    source_id: 'cnon:card-nonce-ok',
+    amount_money: order.total_money,
+    order_id: order.id,
+  });
+}
+
+test('createOrderOnce returns the first order to a retry with another body', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  // a retry on another instance draws the next pickup number
+  const body = (reference_id) => ({
+    idempotency_key: 'derived-key',
+    order: {
+      location_id: 'LOCATION',
+      reference_id,
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '1' }],
+    },
+  });
+
+  const first = await createOrderOnce(square, body('A-001'));
+  t.is(first.metadata.idempotency_key, 'derived-key');
+  const retried = await createOrderOnce(square, body('A-002'));
+  t.is(retried.id, first.id);
+  t.is(retried.reference_id, 'A-001');
+  t.is(fake.state.orders.size, 1);
+
+  // without the first order to fall back on, the refusal stands
+  fake.state.orders.delete(first.id);
+  const refused = await t.throwsAsync(createOrderOnce(square, body('A-003')));
+  t.is(refused.errors[0].code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('cancelUnpaidOrder cancels the order and its fulfillments', async (t) => {
+  const { square, order } = await setup(t);
+
+  const canceled = await cancelUnpaidOrder(square, order.id);
+
+  t.is(canceled.state, 'CANCELED');
+  t.is(canceled.fulfillments[0].state, 'CANCELED');
+});
+
+test('cancelUnpaidOrder leaves paid orders alone', async (t) => {
+  const { fake, square, order } = await setup(t);
+  await pay(square, order);
+
+  t.is(await cancelUnpaidOrder(square, order.id), null);
+  t.is(fake.state.orders.get(order.id).state, 'OPEN');
+});
+
+test('pickupStatus follows the pickup fulfillment once paid', (t) => {
+  const order = (state, extra = {}) => ({
+    id: 'ORDER',
+    state: 'OPEN',
+    tenders: [{ id: 'TENDER' }],
+    fulfillments: [{ type: 'PICKUP', state }],
+    ...extra,
+  });
+
+  t.is(
+    pickupStatus(order('PROPOSED', { tenders: [] })).status,
+    'awaiting_payment',
+  );
+  t.is(pickupStatus(order('PROPOSED')).status, 'received');
+  t.is(pickupStatus(order('RESERVED')).status, 'preparing');
+  t.is(pickupStatus(order('PREPARED')).status, 'ready');
+  t.is(
+    pickupStatus(order('COMPLETED', { state: 'COMPLETED' })).status,
+    'picked_up',
+  );
+  t.is(
+    pickupStatus(order('PROPOSED', { state: 'CANCELED' })).status,
+    'canceled',
+  );
+});
+
+test('summarizeOrderStatus shows the pickup details and items', async (t) => {
+  const { square, order } = await setup(t);
+  await pay(square, order);
+  const { order: paid } = await square.get(`/v2/orders/${order.id}`);
+
+  const summary = summarizeOrderStatus(paid);
+
+  t.is(summary.orderId, order.id);
+  t.is(summary.status, 'received');
+  t.is(summary.pickupNumber, order.id.slice(-4).toUpperCase());
+  t.is(summary.pickupName, 'Lan');
+  t.deepEqual(summary.lineItems, [
+    {
+      name: paid.line_items[0].name,
+      variationName: paid.line_items[0].variation_name,
+      quantity: 1,
+      modifiers: [],
+    },
+  ]);
+  t.false('tenders' in summary);
+});
+
+test('fetchPickupBoard splits open orders into preparing and ready', async (t) => {
+  const { fake, square, order } = await setup(t);
+  await pay(square, order);
+  const { order: second } = await square.post('/v2/orders', {
+    idempotency_key: 'second',
+    order: {
+      location_id: 'LOCATION',
+      reference_id: 'A-002',
+      line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: '1' }],
+      fulfillments: [{ type: 'PICKUP', state: 'PROPOSED' }],
+    },
+  });
+  await pay(square, second);
+  // unpaid orders are not on the board
+  await square.post('/v2/orders', {
+    idempotency_key: 'unpaid',
+    order: {
+      location_id: 'LOCATION',
+      line_items: [{ catalog_object_id: 'VAR_TOFU', quantity: '1' }],
+      fulfillments: [{ type: 'PICKUP', state: 'PROPOSED' }],
+    },
+  });
+  fake.state.orders.get(second.id).fulfillments[0].state = 'PREPARED';
+
+  const board = await fetchPickupBoard(square, 'LOCATION');
+
+  t.deepEqual(
+    board.preparing.map((entry) => [entry.pickupNumber, entry.pickupName]),
+    [[order.id.slice(-4).toUpperCase(), 'Lan']],
+  );
+  t.deepEqual(
+    board.ready.map((entry) => [entry.pickupNumber, entry.pickupName]),
+    [['A-002', null]],
+  );
+  t.deepEqual(await fetchPickupBoard(square, 'ELSEWHERE'), {
+    preparing: [],
+    ready: [],
+  });
+});
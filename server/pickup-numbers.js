@@ -0,0 +1,283 @@
+// pickup-numbers hands out short ticket numbers (A-001, A-002, …) that start
+// over every business day, so staff can call orders out loud. The number is
+// stored as the order's reference_id.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const config = require('./config');
+const { businessDate } = require('./inventory');
+const { SquareApiError } = require('./square-rest');
+
+const DEFAULT_PREFIX = 'A';
+const DIGITS = 3;
+const SEARCH_PAGE_SIZE = 500;
+const COUNTER_ATTRIBUTE_KEY = 'kiosk-pickup-number';
+const MAX_VERSION_ATTEMPTS = 5;
+const STRING_SCHEMA =
+  'https://developer-production-s.squarecdn.com/schemas/v1/common.json#squareup.common.String';
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function pickupNumberPrefix() {
+  return setting('PICKUP_NUMBER_PREFIX') || DEFAULT_PREFIX;
+}
+
+function formatPickupNumber(sequence, prefix = pickupNumberPrefix()) {
+  return `${prefix}-${String(sequence).padStart(DIGITS, '0')}`;
+}
+
+// The sequence in a reference_id we formatted, or null for anything else
+function parsePickupNumber(value, prefix = pickupNumberPrefix()) {
+  if (typeof value !== 'string' || !value.startsWith(`${prefix}-`)) {
+    return null;
+  }
+  const digits = value.slice(prefix.length + 1);
+  return /^\d+$/.test(digits) ? Number(digits) : null;
+}
+
+// Counts live in memory, so every serverless instance has its own sequence.
+// Like the other stores, each location counts on its own.
+function createMemoryPickupNumberStore() {
+  let day;
+  let counts = new Map();
+  return {
+    async next(date, { locationId = '' } = {}) {
+      if (date !== day) {
+        day = date;
+        counts = new Map();
+      }
+      const next = (counts.get(locationId) || 0) + 1;
+      counts.set(locationId, next);
+      return next;
+    },
+  };
+}
+
+// Keeps the counts in a JSON file so they survive restarts of a single
+// server. Writes are serialized within the process but not locked across
+// processes.
+function createFilePickupNumberStore({
+  file = setting('PICKUP_NUMBER_FILE') ||
+    path.join(os.tmpdir(), 'pickup-numbers.json'),
+} = {}) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (ex) {
+      if (ex.code === 'ENOENT') return {};
+      throw ex;
+    }
+  }
+
+  async function increment(date, locationId) {
+    const saved = await read();
+    const counts = saved.date === date ? saved.counts || {} : {};
+    const next = {
+      date,
+      counts: {
+        ...counts,
+        [locationId]: (Number(counts[locationId]) || 0) + 1,
+      },
+    };
+    // write then rename so a crash never leaves half a file behind
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(next));
+    await fs.promises.rename(tmp, file);
+    return next.counts[locationId];
+  }
+
+  return {
+    next(date, { locationId = '' } = {}) {
+      const result = queue.then(() => increment(date, locationId));
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+function isVersionMismatch(ex) {
+  return (
+    ex instanceof SquareApiError &&
+    ex.errors.some((error) => error.code === 'VERSION_MISMATCH')
+  );
+}
+
+// Keeps the day's last number ({ date, count } as JSON) in a custom
+// attribute of the Square location and writes the next one with the version
+// it read, so instances never hand out the same number: the one that loses
+// the race reads the counter again. The first number of a day continues from
+// today's orders, the only time they are searched. The write that creates
+// the attribute has no version to check, so it only takes the number if
+// Square reports it as the first version.
+// https://developer.squareup.com/docs/location-custom-attributes-api/overview
+function createSquarePickupNumberStore({
+  prefix,
+  key = COUNTER_ATTRIBUTE_KEY,
+} = {}) {
+  const attributePath = (locationId) =>
+    `/v2/locations/${encodeURIComponent(locationId)}/custom-attributes/${key}`;
+
+  async function createDefinition(square) {
+    try {
+      await square.post('/v2/locations/custom-attribute-definitions', {
+        idempotency_key: crypto.randomUUID(),
+        custom_attribute_definition: {
+          key,
+          name: '呼び出し番号',
+          description: 'その日の最後の呼び出し番号（server/pickup-numbers.js）',
+          schema: { $ref: STRING_SCHEMA },
+          visibility: 'VISIBILITY_HIDDEN',
+        },
+      });
+    } catch (ex) {
+      // another instance created it first
+      if (!(ex instanceof SquareApiError && ex.status === 409)) throw ex;
+    }
+  }
+
+  // Resolves to null while there is no counter (or no definition) yet
+  async function readCounter(square, locationId) {
+    const data = await square.get(attributePath(locationId), {
+      allowNotFound: true,
+    });
+    if (!data) return null;
+    const { value, version } = data.custom_attribute;
+    return { ...JSON.parse(value), version };
+  }
+
+  // Resolves to null while the attribute definition does not exist yet
+  function writeCounter(square, locationId, counter, version, callOptions) {
+    return square.post(
+      attributePath(locationId),
+      {
+        idempotency_key: crypto.randomUUID(),
+        custom_attribute: {
+          value: JSON.stringify(counter),
+          ...(version ? { version } : {}),
+        },
+      },
+      callOptions,
+    );
+  }
+
+  async function highestToday(square, locationId, date) {
+    let highest = 0;
+    let cursor;
+    do {
+      const { orders = [], cursor: nextCursor } = await square.post(
+        '/v2/orders/search',
+        {
+          location_ids: [locationId],
+          query: {
+            filter: {
+              date_time_filter: {
+                created_at: {
+                  start_at: new Date(`${date}T00:00:00+09:00`).toISOString(),
+                },
+              },
+            },
+            sort: { sort_field: 'CREATED_AT', sort_order: 'DESC' },
+          },
+          limit: SEARCH_PAGE_SIZE,
+          ...(cursor ? { cursor } : {}),
+        },
+      );
+      for (const order of orders) {
+        const sequence = parsePickupNumber(order.reference_id, prefix);
+        if (sequence != null && sequence > highest) highest = sequence;
+      }
+      cursor = nextCursor;
+    } while (cursor);
+    return highest;
+  }
+
+  return {
+    async next(date, { square, locationId } = {}) {
+      if (!square || !locationId) {
+        throw new Error('The Square pickup number store needs a location');
+      }
+      for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+        const counter = await readCounter(square, locationId);
+        const count =
+          counter?.date === date
+            ? counter.count
+            : await highestToday(square, locationId, date);
+        const next = { date, count: count + 1 };
+        try {
+          let written = await writeCounter(
+            square,
+            locationId,
+            next,
+            counter?.version,
+            { allowNotFound: true },
+          );
+          if (!written) {
+            await createDefinition(square);
+            written = await writeCounter(square, locationId, next);
+          }
+          if (counter || written.custom_attribute.version === 1) {
+            return next.count;
+          }
+        } catch (ex) {
+          if (!isVersionMismatch(ex)) throw ex;
+        }
+      }
+      throw new Error('The pickup number counter kept changing; try again');
+    },
+  };
+}
+
+const STORES = {
+  memory: createMemoryPickupNumberStore,
+  file: createFilePickupNumberStore,
+  square: createSquarePickupNumberStore,
+};
+
+let store;
+
+function getPickupNumberStore() {
+  if (!store) {
+    // deployed instances (Vercel sets VERCEL) do not share memory or files
+    const kind =
+      setting('PICKUP_NUMBER_STORE') ||
+      (process.env.VERCEL || config.isProduction ? 'square' : 'memory');
+    if (!STORES[kind]) {
+      throw new Error(`Unknown PICKUP_NUMBER_STORE: ${kind}`);
+    }
+    store = STORES[kind]();
+  }
+  return store;
+}
+
+// Swap in another store (anything with an async next(date, context), where
+// context is { square, locationId })
+function setPickupNumberStore(next) {
+  store = next;
+}
+
+// Resolves to the next number for today, e.g. "A-007"
+async function nextPickupNumber(square, { locationId, now = new Date() } = {}) {
+  const sequence = await getPickupNumberStore().next(businessDate(now), {
+    square,
+    locationId,
+  });
+  return formatPickupNumber(sequence);
+}
+
+module.exports = {
+  formatPickupNumber,
+  parsePickupNumber,
+  createMemoryPickupNumberStore,
+  createFilePickupNumberStore,
+  createSquarePickupNumberStore,
+  getPickupNumberStore,
+  setPickupNumberStore,
+  nextPickupNumber,
+};
@@ -0,0 +1,141 @@
+const test = require('ava');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { businessDate } = require('./inventory');
+const {
+  createFilePickupNumberStore,
+  createMemoryPickupNumberStore,
+  createSquarePickupNumberStore,
+  formatPickupNumber,
+  getPickupNumberStore,
+  nextPickupNumber,
+  parsePickupNumber,
+  setPickupNumberStore,
+} = require('./pickup-numbers');
+const { setupFakeSquare } = require('./testing');
+
+test('formats and parses pickup numbers', (t) => {
+  t.is(formatPickupNumber(7), 'A-007');
+  t.is(formatPickupNumber(1234, 'B'), 'B-1234');
+  t.is(parsePickupNumber('A-042'), 42);
+  t.is(parsePickupNumber('B-042'), null);
+  t.is(parsePickupNumber('A-04x'), null);
+  t.is(parsePickupNumber(undefined), null);
+});
+
+test('the memory store starts over every day', async (t) => {
+  const store = createMemoryPickupNumberStore();
+  t.is(await store.next('2024-06-01'), 1);
+  t.is(await store.next('2024-06-01'), 2);
+  t.is(await store.next('2024-06-02'), 1);
+});
+
+test('the memory store counts each location on its own', async (t) => {
+  const store = createMemoryPickupNumberStore();
+  const main = { locationId: 'LOCATION' };
+  const shibuya = { locationId: 'LOCATION_SHIBUYA' };
+  t.is(await store.next('2024-06-01', main), 1);
+  t.is(await store.next('2024-06-01', main), 2);
+  t.is(await store.next('2024-06-01', shibuya), 1);
+  t.is(await store.next('2024-06-01', main), 3);
+});
+
+test('the file store keeps counting across instances', async (t) => {
+  const file = path.join(
+    os.tmpdir(),
+    `pickup-numbers-${crypto.randomUUID()}.json`,
+  );
+  t.teardown(() => fs.promises.rm(file, { force: true }));
+
+  const first = createFilePickupNumberStore({ file });
+  t.deepEqual(
+    await Promise.all([first.next('2024-06-01'), first.next('2024-06-01')]),
+    [1, 2],
+  );
+  const restarted = createFilePickupNumberStore({ file });
+  t.is(await restarted.next('2024-06-01'), 3);
+  const shibuya = { locationId: 'LOCATION_SHIBUYA' };
+  t.is(await restarted.next('2024-06-01', shibuya), 1);
+  t.is(await first.next('2024-06-01', shibuya), 2);
+  t.is(await restarted.next('2024-06-01'), 4);
+  t.is(await restarted.next('2024-06-02'), 1);
+});
+
+test("the Square store continues from today's orders", async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const date = businessDate();
+  for (const reference_id of ['A-004', 'A-011', 'walk-in']) {
+    await square.post('/v2/orders', {
+      idempotency_key: reference_id,
+      order: {
+        location_id: 'LOCATION',
+        reference_id,
+        line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '1' }],
+      },
+    });
+  }
+
+  const store = createSquarePickupNumberStore();
+  const context = { square, locationId: 'LOCATION' };
+  t.is(await store.next(date, context), 12);
+  // the order for 12 does not exist yet
+  t.is(await store.next(date, context), 13);
+  t.is(await store.next(date, { square, locationId: 'ELSEWHERE' }), 1);
+  await t.throwsAsync(store.next(date));
+});
+
+test('the Square store counts on a location attribute with its version', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const stores = [
+    createSquarePickupNumberStore(),
+    createSquarePickupNumberStore(),
+  ];
+  const context = { square, locationId: 'LOCATION' };
+
+  // instances taking numbers at the same moment never share one, even
+  // while the counter is created
+  const take = (picks) =>
+    Promise.all(picks.map((i) => stores[i].next('2024-06-01', context)));
+  const first = await take([0, 1]);
+  const more = await take([0, 1, 0, 1]);
+  t.deepEqual(
+    [...first, ...more].sort((a, b) => a - b),
+    [1, 2, 3, 4, 5, 6],
+  );
+  t.deepEqual(
+    JSON.parse(
+      fake.state.locationAttributes.get('LOCATION:kiosk-pickup-number').value,
+    ),
+    { date: '2024-06-01', count: 6 },
+  );
+  t.is(await stores[1].next('2024-06-02', context), 1);
+});
+
+test.serial(
+  'nextPickupNumber formats the next number from the store',
+  async (t) => {
+    const previous = getPickupNumberStore();
+    setPickupNumberStore(createMemoryPickupNumberStore());
+    t.teardown(() => setPickupNumberStore(previous));
+
+    t.is(await nextPickupNumber(null), 'A-001');
+    t.is(await nextPickupNumber(null), 'A-002');
+  },
+);
+
+test.serial('deployed instances count on Square by default', async (t) => {
+  const previous = getPickupNumberStore();
+  setPickupNumberStore(undefined);
+  process.env.VERCEL = '1';
+  t.teardown(() => {
+    delete process.env.VERCEL;
+    setPickupNumberStore(previous);
+  });
+
+  await t.throwsAsync(getPickupNumberStore().next(businessDate()), {
+    message: /Square pickup number store/,
+  });
+});
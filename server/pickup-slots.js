@@ -0,0 +1,208 @@
+// pickup-slots lets customers order ahead for a pickup time. The day is cut
+// into fixed slots within the store hours (Japan time), each taking a limited
+// number of orders; taken places are counted from the scheduled PICKUP
+// fulfillments already on Square orders.
+// https://developer.squareup.com/docs/orders-api/fulfillments
+
+const config = require('./config');
+const { businessDate } = require('./inventory');
+const { pickupFulfillment } = require('./orders');
+const { clock, hoursOn, jstTime, storeSettings } = require('./store-hours');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PickupSlotError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'PickupSlotError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function numberSetting(name, fallback, min) {
+  const raw = setting(name);
+  const value = Number(raw);
+  return raw != null && Number.isInteger(value) && value >= min
+    ? value
+    : fallback;
+}
+
+// `location` may carry a stand's own hours (see server/store-hours.js)
+function slotSettings(location) {
+  return {
+    slotMinutes: numberSetting('PICKUP_SLOT_MINUTES', 15, 1),
+    capacity: numberSetting('PICKUP_SLOT_CAPACITY', 10, 1),
+    prepMinutes: numberSetting('PICKUP_PREP_MINUTES', 10, 0),
+    daysAhead: numberSetting('PICKUP_DAYS_AHEAD', 0, 0),
+    store: storeSettings(location),
+  };
+}
+
+// ISO 8601 duration Square expects, e.g. PT15M
+function minutesDuration(minutes) {
+  return `PT${minutes}M`;
+}
+
+// Slots that can still be ordered for: from now + prep time until closing,
+// today and the next `daysAhead` days (skipping holidays)
+function listSlots({ now = new Date(), settings = slotSettings() } = {}) {
+  const { slotMinutes, prepMinutes, daysAhead, store } = settings;
+  const earliest = now.getTime() + prepMinutes * 60 * 1000;
+  const slots = [];
+  for (let day = 0; day <= daysAhead; day++) {
+    const date = businessDate(new Date(now.getTime() + day * DAY_MS));
+    for (const { open, close } of hoursOn(date, store)) {
+      for (
+        let start = open;
+        start + slotMinutes <= close;
+        start += slotMinutes
+      ) {
+        const startAt = jstTime(date, start);
+        if (startAt.getTime() < earliest) continue;
+        slots.push({
+          date,
+          label: clock(start),
+          startAt: startAt.toISOString(),
+          endAt: jstTime(date, start + slotMinutes).toISOString(),
+        });
+      }
+    }
+  }
+  return slots;
+}
+
+// Resolves to Map<pickup_at ISO string, orders> for scheduled pickups on
+// orders created since `since` that were paid. An order waiting for its
+// payment holds no place, and one whose payment fails is canceled.
+async function fetchSlotCounts(square, locationId, { since }) {
+  const counts = new Map();
+  let cursor;
+  do {
+    const { orders = [], cursor: next } = await square.post(
+      '/v2/orders/search',
+      {
+        location_ids: [locationId],
+        query: {
+          filter: {
+            state_filter: { states: ['OPEN', 'COMPLETED'] },
+            fulfillment_filter: { fulfillment_types: ['PICKUP'] },
+            date_time_filter: {
+              created_at: { start_at: since.toISOString() },
+            },
+          },
+        },
+        limit: 500,
+        ...(cursor ? { cursor } : {}),
+      },
+    );
+    for (const order of orders) {
+      if ((order.tenders || []).length === 0) continue;
+      const details = pickupFulfillment(order)?.pickup_details;
+      if (details?.schedule_type !== 'SCHEDULED' || !details.pickup_at) {
+        continue;
+      }
+      const key = new Date(details.pickup_at).toISOString();
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    cursor = next;
+  } while (cursor);
+  return counts;
+}
+
+// Pre-orders can be placed up to daysAhead days before their slot
+function countsSince(now, settings) {
+  return new Date(now.getTime() - (settings.daysAhead + 1) * DAY_MS);
+}
+
+// The slots the order page offers, with the places left in each
+async function getPickupSlots(
+  square,
+  { locationId, now = new Date(), settings = slotSettings() } = {},
+) {
+  const slots = listSlots({ now, settings });
+  const counts =
+    slots.length > 0
+      ? await fetchSlotCounts(square, locationId, {
+          since: countsSince(now, settings),
+        })
+      : new Map();
+  return {
+    slotMinutes: settings.slotMinutes,
+    prepMinutes: settings.prepMinutes,
+    slots: slots.map((slot) => {
+      const remaining = Math.max(
+        settings.capacity - (counts.get(slot.startAt) || 0),
+        0,
+      );
+      return { ...slot, remaining, available: remaining > 0 };
+    }),
+  };
+}
+
+// The pickup_details timing for an order. Without pickupAt the order is made
+// as soon as possible; otherwise pickupAt must be the start of a slot that is
+// open and not full.
+async function resolvePickup(
+  square,
+  pickupAt,
+  { locationId, now = new Date(), settings = slotSettings() } = {},
+) {
+  const prep_time_duration = minutesDuration(settings.prepMinutes);
+  if (!pickupAt) {
+    return {
+      schedule_type: 'ASAP',
+      pickup_at: new Date(
+        now.getTime() + settings.prepMinutes * 60 * 1000,
+      ).toISOString(),
+      prep_time_duration,
+    };
+  }
+
+  const requested = new Date(pickupAt);
+  if (Number.isNaN(requested.getTime())) {
+    throw new PickupSlotError(
+      'INVALID_PICKUP_TIME',
+      'お受け取り時間の形式が正しくありません',
+    );
+  }
+  const slot = listSlots({ now, settings }).find(
+    (candidate) => candidate.startAt === requested.toISOString(),
+  );
+  if (!slot) {
+    throw new PickupSlotError(
+      'PICKUP_SLOT_UNAVAILABLE',
+      'この時間はお受け取りいただけません。別の時間をお選びください',
+    );
+  }
+  const counts = await fetchSlotCounts(square, locationId, {
+    since: countsSince(now, settings),
+  });
+  if ((counts.get(slot.startAt) || 0) >= settings.capacity) {
+    throw new PickupSlotError(
+      'PICKUP_SLOT_FULL',
+      `${slot.label} のお受け取りは予約がいっぱいです。別の時間をお選びください`,
+      { status: 409, pickupAt: slot.startAt },
+    );
+  }
+  return {
+    schedule_type: 'SCHEDULED',
+    pickup_at: slot.startAt,
+    pickup_window_duration: minutesDuration(settings.slotMinutes),
+    prep_time_duration,
+  };
+}
+
+module.exports = {
+  PickupSlotError,
+  slotSettings,
+  listSlots,
+  fetchSlotCounts,
+  getPickupSlots,
+  resolvePickup,
+};
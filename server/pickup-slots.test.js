@@ -0,0 +1,180 @@
+const test = require('ava');
+
+const {
+  PickupSlotError,
+  getPickupSlots,
+  listSlots,
+  resolvePickup,
+} = require('./pickup-slots');
+const { parseBusinessHours } = require('./store-hours');
+const { setupFakeSquare } = require('./testing');
+
+// 2024-05-01 11:02 in Japan
+const NOW = new Date('2024-05-01T02:02:00Z');
+
+const SETTINGS = {
+  slotMinutes: 30,
+  capacity: 1,
+  prepMinutes: 10,
+  daysAhead: 0,
+  store: {
+    weekly: parseBusinessHours('11:00-12:30,23:00-24:00'),
+    holidays: new Set(),
+    lastOrderMinutes: 0,
+  },
+};
+
+async function setup(t) {
+  const { square } = await setupFakeSquare(t);
+
+  async function createScheduledOrder(key, pickupAt, { paid = true } = {}) {
+    const { order } = await square.post('/v2/orders', {
+      idempotency_key: key,
+      order: {
+        location_id: 'LOCATION',
+        line_items: [{ catalog_object_id: 'VAR_CHICKEN', quantity: '1' }],
+        fulfillments: [
+          {
+            type: 'PICKUP',
+            state: 'PROPOSED',
+            pickup_details: {
+              recipient: { display_name: 'Lan' },
+              schedule_type: 'SCHEDULED',
+              pickup_at: pickupAt,
+            },
+          },
+        ],
+      },
+    });
+    if (!paid) return;
+    await square.post('/v2/payments', {
+      idempotency_key: `${key}-payment`,
+      source_id: 'cnon:card-nonce-ok',
+      amount_money: order.total_money,
+      order_id: order.id,
+    });
+  }
+
+  return { square, createScheduledOrder };
+}
+
+test('lists slots from now plus prep time until closing', (t) => {
+  const slots = listSlots({ now: NOW, settings: SETTINGS });
+
+  t.deepEqual(
+    slots.map((slot) => slot.label),
+    ['11:30', '12:00', '23:00', '23:30'],
+  );
+  t.deepEqual(slots[0], {
+    date: '2024-05-01',
+    label: '11:30',
+    startAt: '2024-05-01T02:30:00.000Z',
+    endAt: '2024-05-01T03:00:00.000Z',
+  });
+  // 24:00 closes at midnight Japan time
+  t.is(slots[3].endAt, '2024-05-01T15:00:00.000Z');
+});
+
+test('lists the following days when ordering ahead is allowed', (t) => {
+  const slots = listSlots({
+    now: NOW,
+    settings: { ...SETTINGS, daysAhead: 1 },
+  });
+
+  t.is(slots.length, 4 + 5);
+  t.like(slots[4], {
+    date: '2024-05-02',
+    label: '11:00',
+    startAt: '2024-05-02T02:00:00.000Z',
+  });
+});
+
+test('skips holidays', (t) => {
+  const slots = listSlots({
+    now: NOW,
+    settings: {
+      ...SETTINGS,
+      daysAhead: 1,
+      store: { ...SETTINGS.store, holidays: new Set(['2024-05-02']) },
+    },
+  });
+
+  t.true(slots.every((slot) => slot.date === '2024-05-01'));
+});
+
+test('picks up as soon as possible without a chosen time', async (t) => {
+  const { square } = await setup(t);
+
+  const pickup = await resolvePickup(square, undefined, {
+    locationId: 'LOCATION',
+    now: NOW,
+    settings: SETTINGS,
+  });
+
+  t.deepEqual(pickup, {
+    schedule_type: 'ASAP',
+    pickup_at: '2024-05-01T02:12:00.000Z',
+    prep_time_duration: 'PT10M',
+  });
+});
+
+test('schedules a pickup for an open slot', async (t) => {
+  const { square } = await setup(t);
+
+  const pickup = await resolvePickup(square, '2024-05-01T11:30:00+09:00', {
+    locationId: 'LOCATION',
+    now: NOW,
+    settings: SETTINGS,
+  });
+
+  t.deepEqual(pickup, {
+    schedule_type: 'SCHEDULED',
+    pickup_at: '2024-05-01T02:30:00.000Z',
+    pickup_window_duration: 'PT30M',
+    prep_time_duration: 'PT10M',
+  });
+});
+
+test('rejects times that are not an open slot', async (t) => {
+  const { square } = await setup(t);
+  const options = { locationId: 'LOCATION', now: NOW, settings: SETTINGS };
+
+  const invalid = await t.throwsAsync(
+    resolvePickup(square, 'tomorrow', options),
+    { instanceOf: PickupSlotError },
+  );
+  t.is(invalid.code, 'INVALID_PICKUP_TIME');
+
+  for (const pickupAt of [
+    '2024-05-01T11:45:00+09:00', // not the start of a slot
+    '2024-05-01T11:00:00+09:00', // too soon to prepare
+    '2024-05-01T13:00:00+09:00', // closed
+    '2024-05-02T11:00:00+09:00', // not bookable yet
+  ]) {
+    const error = await t.throwsAsync(resolvePickup(square, pickupAt, options));
+    t.is(error.code, 'PICKUP_SLOT_UNAVAILABLE', pickupAt);
+    t.is(error.status, 400);
+  }
+});
+
+test('counts paid scheduled orders against each slot', async (t) => {
+  const { square, createScheduledOrder } = await setup(t);
+  const options = { locationId: 'LOCATION', now: NOW, settings: SETTINGS };
+  await createScheduledOrder('first', '2024-05-01T02:30:00.000Z');
+  // still at the card reader, or declined: holds no place
+  await createScheduledOrder('unpaid', '2024-05-01T03:00:00.000Z', {
+    paid: false,
+  });
+
+  const { slots } = await getPickupSlots(square, options);
+  t.like(slots[0], { label: '11:30', remaining: 0, available: false });
+  t.like(slots[1], { label: '12:00', remaining: 1, available: true });
+
+  const error = await t.throwsAsync(
+    resolvePickup(square, '2024-05-01T02:30:00.000Z', options),
+    { instanceOf: PickupSlotError },
+  );
+  t.is(error.code, 'PICKUP_SLOT_FULL');
+  t.is(error.status, 409);
+  t.is(error.detail.pickupAt, '2024-05-01T02:30:00.000Z');
+});
@@ -0,0 +1,380 @@
+// pricing computes the order total from Catalog prices on the server.
+// The amount sent by the browser is only ever used as a cross-check.
+
+const { buildModifierList } = require('./menu');
+const { buildOrderDiscounts } = require('./promotions');
+const { calculateTax, buildOrderTaxes } = require('./tax');
+
+const MAX_QUANTITY = 99;
+const MAX_MODIFIERS = 20;
+
+class PricingError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// server-side settings; read lazily so tests and .env files both apply
+function getPricingOptions() {
+  return {
+    allowAdHoc: process.env.ALLOW_AD_HOC_LINE_ITEMS === 'true',
+    mismatchPolicy:
+      process.env.PRICE_MISMATCH_POLICY === 'override' ? 'override' : 'reject',
+  };
+}
+
+function parseQuantity(value) {
+  const quantity = Number(value ?? 1);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+    throw new PricingError(
+      'INVALID_QUANTITY',
+      `quantity must be an integer between 1 and ${MAX_QUANTITY}`,
+    );
+  }
+  return quantity;
+}
+
+// Modifier IDs as strings or { catalog_object_id } objects → unique ID list
+function normalizeModifiers(modifiers) {
+  if (modifiers == null) return [];
+  if (!Array.isArray(modifiers) || modifiers.length > MAX_MODIFIERS) {
+    throw new PricingError('INVALID_MODIFIER', 'modifiers must be a list');
+  }
+  const ids = modifiers.map((modifier) =>
+    String(
+      typeof modifier === 'string'
+        ? modifier
+        : modifier?.catalog_object_id || modifier?.id || '',
+    ).trim(),
+  );
+  if (ids.some((id) => !id) || new Set(ids).size !== ids.length) {
+    throw new PricingError(
+      'INVALID_MODIFIER',
+      'modifiers must be unique catalog object IDs',
+    );
+  }
+  return ids;
+}
+
+// Accepts the line item shapes sent by kiosk.html and card-charge.html
+function normalizeLineItems(payload) {
+  if (Array.isArray(payload.line_items) && payload.line_items.length > 0) {
+    return payload.line_items.map((item) => {
+      const id =
+        item.catalog_object_id ||
+        item.catalogObjectId ||
+        item.variationId ||
+        item.variation_id;
+      const quantity = parseQuantity(item.quantity);
+      const modifiers = normalizeModifiers(item.modifiers);
+      if (id) {
+        const line = { catalog_object_id: String(id).trim(), quantity };
+        return modifiers.length > 0 ? { ...line, modifiers } : line;
+      }
+      if (modifiers.length > 0) {
+        throw new PricingError(
+          'INVALID_LINE_ITEM',
+          'Only catalog line items can have modifiers',
+        );
+      }
+      return { name: item.name, quantity, price: item.base_price_money };
+    });
+  }
+
+  if (payload.catalog_object_id) {
+    return [
+      {
+        catalog_object_id: String(payload.catalog_object_id).trim(),
+        quantity: 1,
+      },
+    ];
+  }
+
+  return [
+    {
+      name: payload.productName,
+      quantity: 1,
+      price: payload.amount != null ? { amount: payload.amount } : undefined,
+    },
+  ];
+}
+
+// Looks up ITEM_VARIATION prices with a ./square-rest client: resolves to Map<id, amount>
+async function fetchVariationPrices(square, ids) {
+  const data = await square.post('/v2/catalog/batch-retrieve', {
+    object_ids: ids,
+  });
+
+  const prices = new Map();
+  for (const obj of data.objects || []) {
+    const variation = obj.item_variation_data;
+    if (obj.type !== 'ITEM_VARIATION' || obj.is_deleted || !variation) continue;
+    // variable-priced variations have no price the server can vouch for
+    if (variation.pricing_type === 'VARIABLE_PRICING') continue;
+    if (!variation.price_money || variation.price_money.currency !== 'JPY') {
+      continue;
+    }
+    prices.set(obj.id, Number(variation.price_money.amount));
+  }
+  return prices;
+}
+
+// Looks up the modifier lists each variation's item allows, with the
+// min/max rules and modifier prices from the catalog.
+// Returns Map<variation id, modifier list[]> in the shape of menu.buildMenu.
+async function fetchModifierLists(square, variationIds) {
+  const data = await square.post('/v2/catalog/batch-retrieve', {
+    object_ids: variationIds,
+    include_related_objects: true,
+  });
+  const items = new Map(
+    (data.related_objects || [])
+      .filter((obj) => obj.type === 'ITEM' && !obj.is_deleted)
+      .map((obj) => [obj.id, obj]),
+  );
+  const infos = new Map(
+    (data.objects || []).map((variation) => [
+      variation.id,
+      (
+        items.get(variation.item_variation_data?.item_id)?.item_data
+          ?.modifier_list_info || []
+      ).filter((info) => info.enabled !== false),
+    ]),
+  );
+
+  const list_ids = [
+    ...new Set([...infos.values()].flat().map((i) => i.modifier_list_id)),
+  ];
+  const lists = new Map();
+  if (list_ids.length > 0) {
+    const { objects = [] } = await square.post('/v2/catalog/batch-retrieve', {
+      object_ids: list_ids,
+    });
+    for (const list of objects) {
+      if (list.type === 'MODIFIER_LIST' && !list.is_deleted) {
+        lists.set(list.id, list);
+      }
+    }
+  }
+
+  const result = new Map();
+  for (const [variation_id, variation_infos] of infos) {
+    result.set(
+      variation_id,
+      variation_infos
+        .filter((info) => lists.has(info.modifier_list_id))
+        .map((info) =>
+          buildModifierList(lists.get(info.modifier_list_id), info),
+        ),
+    );
+  }
+  return result;
+}
+
+// Checks a line's modifiers against its item's lists and returns their
+// per-unit price and the Square order line modifiers
+function priceModifiers(item, modifierLists = []) {
+  let amount = 0;
+  const modifiers = [];
+  const counts = new Map();
+  for (const id of item.modifiers || []) {
+    const list = modifierLists.find((l) =>
+      l.modifiers.some((m) => m.id === id),
+    );
+    if (!list) {
+      throw new PricingError(
+        'INVALID_MODIFIER',
+        'この商品では選択できないオプションが含まれています',
+        { catalogObjectId: item.catalog_object_id, modifierId: id },
+      );
+    }
+    amount += list.modifiers.find((m) => m.id === id).price;
+    counts.set(list.id, (counts.get(list.id) || 0) + 1);
+    modifiers.push({ catalog_object_id: id, quantity: '1' });
+  }
+  for (const list of modifierLists) {
+    const count = counts.get(list.id) || 0;
+    if (count < list.minSelected || count > list.maxSelected) {
+      throw new PricingError(
+        'MODIFIER_SELECTION',
+        list.minSelected === list.maxSelected
+          ? `「${list.name}」を${list.minSelected}つ選んでください`
+          : `「${list.name}」は${list.minSelected}〜${list.maxSelected}個の範囲で選んでください`,
+        {
+          catalogObjectId: item.catalog_object_id,
+          modifierListId: list.id,
+        },
+      );
+    }
+  }
+  return { amount, modifiers };
+}
+
+// Prices normalized line items. Returns the Square order line items, the
+// pre-tax amount of each line and their total.
+async function priceLineItems(
+  items,
+  {
+    lookupPrices,
+    lookupModifiers,
+    allowAdHoc = false,
+    defaultName = 'バインミー',
+  },
+) {
+  const ids = [
+    ...new Set(
+      items.filter((i) => i.catalog_object_id).map((i) => i.catalog_object_id),
+    ),
+  ];
+  // without lookupModifiers no modifier can be priced, so any is rejected
+  const [prices, modifier_lists] = await Promise.all([
+    ids.length > 0 ? lookupPrices(ids) : new Map(),
+    ids.length > 0 && lookupModifiers ? lookupModifiers(ids) : new Map(),
+  ]);
+
+  const line_amounts = [];
+  const line_items = items.map((item) => {
+    if (item.catalog_object_id) {
+      const amount = prices.get(item.catalog_object_id);
+      if (amount == null) {
+        throw new PricingError(
+          'UNKNOWN_CATALOG_OBJECT',
+          'Unknown or unpriced catalog item',
+          { catalogObjectId: item.catalog_object_id },
+        );
+      }
+      const modifiers = priceModifiers(
+        item,
+        modifier_lists.get(item.catalog_object_id),
+      );
+      line_amounts.push((amount + modifiers.amount) * item.quantity);
+      return {
+        catalog_object_id: item.catalog_object_id,
+        quantity: String(item.quantity),
+        ...(modifiers.modifiers.length > 0
+          ? { modifiers: modifiers.modifiers }
+          : {}),
+      };
+    }
+
+    if (!allowAdHoc) {
+      throw new PricingError(
+        'AD_HOC_NOT_ALLOWED',
+        'Line items must reference a catalog_object_id',
+      );
+    }
+    const amount = Number(item.price?.amount);
+    if (!Number.isInteger(amount) || amount < 0) {
+      throw new PricingError(
+        'INVALID_LINE_ITEM',
+        'Ad-hoc line items need an integer base_price_money.amount',
+      );
+    }
+    line_amounts.push(amount * item.quantity);
+    return {
+      name: String(item.name || defaultName).slice(0, 512),
+      quantity: String(item.quantity),
+      base_price_money: { amount, currency: 'JPY' },
+    };
+  });
+
+  const total = line_amounts.reduce((sum, amount) => sum + amount, 0);
+  return { line_items, line_amounts, total };
+}
+
+// Compares the client's amount with the server total under the given policy.
+// A client that does not know about the promotions sends the total before
+// discounts (listTotal); the customer is then charged less, which is fine.
+function reconcileAmount(
+  clientAmount,
+  total,
+  mismatchPolicy = 'reject',
+  { listTotal = total } = {},
+) {
+  if (
+    clientAmount == null ||
+    Number(clientAmount) === total ||
+    Number(clientAmount) === listTotal
+  ) {
+    return total;
+  }
+  if (mismatchPolicy === 'override') return total;
+  throw new PricingError(
+    'AMOUNT_MISMATCH',
+    '金額が最新のメニュー価格と一致しません。画面を更新して再度お試しください。',
+    { expectedAmount: total },
+  );
+}
+
+// Prices an order payload including promotions and consumption tax, which
+// is charged on the discounted lines. `amount` is what to charge.
+// applyPromotions(lines) resolves to ./promotions evaluatePromotions' result.
+async function priceOrder(
+  payload,
+  {
+    lookupPrices,
+    lookupModifiers,
+    applyPromotions,
+    defaultName,
+    tax: taxOptions,
+    ...options
+  },
+) {
+  const { allowAdHoc, mismatchPolicy } = { ...getPricingOptions(), ...options };
+  const { line_items, line_amounts } = await priceLineItems(
+    normalizeLineItems(payload),
+    { lookupPrices, lookupModifiers, allowAdHoc, defaultName },
+  );
+  const { applied, lineDiscounts } = applyPromotions
+    ? await applyPromotions(
+        line_items.map((item, index) => ({
+          catalog_object_id: item.catalog_object_id,
+          quantity: Number(item.quantity),
+          amount: line_amounts[index],
+        })),
+      )
+    : { applied: [], lineDiscounts: line_amounts.map(() => 0) };
+  const tax_options = { ...taxOptions, diningOption: payload.diningOption };
+  const tax = calculateTax(
+    line_amounts.map((amount, index) => amount - lineDiscounts[index]),
+    tax_options,
+  );
+  const list = calculateTax(line_amounts, tax_options);
+  const { discounts, appliedDiscounts } = buildOrderDiscounts(
+    applied,
+    line_items.length,
+  );
+  return {
+    line_items: line_items.map((item, index) =>
+      appliedDiscounts[index].length > 0
+        ? { ...item, applied_discounts: appliedDiscounts[index] }
+        : item,
+    ),
+    taxes: buildOrderTaxes(tax),
+    discounts,
+    promotions: applied,
+    lineAmounts: line_amounts,
+    lineDiscounts,
+    subtotal: list.subtotal,
+    discount: list.subtotal - tax.subtotal,
+    tax: tax.tax,
+    amount: reconcileAmount(payload.amount, tax.total, mismatchPolicy, {
+      listTotal: list.total,
+    }),
+  };
+}
+
+module.exports = {
+  PricingError,
+  getPricingOptions,
+  normalizeLineItems,
+  fetchVariationPrices,
+  fetchModifierLists,
+  priceLineItems,
+  reconcileAmount,
+  priceOrder,
+};
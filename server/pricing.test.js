@@ -0,0 +1,249 @@
+const test = require('ava');
+
+const pricing = require('./pricing');
+
+const lookupPrices = async (ids) =>
+  new Map(
+    Object.entries({ VAR_CLASSIC: 940, VAR_CHICKEN: 1040 }).filter(([id]) =>
+      ids.includes(id),
+    ),
+  );
+
+const toppings = {
+  id: 'MODS_TOPPING',
+  name: 'トッピング',
+  selectionType: 'MULTIPLE',
+  minSelected: 0,
+  maxSelected: 2,
+  modifiers: [
+    { id: 'MOD_PAKUCHI', name: 'パクチー増量', price: 100 },
+    { id: 'MOD_PATE', name: 'パテ増量', price: 150 },
+  ],
+};
+const bread = {
+  id: 'MODS_BREAD',
+  name: 'パン',
+  selectionType: 'SINGLE',
+  minSelected: 1,
+  maxSelected: 1,
+  modifiers: [
+    { id: 'MOD_BAGUETTE', name: 'バゲット', price: 0 },
+    { id: 'MOD_RICE', name: '米粉パン', price: 50 },
+  ],
+};
+const lookupModifiers = async (ids) =>
+  new Map(ids.map((id) => [id, id === 'VAR_CLASSIC' ? [toppings, bread] : []]));
+
+test('normalizeLineItems accepts the kiosk and card-charge shapes', (t) => {
+  t.deepEqual(
+    pricing.normalizeLineItems({
+      line_items: [
+        { catalog_object_id: 'VAR_CLASSIC', quantity: 2 },
+        { variationId: 'VAR_CHICKEN', quantity: '1' },
+      ],
+    }),
+    [
+      { catalog_object_id: 'VAR_CLASSIC', quantity: 2 },
+      { catalog_object_id: 'VAR_CHICKEN', quantity: 1 },
+    ],
+  );
+  t.deepEqual(
+    pricing.normalizeLineItems({ catalog_object_id: 'VAR_CLASSIC' }),
+    [{ catalog_object_id: 'VAR_CLASSIC', quantity: 1 }],
+  );
+});
+
+test('normalizeLineItems rejects invalid quantities', (t) => {
+  const error = t.throws(() =>
+    pricing.normalizeLineItems({
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 0 }],
+    }),
+  );
+  t.is(error.code, 'INVALID_QUANTITY');
+});
+
+test('priceLineItems totals catalog prices', async (t) => {
+  const { line_items, line_amounts, total } = await pricing.priceLineItems(
+    [
+      { catalog_object_id: 'VAR_CLASSIC', quantity: 2 },
+      { catalog_object_id: 'VAR_CHICKEN', quantity: 1 },
+    ],
+    { lookupPrices },
+  );
+  t.is(total, 2920);
+  t.deepEqual(line_amounts, [1880, 1040]);
+  t.deepEqual(line_items, [
+    { catalog_object_id: 'VAR_CLASSIC', quantity: '2' },
+    { catalog_object_id: 'VAR_CHICKEN', quantity: '1' },
+  ]);
+});
+
+test('priceLineItems adds modifier prices to the line', async (t) => {
+  const { line_items, line_amounts, total } = await pricing.priceLineItems(
+    pricing.normalizeLineItems({
+      line_items: [
+        {
+          catalog_object_id: 'VAR_CLASSIC',
+          quantity: 2,
+          modifiers: [{ catalog_object_id: 'MOD_PATE' }, 'MOD_RICE'],
+        },
+        { catalog_object_id: 'VAR_CHICKEN', quantity: 1 },
+      ],
+    }),
+    { lookupPrices, lookupModifiers },
+  );
+  t.deepEqual(line_amounts, [2280, 1040]);
+  t.is(total, 3320);
+  t.deepEqual(line_items[0].modifiers, [
+    { catalog_object_id: 'MOD_PATE', quantity: '1' },
+    { catalog_object_id: 'MOD_RICE', quantity: '1' },
+  ]);
+  t.false('modifiers' in line_items[1]);
+});
+
+test('priceLineItems rejects modifiers from another item', async (t) => {
+  const error = await t.throwsAsync(
+    pricing.priceLineItems(
+      [
+        {
+          catalog_object_id: 'VAR_CHICKEN',
+          quantity: 1,
+          modifiers: ['MOD_PATE'],
+        },
+      ],
+      { lookupPrices, lookupModifiers },
+    ),
+  );
+  t.is(error.code, 'INVALID_MODIFIER');
+  t.is(error.detail.modifierId, 'MOD_PATE');
+});
+
+test('priceLineItems enforces min and max selections', async (t) => {
+  const missing = await t.throwsAsync(
+    pricing.priceLineItems(
+      [{ catalog_object_id: 'VAR_CLASSIC', quantity: 1 }],
+      { lookupPrices, lookupModifiers },
+    ),
+  );
+  t.is(missing.code, 'MODIFIER_SELECTION');
+  t.is(missing.detail.modifierListId, 'MODS_BREAD');
+
+  const extra = await t.throwsAsync(
+    pricing.priceLineItems(
+      [
+        {
+          catalog_object_id: 'VAR_CLASSIC',
+          quantity: 1,
+          modifiers: ['MOD_BAGUETTE', 'MOD_RICE'],
+        },
+      ],
+      { lookupPrices, lookupModifiers },
+    ),
+  );
+  t.is(extra.code, 'MODIFIER_SELECTION');
+});
+
+test('normalizeLineItems rejects repeated modifiers', (t) => {
+  const error = t.throws(() =>
+    pricing.normalizeLineItems({
+      line_items: [
+        {
+          catalog_object_id: 'VAR_CLASSIC',
+          quantity: 1,
+          modifiers: ['MOD_PATE', 'MOD_PATE'],
+        },
+      ],
+    }),
+  );
+  t.is(error.code, 'INVALID_MODIFIER');
+});
+
+test('priceLineItems rejects unknown catalog objects', async (t) => {
+  const error = await t.throwsAsync(
+    pricing.priceLineItems([{ catalog_object_id: 'VAR_NOPE', quantity: 1 }], {
+      lookupPrices,
+    }),
+  );
+  t.is(error.code, 'UNKNOWN_CATALOG_OBJECT');
+});
+
+test('priceLineItems rejects ad-hoc lines unless allowed', async (t) => {
+  const items = [{ name: '特製', quantity: 1, price: { amount: 500 } }];
+  const error = await t.throwsAsync(
+    pricing.priceLineItems(items, { lookupPrices }),
+  );
+  t.is(error.code, 'AD_HOC_NOT_ALLOWED');
+
+  const { line_items, total } = await pricing.priceLineItems(items, {
+    lookupPrices,
+    allowAdHoc: true,
+  });
+  t.is(total, 500);
+  t.deepEqual(line_items[0].base_price_money, { amount: 500, currency: 'JPY' });
+});
+
+test('reconcileAmount rejects a mismatch by default', (t) => {
+  t.is(pricing.reconcileAmount(undefined, 940), 940);
+  t.is(pricing.reconcileAmount(940, 940), 940);
+  const error = t.throws(() => pricing.reconcileAmount(1, 940));
+  t.is(error.code, 'AMOUNT_MISMATCH');
+  t.is(error.detail.expectedAmount, 940);
+});
+
+test('reconcileAmount overrides a mismatch when configured', (t) => {
+  t.is(pricing.reconcileAmount(1, 940, 'override'), 940);
+});
+
+test('priceOrder charges the catalog price, not the client amount', async (t) => {
+  const { amount } = await pricing.priceOrder(
+    { catalog_object_id: 'VAR_CHICKEN', amount: 1 },
+    { lookupPrices, mismatchPolicy: 'override', tax: { pricing: 'inclusive' } },
+  );
+  t.is(amount, 1040);
+});
+
+test('priceOrder adds consumption tax for the dining option', async (t) => {
+  const order = await pricing.priceOrder(
+    {
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 2 }],
+      diningOption: 'EAT_IN',
+    },
+    { lookupPrices, tax: { pricing: 'exclusive' } },
+  );
+  t.is(order.subtotal, 1880);
+  t.is(order.tax, 188);
+  t.is(order.amount, 2068);
+  t.is(order.taxes[0].percentage, '10');
+  t.is(order.taxes[0].type, 'ADDITIVE');
+});
+
+test('priceOrder taxes the lines after promotions', async (t) => {
+  const order = await pricing.priceOrder(
+    {
+      line_items: [
+        { catalog_object_id: 'VAR_CLASSIC', quantity: 1 },
+        { catalog_object_id: 'VAR_CHICKEN', quantity: 1 },
+      ],
+      // what a page that does not know about promotions shows
+      amount: 2138,
+    },
+    {
+      lookupPrices,
+      applyPromotions: async (lines) => ({
+        applied: [
+          { id: 'set', name: 'セット', amount: 180, lineAmounts: [0, 180] },
+        ],
+        lineDiscounts: lines.map((line, index) => (index === 1 ? 180 : 0)),
+      }),
+      tax: { pricing: 'exclusive' },
+    },
+  );
+  t.is(order.subtotal, 1980);
+  t.is(order.discount, 180);
+  t.is(order.tax, 144);
+  t.is(order.amount, 1944);
+  t.deepEqual(order.line_items[1].applied_discounts, [
+    { uid: 'promo-set-1-line', discount_uid: 'promo-set-1' },
+  ]);
+  t.is(order.discounts[0].amount_money.amount, 180);
+});
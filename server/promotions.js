@@ -0,0 +1,563 @@
+// promotions takes discounts off orders: a fixed amount or a percentage off
+// (the whole order or some items), buy-N-get-M-free, and set menus sold for
+// a bundle price. Promotions can be limited to dates, stands and a number of
+// uses per customer, and can need a promo code. They come from PROMOTIONS
+// (JSON) or the PROMOTIONS_FILE it is read from (once per instance):
+// [{ "id": "opening-week", "name": "オープン記念 100円引き",
+//    "type": "FIXED_AMOUNT", "amount": 100, "code": "OPEN100",
+//    "startsAt": "2025-04-01", "endsAt": "2025-04-07" }, …]
+// Each discount is split over the order lines it covers, so the Square order
+// carries the same line discounts as the quote and receipts match.
+// https://developer.squareup.com/docs/orders-api/apply-taxes-and-discounts
+
+const fs = require('fs');
+
+const config = require('./config');
+const { normalizePhone, searchCustomers } = require('./customers');
+const { businessDate } = require('./inventory');
+const { listLocations } = require('./locations');
+const logger = require('./logger');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TYPES = ['FIXED_AMOUNT', 'PERCENTAGE', 'BOGO', 'BUNDLE'];
+const MAX_CODES = 5;
+const SEARCH_PAGE_SIZE = 500;
+// SearchOrders takes at most this many locations per request
+const SEARCH_LOCATION_LIMIT = 10;
+
+class PromotionError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'PromotionError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function idSet(ids) {
+  return Array.isArray(ids) && ids.length > 0 ? new Set(ids.map(String)) : null;
+}
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// One entry of PROMOTIONS; null if it cannot be used
+function buildPromotion(entry) {
+  const promotion = {
+    id: entry?.id,
+    name: entry?.name || entry?.id,
+    type: entry?.type,
+    code: normalizeCode(entry?.code) || null,
+    catalogObjectIds: idSet(entry?.catalogObjectIds),
+    locations: idSet(entry?.locations),
+    startsAt: entry?.startsAt || null,
+    endsAt: entry?.endsAt || null,
+    minSubtotal: entry?.minSubtotal || 0,
+    perCustomerLimit: entry?.perCustomerLimit || null,
+  };
+  const valid =
+    ID_PATTERN.test(promotion.id || '') &&
+    TYPES.includes(promotion.type) &&
+    {
+      FIXED_AMOUNT: () => positiveInteger(entry.amount),
+      PERCENTAGE: () => entry.percentage > 0 && entry.percentage <= 100,
+      BOGO: () =>
+        positiveInteger(entry.buy ?? 1) && positiveInteger(entry.get ?? 1),
+      BUNDLE: () =>
+        Array.isArray(entry.groups) &&
+        entry.groups.length > 1 &&
+        entry.groups.every((group) => idSet(group)) &&
+        Number.isInteger(entry.price) &&
+        entry.price >= 0,
+    }[promotion.type]();
+  if (!valid) return null;
+  switch (promotion.type) {
+    case 'FIXED_AMOUNT':
+      return { ...promotion, amount: entry.amount };
+    case 'PERCENTAGE':
+      return { ...promotion, percentage: entry.percentage };
+    case 'BOGO':
+      return { ...promotion, buy: entry.buy ?? 1, get: entry.get ?? 1 };
+    default:
+      return {
+        ...promotion,
+        groups: entry.groups.map(idSet),
+        price: entry.price,
+      };
+  }
+}
+
+let parsed = { text: null, promotions: [] };
+// PROMOTIONS_FILE is read when first needed and kept; redeploy to change it
+let fileCache = { file: null, text: null };
+
+function readPromotionsFile(file) {
+  if (fileCache.file !== file) {
+    fileCache = { file, text: fs.readFileSync(file, 'utf8') };
+  }
+  return fileCache.text;
+}
+
+function parsePromotions(text) {
+  const promotions = [];
+  for (const entry of JSON.parse(text)) {
+    const promotion = buildPromotion(entry);
+    if (!promotion) {
+      logger.error(`Ignoring promotion "${entry?.id}"`);
+      continue;
+    }
+    promotions.push(promotion);
+  }
+  return promotions;
+}
+
+// Every configured promotion, running or not
+function listPromotions() {
+  const file = setting('PROMOTIONS_FILE');
+  const text =
+    setting('PROMOTIONS') || (file && readPromotionsFile(file)) || null;
+  if (!text) return [];
+  if (parsed.text !== text) {
+    parsed = { text, promotions: parsePromotions(text) };
+  }
+  return parsed.promotions;
+}
+
+// Date-only bounds are whole business days in Japan; endsAt is inclusive
+// for dates and exclusive for times
+function isRunning({ startsAt, endsAt }, now) {
+  const today = businessDate(now);
+  const notYet = DATE_PATTERN.test(startsAt)
+    ? today < startsAt
+    : now < new Date(startsAt);
+  const over = DATE_PATTERN.test(endsAt)
+    ? today > endsAt
+    : now >= new Date(endsAt);
+  return !(startsAt && notYet) && !(endsAt && over);
+}
+
+// Who a per-customer limit counts against: the phone number the customer
+// proved with a texted code (see ./verification). A phone number or customer
+// id the customer only typed in counts for no one, so limits cannot be
+// dodged by typing another. null for unverified orders.
+function customerKeyOf(verifiedPhone) {
+  const phone_number = verifiedPhone ? normalizePhone(verifiedPhone) : null;
+  return phone_number ? `phone:${phone_number}` : null;
+}
+
+// The Square customers a customer key stands for
+async function customersOfKey(square, customerKey) {
+  if (!customerKey?.startsWith('phone:')) return [];
+  return searchCustomers(square, { phone: customerKey.slice('phone:'.length) });
+}
+
+// Whether any of the promotions counts uses per customer, i.e. whether the
+// order needs a customer_id for the Square redemption store to count it
+function limitsPerCustomer(promotionIds, promotions = listPromotions()) {
+  return promotions.some(
+    (promotion) =>
+      promotion.perCustomerLimit && promotionIds.includes(promotion.id),
+  );
+}
+
+// Splits amount over the lines by weight, the last line taking the remainder
+function allocate(amount, weights) {
+  const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+  const shares = new Map();
+  let left = amount;
+  weights.forEach(({ index, weight }, position) => {
+    const share =
+      position === weights.length - 1
+        ? left
+        : Math.floor((amount * weight) / total);
+    shares.set(index, (shares.get(index) || 0) + share);
+    left -= share;
+  });
+  return shares;
+}
+
+// Every unit of the matching lines, dearest first
+function unitsOf(lines, matches) {
+  return lines
+    .flatMap((line, index) =>
+      matches(line)
+        ? Array.from({ length: line.quantity }, () => ({
+            index,
+            unit: line.amount / line.quantity,
+          }))
+        : [],
+    )
+    .sort((a, b) => b.unit - a.unit);
+}
+
+// line index → discount, before other promotions are taken into account
+function discountLines(promotion, lines) {
+  const qualifies = (line) =>
+    Boolean(line.catalog_object_id) &&
+    (!promotion.catalogObjectIds ||
+      promotion.catalogObjectIds.has(line.catalog_object_id));
+  const weights = lines
+    .map((line, index) => ({ index, weight: line.amount }))
+    .filter(({ index, weight }) => weight > 0 && qualifies(lines[index]));
+  const base = weights.reduce((sum, { weight }) => sum + weight, 0);
+
+  switch (promotion.type) {
+    case 'FIXED_AMOUNT':
+      return allocate(Math.min(promotion.amount, base), weights);
+    case 'PERCENTAGE':
+      return allocate(Math.floor((base * promotion.percentage) / 100), weights);
+    case 'BOGO': {
+      // in every run of buy + get units the cheapest get are free
+      const size = promotion.buy + promotion.get;
+      const units = unitsOf(lines, qualifies);
+      const shares = new Map();
+      for (let start = 0; start + size <= units.length; start += size) {
+        for (const { index, unit } of units.slice(
+          start + promotion.buy,
+          start + size,
+        )) {
+          shares.set(index, (shares.get(index) || 0) + unit);
+        }
+      }
+      return shares;
+    }
+    default: {
+      // as many sets as the order makes up, one unit from each group, for
+      // as long as the set price is a saving
+      const used = new Set();
+      const shares = new Map();
+      const pools = promotion.groups.map((ids) =>
+        unitsOf(lines, (line) => ids.has(line.catalog_object_id)),
+      );
+      for (;;) {
+        const set = [];
+        for (const pool of pools) {
+          const unit = pool.find((candidate) => !used.has(candidate));
+          if (!unit) return shares;
+          used.add(unit);
+          set.push(unit);
+        }
+        const full = set.reduce((sum, { unit }) => sum + unit, 0);
+        if (full <= promotion.price) return shares;
+        const saving = allocate(
+          full - promotion.price,
+          set.map(({ index, unit }) => ({ index, weight: unit })),
+        );
+        for (const [index, share] of saving) {
+          shares.set(index, (shares.get(index) || 0) + share);
+        }
+      }
+    }
+  }
+}
+
+function notApplicable(promotion) {
+  return new PromotionError(
+    'PROMO_NOT_APPLICABLE',
+    `「${promotion.name}」の対象になる商品がありません`,
+    { promotionId: promotion.id },
+  );
+}
+
+// The promotions that apply to priced lines ([{ catalog_object_id, quantity,
+// amount }], amount being the line total) and what each takes off each line.
+// Automatic promotions apply when they can; a code that cannot be used is an
+// error so the customer hears why.
+async function evaluatePromotions(
+  lines,
+  {
+    codes = [],
+    promotions = listPromotions(),
+    location,
+    customerKey = null,
+    redemptions = getRedemptionStore(),
+    square,
+    now = new Date(),
+  } = {},
+) {
+  const wanted = [...new Set(codes.map(normalizeCode).filter(Boolean))];
+  if (wanted.length > MAX_CODES) {
+    throw new PromotionError(
+      'TOO_MANY_PROMO_CODES',
+      `クーポンコードは${MAX_CODES}つまでです`,
+    );
+  }
+  for (const code of wanted) {
+    if (!promotions.some((promotion) => promotion.code === code)) {
+      throw new PromotionError(
+        'INVALID_PROMO_CODE',
+        `クーポンコード「${code}」は使えません`,
+        { promoCode: code },
+      );
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+  for (const promotion of promotions) {
+    const coded = Boolean(promotion.code);
+    if (coded && !wanted.includes(promotion.code)) continue;
+    // automatic promotions that do not apply are skipped quietly
+    const refuse = (error) => {
+      if (coded) throw error;
+    };
+
+    if (
+      !isRunning(promotion, now) ||
+      (promotion.locations && !promotion.locations.has(location?.slug))
+    ) {
+      refuse(
+        new PromotionError(
+          'PROMO_NOT_ACTIVE',
+          `「${promotion.name}」は現在ご利用いただけません`,
+          { promotionId: promotion.id },
+        ),
+      );
+      continue;
+    }
+    if (subtotal < promotion.minSubtotal) {
+      refuse(
+        new PromotionError(
+          'PROMO_MIN_SUBTOTAL',
+          `「${promotion.name}」は¥${promotion.minSubtotal.toLocaleString('ja-JP')}以上のご注文でご利用いただけます`,
+          { promotionId: promotion.id, minSubtotal: promotion.minSubtotal },
+        ),
+      );
+      continue;
+    }
+    if (promotion.perCustomerLimit) {
+      if (!customerKey) {
+        refuse(
+          new PromotionError(
+            'PROMO_NEEDS_CUSTOMER',
+            `「${promotion.name}」は電話番号を確認するとご利用いただけます`,
+            { promotionId: promotion.id },
+          ),
+        );
+        continue;
+      }
+      const used = await redemptions.count(promotion.id, customerKey, {
+        square,
+        location,
+      });
+      if (used >= promotion.perCustomerLimit) {
+        refuse(
+          new PromotionError(
+            'PROMO_LIMIT_REACHED',
+            `「${promotion.name}」はご利用済みです`,
+            { status: 409, promotionId: promotion.id },
+          ),
+        );
+        continue;
+      }
+    }
+
+    // earlier promotions come first; a line never goes below zero
+    const amounts = lines.map(() => 0);
+    for (const [index, share] of discountLines(promotion, lines)) {
+      amounts[index] = Math.min(
+        share,
+        lines[index].amount - lineDiscounts[index],
+      );
+    }
+    const amount = amounts.reduce((sum, share) => sum + share, 0);
+    if (amount <= 0) {
+      refuse(notApplicable(promotion));
+      continue;
+    }
+    amounts.forEach((share, index) => {
+      lineDiscounts[index] += share;
+    });
+    applied.push({
+      id: promotion.id,
+      name: promotion.name,
+      code: promotion.code,
+      amount,
+      lineAmounts: amounts,
+    });
+  }
+  return { applied, lineDiscounts };
+}
+
+// The Square order discounts for applied promotions: one fixed amount per
+// promotion and line, so Square takes off exactly what the quote did.
+// Returns the discounts and, per line, its applied_discounts.
+function buildOrderDiscounts(applied, lineCount) {
+  const discounts = [];
+  const appliedDiscounts = Array.from({ length: lineCount }, () => []);
+  for (const promotion of applied) {
+    promotion.lineAmounts.forEach((amount, index) => {
+      if (amount <= 0) return;
+      const uid = `promo-${promotion.id}-${index}`;
+      discounts.push({
+        uid,
+        name: promotion.name,
+        type: 'FIXED_AMOUNT',
+        amount_money: { amount, currency: 'JPY' },
+        scope: 'LINE_ITEM',
+        metadata: { promotion_id: promotion.id },
+      });
+      appliedDiscounts[index].push({ uid: `${uid}-line`, discount_uid: uid });
+    });
+  }
+  return { discounts, appliedDiscounts };
+}
+
+// The promotions on a Square order built with buildOrderDiscounts
+function orderPromotionIds(order) {
+  return [
+    ...new Set(
+      (order.discounts || [])
+        .map((discount) => discount.metadata?.promotion_id)
+        .filter(Boolean),
+    ),
+  ];
+}
+
+// Redemptions live in memory, so per-customer limits hold per instance
+// (PROMOTION_REDEMPTION_STORE=memory, for development and tests)
+function createMemoryRedemptionStore() {
+  // promotion ID + customer key → order IDs
+  const orders = new Map();
+  return {
+    async count(promotionId, customerKey) {
+      return orders.get(`${promotionId}:${customerKey}`)?.size || 0;
+    },
+    // recording the same order again (a retried payment) counts once
+    async record(promotionId, customerKey, orderId) {
+      const key = `${promotionId}:${customerKey}`;
+      if (!orders.has(key)) orders.set(key, new Set());
+      orders.get(key).add(orderId);
+    },
+  };
+}
+
+// Counts the paid orders of the customer's Square customers that carry the
+// promotion, so every instance sees the same redemptions. The paid order is
+// the record: api/payment sets its customer_id, so record has nothing to do.
+// Orders are searched at the registry's stands and the order's own; a single
+// stand without LOCATION_ID searches the merchant's Square locations.
+function createSquareRedemptionStore({
+  locationIds = () => listLocations().map((location) => location.locationId),
+} = {}) {
+  // the merchant's locations, looked up once
+  let merchantLocationIds = null;
+
+  async function searchedLocationIds(square, location) {
+    const ids = locationIds().filter(Boolean);
+    if (ids.length === 0) {
+      if (!merchantLocationIds) {
+        const { locations = [] } = await square.get('/v2/locations');
+        merchantLocationIds = locations.map((candidate) => candidate.id);
+      }
+      ids.push(...merchantLocationIds);
+    }
+    if (location?.locationId) ids.push(location.locationId);
+    return [...new Set(ids)];
+  }
+
+  async function paidOrders(square, customerIds, location) {
+    const ids = await searchedLocationIds(square, location);
+    const orders = [];
+    for (let i = 0; i < ids.length; i += SEARCH_LOCATION_LIMIT) {
+      let cursor;
+      do {
+        const page = await square.post('/v2/orders/search', {
+          location_ids: ids.slice(i, i + SEARCH_LOCATION_LIMIT),
+          query: {
+            filter: {
+              customer_filter: { customer_ids: customerIds },
+              state_filter: { states: ['OPEN', 'COMPLETED'] },
+            },
+          },
+          limit: SEARCH_PAGE_SIZE,
+          ...(cursor ? { cursor } : {}),
+        });
+        orders.push(
+          ...(page.orders || []).filter((order) => order.tenders?.length),
+        );
+        cursor = page.cursor;
+      } while (cursor);
+    }
+    return orders;
+  }
+
+  return {
+    async count(promotionId, customerKey, { square, location } = {}) {
+      if (!square) {
+        throw new Error('The Square redemption store needs a Square client');
+      }
+      const customers = await customersOfKey(square, customerKey);
+      if (customers.length === 0) return 0;
+      const orders = await paidOrders(
+        square,
+        customers.map((customer) => customer.id),
+        location,
+      );
+      return orders.filter((order) =>
+        orderPromotionIds(order).includes(promotionId),
+      ).length;
+    },
+    async record() {},
+  };
+}
+
+const REDEMPTION_STORES = {
+  memory: createMemoryRedemptionStore,
+  square: createSquareRedemptionStore,
+};
+
+let redemptionStore;
+
+function getRedemptionStore() {
+  if (!redemptionStore) {
+    const kind = setting('PROMOTION_REDEMPTION_STORE') || 'square';
+    if (!REDEMPTION_STORES[kind]) {
+      throw new Error(`Unknown PROMOTION_REDEMPTION_STORE: ${kind}`);
+    }
+    redemptionStore = REDEMPTION_STORES[kind]();
+  }
+  return redemptionStore;
+}
+
+// Swap in another store (anything with async count and record)
+function setRedemptionStore(next) {
+  redemptionStore = next;
+}
+
+// Counts the order's promotions against the customer once it is paid
+async function recordRedemptions(order, customerKey, context = {}) {
+  if (!customerKey) return;
+  for (const id of orderPromotionIds(order)) {
+    await getRedemptionStore().record(id, customerKey, order.id, context);
+  }
+}
+
+module.exports = {
+  PromotionError,
+  buildPromotion,
+  listPromotions,
+  customerKeyOf,
+  customersOfKey,
+  limitsPerCustomer,
+  evaluatePromotions,
+  buildOrderDiscounts,
+  orderPromotionIds,
+  createMemoryRedemptionStore,
+  createSquareRedemptionStore,
+  getRedemptionStore,
+  setRedemptionStore,
+  recordRedemptions,
+};
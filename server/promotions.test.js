@@ -0,0 +1,353 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('ava');
+
+const { createCustomer } = require('./customers');
+const {
+  PromotionError,
+  buildOrderDiscounts,
+  buildPromotion,
+  createMemoryRedemptionStore,
+  createSquareRedemptionStore,
+  customerKeyOf,
+  evaluatePromotions,
+  limitsPerCustomer,
+  listPromotions,
+} = require('./promotions');
+const { setupFakeSquare } = require('./testing');
+
+const NOW = new Date('2025-04-03T12:00:00+09:00');
+
+function line(catalog_object_id, quantity, unit) {
+  return { catalog_object_id, quantity, amount: unit * quantity };
+}
+
+function evaluate(entries, lines, options = {}) {
+  return evaluatePromotions(lines, {
+    promotions: entries.map(buildPromotion),
+    redemptions: createMemoryRedemptionStore(),
+    now: NOW,
+    ...options,
+  });
+}
+
+test('ignores promotions it cannot use', (t) => {
+  t.is(buildPromotion({ id: 'Bad Id', type: 'FIXED_AMOUNT', amount: 1 }), null);
+  t.is(buildPromotion({ id: 'free', type: 'PERCENTAGE', percentage: 0 }), null);
+  t.is(
+    buildPromotion({ id: 'set', type: 'BUNDLE', groups: [['A']], price: 1 }),
+    null,
+  );
+  t.like(
+    buildPromotion({
+      id: 'open',
+      type: 'FIXED_AMOUNT',
+      amount: 100,
+      code: ' open100 ',
+    }),
+    {
+      code: 'OPEN100',
+      catalogObjectIds: null,
+    },
+  );
+});
+
+test('splits fixed and percentage discounts over the lines they cover', async (t) => {
+  const lines = [line('VAR_CLASSIC', 2, 940), line('VAR_COFFEE_HOT', 1, 550)];
+  const { applied, lineDiscounts } = await evaluate(
+    [
+      { id: 'opening', name: '100円引き', type: 'FIXED_AMOUNT', amount: 100 },
+      {
+        id: 'coffee',
+        name: 'コーヒー10%引き',
+        type: 'PERCENTAGE',
+        percentage: 10,
+        catalogObjectIds: ['VAR_COFFEE_HOT'],
+      },
+    ],
+    lines,
+  );
+  t.deepEqual(
+    applied.map(({ id, amount, lineAmounts }) => [id, amount, lineAmounts]),
+    [
+      ['opening', 100, [77, 23]],
+      ['coffee', 55, [0, 55]],
+    ],
+  );
+  t.deepEqual(lineDiscounts, [77, 78]);
+});
+
+test('gives the cheapest units away for buy one get one', async (t) => {
+  const bogo = {
+    id: 'bogo',
+    type: 'BOGO',
+    catalogObjectIds: ['VAR_CLASSIC', 'VAR_CHICKEN', 'VAR_TOFU'],
+  };
+  // 1040, 940, 940, 890, 890 → the 940 and an 890 are free
+  const { lineDiscounts } = await evaluate(
+    [bogo],
+    [
+      line('VAR_CHICKEN', 1, 1040),
+      line('VAR_CLASSIC', 2, 940),
+      line('VAR_TOFU', 2, 890),
+      line('VAR_COFFEE_HOT', 1, 550),
+    ],
+  );
+  t.deepEqual(lineDiscounts, [0, 940, 890, 0]);
+
+  // a single sandwich does not qualify: quietly skipped, or an error for a code
+  const single = [line('VAR_CLASSIC', 1, 940)];
+  t.deepEqual((await evaluate([bogo], single)).applied, []);
+  await t.throwsAsync(
+    evaluate([{ ...bogo, code: 'BOGO' }], single, { codes: ['bogo'] }),
+    { instanceOf: PromotionError, code: 'PROMO_NOT_APPLICABLE' },
+  );
+});
+
+test('sells set menus for the bundle price', async (t) => {
+  const set = {
+    id: 'lunch-set',
+    name: 'ランチセット',
+    type: 'BUNDLE',
+    groups: [
+      ['VAR_CLASSIC', 'VAR_CHICKEN'],
+      ['VAR_COFFEE_HOT', 'VAR_COFFEE_ICED'],
+    ],
+    price: 1300,
+  };
+  // one set: chicken 1040 + iced 600 → 1300, saving 340; the classic is left
+  const { applied, lineDiscounts } = await evaluate(
+    [set],
+    [
+      line('VAR_CLASSIC', 1, 940),
+      line('VAR_CHICKEN', 1, 1040),
+      line('VAR_COFFEE_ICED', 1, 600),
+    ],
+  );
+  t.is(applied[0].amount, 340);
+  t.deepEqual(lineDiscounts, [0, 215, 125]);
+});
+
+test('checks codes, dates, stands and the minimum order', async (t) => {
+  const lines = [line('VAR_CLASSIC', 1, 940)];
+  const entry = { id: 'open', type: 'FIXED_AMOUNT', amount: 100, code: 'OPEN' };
+
+  await t.throwsAsync(evaluate([entry], lines, { codes: ['NOPE'] }), {
+    code: 'INVALID_PROMO_CODE',
+  });
+  // a coded promotion does nothing without its code
+  t.deepEqual((await evaluate([entry], lines)).applied, []);
+
+  const expired = { ...entry, startsAt: '2025-03-25', endsAt: '2025-04-02' };
+  await t.throwsAsync(evaluate([expired], lines, { codes: ['open'] }), {
+    code: 'PROMO_NOT_ACTIVE',
+  });
+  const lastDay = { ...expired, endsAt: '2025-04-03' };
+  t.is(
+    (await evaluate([lastDay], lines, { codes: ['open'] })).applied.length,
+    1,
+  );
+  const later = { ...entry, startsAt: '2025-04-03T15:00:00+09:00' };
+  await t.throwsAsync(evaluate([later], lines, { codes: ['open'] }), {
+    code: 'PROMO_NOT_ACTIVE',
+  });
+
+  const shibuya = { ...entry, locations: ['shibuya'] };
+  await t.throwsAsync(
+    evaluate([shibuya], lines, { codes: ['open'], location: { slug: 'main' } }),
+    { code: 'PROMO_NOT_ACTIVE' },
+  );
+  const big = { ...entry, minSubtotal: 1500 };
+  await t.throwsAsync(evaluate([big], lines, { codes: ['open'] }), {
+    code: 'PROMO_MIN_SUBTOTAL',
+  });
+});
+
+test('limits uses per customer', async (t) => {
+  const lines = [line('VAR_CLASSIC', 1, 940)];
+  const entry = {
+    id: 'first-order',
+    type: 'FIXED_AMOUNT',
+    amount: 200,
+    code: 'WELCOME',
+    perCustomerLimit: 1,
+  };
+  const redemptions = createMemoryRedemptionStore();
+  const customerKey = customerKeyOf('090-1234-5678');
+  t.is(customerKey, 'phone:+819012345678');
+  t.is(customerKeyOf(null), null);
+
+  await t.throwsAsync(
+    evaluate([entry], lines, { codes: ['WELCOME'], redemptions }),
+    { code: 'PROMO_NEEDS_CUSTOMER' },
+  );
+  const options = { codes: ['WELCOME'], redemptions, customerKey };
+  t.is((await evaluate([entry], lines, options)).applied[0].amount, 200);
+
+  await redemptions.record('first-order', customerKey, 'ORDER_1');
+  // a retried payment for the same order counts once
+  await redemptions.record('first-order', customerKey, 'ORDER_1');
+  t.is(await redemptions.count('first-order', customerKey), 1);
+  const limited = await t.throwsAsync(evaluate([entry], lines, options));
+  t.like(limited, { code: 'PROMO_LIMIT_REACHED', status: 409 });
+});
+
+test('counts redemptions from the paid orders of the customer in Square', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const redemptions = createSquareRedemptionStore({
+    locationIds: () => ['LOCATION', 'LOCATION_SHIBUYA'],
+  });
+  const customerKey = customerKeyOf('090-1234-5678');
+  const context = { square };
+  t.is(await redemptions.count('first-order', customerKey, context), 0);
+
+  const { customer } = await createCustomer(square, {
+    givenName: 'ミン',
+    phone: '090-1234-5678',
+    idempotencyKey: 'customer-1',
+  });
+  const { customer: other } = await createCustomer(square, {
+    givenName: 'ラン',
+    phone: '080-2222-3333',
+    idempotencyKey: 'customer-2',
+  });
+  async function createOrder(key, customerId, { paid = true } = {}) {
+    const { order } = await square.post('/v2/orders', {
+      idempotency_key: key,
+      order: {
+        location_id: 'LOCATION_SHIBUYA',
+        customer_id: customerId,
+        line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: '1' }],
+        discounts: [
+          {
+            uid: 'promo-first-order-0',
+            name: '初回 200円引き',
+            type: 'FIXED_AMOUNT',
+            amount_money: { amount: 200, currency: 'JPY' },
+            scope: 'ORDER',
+            metadata: { promotion_id: 'first-order' },
+          },
+        ],
+      },
+    });
+    if (paid) {
+      await square.post('/v2/payments', {
+        idempotency_key: `pay-${key}`,
+        source_id: 'cnon:card-nonce-ok',
+        amount_money: order.total_money,
+        order_id: order.id,
+      });
+    }
+  }
+  await createOrder('paid', customer.id);
+  await createOrder('unpaid', customer.id, { paid: false });
+  await createOrder('someone-else', other.id);
+
+  t.is(await redemptions.count('first-order', customerKey, context), 1);
+  t.is(await redemptions.count('other-promotion', customerKey, context), 0);
+  await t.throwsAsync(redemptions.count('first-order', customerKey), {
+    message: /needs a Square client/,
+  });
+});
+
+test('searches the Square locations for a stand without a location ID', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const redemptions = createSquareRedemptionStore({
+    locationIds: () => [null],
+  });
+  const customerKey = customerKeyOf('090-1234-5678');
+  const { customer } = await createCustomer(square, {
+    givenName: 'ミン',
+    phone: '090-1234-5678',
+    idempotencyKey: 'customer-1',
+  });
+  const { order } = await square.post('/v2/orders', {
+    idempotency_key: 'order-1',
+    order: {
+      location_id: 'LOCATION_SHIBUYA',
+      customer_id: customer.id,
+      line_items: [{ catalog_object_id: 'VAR_COFFEE_HOT', quantity: '1' }],
+      discounts: [
+        {
+          uid: 'promo-first-order-0',
+          name: '初回 200円引き',
+          type: 'FIXED_AMOUNT',
+          amount_money: { amount: 200, currency: 'JPY' },
+          scope: 'ORDER',
+          metadata: { promotion_id: 'first-order' },
+        },
+      ],
+    },
+  });
+  await square.post('/v2/payments', {
+    idempotency_key: 'pay-order-1',
+    source_id: 'cnon:card-nonce-ok',
+    amount_money: order.total_money,
+    order_id: order.id,
+  });
+
+  t.is(await redemptions.count('first-order', customerKey, { square }), 1);
+});
+
+test('tells which promotions need a customer on the order', (t) => {
+  const promotions = [
+    { id: 'opening', type: 'FIXED_AMOUNT', amount: 100 },
+    {
+      id: 'first-order',
+      type: 'FIXED_AMOUNT',
+      amount: 200,
+      perCustomerLimit: 1,
+    },
+  ].map(buildPromotion);
+  t.false(limitsPerCustomer(['opening'], promotions));
+  t.true(limitsPerCustomer(['opening', 'first-order'], promotions));
+});
+
+test('reads PROMOTIONS_FILE once', (t) => {
+  const file = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'promotions-')),
+    'promotions.json',
+  );
+  const write = (id) =>
+    fs.writeFileSync(
+      file,
+      JSON.stringify([{ id, type: 'FIXED_AMOUNT', amount: 100 }]),
+    );
+  write('first');
+  process.env.PROMOTIONS_FILE = file;
+  t.teardown(() => {
+    delete process.env.PROMOTIONS_FILE;
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  t.deepEqual(
+    listPromotions().map((promotion) => promotion.id),
+    ['first'],
+  );
+  write('second');
+  t.deepEqual(
+    listPromotions().map((promotion) => promotion.id),
+    ['first'],
+  );
+});
+
+test('builds one Square line discount per promotion and line', (t) => {
+  const { discounts, appliedDiscounts } = buildOrderDiscounts(
+    [{ id: 'opening', name: '100円引き', amount: 100, lineAmounts: [77, 23] }],
+    3,
+  );
+  t.deepEqual(
+    discounts.map((d) => [d.uid, d.amount_money.amount, d.scope]),
+    [
+      ['promo-opening-0', 77, 'LINE_ITEM'],
+      ['promo-opening-1', 23, 'LINE_ITEM'],
+    ],
+  );
+  t.is(discounts[0].metadata.promotion_id, 'opening');
+  t.deepEqual(
+    appliedDiscounts.map((applied) => applied.map((a) => a.discount_uid)),
+    [['promo-opening-0'], ['promo-opening-1'], []],
+  );
+});
@@ -0,0 +1,110 @@
+// quotes signs the cart priced by /api/cart/price into a short-lived token.
+// /api/payment and /api/terminal-checkout take the token in place of the
+// line items and amount, so the browser never has to compute a total.
+// Tokens are signed by ./tokens.
+
+const config = require('./config');
+const { readToken, signToken, tokenSecret } = require('./tokens');
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+class QuoteError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'QuoteError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function getQuoteOptions() {
+  return {
+    secret: tokenSecret('QUOTE_SECRET', 'quote'),
+    ttlSeconds:
+      Number(setting('QUOTE_TTL_SECONDS')) > 0
+        ? Number(setting('QUOTE_TTL_SECONDS'))
+        : DEFAULT_TTL_SECONDS,
+  };
+}
+
+// Signs what priceOrder priced for a payload: the cart to order again and
+// the total the customer was shown
+function issueQuote(
+  payload,
+  priced,
+  { location, now = Date.now(), ...options } = {},
+) {
+  const { secret, ttlSeconds } = { ...getQuoteOptions(), ...options };
+  const quote = {
+    locationId: location.locationId,
+    // the promotions are evaluated again when the order is priced
+    line_items: priced.line_items.map((item) => {
+      const line = { ...item };
+      delete line.applied_discounts;
+      return line;
+    }),
+    diningOption: payload.diningOption,
+    promoCodes: payload.promoCodes,
+    total: priced.amount,
+    expiresAt: now + ttlSeconds * 1000,
+  };
+  return {
+    token: signToken(quote, secret),
+    expiresAt: new Date(quote.expiresAt).toISOString(),
+  };
+}
+
+// Returns the quote in a token this server signed, unless it has expired
+function verifyQuote(token, { now = Date.now(), ...options } = {}) {
+  const { secret } = { ...getQuoteOptions(), ...options };
+  const quote = readToken(token, secret);
+  if (!quote || !Array.isArray(quote.line_items)) {
+    throw new QuoteError(
+      'INVALID_QUOTE',
+      'お見積もりを確認できませんでした。画面を更新して再度お試しください。',
+    );
+  }
+  if (!(quote.expiresAt > now)) {
+    throw new QuoteError(
+      'QUOTE_EXPIRED',
+      'お見積もりの有効期限が切れました。金額を確認して再度お試しください。',
+      { status: 409 },
+    );
+  }
+  return quote;
+}
+
+// The payload with its cart taken from payload.quoteToken: the quoted total
+// stands in for the client amount, so priceOrder rejects a total that has
+// changed since (or charges the new one under PRICE_MISMATCH_POLICY=override)
+function quotedPayload(payload, location, options) {
+  if (!payload.quoteToken) return payload;
+  const quote = verifyQuote(payload.quoteToken, options);
+  if (quote.locationId !== location.locationId) {
+    throw new QuoteError(
+      'QUOTE_LOCATION_MISMATCH',
+      'お見積もりの店舗とお支払いの店舗が一致しません',
+    );
+  }
+  return {
+    ...payload,
+    catalog_object_id: undefined,
+    line_items: quote.line_items,
+    diningOption: quote.diningOption,
+    promoCodes: quote.promoCodes,
+    amount: quote.total,
+  };
+}
+
+module.exports = {
+  QuoteError,
+  getQuoteOptions,
+  issueQuote,
+  verifyQuote,
+  quotedPayload,
+};
@@ -0,0 +1,122 @@
+const test = require('ava');
+
+const {
+  QuoteError,
+  issueQuote,
+  quotedPayload,
+  verifyQuote,
+} = require('./quotes');
+
+const NOW = Date.parse('2025-04-03T12:00:00+09:00');
+const SECRET = 'quote-secret';
+const MAIN = { slug: 'main', locationId: 'LOCATION' };
+
+const priced = {
+  line_items: [
+    {
+      catalog_object_id: 'VAR_CLASSIC',
+      quantity: '2',
+      modifiers: [{ catalog_object_id: 'MOD_CILANTRO', quantity: '1' }],
+      applied_discounts: [{ uid: 'promo-open-0-line', discount_uid: 'x' }],
+    },
+  ],
+  amount: 1922,
+};
+
+function issue(options = {}) {
+  return issueQuote({ diningOption: 'EAT_IN', promoCodes: ['OPEN'] }, priced, {
+    location: MAIN,
+    now: NOW,
+    secret: SECRET,
+    ttlSeconds: 600,
+    ...options,
+  });
+}
+
+test('signs the cart and its total for a while', (t) => {
+  const { token, expiresAt } = issue();
+  t.is(expiresAt, '2025-04-03T03:10:00.000Z');
+  t.deepEqual(verifyQuote(token, { now: NOW, secret: SECRET }), {
+    locationId: 'LOCATION',
+    line_items: [
+      {
+        catalog_object_id: 'VAR_CLASSIC',
+        quantity: '2',
+        modifiers: [{ catalog_object_id: 'MOD_CILANTRO', quantity: '1' }],
+      },
+    ],
+    diningOption: 'EAT_IN',
+    promoCodes: ['OPEN'],
+    total: 1922,
+    expiresAt: NOW + 600 * 1000,
+  });
+
+  const expired = t.throws(() =>
+    verifyQuote(token, { now: NOW + 600 * 1000, secret: SECRET }),
+  );
+  t.like(expired, { code: 'QUOTE_EXPIRED', status: 409 });
+});
+
+test('refuses tokens it did not sign', (t) => {
+  const { token } = issue();
+  const [body, signature] = token.split('.');
+  const cheaper = Buffer.from(
+    JSON.stringify({
+      ...verifyQuote(token, { now: NOW, secret: SECRET }),
+      total: 1,
+    }),
+  ).toString('base64url');
+
+  for (const forged of [
+    `${cheaper}.${signature}`,
+    body,
+    `${token}.${signature}`,
+    'not a token',
+  ]) {
+    t.throws(() => verifyQuote(forged, { now: NOW, secret: SECRET }), {
+      instanceOf: QuoteError,
+      code: 'INVALID_QUOTE',
+    });
+  }
+  t.throws(() => verifyQuote(token, { now: NOW, secret: 'other' }), {
+    code: 'INVALID_QUOTE',
+  });
+});
+
+test('replaces the cart and amount of a payload with the quote', (t) => {
+  const payload = {
+    sourceId: 'cnon:card-nonce-ok',
+    catalog_object_id: 'VAR_TOFU',
+    amount: 1,
+    diningOption: 'TAKEOUT',
+    quoteToken: issue().token,
+  };
+  const options = { now: NOW, secret: SECRET };
+  t.deepEqual(quotedPayload(payload, MAIN, options), {
+    sourceId: 'cnon:card-nonce-ok',
+    catalog_object_id: undefined,
+    quoteToken: payload.quoteToken,
+    line_items: [
+      {
+        catalog_object_id: 'VAR_CLASSIC',
+        quantity: '2',
+        modifiers: [{ catalog_object_id: 'MOD_CILANTRO', quantity: '1' }],
+      },
+    ],
+    diningOption: 'EAT_IN',
+    promoCodes: ['OPEN'],
+    amount: 1922,
+  });
+
+  const plain = { ...payload, quoteToken: undefined };
+  t.is(quotedPayload(plain, MAIN, options), plain);
+  t.throws(
+    () =>
+      quotedPayload(
+        payload,
+        { slug: 'shibuya', locationId: 'LOCATION_SHIBUYA' },
+        options,
+      ),
+    { code: 'QUOTE_LOCATION_MISMATCH' },
+  );
+});
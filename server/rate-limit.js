@@ -0,0 +1,54 @@
+// rate-limit counts failed attempts per client and locks the client out for
+// a while after too many, so short secrets such as the staff PIN cannot be
+// guessed by trying every one of them.
+
+const DEFAULT_MAX_FAILURES = 5;
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Records live in memory, so on serverless each instance counts on its own
+function createMemoryAttemptStore() {
+  const records = new Map();
+  return {
+    async get(key) {
+      return records.get(key);
+    },
+    async set(key, value) {
+      records.set(key, value);
+    },
+    async delete(key) {
+      records.delete(key);
+    },
+  };
+}
+
+// failures within windowMs count towards maxFailures; reaching it locks the
+// key for lockoutMs. isLocked resolves to the milliseconds left, or 0.
+function createAttemptLimiter({
+  maxFailures = DEFAULT_MAX_FAILURES,
+  windowMs = DEFAULT_WINDOW_MS,
+  lockoutMs = DEFAULT_LOCKOUT_MS,
+  store = createMemoryAttemptStore(),
+} = {}) {
+  return {
+    async isLocked(key, now = Date.now()) {
+      const record = await store.get(key);
+      return record?.lockedUntil > now ? record.lockedUntil - now : 0;
+    },
+    async fail(key, now = Date.now()) {
+      const record = await store.get(key);
+      const fresh = !record || record.resetAt <= now;
+      const failures = fresh ? 1 : record.failures + 1;
+      await store.set(key, {
+        failures: failures >= maxFailures ? 0 : failures,
+        resetAt: fresh ? now + windowMs : record.resetAt,
+        lockedUntil: failures >= maxFailures ? now + lockoutMs : 0,
+      });
+    },
+    async succeed(key) {
+      await store.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryAttemptStore, createAttemptLimiter };
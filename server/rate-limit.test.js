@@ -0,0 +1,34 @@
+const test = require('ava');
+
+const { createAttemptLimiter } = require('./rate-limit');
+
+const MINUTE = 60 * 1000;
+
+test('locks a client out after too many failures', async (t) => {
+  const limiter = createAttemptLimiter({
+    maxFailures: 3,
+    windowMs: 10 * MINUTE,
+    lockoutMs: 15 * MINUTE,
+  });
+  const now = Date.parse('2025-04-03T12:00:00Z');
+  await limiter.fail('a', now);
+  await limiter.fail('a', now + MINUTE);
+  t.is(await limiter.isLocked('a', now + MINUTE), 0);
+  await limiter.fail('a', now + 2 * MINUTE);
+  t.is(await limiter.isLocked('a', now + 2 * MINUTE), 15 * MINUTE);
+  // other clients are not affected
+  t.is(await limiter.isLocked('b', now + 2 * MINUTE), 0);
+  t.is(await limiter.isLocked('a', now + 17 * MINUTE), 0);
+});
+
+test('forgets failures after the window or a success', async (t) => {
+  const limiter = createAttemptLimiter({ maxFailures: 2, windowMs: MINUTE });
+  const now = Date.parse('2025-04-03T12:00:00Z');
+  await limiter.fail('a', now);
+  await limiter.fail('a', now + 2 * MINUTE);
+  t.is(await limiter.isLocked('a', now + 2 * MINUTE), 0);
+
+  await limiter.succeed('a');
+  await limiter.fail('a', now + 2 * MINUTE);
+  t.is(await limiter.isLocked('a', now + 2 * MINUTE), 0);
+});
@@ -0,0 +1,116 @@
+// refunds finds the payment behind a refund request and checks the amount
+// against what is still refundable before asking Square to refund it.
+
+const { getOrder } = require('./orders');
+
+class RefundError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+// Only captured (COMPLETED) payments can be refunded, minus earlier refunds
+function refundableAmount(payment) {
+  if (payment.status !== 'COMPLETED') return 0;
+  const captured = Number(payment.amount_money?.amount || 0);
+  const refunded = Number(payment.refunded_money?.amount || 0);
+  return Math.max(captured - refunded, 0);
+}
+
+// The fields the staff refund screen needs from a Square payment
+function summarizePayment(payment) {
+  return {
+    id: payment.id,
+    orderId: payment.order_id,
+    status: payment.status,
+    amount: Number(payment.amount_money?.amount || 0),
+    refundedAmount: Number(payment.refunded_money?.amount || 0),
+    refundableAmount: refundableAmount(payment),
+    note: payment.note,
+    receiptUrl: payment.receipt_url,
+    createdAt: payment.created_at,
+  };
+}
+
+async function getPayment(square, paymentId) {
+  const { payment } = await square.get(
+    `/v2/payments/${encodeURIComponent(paymentId)}`,
+  );
+  return payment;
+}
+
+// Picks the payment to refund from a payment ID, an order ID, or both
+async function resolvePayment(square, { paymentId, orderId }) {
+  if (paymentId) {
+    const payment = await getPayment(square, paymentId);
+    if (orderId && payment.order_id !== orderId) {
+      throw new RefundError(
+        'PAYMENT_ORDER_MISMATCH',
+        'この決済は指定された注文のものではありません',
+      );
+    }
+    return payment;
+  }
+
+  const order = await getOrder(square, orderId);
+  const payment_ids = (order.tenders || []).map((t) => t.payment_id || t.id);
+  const payments = await Promise.all(
+    payment_ids.map((id) => getPayment(square, id)),
+  );
+  const refundable = payments.filter((p) => refundableAmount(p) > 0);
+  if (refundable.length > 1) {
+    // split tenders: staff must choose which payment to refund
+    throw new RefundError(
+      'MULTIPLE_PAYMENTS',
+      'この注文には複数の決済があります。決済 ID を指定してください',
+      { paymentIds: refundable.map((p) => p.id) },
+    );
+  }
+  if (refundable.length === 0) {
+    throw new RefundError('NOTHING_TO_REFUND', '返金できる決済がありません');
+  }
+  return refundable[0];
+}
+
+// Refunds `amount` yen (or everything still refundable) of a payment
+async function createRefund(
+  square,
+  { paymentId, orderId, amount, reason, idempotencyKey },
+) {
+  const payment = await resolvePayment(square, { paymentId, orderId });
+  const refundable = refundableAmount(payment);
+  if (refundable === 0) {
+    throw new RefundError('NOTHING_TO_REFUND', '返金できる残高がありません', {
+      refundableAmount: 0,
+    });
+  }
+
+  const refund_amount = amount ?? refundable;
+  if (refund_amount < 1 || refund_amount > refundable) {
+    throw new RefundError(
+      'REFUND_EXCEEDS_CAPTURED',
+      `返金額は 1〜${refundable} 円で指定してください`,
+      { refundableAmount: refundable },
+    );
+  }
+
+  const { refund } = await square.post('/v2/refunds', {
+    idempotency_key: idempotencyKey,
+    payment_id: payment.id,
+    amount_money: { amount: refund_amount, currency: 'JPY' },
+    reason,
+  });
+  return refund;
+}
+
+module.exports = {
+  RefundError,
+  refundableAmount,
+  summarizePayment,
+  resolvePayment,
+  createRefund,
+};
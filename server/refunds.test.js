@@ -0,0 +1,110 @@
+const test = require('ava');
+
+const {
+  RefundError,
+  createRefund,
+  refundableAmount,
+  summarizePayment,
+} = require('./refunds');
+const { setupFakeSquare } = require('./testing');
+
+async function pay(square, key = 'pay') {
+  const { order } = await square.post('/v2/orders', {
+    idempotency_key: `order-${key}`,
+    order: {
+      location_id: 'LOCATION',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '1' }],
+    },
+  });
+  const { payment } = await square.post('/v2/payments', {
+    idempotency_key: key,
+    source_id: 'cnon:card-nonce-ok',
+    amount_money: order.total_money,
+    order_id: order.id,
+  });
+  return payment;
+}
+
+test('refundableAmount subtracts earlier refunds from captured payments', (t) => {
+  t.is(
+    refundableAmount({
+      status: 'COMPLETED',
+      amount_money: { amount: 940 },
+      refunded_money: { amount: 300 },
+    }),
+    640,
+  );
+  t.is(
+    refundableAmount({ status: 'APPROVED', amount_money: { amount: 940 } }),
+    0,
+  );
+});
+
+test('refunds the whole payment by default', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const payment = await pay(square);
+
+  const refund = await createRefund(square, {
+    paymentId: payment.id,
+    reason: '商品違い',
+    idempotencyKey: 'r1',
+  });
+
+  t.is(refund.amount_money.amount, 940);
+  t.is(refund.reason, '商品違い');
+});
+
+test('refunds part of a payment found by order ID', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const payment = await pay(square);
+
+  await createRefund(square, {
+    orderId: payment.order_id,
+    amount: 400,
+    reason: '品切れ',
+    idempotencyKey: 'r1',
+  });
+
+  const { payment: refunded } = await square.get(`/v2/payments/${payment.id}`);
+  t.is(summarizePayment(refunded).refundableAmount, 540);
+});
+
+test('rejects refunds over the amount captured', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const payment = await pay(square);
+  await createRefund(square, {
+    paymentId: payment.id,
+    amount: 900,
+    reason: '商品違い',
+    idempotencyKey: 'r1',
+  });
+
+  const error = await t.throwsAsync(
+    createRefund(square, {
+      paymentId: payment.id,
+      amount: 100,
+      reason: '商品違い',
+      idempotencyKey: 'r2',
+    }),
+    { instanceOf: RefundError },
+  );
+  t.is(error.code, 'REFUND_EXCEEDS_CAPTURED');
+  t.is(error.detail.refundableAmount, 40);
+  t.is(fake.state.refunds.size, 1);
+});
+
+test('rejects a payment that belongs to another order', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  const first = await pay(square, 'first');
+  const second = await pay(square, 'second');
+
+  const error = await t.throwsAsync(
+    createRefund(square, {
+      paymentId: first.id,
+      orderId: second.order_id,
+      reason: '商品違い',
+      idempotencyKey: 'r1',
+    }),
+  );
+  t.is(error.code, 'PAYMENT_ORDER_MISMATCH');
+});
@@ -3,6 +3,17 @@ const Ajv = require('ajv/dist/jtd').default;
 const ajv = new Ajv(); // options can be passed, e.g. {allErrors: true}
 
 // JSON Type Definition https://ajv.js.org/guide/getting-started.html#basic-data-validation
+// line items are priced on the server (see ./pricing), so only the shape is checked here
+const lineItemsSchema = {
+  elements: {
+    optionalProperties: {
+      catalog_object_id: { type: 'string' },
+      name: { type: 'string' },
+    },
+    additionalProperties: true,
+  },
+};
+
 const paymentSchema = {
   properties: {
     sourceId: { type: 'string' },
@@ -17,6 +28,61 @@ const paymentSchema = {
     customerName: { type: 'string' },
     customerNotes: { type: 'string' },
     productName: { type: 'string' },
+    line_items: lineItemsSchema,
+    diningOption: { enum: ['TAKEOUT', 'EAT_IN'] },
+    // ISO 8601; the start of a slot from /api/pickup-slots, omitted for ASAP
+    pickupAt: { type: 'string' },
+    // slug of the stand (see ./locations); must agree with locationId
+    location: { type: 'string' },
+    // phone number of the loyalty account to accrue points to (see ./loyalty)
+    loyaltyPhone: { type: 'string' },
+    // reward tier taken off the order before it is charged; needs loyaltyPhone
+    rewardTierId: { type: 'string' },
+    // promo codes for the promotions that need one (see ./promotions)
+    promoCodes: { elements: { type: 'string' } },
+    // from /api/cart/price; replaces the cart and amount (see ./quotes)
+    quoteToken: { type: 'string' },
+  },
+};
+
+const cartPriceSchema = {
+  optionalProperties: {
+    catalog_object_id: { type: 'string' },
+    line_items: lineItemsSchema,
+    diningOption: { enum: ['TAKEOUT', 'EAT_IN'] },
+    location: { type: 'string' },
+    locationId: { type: 'string' },
+    promoCodes: { elements: { type: 'string' } },
+  },
+};
+
+const terminalCheckoutSchema = {
+  properties: {
+    locationId: { type: 'string' },
+  },
+  optionalProperties: {
+    idempotencyKey: { type: 'string' },
+    amount: { type: 'uint32' },
+    catalog_object_id: { type: 'string' },
+    customerName: { type: 'string' },
+    customerNotes: { type: 'string' },
+    productName: { type: 'string' },
+    line_items: lineItemsSchema,
+    diningOption: { enum: ['TAKEOUT', 'EAT_IN'] },
+    // ISO 8601; the start of a slot from /api/pickup-slots, omitted for ASAP
+    pickupAt: { type: 'string' },
+    // slug of the stand (see ./locations); must agree with locationId
+    location: { type: 'string' },
+    // the kiosk screen or counter sending the checkout; picks its terminal
+    register: { type: 'string' },
+    promoCodes: { elements: { type: 'string' } },
+    quoteToken: { type: 'string' },
+  },
+};
+
+const terminalCancelSchema = {
+  properties: {
+    checkoutId: { type: 'string' },
   },
 };
 
@@ -32,7 +98,87 @@ const cardSchema = {
   },
 };
 
+// the phone number is the verified one (see ./verification), not the payload's
+const customerSchema = {
+  properties: {
+    idempotencyKey: { type: 'string' },
+  },
+  optionalProperties: {
+    givenName: { type: 'string' },
+    familyName: { type: 'string' },
+    email: { type: 'string' },
+  },
+};
+
+const verificationSchema = {
+  properties: {
+    phone: { type: 'string' },
+  },
+};
+
+const verificationConfirmSchema = {
+  properties: {
+    challenge: { type: 'string' },
+    code: { type: 'string' },
+  },
+};
+
+// paymentId or orderId is required; api/refunds.js checks that one is present
+const refundSchema = {
+  properties: {
+    idempotencyKey: { type: 'string' },
+    reason: { type: 'string' },
+  },
+  optionalProperties: {
+    paymentId: { type: 'string' },
+    orderId: { type: 'string' },
+    amount: { type: 'uint32' },
+  },
+};
+
+const soldOutSchema = {
+  properties: {
+    variationIds: { elements: { type: 'string' } },
+    soldOut: { type: 'boolean' },
+  },
+};
+
+// closed: false reopens; api/store-status.js checks that until is a time
+const storeClosureSchema = {
+  properties: {
+    closed: { type: 'boolean' },
+  },
+  optionalProperties: {
+    until: { type: 'string' },
+    message: { type: 'string' },
+  },
+};
+
+// register: the kiosk screen or counter the terminal is for (see ./devices)
+const deviceCodeSchema = {
+  properties: {
+    register: { type: 'string' },
+  },
+};
+
+const kdsAdvanceSchema = {
+  optionalProperties: {
+    version: { type: 'int32' },
+  },
+};
+
 module.exports = {
   validatePaymentPayload: ajv.compile(paymentSchema),
+  validateCartPricePayload: ajv.compile(cartPriceSchema),
+  validateTerminalCheckoutPayload: ajv.compile(terminalCheckoutSchema),
+  validateTerminalCancelPayload: ajv.compile(terminalCancelSchema),
   validateCreateCardPayload: ajv.compile(cardSchema),
+  validateCustomerPayload: ajv.compile(customerSchema),
+  validateVerificationPayload: ajv.compile(verificationSchema),
+  validateVerificationConfirmPayload: ajv.compile(verificationConfirmSchema),
+  validateRefundPayload: ajv.compile(refundSchema),
+  validateSoldOutPayload: ajv.compile(soldOutSchema),
+  validateStoreClosurePayload: ajv.compile(storeClosureSchema),
+  validateKdsAdvancePayload: ajv.compile(kdsAdvanceSchema),
+  validateDeviceCodePayload: ajv.compile(deviceCodeSchema),
 };
@@ -35,6 +35,41 @@ test('validatePaymentPayload returns false if empty payload', (t) => {
   t.false(schema.validatePaymentPayload({}));
 });
 
+test('validatePaymentPayload accepts kiosk line_items', (t) => {
+  t.true(
+    schema.validatePaymentPayload({
+      locationId: 'LKYXSPGPXK05M',
+      sourceId: 't0k3n',
+      idempotencyKey: 'idempot5cyK3y',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: 2 }],
+    }),
+  );
+});
+
+test('validatePaymentPayload returns false if unknown diningOption', (t) => {
+  t.false(
+    schema.validatePaymentPayload({
+      locationId: 'LKYXSPGPXK05M',
+      sourceId: 't0k3n',
+      idempotencyKey: 'idempot5cyK3y',
+      diningOption: 'DRIVE_THRU',
+    }),
+  );
+});
+
+test('validateTerminalCheckoutPayload returns true without amount', (t) => {
+  t.true(
+    schema.validateTerminalCheckoutPayload({
+      locationId: 'LKYXSPGPXK05M',
+      catalog_object_id: 'VAR_CLASSIC',
+    }),
+  );
+});
+
+test('validateTerminalCheckoutPayload returns false if missing locationId', (t) => {
+  t.false(schema.validateTerminalCheckoutPayload({ amount: 940 }));
+});
+
 test('validateCreateCardPayload returns true if valid payload', (t) => {
   t.true(
     schema.validateCreateCardPayload({
@@ -67,3 +102,41 @@ test('validateCreateCardPayload returns false if missing customerId', (t) => {
 test('validateCreateCardPayload returns false if empty payload', (t) => {
   t.false(schema.validateCreateCardPayload({}));
 });
+
+test('validateRefundPayload requires a reason and idempotency key', (t) => {
+  t.true(
+    schema.validateRefundPayload({
+      paymentId: 'PAYMENT',
+      amount: 500,
+      reason: '商品違い',
+      idempotencyKey: 'idempot5cyK3y',
+    }),
+  );
+  t.false(schema.validateRefundPayload({ paymentId: 'PAYMENT' }));
+  t.false(
+    schema.validateRefundPayload({
+      orderId: 'ORDER',
+      amount: -1,
+      reason: '商品違い',
+      idempotencyKey: 'idempot5cyK3y',
+    }),
+  );
+});
+
+test('validateCustomerPayload requires an idempotency key', (t) => {
+  t.true(
+    schema.validateCustomerPayload({
+      givenName: 'ミン',
+      email: 'minh@example.com',
+      idempotencyKey: 'idempot5cyK3y',
+    }),
+  );
+  t.false(schema.validateCustomerPayload({ givenName: 'ミン' }));
+  // the phone number comes from the verified customer token
+  t.false(
+    schema.validateCustomerPayload({
+      phone: '090-1234-5678',
+      idempotencyKey: 'idempot5cyK3y',
+    }),
+  );
+});
@@ -0,0 +1,201 @@
+// square-rest is a small fetch-based client for the Square REST API.
+// The SDK in ./square hangs in serverless functions, so api/*.js use this.
+
+const crypto = require('crypto');
+const retry = require('async-retry');
+
+const config = require('./config');
+const logger = require('./logger');
+
+const DEFAULT_API_VERSION = '2024-11-20';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+
+// Normalized error for failed calls. `errors` always follows Square's
+// [{ category, code, detail }] shape so handlers can pass it to clients.
+class SquareApiError extends Error {
+  constructor(status, errors, { requestId, timedOut = false } = {}) {
+    super(errors[0]?.detail || `Square API responded with ${status}`);
+    this.name = 'SquareApiError';
+    this.status = status;
+    this.errors = errors;
+    this.requestId = requestId;
+    this.timedOut = timedOut;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function defaultBaseUrl() {
+  return (
+    setting('SQUARE_BASE_URL') ||
+    (process.env.SQUARE_ENVIRONMENT === 'sandbox'
+      ? 'https://connect.squareupsandbox.com'
+      : 'https://connect.squareup.com')
+  );
+}
+
+// 429 and 5xx are worth another attempt; everything else is the caller's fault
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+// SQUARE_BASE_URL=fake runs ./fake-square in-process instead of calling Square
+async function resolveBaseUrl(baseUrl) {
+  if (baseUrl !== 'fake') return baseUrl;
+  return require('./fake-square').sharedFakeSquare().url();
+}
+
+async function readJson(res) {
+  const text = await res.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return { message: text };
+  }
+}
+
+function createSquareClient(options = {}) {
+  // settings are read per call so .env files and tests can change them
+  const settings = () => {
+    const baseUrl = options.baseUrl || defaultBaseUrl();
+    return {
+      baseUrl,
+      version:
+        options.version || setting('SQUARE_API_VERSION') || DEFAULT_API_VERSION,
+      accessToken:
+        options.accessToken ||
+        setting('SQUARE_ACCESS_TOKEN') ||
+        (baseUrl === 'fake' ? 'fake' : undefined),
+      timeoutMs:
+        options.timeoutMs ??
+        (Number(setting('SQUARE_TIMEOUT_MS')) || DEFAULT_TIMEOUT_MS),
+      retries: options.retries ?? DEFAULT_RETRIES,
+    };
+  };
+
+  async function send(method, path, { body, timeoutMs, signal, requestId }) {
+    const { baseUrl, version, accessToken, ...defaults } = settings();
+    const timeout = AbortSignal.timeout(timeoutMs ?? defaults.timeoutMs);
+
+    let res;
+    try {
+      res = await fetch(`${await resolveBaseUrl(baseUrl)}${path}`, {
+        method,
+        headers: {
+          'Square-Version': version,
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: body != null ? JSON.stringify(body) : undefined,
+        signal: signal ? AbortSignal.any([timeout, signal]) : timeout,
+      });
+    } catch (ex) {
+      if (ex.name === 'TimeoutError' || ex.name === 'AbortError') {
+        throw new SquareApiError(
+          504,
+          [
+            {
+              category: 'API_ERROR',
+              code: 'GATEWAY_TIMEOUT',
+              detail: `${method} ${path} timed out`,
+            },
+          ],
+          { requestId, timedOut: true },
+        );
+      }
+      throw ex; // network error, retried by the caller
+    }
+
+    const data = await readJson(res);
+    logger.debug('Square API', { requestId, method, path, status: res.status });
+
+    if (!res.ok) {
+      const errors = Array.isArray(data.errors)
+        ? data.errors
+        : [
+            {
+              category: 'API_ERROR',
+              code: 'UNKNOWN',
+              detail: data.message || res.statusText,
+            },
+          ];
+      throw new SquareApiError(res.status, errors, { requestId });
+    }
+    return data;
+  }
+
+  // callOptions.allowNotFound resolves a 404 to null without logging it, for
+  // lookups where a missing resource is an answer rather than a failure
+  async function request(method, path, callOptions = {}) {
+    const requestId = crypto.randomUUID();
+    const retries = callOptions.retries ?? settings().retries;
+
+    return retry(
+      async (bail, attempt) => {
+        try {
+          return await send(method, path, { ...callOptions, requestId });
+        } catch (ex) {
+          if (
+            callOptions.allowNotFound &&
+            ex instanceof SquareApiError &&
+            ex.status === 404
+          ) {
+            return null;
+          }
+          const retryable =
+            ex instanceof SquareApiError
+              ? !ex.timedOut && isRetryable(ex.status)
+              : true;
+          logger.error(
+            `Square ${method} ${path} failed on attempt ${attempt} (request ${requestId}): ${ex.message}`,
+          );
+          if (!retryable) {
+            bail(ex);
+            return undefined;
+          }
+          throw ex; // to attempt retry
+        }
+      },
+      { retries, minTimeout: 200, factor: 2 },
+    );
+  }
+
+  return {
+    isConfigured: () => Boolean(settings().accessToken),
+    request,
+    get: (path, callOptions) => request('GET', path, callOptions),
+    post: (path, body, callOptions) =>
+      request('POST', path, { ...callOptions, body }),
+    put: (path, body, callOptions) =>
+      request('PUT', path, { ...callOptions, body }),
+    delete: (path, callOptions) => request('DELETE', path, callOptions),
+  };
+}
+
+// Sends a SquareApiError (or any other failure) as the handler's response
+function sendSquareError(
+  res,
+  ex,
+  { timeoutMessage = 'Request timed out' } = {},
+) {
+  if (ex instanceof SquareApiError) {
+    if (ex.timedOut) {
+      res.status(504).json({ error: timeoutMessage });
+      return;
+    }
+    res.status(ex.status).json({ errors: ex.errors });
+    return;
+  }
+  logger.error('Square API error:', ex);
+  res.status(500).json({ error: 'Internal Server Error' });
+}
+
+module.exports = {
+  SquareApiError,
+  createSquareClient,
+  sendSquareError,
+  client: createSquareClient(),
+};
@@ -0,0 +1,129 @@
+const test = require('ava');
+const http = require('http');
+const listen = require('test-listen');
+
+const logger = require('./logger');
+const { SquareApiError, createSquareClient } = require('./square-rest');
+
+// stand-in for connect.squareup.com that answers from a list of responses
+async function standIn(t, responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body,
+      });
+      const [status, data, delayMs = 0] = responses.shift() || [200, {}];
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      }, delayMs);
+    });
+  });
+  const baseUrl = await listen(server);
+  t.teardown(() => server.close());
+  return { baseUrl, requests };
+}
+
+test('sends version and token headers and parses JSON', async (t) => {
+  const { baseUrl, requests } = await standIn(t, [
+    [200, { order: { id: 'ORDER_1' } }],
+  ]);
+  const square = createSquareClient({
+    baseUrl,
+    accessToken: 't0k3n',
+    version: '2024-11-20',
+  });
+
+  const data = await square.post('/v2/orders', { order: {} });
+
+  t.is(data.order.id, 'ORDER_1');
+  t.is(requests[0].method, 'POST');
+  t.is(requests[0].headers['square-version'], '2024-11-20');
+  t.is(requests[0].headers.authorization, 'Bearer t0k3n');
+  t.deepEqual(JSON.parse(requests[0].body), { order: {} });
+});
+
+test('retries 429 and 5xx responses', async (t) => {
+  const { baseUrl, requests } = await standIn(t, [
+    [429, { errors: [{ code: 'RATE_LIMITED' }] }],
+    [503, {}],
+    [200, { ok: true }],
+  ]);
+  const square = createSquareClient({ baseUrl, accessToken: 't0k3n' });
+
+  t.deepEqual(await square.get('/v2/catalog/list'), { ok: true });
+  t.is(requests.length, 3);
+});
+
+test('does not retry client errors and normalizes them', async (t) => {
+  const { baseUrl, requests } = await standIn(t, [
+    [
+      400,
+      {
+        errors: [
+          { category: 'INVALID_REQUEST_ERROR', code: 'BAD', detail: 'nope' },
+        ],
+      },
+    ],
+  ]);
+  const square = createSquareClient({ baseUrl, accessToken: 't0k3n' });
+
+  const error = await t.throwsAsync(square.get('/v2/orders/x'), {
+    instanceOf: SquareApiError,
+  });
+  t.is(error.status, 400);
+  t.is(error.message, 'nope');
+  t.is(error.errors[0].code, 'BAD');
+  t.truthy(error.requestId);
+  t.is(requests.length, 1);
+});
+
+test('gives non-JSON failures the Square error shape', async (t) => {
+  const { baseUrl } = await standIn(t, [[404, 'Not Found']]);
+  const square = createSquareClient({ baseUrl, accessToken: 't0k3n' });
+
+  const error = await t.throwsAsync(square.get('/v2/nope'));
+  t.is(error.errors[0].category, 'API_ERROR');
+});
+
+test.serial('resolves an allowed 404 to null without logging', async (t) => {
+  const { baseUrl, requests } = await standIn(t, [
+    [
+      404,
+      { errors: [{ category: 'INVALID_REQUEST_ERROR', code: 'NOT_FOUND' }] },
+    ],
+  ]);
+  const square = createSquareClient({ baseUrl, accessToken: 't0k3n' });
+  const logged = [];
+  const { error } = logger;
+  logger.error = (...args) => logged.push(args);
+  t.teardown(() => {
+    logger.error = error;
+  });
+
+  t.is(await square.get('/v2/missing', { allowNotFound: true }), null);
+  t.is(requests.length, 1);
+  t.deepEqual(logged, []);
+});
+
+test('times out per call', async (t) => {
+  const { baseUrl } = await standIn(t, [[200, {}, 500]]);
+  const square = createSquareClient({ baseUrl, accessToken: 't0k3n' });
+
+  const error = await t.throwsAsync(square.get('/v2/slow', { timeoutMs: 50 }));
+  t.true(error.timedOut);
+  t.is(error.status, 504);
+});
+
+test('isConfigured reports a missing access token', (t) => {
+  t.false(createSquareClient({ accessToken: '' }).isConfigured());
+  t.true(createSquareClient({ accessToken: 't0k3n' }).isConfigured());
+});
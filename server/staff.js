@@ -0,0 +1,75 @@
+// staff guards the staff-only api routes with a shared PIN (STAFF_PIN).
+// Pages under public/staff/ send it in the X-Staff-Pin header. A client that
+// sends a wrong PIN too often is locked out for a while.
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const { getClientAddress } = require('./http');
+const { createAttemptLimiter } = require('./rate-limit');
+
+const STAFF_PIN_HEADER = 'x-staff-pin';
+
+function getStaffPin() {
+  return process.env.STAFF_PIN || config.STAFF_PIN;
+}
+
+function isStaffRequest(req, pin = getStaffPin()) {
+  const given = req.headers[STAFF_PIN_HEADER];
+  if (!pin || typeof given !== 'string') return false;
+  // compare digests so the comparison takes the same time for any length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(String(pin)));
+}
+
+let limiter = createAttemptLimiter();
+
+function getStaffPinLimiter() {
+  return limiter;
+}
+
+// Swap in a limiter over a shared store (see ./rate-limit) for multi-instance use
+function setStaffPinLimiter(next) {
+  limiter = next;
+}
+
+// Answers 503/429/401 and resolves to false unless the request carries the
+// staff PIN. Only wrong PINs count towards the lockout, not missing ones.
+async function requireStaff(req, res) {
+  const pin = getStaffPin();
+  if (!pin) {
+    res.status(503).json({ error: 'STAFF_PIN not configured' });
+    return false;
+  }
+  const client = `staff:${getClientAddress(req)}`;
+  const locked = await limiter.isLocked(client);
+  if (locked) {
+    res.setHeader('Retry-After', String(Math.ceil(locked / 1000)));
+    res.status(429).json({
+      error:
+        'PIN の入力に続けて失敗したため、しばらくしてから再度お試しください',
+      code: 'STAFF_PIN_LOCKED',
+    });
+    return false;
+  }
+  if (!isStaffRequest(req, pin)) {
+    if (typeof req.headers[STAFF_PIN_HEADER] === 'string') {
+      await limiter.fail(client);
+    }
+    res.status(401).json({
+      error: 'スタッフ PIN が正しくありません',
+      code: 'STAFF_PIN_REQUIRED',
+    });
+    return false;
+  }
+  await limiter.succeed(client);
+  return true;
+}
+
+module.exports = {
+  STAFF_PIN_HEADER,
+  isStaffRequest,
+  getStaffPinLimiter,
+  setStaffPinLimiter,
+  requireStaff,
+};
@@ -0,0 +1,387 @@
+// store-hours decides whether the shop takes orders right now: the weekly
+// opening hours and holidays from the settings (Japan time), a temporary
+// closure staff switch on, and the last-order cutoff before each closing time.
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const { businessDate } = require('./inventory');
+const logger = require('./logger');
+const { SquareApiError } = require('./square-rest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLOSURE_ATTRIBUTE_KEY = 'kiosk-closure';
+const CLOSURE_CACHE_TTL_MS = 15 * 1000;
+const STRING_SCHEMA =
+  'https://developer-production-s.squarecdn.com/schemas/v1/common.json#squareup.common.String';
+// without BUSINESS_HOURS orders are taken around the clock, as before
+const DEFAULT_BUSINESS_HOURS = '00:00-24:00';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// how far ahead nextOpenAt looks, e.g. past a long summer break
+const LOOKAHEAD_DAYS = 31;
+
+const CLOSED_MESSAGES = {
+  closed: '営業時間外です',
+  last_order: '本日のご注文の受付は終了しました',
+  holiday: '本日は休業日です',
+  temporary_closure: 'ただいま臨時休業中です',
+};
+
+class StoreHoursError extends Error {
+  constructor(code, message, { status = 409, ...detail } = {}) {
+    super(message);
+    this.name = 'StoreHoursError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function parseTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// "10:00-14:00,17:00-21:00" → [{ open: 600, close: 840 }, …] in minutes
+function parseRanges(text) {
+  const ranges = [];
+  for (const part of text.split(',')) {
+    const [open, close] = part.split('-').map(parseTime);
+    if (open == null || close == null || open >= close) {
+      logger.error(`Ignoring business hours range "${part}"`);
+      continue;
+    }
+    ranges.push({ open, close });
+  }
+  return ranges.sort((a, b) => a.open - b.open);
+}
+
+// Opening hours for each weekday, Sunday first. "10:00-20:00" applies every
+// day; "mon-fri 11:00-14:00,17:00-21:00; sat 11:00-18:00; sun closed" sets
+// days (later entries win), and days not listed are closed.
+function parseBusinessHours(text) {
+  const weekly = WEEKDAYS.map(() => []);
+  for (const entry of text.split(';').map((e) => e.trim())) {
+    if (!entry) continue;
+    const match = /^(?:([a-z]{3})(?:-([a-z]{3}))?\s+)?(.+)$/i.exec(entry);
+    const first = match[1] ? WEEKDAYS.indexOf(match[1].toLowerCase()) : 0;
+    const last = match[2]
+      ? WEEKDAYS.indexOf(match[2].toLowerCase())
+      : match[1]
+        ? first
+        : 6;
+    if (first < 0 || last < 0) {
+      logger.error(`Ignoring business hours "${entry}"`);
+      continue;
+    }
+    const ranges = /^closed$/i.test(match[3]) ? [] : parseRanges(match[3]);
+    // "fri-mon" wraps around the weekend
+    for (let day = first; ; day = (day + 1) % 7) {
+      weekly[day] = ranges;
+      if (day === last) break;
+    }
+  }
+  return weekly;
+}
+
+// "2024-12-31,2025-01-01,2025-08-13~2025-08-16" → Set of YYYY-MM-DD
+function parseHolidays(text) {
+  const dates = new Set();
+  for (const part of text.split(',').map((p) => p.trim())) {
+    if (!part) continue;
+    const [from, to = from] = part.split('~').map((p) => p.trim());
+    const start = Date.parse(`${from}T00:00:00Z`);
+    const end = Date.parse(`${to}T00:00:00Z`);
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(from) ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(to) ||
+      !(start <= end) ||
+      end - start > 366 * DAY_MS
+    ) {
+      logger.error(`Ignoring holiday "${part}"`);
+      continue;
+    }
+    for (let time = start; time <= end; time += DAY_MS) {
+      dates.add(new Date(time).toISOString().slice(0, 10));
+    }
+  }
+  return dates;
+}
+
+// `location` may carry a stand's own businessHours, holidays and
+// lastOrderMinutes (see server/locations.js)
+function storeSettings(location = {}) {
+  const lastOrder = Number(
+    location.lastOrderMinutes ?? setting('LAST_ORDER_MINUTES'),
+  );
+  return {
+    weekly: parseBusinessHours(
+      location.businessHours ||
+        setting('BUSINESS_HOURS') ||
+        DEFAULT_BUSINESS_HOURS,
+    ),
+    holidays: parseHolidays(
+      location.holidays || setting('STORE_HOLIDAYS') || '',
+    ),
+    lastOrderMinutes:
+      Number.isInteger(lastOrder) && lastOrder > 0 ? lastOrder : 0,
+  };
+}
+
+// Opening hours on a Japanese calendar day; none on holidays
+function hoursOn(date, settings = storeSettings()) {
+  if (settings.holidays.has(date)) return [];
+  return settings.weekly[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// 735 → "12:15"
+function clock(minutes) {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return `${hh}:${mm}`;
+}
+
+// Minutes after midnight on a Japanese calendar day (24:00 is the next day)
+function jstTime(date, minutes) {
+  return new Date(
+    new Date(`${date}T00:00:00+09:00`).getTime() + minutes * 60 * 1000,
+  );
+}
+
+// Closures live in memory per instance (CLOSURE_STORE=memory, for
+// development and tests). They are kept per stand (location slug).
+function createMemoryClosureStore() {
+  const closures = new Map();
+  return {
+    async get(slug) {
+      return closures.get(slug) || null;
+    },
+    async set(slug, closure) {
+      if (closure) closures.set(slug, closure);
+      else closures.delete(slug);
+    },
+  };
+}
+
+// Keeps the closure as JSON in a custom attribute of the Square location, so
+// every instance closes together. The attribute definition is created the
+// first time a stand is closed. Every order checks the closure, so each
+// instance reuses what it read for ttlMs; other instances see a change
+// within that time, the instance that made it at once.
+// https://developer.squareup.com/docs/location-custom-attributes-api/overview
+function createSquareClosureStore({
+  key = CLOSURE_ATTRIBUTE_KEY,
+  ttlMs = CLOSURE_CACHE_TTL_MS,
+  now = Date.now,
+} = {}) {
+  const attributePath = (locationId) =>
+    `/v2/locations/${encodeURIComponent(locationId)}/custom-attributes/${key}`;
+  // locationId → { closure, expiresAt }
+  const cache = new Map();
+  const remember = (locationId, closure) => {
+    cache.set(locationId, { closure, expiresAt: now() + ttlMs });
+    return closure;
+  };
+
+  async function createDefinition(square) {
+    try {
+      await square.post('/v2/locations/custom-attribute-definitions', {
+        idempotency_key: crypto.randomUUID(),
+        custom_attribute_definition: {
+          key,
+          name: '臨時休業',
+          description: 'キオスクの臨時休業（server/store-hours.js）',
+          schema: { $ref: STRING_SCHEMA },
+          visibility: 'VISIBILITY_HIDDEN',
+        },
+      });
+    } catch (ex) {
+      // another instance created it first
+      if (!(ex instanceof SquareApiError && ex.status === 409)) throw ex;
+    }
+  }
+
+  // Resolves to null while the attribute definition does not exist yet
+  function upsert(square, locationId, closure, callOptions) {
+    return square.post(
+      attributePath(locationId),
+      {
+        idempotency_key: crypto.randomUUID(),
+        custom_attribute: { value: JSON.stringify(closure) },
+      },
+      callOptions,
+    );
+  }
+
+  return {
+    async get(slug, { square, locationId } = {}) {
+      // Square keeps closures per location
+      if (!square || !locationId) return null;
+      const cached = cache.get(locationId);
+      if (cached && cached.expiresAt > now()) return cached.closure;
+      // no attribute (or no definition yet): the stand is open
+      const data = await square.get(attributePath(locationId), {
+        allowNotFound: true,
+      });
+      return remember(
+        locationId,
+        data ? JSON.parse(data.custom_attribute.value) : null,
+      );
+    },
+    async set(slug, closure, { square, locationId } = {}) {
+      if (!square || !locationId) {
+        throw new Error('The Square closure store needs a location');
+      }
+      if (!closure) {
+        await square.delete(attributePath(locationId), { allowNotFound: true });
+        remember(locationId, null);
+        return;
+      }
+      const upserted = await upsert(square, locationId, closure, {
+        allowNotFound: true,
+      });
+      if (!upserted) {
+        await createDefinition(square);
+        await upsert(square, locationId, closure);
+      }
+      remember(locationId, closure);
+    },
+  };
+}
+
+const STORES = {
+  memory: createMemoryClosureStore,
+  square: createSquareClosureStore,
+};
+
+let closureStore;
+
+function getClosureStore() {
+  if (!closureStore) {
+    const kind = setting('CLOSURE_STORE') || 'square';
+    if (!STORES[kind]) {
+      throw new Error(`Unknown CLOSURE_STORE: ${kind}`);
+    }
+    closureStore = STORES[kind]();
+  }
+  return closureStore;
+}
+
+// Swap in another store (async get(slug, context) / set(slug, closure,
+// context), where context is { square, locationId })
+function setClosureStore(next) {
+  closureStore = next;
+}
+
+// Milliseconds when a closure ends, null once it has; a closure without
+// `until` lasts until staff reopen
+function closureEnd(closure, now) {
+  if (!closure) return null;
+  const until = closure.until ? Date.parse(closure.until) : Infinity;
+  return until > now.getTime() ? until : null;
+}
+
+// Order windows (opening to last order) of the coming days, in order
+function* orderWindows(now, settings) {
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const date = businessDate(new Date(now.getTime() + day * DAY_MS));
+    for (const { open, close } of hoursOn(date, settings)) {
+      const closesAt = jstTime(date, close);
+      const lastOrderAt = new Date(
+        closesAt.getTime() - settings.lastOrderMinutes * 60 * 1000,
+      );
+      yield { openAt: jstTime(date, open), lastOrderAt, closesAt };
+    }
+  }
+}
+
+// What GET /api/store-status returns: whether orders are taken now, and if
+// not, why and when they are taken again (null when staff have to reopen)
+async function getStoreStatus({
+  location = {},
+  square,
+  now = new Date(),
+  settings = storeSettings(location),
+  closure,
+} = {}) {
+  if (closure === undefined) {
+    closure = await getClosureStore().get(location.slug, {
+      square,
+      locationId: location.locationId,
+    });
+  }
+  const date = businessDate(now);
+  const time = now.getTime();
+  const closedUntil = closureEnd(closure, now);
+
+  let current = null;
+  let next = null;
+  for (const window of orderWindows(now, settings)) {
+    if (window.openAt.getTime() <= time && time < window.closesAt.getTime()) {
+      current = window;
+    }
+    const from = Math.max(window.openAt.getTime(), time, closedUntil || 0);
+    if (!next && from < window.lastOrderAt.getTime()) {
+      next = { ...window, from };
+    }
+  }
+
+  const hours = hoursOn(date, settings).map(({ open, close }) => ({
+    open: clock(open),
+    close: clock(close),
+  }));
+  const open =
+    !closedUntil && current != null && time < current.lastOrderAt.getTime();
+  let reason = 'open';
+  if (closedUntil) reason = 'temporary_closure';
+  else if (current && !open) reason = 'last_order';
+  else if (!current) reason = hours.length > 0 ? 'closed' : 'holiday';
+
+  return {
+    open,
+    reason,
+    message: open
+      ? null
+      : (reason === 'temporary_closure' && closure.message) ||
+        CLOSED_MESSAGES[reason],
+    date,
+    hours,
+    lastOrderAt: open ? current.lastOrderAt.toISOString() : null,
+    closesAt: open ? current.closesAt.toISOString() : null,
+    nextOpenAt: open || !next ? null : new Date(next.from).toISOString(),
+  };
+}
+
+// Throws STORE_CLOSED unless orders are taken right now
+async function assertStoreOpen(options) {
+  const status = await getStoreStatus(options);
+  if (!status.open) {
+    throw new StoreHoursError('STORE_CLOSED', status.message, {
+      reason: status.reason,
+      nextOpenAt: status.nextOpenAt,
+    });
+  }
+  return status;
+}
+
+module.exports = {
+  StoreHoursError,
+  parseBusinessHours,
+  parseHolidays,
+  storeSettings,
+  hoursOn,
+  clock,
+  jstTime,
+  createMemoryClosureStore,
+  createSquareClosureStore,
+  getClosureStore,
+  setClosureStore,
+  getStoreStatus,
+  assertStoreOpen,
+};
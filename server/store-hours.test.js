@@ -0,0 +1,220 @@
+const test = require('ava');
+
+const {
+  StoreHoursError,
+  assertStoreOpen,
+  createMemoryClosureStore,
+  createSquareClosureStore,
+  getClosureStore,
+  getStoreStatus,
+  parseBusinessHours,
+  parseHolidays,
+  setClosureStore,
+  storeSettings,
+} = require('./store-hours');
+const { setupFakeSquare } = require('./testing');
+
+// 2024-05-01 (Wednesday) in Japan
+const at = (time, date = '2024-05-01') => new Date(`${date}T${time}:00+09:00`);
+
+const SETTINGS = {
+  weekly: parseBusinessHours(
+    'mon-fri 11:00-14:00,17:00-21:00; sat 11:00-18:00; sun closed',
+  ),
+  holidays: parseHolidays('2024-05-03~2024-05-04'),
+  lastOrderMinutes: 30,
+};
+
+const status = (now, closure = null) =>
+  getStoreStatus({ now, settings: SETTINGS, closure });
+
+test('parses weekly business hours', (t) => {
+  const weekly = parseBusinessHours(
+    'mon-fri 17:00-21:00,11:00-14:00; sat 11:00-18:00; wed closed',
+  );
+
+  t.deepEqual(weekly[1], [
+    { open: 660, close: 840 },
+    { open: 1020, close: 1260 },
+  ]);
+  t.deepEqual(weekly[3], []);
+  t.deepEqual(weekly[6], [{ open: 660, close: 1080 }]);
+  t.deepEqual(weekly[0], []);
+});
+
+test('applies plain hours to every day and skips broken ranges', (t) => {
+  const weekly = parseBusinessHours('10:00-14:00, 17:30-24:00,14:00-10:00');
+
+  t.is(weekly.length, 7);
+  t.true(
+    weekly.every(
+      (ranges) =>
+        ranges.length === 2 &&
+        ranges[0].open === 600 &&
+        ranges[1].close === 24 * 60,
+    ),
+  );
+  // "fri-mon" wraps around the weekend
+  const wrapped = parseBusinessHours('fri-mon 12:00-15:00');
+  t.deepEqual(
+    wrapped.map((ranges) => ranges.length),
+    [1, 1, 0, 0, 0, 1, 1],
+  );
+});
+
+test('parses holidays and holiday ranges', (t) => {
+  t.deepEqual(
+    [...parseHolidays('2024-12-31, 2025-01-01~2025-01-03,2025-13-45~x')],
+    ['2024-12-31', '2025-01-01', '2025-01-02', '2025-01-03'],
+  );
+});
+
+test('is open until the last order', async (t) => {
+  t.like(await status(at('12:00')), {
+    open: true,
+    reason: 'open',
+    message: null,
+    date: '2024-05-01',
+    hours: [
+      { open: '11:00', close: '14:00' },
+      { open: '17:00', close: '21:00' },
+    ],
+    lastOrderAt: '2024-05-01T04:30:00.000Z',
+    closesAt: '2024-05-01T05:00:00.000Z',
+    nextOpenAt: null,
+  });
+
+  t.like(await status(at('13:40')), {
+    open: false,
+    reason: 'last_order',
+    nextOpenAt: '2024-05-01T08:00:00.000Z',
+  });
+});
+
+test('reports when it opens next', async (t) => {
+  t.like(await status(at('08:00')), {
+    open: false,
+    reason: 'closed',
+    message: '営業時間外です',
+    nextOpenAt: at('11:00').toISOString(),
+  });
+  // Thursday night: Friday and Saturday are holidays, Sunday is closed
+  t.like(await status(at('22:00', '2024-05-02')), {
+    open: false,
+    reason: 'closed',
+    nextOpenAt: at('11:00', '2024-05-06').toISOString(),
+  });
+  t.like(await status(at('12:00', '2024-05-03')), {
+    open: false,
+    reason: 'holiday',
+    hours: [],
+  });
+});
+
+test('closes temporarily until staff reopen or a set time', async (t) => {
+  t.like(await status(at('12:00'), { message: '機材の故障のため休業中です' }), {
+    open: false,
+    reason: 'temporary_closure',
+    message: '機材の故障のため休業中です',
+    nextOpenAt: null,
+  });
+
+  const until = at('18:00').toISOString();
+  t.like(await status(at('12:00'), { until }), {
+    open: false,
+    message: 'ただいま臨時休業中です',
+    nextOpenAt: until,
+  });
+  // a closure that has ended is ignored
+  t.like(await status(at('18:30'), { until }), { open: true });
+});
+
+test('takes orders around the clock without business hours', async (t) => {
+  const settings = storeSettings();
+  t.deepEqual(settings.weekly[3], [{ open: 0, close: 24 * 60 }]);
+  t.like(await getStoreStatus({ now: at('03:00'), settings, closure: null }), {
+    open: true,
+    hours: [{ open: '00:00', close: '24:00' }],
+  });
+});
+
+test('the Square store keeps closures on the location', async (t) => {
+  const { fake, square } = await setupFakeSquare(t);
+  const store = createSquareClosureStore();
+  const main = { square, locationId: 'LOCATION' };
+  const closure = { until: null, message: '臨時休業中です' };
+
+  t.is(await store.get('main', main), null);
+  await store.set('main', closure, main);
+  t.deepEqual(await store.get('main', main), closure);
+  t.is(fake.state.locationAttributeDefinitions.size, 1);
+  // what another instance sees
+  t.deepEqual(await createSquareClosureStore().get('main', main), closure);
+  t.is(
+    await store.get('shibuya', { square, locationId: 'LOCATION_SHIBUYA' }),
+    null,
+  );
+
+  await store.set('main', null, main);
+  t.is(await store.get('main', main), null);
+  await store.set('main', null, main);
+});
+
+test('the Square store reuses what it read for a short time', async (t) => {
+  const { square } = await setupFakeSquare(t);
+  let clock = 0;
+  const reads = [];
+  const counting = {
+    ...square,
+    get: (path, options) => {
+      reads.push(path);
+      return square.get(path, options);
+    },
+  };
+  const main = { square: counting, locationId: 'LOCATION' };
+  const store = createSquareClosureStore({ ttlMs: 1000, now: () => clock });
+  const other = createSquareClosureStore({ ttlMs: 1000, now: () => clock });
+
+  t.is(await store.get('main', main), null);
+  t.is(await store.get('main', main), null);
+  t.is(reads.length, 1);
+
+  // the instance that closes sees it at once, others once the cache runs out
+  const closure = { until: null, message: null };
+  await other.set('main', closure, main);
+  t.deepEqual(await other.get('main', main), closure);
+  t.is(await store.get('main', main), null);
+  clock += 1000;
+  t.deepEqual(await store.get('main', main), closure);
+  t.is(reads.length, 2);
+});
+
+test.serial('throws STORE_CLOSED with the next opening', async (t) => {
+  const previous = getClosureStore();
+  setClosureStore(createMemoryClosureStore());
+  t.teardown(() => setClosureStore(previous));
+  const store = getClosureStore();
+  await store.set('shibuya', { until: at('17:30').toISOString() });
+  const options = {
+    location: { slug: 'shibuya' },
+    now: at('12:00'),
+    settings: SETTINGS,
+  };
+
+  const error = await t.throwsAsync(assertStoreOpen(options), {
+    instanceOf: StoreHoursError,
+  });
+  t.is(error.code, 'STORE_CLOSED');
+  t.is(error.status, 409);
+  t.deepEqual(error.detail, {
+    reason: 'temporary_closure',
+    nextOpenAt: at('17:30').toISOString(),
+  });
+
+  // other locations stay open
+  t.like(await assertStoreOpen({ ...options, location: { slug: 'ginza' } }), {
+    open: true,
+  });
+  await store.set('shibuya', null);
+  t.like(await assertStoreOpen(options), { open: true });
+});
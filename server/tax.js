@@ -0,0 +1,93 @@
+// tax implements Japanese consumption tax (消費税) for orders.
+// Takeout food is taxed at the reduced rate, eating in at the standard rate.
+
+const config = require('./config');
+
+const DINING_OPTIONS = ['TAKEOUT', 'EAT_IN'];
+
+// percentages, as Square expects them on OrderLineItemTax
+const TAX_RATES = {
+  TAKEOUT: 8,
+  EAT_IN: 10,
+};
+
+const DINING_LABELS = {
+  TAKEOUT: 'テイクアウト',
+  EAT_IN: 'イートイン',
+};
+
+const TAX_NAMES = {
+  TAKEOUT: '消費税 8%（軽減税率）',
+  EAT_IN: '消費税 10%',
+};
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+// `overrides` are a stand's own settings (see server/locations.js)
+function getTaxOptions(overrides = {}) {
+  const pricing = overrides.pricing || setting('TAX_PRICING');
+  return {
+    pricing: pricing === 'inclusive' ? 'inclusive' : 'exclusive',
+  };
+}
+
+function normalizeDiningOption(value) {
+  return DINING_OPTIONS.includes(value) ? value : 'TAKEOUT';
+}
+
+// tax contained in (inclusive) or added to (exclusive) an amount, unrounded
+function taxPortion(amount, rate, pricing) {
+  return pricing === 'inclusive'
+    ? (amount * rate) / (100 + rate)
+    : (amount * rate) / 100;
+}
+
+// Calculates tax for line amounts (price × quantity per line, in yen) the
+// way Square does: per line item, rounding half up. Square charges the total
+// it calculates, so any other rounding would be refused at payment.
+function calculateTax(lineAmounts, options = {}) {
+  const { diningOption, pricing } = { ...getTaxOptions(), ...options };
+  const dining_option = normalizeDiningOption(diningOption);
+  const rate = TAX_RATES[dining_option];
+
+  const subtotal = lineAmounts.reduce((sum, amount) => sum + amount, 0);
+  const tax = lineAmounts.reduce(
+    (sum, amount) => sum + Math.round(taxPortion(amount, rate, pricing)),
+    0,
+  );
+
+  return {
+    diningOption: dining_option,
+    rate,
+    pricing,
+    subtotal,
+    tax,
+    total: pricing === 'inclusive' ? subtotal : subtotal + tax,
+  };
+}
+
+// Order-level taxes for the Square Order so receipts and KDS show the breakdown
+function buildOrderTaxes({ diningOption, pricing }) {
+  const dining_option = normalizeDiningOption(diningOption);
+  return [
+    {
+      uid: 'consumption-tax',
+      name: TAX_NAMES[dining_option],
+      percentage: String(TAX_RATES[dining_option]),
+      type: pricing === 'inclusive' ? 'INCLUSIVE' : 'ADDITIVE',
+      scope: 'ORDER',
+    },
+  ];
+}
+
+module.exports = {
+  DINING_OPTIONS,
+  DINING_LABELS,
+  TAX_RATES,
+  getTaxOptions,
+  normalizeDiningOption,
+  calculateTax,
+  buildOrderTaxes,
+};
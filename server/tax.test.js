@@ -0,0 +1,61 @@
+const test = require('ava');
+
+const tax = require('./tax');
+
+test('calculateTax uses the reduced rate for takeout', (t) => {
+  const result = tax.calculateTax([940], {
+    diningOption: 'TAKEOUT',
+    pricing: 'exclusive',
+  });
+  t.is(result.rate, 8);
+  t.is(result.tax, 75);
+  t.is(result.total, 1015);
+});
+
+test('calculateTax uses the standard rate for eat-in', (t) => {
+  const result = tax.calculateTax([940], {
+    diningOption: 'EAT_IN',
+    pricing: 'exclusive',
+  });
+  t.is(result.rate, 10);
+  t.is(result.tax, 94);
+  t.is(result.total, 1034);
+});
+
+test('calculateTax extracts tax from inclusive prices', (t) => {
+  const result = tax.calculateTax([1080], {
+    diningOption: 'TAKEOUT',
+    pricing: 'inclusive',
+  });
+  t.is(result.tax, 80);
+  t.is(result.total, 1080);
+});
+
+test('calculateTax rounds each line half up, as Square does', (t) => {
+  const options = { diningOption: 'TAKEOUT', pricing: 'exclusive' };
+  // 8% of 3 × ¥890 is ¥213.6
+  t.like(tax.calculateTax([2670], options), { tax: 214, total: 2884 });
+  // 8% of ¥155 is ¥12.4 per line, ¥24.8 for the order
+  t.is(tax.calculateTax([155, 155], options).tax, 24);
+});
+
+test('normalizeDiningOption defaults to takeout', (t) => {
+  t.is(tax.normalizeDiningOption('EAT_IN'), 'EAT_IN');
+  t.is(tax.normalizeDiningOption(undefined), 'TAKEOUT');
+  t.is(tax.normalizeDiningOption('DRIVE_THRU'), 'TAKEOUT');
+});
+
+test('buildOrderTaxes describes the tax for the Square order', (t) => {
+  t.deepEqual(
+    tax.buildOrderTaxes({ diningOption: 'EAT_IN', pricing: 'inclusive' }),
+    [
+      {
+        uid: 'consumption-tax',
+        name: '消費税 10%',
+        percentage: '10',
+        type: 'INCLUSIVE',
+        scope: 'ORDER',
+      },
+    ],
+  );
+});
@@ -0,0 +1,121 @@
+// terminal-events follows one terminal checkout until the customer pays or
+// cancels, for the /api/terminal-checkout/:id/events stream. Changes arrive
+// from terminal.checkout.updated webhooks when Square sends them; Square is
+// also polled, quickly at first and less often while nothing changes, since
+// webhooks may be off or reach another instance.
+// https://developer.squareup.com/docs/terminal-api/square-terminal-payments
+
+const { EventEmitter } = require('events');
+
+const logger = require('./logger');
+const { getWebhookOptions, onWebhookEvent } = require('./webhooks');
+
+// polling intervals in ms, without and with webhooks configured
+const POLL_MS = 1000;
+const WEBHOOK_POLL_MS = 5000;
+const MAX_POLL_MS = 10000;
+const BACKOFF = 1.5;
+
+// statuses a checkout does not leave
+const FINAL_STATUSES = new Set(['COMPLETED', 'CANCELED']);
+
+// checkout ID → the checkout from a webhook, on this instance
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+onWebhookEvent('terminal.checkout.updated', (event) => {
+  const checkout = event.data?.object?.checkout;
+  if (checkout?.id) updates.emit(checkout.id, checkout);
+});
+
+async function fetchCheckout(square, checkoutId) {
+  const { checkout } = await square.get(
+    `/v2/terminals/checkouts/${encodeURIComponent(checkoutId)}`,
+  );
+  return checkout;
+}
+
+// What the status endpoint and the event stream send for a checkout
+function summarizeCheckout(checkout) {
+  return {
+    status: checkout?.status,
+    orderId: checkout?.order_id,
+    // terminal-checkout.js puts the pickup number there
+    pickupNumber: checkout?.reference_id || null,
+    paymentIds: checkout?.payment_ids || [],
+  };
+}
+
+function isFinal(summary) {
+  return FINAL_STATUSES.has(summary.status);
+}
+
+// Resolves with the checkout from the next webhook for it, or null after
+// delayMs or once the signal aborts
+function nextUpdate(checkoutId, delayMs, signal) {
+  return new Promise((resolve) => {
+    const done = (checkout = null) => {
+      clearTimeout(timer);
+      updates.off(checkoutId, done);
+      signal?.removeEventListener('abort', abort);
+      resolve(checkout);
+    };
+    const abort = () => done();
+    const timer = setTimeout(done, delayMs);
+    updates.on(checkoutId, done);
+    signal?.addEventListener('abort', abort);
+  });
+}
+
+// Calls onChange with the summary each time the status changes, starting with
+// the current one, until it is final, durationMs passed or the signal aborts.
+// Returns the last summary. Failed polls are retried at the next interval.
+async function watchCheckout(
+  square,
+  checkoutId,
+  {
+    onChange,
+    signal,
+    durationMs = Infinity,
+    pollMs = getWebhookOptions().signatureKey ? WEBHOOK_POLL_MS : POLL_MS,
+    maxPollMs = MAX_POLL_MS,
+  } = {},
+) {
+  const deadline = Date.now() + durationMs;
+  let last = summarizeCheckout(await fetchCheckout(square, checkoutId));
+  onChange(last);
+  let delay = pollMs;
+  while (!isFinal(last) && !signal?.aborted) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    let checkout = await nextUpdate(
+      checkoutId,
+      Math.min(delay, remaining),
+      signal,
+    );
+    if (signal?.aborted || (!checkout && Date.now() >= deadline)) break;
+    if (!checkout) {
+      try {
+        checkout = await fetchCheckout(square, checkoutId);
+      } catch (ex) {
+        logger.error(`Failed to poll terminal checkout: ${ex.message}`);
+      }
+    }
+    const summary = checkout ? summarizeCheckout(checkout) : last;
+    if (summary.status !== last.status) {
+      last = summary;
+      onChange(last);
+      delay = pollMs;
+    } else {
+      delay = Math.min(delay * BACKOFF, maxPollMs);
+    }
+  }
+  return last;
+}
+
+module.exports = {
+  fetchCheckout,
+  summarizeCheckout,
+  isFinal,
+  watchCheckout,
+};
@@ -0,0 +1,100 @@
+const test = require('ava');
+
+const { watchCheckout } = require('./terminal-events');
+const { dispatchWebhookEvent } = require('./webhooks');
+const { setupFakeSquare } = require('./testing');
+
+async function setup(t) {
+  const { fake, square } = await setupFakeSquare(t);
+
+  const { order } = await square.post('/v2/orders', {
+    idempotency_key: `order-${t.title}`,
+    order: {
+      location_id: 'LOCATION',
+      line_items: [{ catalog_object_id: 'VAR_CLASSIC', quantity: '1' }],
+    },
+  });
+  const { checkout } = await square.post('/v2/terminals/checkouts', {
+    idempotency_key: `checkout-${t.title}`,
+    checkout: {
+      amount_money: order.total_money,
+      order_id: order.id,
+      reference_id: 'A-001',
+      device_options: { device_id: 'fake-device' },
+    },
+  });
+  return { fake, square, checkout };
+}
+
+test('polls until the checkout is paid', async (t) => {
+  const { square, checkout } = await setup(t);
+  const seen = [];
+
+  const last = await watchCheckout(square, checkout.id, {
+    onChange: (summary) => seen.push(summary.status),
+    pollMs: 10,
+  });
+
+  // the fake moves one step each time it is read
+  t.deepEqual(seen, ['PENDING', 'IN_PROGRESS', 'COMPLETED']);
+  t.like(last, { status: 'COMPLETED', pickupNumber: 'A-001' });
+  t.is(last.paymentIds.length, 1);
+});
+
+test('takes changes from webhooks without waiting for a poll', async (t) => {
+  const { square, checkout } = await setup(t);
+  const seen = [];
+
+  const watching = watchCheckout(square, checkout.id, {
+    onChange: (summary) => seen.push(summary.status),
+    pollMs: 60 * 1000,
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await dispatchWebhookEvent({
+    event_id: `terminal-events-${checkout.id}`,
+    type: 'terminal.checkout.updated',
+    created_at: new Date().toISOString(),
+    data: {
+      type: 'checkout',
+      id: checkout.id,
+      object: { checkout: { ...checkout, status: 'CANCELED' } },
+    },
+  });
+
+  t.is((await watching).status, 'CANCELED');
+  t.deepEqual(seen, ['PENDING', 'CANCELED']);
+});
+
+test('backs off while nothing changes and stops after its duration', async (t) => {
+  // a checkout the customer never finishes; the first poll fails
+  const reads = [];
+  const square = {
+    async get() {
+      reads.push(Date.now());
+      if (reads.length === 2) throw new Error('Square unreachable');
+      return { checkout: { id: 'CHECKOUT', status: 'IN_PROGRESS' } };
+    },
+  };
+  const seen = [];
+
+  const last = await watchCheckout(square, 'CHECKOUT', {
+    onChange: (summary) => seen.push(summary.status),
+    durationMs: 300,
+    pollMs: 20,
+    maxPollMs: 60,
+  });
+
+  t.is(last.status, 'IN_PROGRESS');
+  t.deepEqual(seen, ['IN_PROGRESS']);
+  // 20, 30, 45, 60, 60… ms apart instead of every 20 ms
+  t.true(reads.length >= 4 && reads.length <= 9, String(reads.length));
+
+  const aborted = new AbortController();
+  aborted.abort();
+  reads.length = 0;
+  await watchCheckout(square, 'CHECKOUT', {
+    onChange: () => {},
+    signal: aborted.signal,
+  });
+  t.is(reads.length, 1);
+});
@@ -0,0 +1,19 @@
+// testing holds fixtures shared by the server/*.test.js files
+
+const { createFakeSquare } = require('./fake-square');
+const { createSquareClient } = require('./square-rest');
+
+// A fake Square API of the test's own and a client that talks to it without
+// retries; the fake closes when the test ends
+async function setupFakeSquare(t, options) {
+  const fake = createFakeSquare(options);
+  t.teardown(() => fake.close());
+  const square = createSquareClient({
+    baseUrl: await fake.url(),
+    accessToken: 'fake',
+    retries: 0,
+  });
+  return { fake, square };
+}
+
+module.exports = { setupFakeSquare };
@@ -0,0 +1,59 @@
+// tokens signs small JSON payloads for the browser to hand back later: cart
+// quotes (see ./quotes) and proof that a customer owns a phone number (see
+// ./verification). A token is base64url(JSON) + '.' + base64url(HMAC-SHA256
+// of that part); the payload is readable by anyone, only not changeable.
+
+const crypto = require('crypto');
+
+const config = require('./config');
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+// Without the named secret or an access token to derive one from, tokens
+// only verify on the instance that issued them
+const processSecret = crypto.randomBytes(32);
+
+// The secret in the setting `name`, else one derived from the access token
+// for `purpose`, so tokens of one kind never pass for another
+function tokenSecret(name, purpose) {
+  return (
+    setting(name) ||
+    crypto
+      .createHmac('sha256', setting('SQUARE_ACCESS_TOKEN') || processSecret)
+      .update(purpose)
+      .digest()
+  );
+}
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body, secret)}`;
+}
+
+// The payload of a token signed with secret, or null
+function readToken(token, secret) {
+  const [body, signature, ...rest] = String(token).split('.');
+  const expected = Buffer.from(sign(body || '', secret));
+  const actual = Buffer.from(signature || '');
+  if (
+    rest.length > 0 ||
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { tokenSecret, signToken, readToken };
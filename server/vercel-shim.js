@@ -0,0 +1,130 @@
+// vercel-shim gives api/*.js handlers the request and response helpers the
+// Vercel Node.js runtime adds (req.query, req.body, res.status, res.json,
+// res.send, res.redirect), so they behave the same under micro.
+// https://vercel.com/docs/functions/runtimes/node-js#node.js-helpers
+
+const querystring = require('querystring');
+const { PassThrough, Stream } = require('stream');
+
+const { buffer, createError } = require('micro');
+
+// Vercel's request body limit
+const BODY_LIMIT = '4.5mb';
+
+// Repeated keys become arrays, as on Vercel
+function parseQuery(url) {
+  const query = {};
+  for (const [key, value] of new URL(url, 'http://localhost').searchParams) {
+    if (key in query) query[key] = [].concat(query[key], value);
+    else query[key] = value;
+  }
+  return query;
+}
+
+// req.body by content type; undefined for an empty or unknown body
+function parseBody(raw, contentType = '') {
+  if (!raw.length) return undefined;
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  switch (type) {
+    case 'application/json':
+      try {
+        return JSON.parse(raw.toString('utf8'));
+      } catch {
+        throw createError(400, 'Invalid JSON');
+      }
+    case 'application/x-www-form-urlencoded':
+      return querystring.parse(raw.toString('utf8'));
+    case 'application/octet-stream':
+      return raw;
+    case 'text/plain':
+      return raw.toString('utf8');
+    default:
+      return undefined;
+  }
+}
+
+// The request as a Vercel function sees it. The body is read up front, then
+// replayed, so handlers can still read the raw stream (webhook signatures)
+// or take the lazily parsed req.body.
+async function createRequest(req, { url = req.url, params = {} } = {}) {
+  const raw = Buffer.from(await buffer(req, { limit: BODY_LIMIT }));
+  const request = new PassThrough();
+  request.end(raw);
+  Object.assign(request, {
+    method: req.method,
+    url,
+    headers: req.headers,
+    rawHeaders: req.rawHeaders,
+    httpVersion: req.httpVersion,
+    socket: req.socket,
+    connection: req.socket,
+    query: { ...parseQuery(url), ...params },
+  });
+  let body;
+  let parsed = false;
+  Object.defineProperty(request, 'body', {
+    enumerable: true,
+    get() {
+      if (!parsed) {
+        body = parseBody(raw, req.headers['content-type']);
+        parsed = true;
+      }
+      return body;
+    },
+  });
+  return request;
+}
+
+function json(res, value) {
+  if (!res.getHeader('Content-Type')) {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  }
+  return send(res, JSON.stringify(value));
+}
+
+function send(res, body) {
+  if (body == null) {
+    res.end();
+  } else if (Buffer.isBuffer(body)) {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/octet-stream');
+    }
+    res.setHeader('Content-Length', body.length);
+    res.end(body);
+  } else if (body instanceof Stream) {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/octet-stream');
+    }
+    body.pipe(res);
+  } else if (typeof body === 'string') {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    }
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end(body);
+  } else {
+    return json(res, body);
+  }
+  return res;
+}
+
+// Adds the helpers to the response itself, like Vercel does
+function extendResponse(res) {
+  res.status = (statusCode) => {
+    res.statusCode = statusCode;
+    return res;
+  };
+  res.json = (value) => json(res, value);
+  res.send = (body) => send(res, body);
+  res.redirect = (statusOrUrl, url) => {
+    if (typeof statusOrUrl === 'string') {
+      url = statusOrUrl;
+      statusOrUrl = 307;
+    }
+    res.writeHead(statusOrUrl, { Location: url }).end();
+    return res;
+  };
+  return res;
+}
+
+module.exports = { parseQuery, parseBody, createRequest, extendResponse };
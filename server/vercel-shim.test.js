@@ -0,0 +1,80 @@
+const test = require('ava');
+const micro = require('micro');
+const listen = require('test-listen');
+const fetch = require('node-fetch');
+
+const { readBody } = require('./http');
+const { createRequest, extendResponse, parseBody } = require('./vercel-shim');
+
+// serves handler(req, res) behind the shim and returns its URL
+async function serve(t, handler, options) {
+  // micro would send whatever the handler returns, so return nothing
+  const service = micro(async (req, res) => {
+    await handler(await createRequest(req, options), extendResponse(res));
+  });
+  t.teardown(() => service.close());
+  return listen(service);
+}
+
+test('puts the query and path parameters in req.query', async (t) => {
+  const url = await serve(t, (req, res) => res.json(req.query), {
+    url: '/api/orders/ORDER_1/status?location=main&tag=a&tag=b',
+    params: { id: 'ORDER_1' },
+  });
+
+  const res = await fetch(url);
+  t.deepEqual(await res.json(), {
+    location: 'main',
+    tag: ['a', 'b'],
+    id: 'ORDER_1',
+  });
+});
+
+test('parses req.body lazily and keeps the raw stream', async (t) => {
+  const url = await serve(t, async (req, res) => {
+    const raw = await readBody(req);
+    res.json({ raw, body: req.body });
+  });
+
+  const res = await fetch(url, {
+    method: 'post',
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    body: '{"a":1}',
+  });
+  t.deepEqual(await res.json(), { raw: '{"a":1}', body: { a: 1 } });
+});
+
+test('parses bodies by content type', (t) => {
+  const raw = (text) => Buffer.from(text);
+
+  t.deepEqual(parseBody(raw('a=1&b=2'), 'application/x-www-form-urlencoded'), {
+    a: '1',
+    b: '2',
+  });
+  t.is(parseBody(raw('hello'), 'text/plain'), 'hello');
+  t.true(Buffer.isBuffer(parseBody(raw('x'), 'application/octet-stream')));
+  t.is(parseBody(raw(''), 'application/json'), undefined);
+  t.is(parseBody(raw('x'), 'image/png'), undefined);
+  t.is(t.throws(() => parseBody(raw('{'), 'application/json')).statusCode, 400);
+});
+
+test('sends, redirects and sets the status like Vercel', async (t) => {
+  const url = await serve(t, (req, res) => {
+    if (req.query.to) return res.redirect(req.query.to);
+    if (req.query.buffer) return res.status(201).send(Buffer.from('bytes'));
+    return res.status(202).send('<p>ok</p>');
+  });
+
+  const html = await fetch(url);
+  t.is(html.status, 202);
+  t.regex(html.headers.get('content-type'), /^text\/html/);
+  t.is(await html.text(), '<p>ok</p>');
+
+  const bytes = await fetch(`${url}?buffer=1`);
+  t.is(bytes.status, 201);
+  t.is(bytes.headers.get('content-type'), 'application/octet-stream');
+
+  const redirect = await fetch(`${url}?to=/board`, { redirect: 'manual' });
+  t.is(redirect.status, 307);
+  t.regex(redirect.headers.get('location'), /\/board$/);
+});
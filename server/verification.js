@@ -0,0 +1,301 @@
+// verification proves that a customer owns a phone number before the kiosk
+// shows or charges anything kept under it (saved cards, loyalty points).
+// POST /api/verification texts a 6-digit code to the number and returns a
+// signed challenge; POST /api/verification/confirm trades the challenge and
+// the code for a customer token, sent back in the X-Customer-Token header.
+// Both are signed by ./tokens, so any instance can check them.
+//
+// Sends are limited per phone number, per client address and by an hourly
+// budget for all numbers; wrong codes are counted per phone number. The
+// counts live in memory (see ./rate-limit), so they only hold on a single
+// instance; on serverless or behind a load balancer, swap in limiters over a
+// shared store with setVerificationLimiters.
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const { normalizePhone } = require('./customers');
+const logger = require('./logger');
+const { createAttemptLimiter } = require('./rate-limit');
+const { readToken, signToken, tokenSecret } = require('./tokens');
+
+const CUSTOMER_TOKEN_HEADER = 'x-customer-token';
+const CODE_TTL_SECONDS = 5 * 60;
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 60;
+const SMS_TIMEOUT_MS = 5000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_CLIENT_SENDS_PER_HOUR = 20;
+const DEFAULT_SENDS_PER_HOUR = 200;
+
+class VerificationError extends Error {
+  constructor(code, message, { status = 400, ...detail } = {}) {
+    super(message);
+    this.name = 'VerificationError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function positiveSetting(name, fallback) {
+  return Number(setting(name)) > 0 ? Number(setting(name)) : fallback;
+}
+
+// Production cannot text codes without a webhook, so refuse to start rather
+// than turn every customer away with VERIFICATION_UNAVAILABLE
+if (config.isProduction && !setting('VERIFICATION_SMS_WEBHOOK_URL')) {
+  throw new Error('VERIFICATION_SMS_WEBHOOK_URL is required in production');
+}
+
+function getVerificationOptions() {
+  return {
+    secret: tokenSecret('VERIFICATION_SECRET', 'verification'),
+    tokenTtlSeconds: positiveSetting(
+      'VERIFICATION_TOKEN_TTL_SECONDS',
+      DEFAULT_TOKEN_TTL_SECONDS,
+    ),
+  };
+}
+
+// Texts the code through VERIFICATION_SMS_WEBHOOK_URL (POST { to, message }),
+// e.g. a Twilio Function or an SMS gateway. Outside production without one
+// the code is only logged (DEBUG=sq-web-pay), so the kiosk can be tried in
+// the sandbox.
+async function sendCodeBySms(phone, code) {
+  const url = setting('VERIFICATION_SMS_WEBHOOK_URL');
+  if (!url) {
+    logger.debug(`Verification code for ${phone}: ${code}`);
+    return;
+  }
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      to: phone,
+      message: `確認コード: ${code}（${CODE_TTL_SECONDS / 60}分間有効）`,
+    }),
+    signal: AbortSignal.timeout(SMS_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    throw new VerificationError(
+      'VERIFICATION_UNAVAILABLE',
+      '確認コードを送信できませんでした。しばらくして再度お試しください',
+      { status: 503 },
+    );
+  }
+}
+
+let codeSender = sendCodeBySms;
+
+function setCodeSender(next) {
+  codeSender = next;
+}
+
+// Codes sent to one number, codes sent for one client, codes sent to any
+// number (VERIFICATION_SENDS_PER_HOUR), and wrong codes for one number
+const limiters = {
+  send: createAttemptLimiter(),
+  client: createAttemptLimiter({
+    maxFailures: positiveSetting(
+      'VERIFICATION_CLIENT_SENDS_PER_HOUR',
+      DEFAULT_CLIENT_SENDS_PER_HOUR,
+    ),
+    windowMs: HOUR_MS,
+    lockoutMs: HOUR_MS,
+  }),
+  budget: createAttemptLimiter({
+    maxFailures: positiveSetting(
+      'VERIFICATION_SENDS_PER_HOUR',
+      DEFAULT_SENDS_PER_HOUR,
+    ),
+    windowMs: HOUR_MS,
+    lockoutMs: HOUR_MS,
+  }),
+  confirm: createAttemptLimiter(),
+};
+
+function getVerificationLimiters() {
+  return { ...limiters };
+}
+
+// Swap in limiters over a shared store (see ./rate-limit) for multi-instance
+// use: { send, client, budget, confirm }
+function setVerificationLimiters(next) {
+  for (const [name, limiter] of Object.entries(next)) {
+    if (limiter) limiters[name] = limiter;
+  }
+}
+
+function lockedError(locked) {
+  return new VerificationError(
+    'VERIFICATION_LOCKED',
+    '確認の回数が多すぎます。しばらくしてから再度お試しください',
+    { status: 429, retryAfter: Math.ceil(locked / 1000) },
+  );
+}
+
+// Keyed with the secret, so the digest in a challenge cannot be tried
+// against every code offline
+function codeDigest(challengeId, phone, code, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${challengeId}:${phone}:${code}`)
+    .digest('base64url');
+}
+
+// Texts a code to the phone number. client is the address of the requester
+// (see getClientAddress in ./http). { challenge, expiresAt, phoneLast4 }
+async function startVerification(
+  input,
+  { now = Date.now(), client = 'unknown', ...options } = {},
+) {
+  const { secret } = { ...getVerificationOptions(), ...options };
+  const phone = normalizePhone(input);
+  if (!phone) {
+    throw new VerificationError(
+      'INVALID_PHONE',
+      '電話番号の形式が正しくありません',
+    );
+  }
+  const keys = {
+    send: `verification-send:${phone}`,
+    client: `verification-client:${client}`,
+    budget: 'verification-budget',
+  };
+  for (const [name, key] of Object.entries(keys)) {
+    const locked = await limiters[name].isLocked(key, now);
+    if (locked) throw lockedError(locked);
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const id = crypto.randomUUID();
+  const expiresAt = now + CODE_TTL_SECONDS * 1000;
+  await codeSender(phone, code);
+  for (const [name, key] of Object.entries(keys)) {
+    await limiters[name].fail(key, now);
+  }
+  return {
+    challenge: signToken(
+      {
+        kind: 'challenge',
+        id,
+        phone,
+        digest: codeDigest(id, phone, code, secret),
+        expiresAt,
+      },
+      secret,
+    ),
+    expiresAt: new Date(expiresAt).toISOString(),
+    phoneLast4: phone.slice(-4),
+  };
+}
+
+function issueCustomerToken(phone, { now = Date.now(), ...options } = {}) {
+  const { secret, tokenTtlSeconds } = {
+    ...getVerificationOptions(),
+    ...options,
+  };
+  const expiresAt = now + tokenTtlSeconds * 1000;
+  return {
+    customerToken: signToken({ kind: 'customer', phone, expiresAt }, secret),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+// Trades a challenge and the code texted for it for a customer token.
+// Wrong codes count against the phone number across challenges, so asking
+// for a new code does not buy more guesses; a few of them lock the number.
+async function confirmVerification(
+  challengeToken,
+  code,
+  { now = Date.now(), ...options } = {},
+) {
+  const { secret } = { ...getVerificationOptions(), ...options };
+  const challenge = readToken(challengeToken, secret);
+  if (challenge?.kind !== 'challenge') {
+    throw new VerificationError(
+      'INVALID_CHALLENGE',
+      '確認をはじめからやり直してください',
+    );
+  }
+  if (!(challenge.expiresAt > now)) {
+    throw new VerificationError(
+      'VERIFICATION_EXPIRED',
+      '確認コードの有効期限が切れました。もう一度送信してください',
+      { status: 409 },
+    );
+  }
+  const confirmKey = `verification-confirm:${challenge.phone}`;
+  const locked = await limiters.confirm.isLocked(confirmKey, now);
+  if (locked) throw lockedError(locked);
+
+  const expected = Buffer.from(challenge.digest);
+  const actual = Buffer.from(
+    codeDigest(challenge.id, challenge.phone, String(code).trim(), secret),
+  );
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    await limiters.confirm.fail(confirmKey, now);
+    throw new VerificationError('INVALID_CODE', '確認コードが正しくありません');
+  }
+  await limiters.confirm.succeed(confirmKey);
+  return {
+    ...issueCustomerToken(challenge.phone, { now, secret, ...options }),
+    phoneLast4: challenge.phone.slice(-4),
+  };
+}
+
+// The phone number a customer token proves, or null if there is no token.
+// Throws for a token that is forged or has expired.
+function readCustomerToken(token, { now = Date.now(), ...options } = {}) {
+  if (!token) return null;
+  const { secret } = { ...getVerificationOptions(), ...options };
+  const verified = readToken(token, secret);
+  if (verified?.kind !== 'customer' || !(verified.expiresAt > now)) {
+    throw new VerificationError(
+      'CUSTOMER_VERIFICATION_REQUIRED',
+      '電話番号の確認が必要です',
+      { status: 401 },
+    );
+  }
+  return verified.phone;
+}
+
+// The verified phone number of the request (X-Customer-Token header);
+// throws CUSTOMER_VERIFICATION_REQUIRED without one
+function requireCustomerPhone(req, options) {
+  const phone = readCustomerToken(req.headers[CUSTOMER_TOKEN_HEADER], options);
+  if (!phone) {
+    throw new VerificationError(
+      'CUSTOMER_VERIFICATION_REQUIRED',
+      '電話番号の確認が必要です',
+      { status: 401 },
+    );
+  }
+  return phone;
+}
+
+// Like requireCustomerPhone, but null for a request without a token
+function optionalCustomerPhone(req, options) {
+  return readCustomerToken(req.headers[CUSTOMER_TOKEN_HEADER], options);
+}
+
+module.exports = {
+  CUSTOMER_TOKEN_HEADER,
+  VerificationError,
+  setCodeSender,
+  getVerificationLimiters,
+  setVerificationLimiters,
+  startVerification,
+  issueCustomerToken,
+  confirmVerification,
+  readCustomerToken,
+  requireCustomerPhone,
+  optionalCustomerPhone,
+};
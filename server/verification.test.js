@@ -0,0 +1,174 @@
+const test = require('ava');
+
+const config = require('./config');
+const { createAttemptLimiter } = require('./rate-limit');
+const {
+  VerificationError,
+  confirmVerification,
+  getVerificationLimiters,
+  issueCustomerToken,
+  readCustomerToken,
+  requireCustomerPhone,
+  setCodeSender,
+  setVerificationLimiters,
+  startVerification,
+} = require('./verification');
+
+const NOW = Date.parse('2025-04-03T12:00:00+09:00');
+const SECRET = 'verification-secret';
+
+// codes texted by startVerification, by phone number
+const texted = new Map();
+setCodeSender(async (phone, code) => {
+  texted.set(phone, code);
+});
+
+test('trades the code texted to a phone number for a customer token', async (t) => {
+  const options = { now: NOW, secret: SECRET };
+  const { challenge, expiresAt, phoneLast4 } = await startVerification(
+    '090-1111-0001',
+    options,
+  );
+  t.is(expiresAt, '2025-04-03T03:05:00.000Z');
+  t.is(phoneLast4, '0001');
+  const code = texted.get('+819011110001');
+  t.regex(code, /^\d{6}$/);
+
+  const verified = await confirmVerification(challenge, code, options);
+  t.is(verified.phoneLast4, '0001');
+  t.is(readCustomerToken(verified.customerToken, options), '+819011110001');
+  t.is(
+    requireCustomerPhone(
+      { headers: { 'x-customer-token': verified.customerToken } },
+      options,
+    ),
+    '+819011110001',
+  );
+
+  const expired = await t.throwsAsync(
+    confirmVerification(challenge, code, {
+      now: NOW + 5 * 60 * 1000,
+      secret: SECRET,
+    }),
+  );
+  t.like(expired, { code: 'VERIFICATION_EXPIRED', status: 409 });
+  t.like(await t.throwsAsync(startVerification('123', options)), {
+    code: 'INVALID_PHONE',
+  });
+});
+
+test('locks a phone number after a few wrong codes across challenges', async (t) => {
+  const options = { now: NOW, secret: SECRET };
+  let code;
+  let challenge;
+  for (let i = 0; i < 5; i++) {
+    // a new code for every guess still counts against the number
+    ({ challenge } = await startVerification('090-1111-0002', {
+      ...options,
+      now: NOW + i,
+    }));
+    code = texted.get('+819011110002');
+    const wrong = code === '000000' ? '111111' : '000000';
+    const error = await t.throwsAsync(
+      confirmVerification(challenge, wrong, options),
+      { instanceOf: VerificationError },
+    );
+    t.is(error.code, 'INVALID_CODE');
+  }
+  const locked = await t.throwsAsync(
+    confirmVerification(challenge, code, options),
+  );
+  t.like(locked, { code: 'VERIFICATION_LOCKED', status: 429 });
+  t.true(locked.detail.retryAfter > 0);
+});
+
+test('texts one phone number only so often', async (t) => {
+  const options = { now: NOW, secret: SECRET };
+  for (let i = 0; i < 5; i++) {
+    await startVerification('090-1111-0003', options);
+  }
+  const locked = await t.throwsAsync(
+    startVerification('090-1111-0003', options),
+  );
+  t.is(locked.code, 'VERIFICATION_LOCKED');
+});
+
+test('texts one client only so often', async (t) => {
+  const options = { now: NOW, secret: SECRET, client: '203.0.113.7' };
+  for (let i = 0; i < 20; i++) {
+    await startVerification(`090-2222-${String(i).padStart(4, '0')}`, options);
+  }
+  const locked = await t.throwsAsync(
+    startVerification('090-2222-0020', options),
+  );
+  t.like(locked, { code: 'VERIFICATION_LOCKED', status: 429 });
+  await t.notThrowsAsync(
+    startVerification('090-2222-0020', { ...options, client: '203.0.113.8' }),
+  );
+});
+
+test.serial('stops texting once the hourly budget is spent', async (t) => {
+  const { budget } = getVerificationLimiters();
+  t.teardown(() => setVerificationLimiters({ budget }));
+  setVerificationLimiters({
+    budget: createAttemptLimiter({
+      maxFailures: 2,
+      windowMs: 60 * 60 * 1000,
+      lockoutMs: 60 * 60 * 1000,
+    }),
+  });
+  const options = { now: NOW, secret: SECRET };
+  await startVerification('090-3333-0001', { ...options, client: 'a' });
+  await startVerification('090-3333-0002', { ...options, client: 'b' });
+  const spent = await t.throwsAsync(
+    startVerification('090-3333-0003', { ...options, client: 'c' }),
+  );
+  t.like(spent, { code: 'VERIFICATION_LOCKED', status: 429 });
+  t.is(spent.detail.retryAfter, 60 * 60);
+});
+
+test.serial('refuses to start in production without an SMS webhook', (t) => {
+  const { isProduction } = config;
+  const modulePath = require.resolve('./verification');
+  const loaded = require.cache[modulePath];
+  config.isProduction = true;
+  delete require.cache[modulePath];
+  t.teardown(() => {
+    config.isProduction = isProduction;
+    require.cache[modulePath] = loaded;
+  });
+  t.throws(() => require('./verification'), {
+    message: /VERIFICATION_SMS_WEBHOOK_URL/,
+  });
+});
+
+test('refuses tokens it did not issue or that have expired', (t) => {
+  const options = { now: NOW, secret: SECRET };
+  const { customerToken } = issueCustomerToken('+819011110004', {
+    ...options,
+    tokenTtlSeconds: 60,
+  });
+  const [body, signature] = customerToken.split('.');
+  const otherPhone = Buffer.from(
+    JSON.stringify({
+      kind: 'customer',
+      phone: '+819099999999',
+      expiresAt: NOW + 60 * 1000,
+    }),
+  ).toString('base64url');
+
+  for (const [token, at, secret] of [
+    [`${otherPhone}.${signature}`, NOW, SECRET],
+    [`${body}.${signature}`, NOW + 60 * 1000, SECRET],
+    [customerToken, NOW, 'other'],
+  ]) {
+    t.throws(() => readCustomerToken(token, { now: at, secret }), {
+      instanceOf: VerificationError,
+      code: 'CUSTOMER_VERIFICATION_REQUIRED',
+    });
+  }
+  t.is(readCustomerToken(undefined, options), null);
+  t.throws(() => requireCustomerPhone({ headers: {} }, options), {
+    code: 'CUSTOMER_VERIFICATION_REQUIRED',
+  });
+});
@@ -0,0 +1,113 @@
+// webhooks verifies Square webhook notifications and dispatches their events
+// to handlers registered with onWebhookEvent().
+// https://developer.squareup.com/docs/webhooks/step3validate
+
+const crypto = require('crypto');
+
+const config = require('./config');
+const logger = require('./logger');
+
+const SUPPORTED_EVENTS = [
+  'terminal.checkout.updated',
+  'payment.updated',
+  'refund.updated',
+  'order.fulfillment.updated',
+  'catalog.version.updated',
+];
+
+// Square retries failed deliveries for up to 24 hours with the same created_at
+const DEFAULT_TOLERANCE_SECONDS = 24 * 60 * 60;
+const MAX_SEEN_EVENTS = 1000;
+
+const handlers = new Map();
+// event_id → created_at in ms; per instance, so serverless only narrows replays
+const seenEvents = new Map();
+
+function setting(name) {
+  return process.env[name] || config[name];
+}
+
+function getWebhookOptions() {
+  return {
+    signatureKey: setting('SQUARE_WEBHOOK_SIGNATURE_KEY'),
+    notificationUrl: setting('SQUARE_WEBHOOK_URL'),
+    toleranceSeconds:
+      Number(setting('SQUARE_WEBHOOK_TOLERANCE_SECONDS')) ||
+      DEFAULT_TOLERANCE_SECONDS,
+  };
+}
+
+// Registers a handler for an event type; returns a function that removes it
+function onWebhookEvent(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type).add(handler);
+  return () => handlers.get(type).delete(handler);
+}
+
+// HMAC-SHA256 of the notification URL followed by the raw body, base64 encoded
+function signPayload(notificationUrl, body, signatureKey) {
+  return crypto
+    .createHmac('sha256', signatureKey)
+    .update(notificationUrl + body)
+    .digest('base64');
+}
+
+function isValidSignature({ body, signature, signatureKey, notificationUrl }) {
+  if (!signature || !signatureKey) return false;
+  const expected = Buffer.from(
+    signPayload(notificationUrl, body, signatureKey),
+  );
+  const actual = Buffer.from(signature);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// A replay is an event we already handled or one older than the tolerance
+function isReplay(event, { toleranceSeconds, now = Date.now() }) {
+  if (!event.event_id || seenEvents.has(event.event_id)) return true;
+  const created_at = Date.parse(event.created_at);
+  return (
+    Number.isNaN(created_at) ||
+    Math.abs(now - created_at) > toleranceSeconds * 1000
+  );
+}
+
+function markHandled(event) {
+  seenEvents.set(event.event_id, Date.parse(event.created_at));
+  if (seenEvents.size > MAX_SEEN_EVENTS) {
+    seenEvents.delete(seenEvents.keys().next().value);
+  }
+}
+
+// Runs every handler for the event's type. Throws if any handler fails so the
+// caller can answer 5xx and let Square redeliver.
+async function dispatchWebhookEvent(event) {
+  const registered = [...(handlers.get(event.type) || [])];
+  if (registered.length === 0) {
+    logger.debug('Ignoring webhook event', event.type);
+  }
+  await Promise.all(registered.map((handler) => handler(event)));
+  markHandled(event);
+}
+
+SUPPORTED_EVENTS.forEach((type) =>
+  onWebhookEvent(type, (event) => {
+    logger.info('Square webhook', {
+      type,
+      event_id: event.event_id,
+      object_id: event.data?.id,
+    });
+  }),
+);
+
+module.exports = {
+  SUPPORTED_EVENTS,
+  getWebhookOptions,
+  onWebhookEvent,
+  signPayload,
+  isValidSignature,
+  isReplay,
+  dispatchWebhookEvent,
+};
@@ -0,0 +1,109 @@
+const test = require('ava');
+
+const {
+  onWebhookEvent,
+  signPayload,
+  isValidSignature,
+  isReplay,
+  dispatchWebhookEvent,
+} = require('./webhooks');
+
+const URL = 'https://example.com/api/webhooks/square';
+const KEY = 'signature-key';
+
+function event(overrides = {}) {
+  return {
+    event_id: 'event-1',
+    type: 'payment.updated',
+    created_at: '2024-06-01T00:00:00Z',
+    data: { id: 'PAYMENT' },
+    ...overrides,
+  };
+}
+
+test('accepts the signature Square computes over URL and body', (t) => {
+  const body = JSON.stringify(event());
+  const signature = signPayload(URL, body, KEY);
+
+  t.true(
+    isValidSignature({
+      body,
+      signature,
+      signatureKey: KEY,
+      notificationUrl: URL,
+    }),
+  );
+  t.false(
+    isValidSignature({
+      body: `${body} `,
+      signature,
+      signatureKey: KEY,
+      notificationUrl: URL,
+    }),
+  );
+  t.false(
+    isValidSignature({
+      body,
+      signature,
+      signatureKey: KEY,
+      notificationUrl: 'https://example.com/other',
+    }),
+  );
+  t.false(isValidSignature({ body, signatureKey: KEY, notificationUrl: URL }));
+});
+
+test('treats old events as replays', (t) => {
+  const now = Date.parse('2024-06-01T00:10:00Z');
+
+  t.false(
+    isReplay(event({ event_id: 'fresh' }), { toleranceSeconds: 3600, now }),
+  );
+  t.true(isReplay(event({ event_id: 'old' }), { toleranceSeconds: 60, now }));
+  t.true(
+    isReplay(event({ event_id: undefined }), { toleranceSeconds: 3600, now }),
+  );
+});
+
+test.serial(
+  'dispatches to registered handlers and remembers the event',
+  async (t) => {
+    const received = [];
+    const off = onWebhookEvent('refund.updated', (e) =>
+      received.push(e.data.id),
+    );
+    const refund = event({
+      event_id: 'refund-event',
+      type: 'refund.updated',
+      data: { id: 'REFUND' },
+    });
+    const now = Date.parse(refund.created_at);
+
+    await dispatchWebhookEvent(refund);
+    off();
+    await dispatchWebhookEvent(
+      event({ event_id: 'refund-2', type: 'refund.updated' }),
+    );
+
+    t.deepEqual(received, ['REFUND']);
+    t.true(isReplay(refund, { toleranceSeconds: 3600, now }));
+  },
+);
+
+test.serial('does not remember events whose handlers fail', async (t) => {
+  const off = onWebhookEvent('order.fulfillment.updated', () => {
+    throw new Error('boom');
+  });
+  const failing = event({
+    event_id: 'failing-event',
+    type: 'order.fulfillment.updated',
+  });
+
+  await t.throwsAsync(dispatchWebhookEvent(failing), { message: 'boom' });
+  off();
+  t.false(
+    isReplay(failing, {
+      toleranceSeconds: 3600,
+      now: Date.parse(failing.created_at),
+    }),
+  );
+});